@@ -9,10 +9,31 @@
   let specificDates = [];
   let exclusionDates = [];
   let resetMode = false; // Nouveau: flag pour le mode reset
+  let resetFields = []; // Champs à réinitialiser (range, weekdays, specific, exclusions)
+  let recurrenceRules = []; // Règles récurrentes : { target, text, rule, dates }
+  const RULE_MAX_DATES = 1000; // Nombre maximum de dates générées par une règle
+  let csvImport = null; // Import CSV en attente : { fileName, mode, rows }
+  let shiftOperation = null; // Décalage du calendrier en attente : { type, days, fields }
+  let copySource = null; // Produit de référence copié à l'étape 2 : { id, name, mode }
+  const PRODUCT_PAGE_SIZE = 50; // Produits chargés par page dans la liste de l'étape 1
+  const PRODUCT_ROW_HEIGHT = 58; // Hauteur estimée d'une ligne avant sa première mesure
 
   const WBE_Admin = {
     currentStep: 1,
     selectedProducts: [],
+    historyLoaded: false,
+    availabilityCache: {}, // Disponibilités affichées dans la liste, par "produit|mois"
+    heatmap: null, // Carte de chaleur de la sélection (calendar.js)
+    savedSelections: [], // Sélections enregistrées visibles par l'utilisateur
+    lastQuery: null, // Catégorie / recherche / filtre du dernier chargement (sélection dynamique)
+    matchingSelection: null, // « Tous les produits correspondants » : { query, total, exact }
+    bookingConflicts: null, // Dates réservées retirées par l'opération (étape 3)
+    scheduledOperations: [], // Opérations programmées affichées dans l'onglet
+    scheduledPoll: null, // Actualisation de l'onglet Opérations programmées (setInterval)
+    templates: [], // Modèles de disponibilité (étape 2)
+    productList: { items: [], categoryId: null, rows: {}, heights: {} }, // Liste de l'étape 1 (voir resetProductList)
+    productListFrame: null, // Rendu de la liste en attente (requestAnimationFrame)
+    batchRun: { running: false, paused: false, cancelled: false },
     formData: {
       start_date: "",
       end_date: "",
@@ -34,9 +55,19 @@
       this.setupStepNavigation();
       this.setupDatepickers();
       this.setupProductSelection();
+      this.setupProductKeyboard();
       this.setupFormHandlers();
       this.setupDateManagement();
       this.setupResetHandler(); // Nouveau: gestionnaire de reset
+      this.setupShift();
+      this.setupCopyFromProduct();
+      this.setupHistory();
+      this.setupSchedule();
+      this.setupBatchControls();
+      this.setupIcsTransfer();
+      this.setupCsvImport();
+      this.setupSavedSelections();
+      this.setupTemplates();
       this.updateStats();
       this.populateCategories();
     },
@@ -71,55 +102,366 @@
         return;
       }
 
-      // Demander confirmation avec un message clair
-      const confirmMessage = `⚠️ ATTENTION - ACTION IRRÉVERSIBLE ⚠️
+      // La réinitialisation envoie les IDs en une seule requête
+      if (self.matchingSelection) {
+        self.showToast(
+          "Avertissement",
+          "La réinitialisation ne s'applique qu'aux produits cochés : annulez la sélection de tous les produits correspondants à l'étape 1",
+          "warning",
+        );
+        return;
+      }
+
+      self.openResetDialog();
+    },
 
-Vous êtes sur le point de SUPPRIMER TOUTES les configurations de disponibilité de ${self.selectedProducts.length} produit(s).
+    /**
+     * Libellés des champs réinitialisables
+     */
+    getResetFieldLabels: function () {
+      return {
+        range: "Plage de dates (début et fin)",
+        weekdays: "Jours de la semaine disponibles",
+        specific: "Dates spécifiques",
+        exclusions: "Dates d'exclusion",
+      };
+    },
 
-Cela va effacer :
-✓ Les plages de dates (début et fin)
-✓ Les jours de la semaine disponibles
-✓ Les dates spécifiques
-✓ Les dates d'exclusion
+    /**
+     * Dialogue de réinitialisation : choix des champs à effacer
+     */
+    openResetDialog: function () {
+      const self = this;
+      const labels = this.getResetFieldLabels();
+
+      let checkboxes = "";
+      $.each(labels, function (field, label) {
+        checkboxes += `<label class="wbe-checkbox-label">
+            <input type="checkbox" class="wbe-reset-field" value="${field}" checked>
+            <span>${label}</span>
+          </label>`;
+      });
 
-Cette action est IRRÉVERSIBLE.
+      const $dialog = $(`
+        <div class="wbe-modal-overlay">
+          <div class="wbe-modal" role="dialog" aria-modal="true" aria-labelledby="wbe-reset-dialog-title">
+            <h2 id="wbe-reset-dialog-title">Réinitialiser les disponibilités</h2>
+            <p>Champs à effacer pour les <strong>${self.selectedProducts.length}</strong> produit(s) sélectionné(s) :</p>
+            <div class="wbe-reset-fields">${checkboxes}</div>
+            <p class="description">Les champs non cochés sont conservés. Une sauvegarde est conservée : l'opération pourra être annulée après application.</p>
+            <div class="wbe-modal-actions">
+              <button type="button" class="button wbe-modal-cancel">Annuler</button>
+              <button type="button" class="button button-primary wbe-modal-confirm">Continuer</button>
+            </div>
+          </div>
+        </div>
+      `);
 
-Voulez-vous vraiment continuer ?`;
+      const close = function () {
+        $dialog.remove();
+        $(document).off("keydown.wbeResetDialog");
+      };
 
-      if (!confirm(confirmMessage)) {
-        return;
-      }
+      $dialog.on("click", function (e) {
+        if (e.target === this) {
+          close();
+        }
+      });
+      $dialog.find(".wbe-modal-cancel").on("click", close);
+      $(document).on("keydown.wbeResetDialog", function (e) {
+        if (e.key === "Escape") {
+          close();
+        }
+      });
 
-      // Deuxième confirmation (sécurité supplémentaire)
-      const doubleConfirm = confirm(
-        `Dernière confirmation :\n\nEffacer TOUTES les dates de ${self.selectedProducts.length} produit(s) ?\n\nCliquez OK pour confirmer.`,
-      );
+      $dialog.find(".wbe-modal-confirm").on("click", function () {
+        const fields = $dialog
+          .find(".wbe-reset-field:checked")
+          .map(function () {
+            return $(this).val();
+          })
+          .get();
 
-      if (!doubleConfirm) {
-        return;
-      }
+        if (fields.length === 0) {
+          self.showToast(
+            "Erreur",
+            "Cochez au moins un champ à réinitialiser.",
+            "error",
+          );
+          return;
+        }
+
+        const isFullReset = fields.length === Object.keys(labels).length;
+        const confirmMessage = isFullReset
+          ? `Effacer TOUTES les disponibilités de ${self.selectedProducts.length} produit(s) ?`
+          : `Effacer les champs suivants de ${self.selectedProducts.length} produit(s) ?\n\n${fields.map((f) => "• " + labels[f]).join("\n")}`;
+
+        if (!confirm(confirmMessage)) {
+          return;
+        }
 
+        close();
+        self.activateResetMode(fields);
+      });
+
+      $("body").append($dialog);
+      $dialog.find(".wbe-modal-confirm").trigger("focus");
+    },
 
-      // Activer le mode reset
+    /**
+     * Activer le mode reset pour les champs choisis
+     */
+    activateResetMode: function (fields) {
       resetMode = true;
-      self.formData.reset_all = true;
+      resetFields = fields;
+      this.formData.reset_all = true;
 
       // Effacer tous les champs de l'interface
-      self.clearAllFormFields();
+      this.clearAllFormFields();
 
       // Passer directement à l'étape 3 pour révision
-      self.goToStep(3);
+      this.goToStep(3);
 
       // Mettre à jour le résumé avec l'indication de reset
-      self.updateResetSummary();
+      this.updateResetSummary();
 
-      self.showToast(
+      this.showToast(
         "Mode Réinitialisation Activé",
-        `${self.selectedProducts.length} produit(s) seront réinitialisés lors de l'application`,
+        `${this.selectedProducts.length} produit(s) seront réinitialisés lors de l'application`,
         "warning",
       );
     },
 
+    /**
+     * Décalage du calendrier : nouvelle saison à partir des dates de chaque produit
+     */
+    setupShift: function () {
+      const self = this;
+
+      $("#wbe-shift-schedule").on("click", function () {
+        if (self.selectedProducts.length === 0 && !self.matchingSelection) {
+          self.showToast(
+            "Erreur",
+            "Veuillez d'abord sélectionner des produits à l'étape 1",
+            "error",
+          );
+          return;
+        }
+
+        self.openShiftDialog();
+      });
+    },
+
+    /**
+     * Dialogue de décalage : décalage et champs concernés
+     */
+    openShiftDialog: function () {
+      const self = this;
+      const labels = this.getShiftFieldLabels();
+
+      let checkboxes = "";
+      $.each(labels, function (field, label) {
+        checkboxes += `<label class="wbe-checkbox-label">
+            <input type="checkbox" class="wbe-shift-field" value="${field}" checked>
+            <span>${label}</span>
+          </label>`;
+      });
+
+      const $dialog = $(`
+        <div class="wbe-modal-overlay">
+          <div class="wbe-modal" role="dialog" aria-modal="true" aria-labelledby="wbe-shift-dialog-title">
+            <h2 id="wbe-shift-dialog-title">Décaler le calendrier</h2>
+            <p>Dates de chaque produit sélectionné (<strong>${self.getSelectionCountLabel()}</strong>) à décaler :</p>
+            <fieldset class="wbe-shift-type">
+              <label>
+                <input type="radio" name="wbe-shift-type" value="next_year" checked>
+                Même jour de la semaine l'année suivante (un samedi reste un samedi)
+              </label>
+              <label>
+                <input type="radio" name="wbe-shift-type" value="days">
+                Décaler de
+                <input type="number" id="wbe-shift-days" class="small-text" value="365" min="-${wbe_admin_data.shift_max_days}" max="${wbe_admin_data.shift_max_days}">
+                jour(s)
+              </label>
+            </fieldset>
+            <div class="wbe-shift-fields">${checkboxes}</div>
+            <p class="description">Les jours de la semaine sont conservés. Un nombre négatif avance les dates. Vous pourrez prévisualiser le résultat avant d'appliquer.</p>
+            <div class="wbe-modal-actions">
+              <button type="button" class="button wbe-modal-cancel">Annuler</button>
+              <button type="button" class="button button-primary wbe-modal-confirm">Continuer</button>
+            </div>
+          </div>
+        </div>
+      `);
+
+      const close = function () {
+        $dialog.remove();
+        $(document).off("keydown.wbeShiftDialog");
+      };
+
+      $dialog.on("click", function (e) {
+        if (e.target === this) {
+          close();
+        }
+      });
+      $dialog.find(".wbe-modal-cancel").on("click", close);
+      $(document).on("keydown.wbeShiftDialog", function (e) {
+        if (e.key === "Escape") {
+          close();
+        }
+      });
+
+      $dialog.find("#wbe-shift-days").on("focus", function () {
+        $dialog.find('input[name="wbe-shift-type"][value="days"]').prop("checked", true);
+      });
+
+      $dialog.find(".wbe-modal-confirm").on("click", function () {
+        const type = $dialog.find('input[name="wbe-shift-type"]:checked').val();
+        const days = parseInt($dialog.find("#wbe-shift-days").val(), 10) || 0;
+        const fields = $dialog
+          .find(".wbe-shift-field:checked")
+          .map(function () {
+            return $(this).val();
+          })
+          .get();
+
+        if (
+          type === "days" &&
+          (days === 0 || Math.abs(days) > wbe_admin_data.shift_max_days)
+        ) {
+          self.showToast(
+            "Erreur",
+            `Le décalage doit être compris entre 1 et ${wbe_admin_data.shift_max_days} jours.`,
+            "error",
+          );
+          return;
+        }
+
+        if (fields.length === 0) {
+          self.showToast("Erreur", "Cochez au moins un champ à décaler.", "error");
+          return;
+        }
+
+        close();
+        self.activateShiftMode({
+          type: type,
+          days: type === "days" ? days : 0,
+          fields: fields,
+        });
+      });
+
+      $("body").append($dialog);
+      $dialog.find(".wbe-modal-confirm").trigger("focus");
+    },
+
+    /**
+     * Libellés des champs décalables
+     */
+    getShiftFieldLabels: function () {
+      const labels = this.getResetFieldLabels();
+
+      return {
+        range: labels.range,
+        specific: labels.specific,
+        exclusions: labels.exclusions,
+      };
+    },
+
+    /**
+     * Libellé d'un décalage ("+365 jour(s)", "même jour l'année suivante")
+     */
+    getShiftLabel: function (shift) {
+      if (shift.type === "next_year") {
+        return "même jour de la semaine l'année suivante";
+      }
+
+      return `${shift.days > 0 ? "+" : ""}${shift.days} jour(s)`;
+    },
+
+    /**
+     * Étape 3 en mode décalage : résumé, réservations et prévisualisation
+     */
+    activateShiftMode: function (shift) {
+      shiftOperation = shift;
+      this.goToStep(3);
+
+      this.showToast(
+        "Décalage du calendrier",
+        `Dates décalées de ${this.getShiftLabel(shift)} : vérifiez la prévisualisation puis appliquez`,
+        "info",
+      );
+    },
+
+    /**
+     * Résumé de l'étape 3 pour un décalage
+     */
+    updateShiftSummary: function () {
+      const labels = this.getShiftFieldLabels();
+      const fields = shiftOperation.fields.map((field) => labels[field]);
+
+      $("#wbe-review-summary").html(`
+        <div class="wbe-review-content">
+          <div class="wbe-review-section"><strong>Produits sélectionnés :</strong> ${this.getSelectionCountLabel()}</div>
+          <div class="wbe-review-section"><strong>Décalage :</strong> ${this.getShiftLabel(shiftOperation)}</div>
+          <div class="wbe-review-section"><strong>Champs décalés :</strong> ${fields.join(", ")}</div>
+          <div class="wbe-review-section">Chaque produit garde ses propres dates, déplacées ; les jours de la semaine sont conservés.</div>
+        </div>
+      `);
+    },
+
+    /**
+     * Décalage : vérifier les dates réservées que le décalage libérerait
+     */
+    checkShiftBookings: function () {
+      const self = this;
+
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: {
+          action:
+            wbe_admin_data.ajax_actions?.validate_dates || "wbe_validate_dates",
+          nonce: wbe_admin_data.nonce,
+          shift: shiftOperation,
+          ...this.getSelectionPayload(),
+        },
+        success: function (response) {
+          if (shiftOperation && response.success && response.data.valid) {
+            self.renderBookingConflicts(response.data.booking_conflicts);
+          }
+        },
+      });
+    },
+
+    /**
+     * Appliquer le décalage (traitement par lots en arrière-plan)
+     */
+    applyShift: function () {
+      const ajaxData = $.extend(
+        {
+          action:
+            wbe_admin_data.ajax_actions?.process_batch || "wbe_process_batch",
+          nonce: wbe_admin_data.nonce,
+          shift: shiftOperation,
+        },
+        this.getSelectionPayload(),
+      );
+
+      if (this.bookingConflicts) {
+        ajaxData.override_bookings = 1;
+      }
+
+      // Le décalage est lancé : un nouveau passage repartira des dates décalées
+      shiftOperation = null;
+
+      this.startBatchRun(
+        this.matchingSelection
+          ? this.matchingSelection.total
+          : this.selectedProducts.length,
+      );
+      this.sendBatchRequest(ajaxData);
+    },
+
     clearAllFormFields: function () {
 
       // Effacer les dates
@@ -129,13 +471,28 @@ Voulez-vous vraiment continuer ?`;
       // Décocher tous les jours de la semaine
       $(".wbe-weekday-checkbox").prop("checked", false);
 
-      // Effacer les dates spécifiques et exclusions
+      // Effacer les dates spécifiques, exclusions et règles récurrentes
       specificDates = [];
       exclusionDates = [];
+      recurrenceRules = [];
+      this.updateRulesList("specific");
+      this.updateRulesList("exclusions");
 
       this.updateSpecificDatesList();
       this.updateExclusionDatesList();
 
+      // Revenir au mode ajout pour chaque champ
+      $(".wbe-change-mode-select").val("add");
+      $("#wbe-start-date, #wbe-end-date").prop("disabled", false);
+
+      // Dates fixes
+      $("#wbe-rolling-enabled").prop("checked", false);
+      this.updateRollingWindow();
+
+      // Plus de produit de référence
+      copySource = null;
+      this.updateCopySourceNotice();
+
       // Réinitialiser formData
       this.formData.start_date = "";
       this.formData.end_date = "";
@@ -153,24 +510,32 @@ Voulez-vous vraiment continuer ?`;
       let html = '<div class="wbe-review-content">';
 
       html += `<div class="wbe-review-section">
-        <strong>Produits sélectionnés :</strong> ${this.selectedProducts.length}
+        <strong>Produits sélectionnés :</strong> ${this.getSelectionCountLabel()}
       </div>`;
 
       html +=
         '<div class="wbe-review-section" style="padding: 20px; background: #fff3cd; border-left: 4px solid #d63638; margin: 10px 0;">';
       html +=
         '<h3 style="margin-top: 0; color: #d63638;">⚠️ MODE RÉINITIALISATION ACTIVÉ</h3>';
+      const labels = this.getResetFieldLabels();
+      const kept = Object.keys(labels).filter((f) => !resetFields.includes(f));
+
       html +=
-        '<p style="font-size: 14px; margin: 10px 0;"><strong>Action :</strong> Suppression complète de toutes les configurations de disponibilité</p>';
+        kept.length === 0
+          ? '<p style="font-size: 14px; margin: 10px 0;"><strong>Action :</strong> Suppression complète de toutes les configurations de disponibilité</p>'
+          : '<p style="font-size: 14px; margin: 10px 0;"><strong>Action :</strong> Suppression des champs sélectionnés</p>';
       html += "<p style='font-size: 13px; color: #856404; margin: 5px 0;'>";
       html += "Les données suivantes seront EFFACÉES :<br>";
-      html += "• Plage de dates (début et fin)<br>";
-      html += "• Jours de la semaine disponibles<br>";
-      html += "• Toutes les dates spécifiques<br>";
-      html += "• Toutes les dates d'exclusion";
+      html += resetFields.map((f) => "• " + labels[f]).join("<br>");
       html += "</p>";
+      if (kept.length > 0) {
+        html += "<p style='font-size: 13px; margin: 5px 0;'>";
+        html += "Conservées :<br>";
+        html += kept.map((f) => "• " + labels[f]).join("<br>");
+        html += "</p>";
+      }
       html +=
-        '<p style="font-size: 13px; font-weight: bold; color: #d63638; margin-top: 10px;">Cette action est IRRÉVERSIBLE.</p>';
+        '<p style="font-size: 13px; font-weight: bold; color: #d63638; margin-top: 10px;">Une sauvegarde sera conservée pour permettre l\'annulation de l\'opération.</p>';
       html += "</div>";
 
       html += "</div>";
@@ -254,6 +619,14 @@ Voulez-vous vraiment continuer ?`;
         }
       });
 
+      $(".wbe-open-rule-builder").on("click", function () {
+        self.openRuleBuilder($(this).data("target"));
+      });
+
+      $("#wbe-open-holidays").on("click", function () {
+        self.openHolidayDialog();
+      });
+
       $("#wbe-clear-specific").on("click", function () {
         if (
           specificDates.length > 0 &&
@@ -262,6 +635,7 @@ Voulez-vous vraiment continuer ?`;
           )
         ) {
           specificDates = [];
+          self.removeRulesForTarget("specific");
           self.updateSpecificDatesList();
           self.showToast(
             "Information",
@@ -277,6 +651,7 @@ Voulez-vous vraiment continuer ?`;
           confirm("Voulez-vous vraiment supprimer toutes les exclusions ?")
         ) {
           exclusionDates = [];
+          self.removeRulesForTarget("exclusions");
           self.updateExclusionDatesList();
           self.showToast(
             "Information",
@@ -366,893 +741,6339 @@ Voulez-vous vraiment continuer ?`;
     },
 
     /**
-     * Setup step navigation
+     * Dialogue de création d'une règle récurrente (specific / exclusions)
      */
-    setupStepNavigation: function () {
+    openRuleBuilder: function (target) {
       const self = this;
+      const dayNames = [
+        "Dimanche",
+        "Lundi",
+        "Mardi",
+        "Mercredi",
+        "Jeudi",
+        "Vendredi",
+        "Samedi",
+      ];
+      const dayOrder = [1, 2, 3, 4, 5, 6, 0];
+
+      const dayCheckboxes = dayOrder
+        .map(
+          (d) => `<label class="wbe-checkbox-label">
+            <input type="checkbox" class="wbe-rule-byday" value="${d}">
+            <span>${dayNames[d].substring(0, 3)}</span>
+          </label>`,
+        )
+        .join("");
+      const dayOptions = dayOrder
+        .map((d) => `<option value="${d}">${dayNames[d]}</option>`)
+        .join("");
+
+      const title =
+        target === "exclusions"
+          ? "Règle récurrente — dates exclues"
+          : "Règle récurrente — dates spécifiques";
+
+      const $dialog = $(`
+        <div class="wbe-modal-overlay">
+          <div class="wbe-modal wbe-rule-builder" role="dialog" aria-modal="true" aria-labelledby="wbe-rule-dialog-title">
+            <h2 id="wbe-rule-dialog-title">${title}</h2>
+
+            <p>
+              <label for="wbe-rule-freq">Répétition :</label>
+              <select id="wbe-rule-freq">
+                <option value="weekly">Chaque semaine</option>
+                <option value="monthly">Chaque mois (n-ième jour)</option>
+                <option value="yearly">Chaque année (période)</option>
+              </select>
+            </p>
+
+            <div class="wbe-rule-options" data-freq="weekly">
+              <p>
+                Toutes les <input type="number" id="wbe-rule-weekly-interval" min="1" max="52" value="1" class="small-text"> semaine(s), le :
+              </p>
+              <div class="wbe-weekdays">${dayCheckboxes}</div>
+            </div>
 
-      $(".wbe-next-step").on("click", function (e) {
-        e.preventDefault();
-        const nextStep = parseInt($(this).data("next"));
+            <div class="wbe-rule-options" data-freq="monthly" style="display: none;">
+              <p>
+                Le
+                <select id="wbe-rule-ordinal">
+                  <option value="1">1er</option>
+                  <option value="2">2e</option>
+                  <option value="3">3e</option>
+                  <option value="4">4e</option>
+                  <option value="-1">dernier</option>
+                </select>
+                <select id="wbe-rule-weekday">${dayOptions}</select>
+                tous les <input type="number" id="wbe-rule-monthly-interval" min="1" max="12" value="1" class="small-text"> mois
+              </p>
+            </div>
 
-        if (nextStep === 3) {
-          self.validateAndGoToStep3();
-        } else if (self.validateStep(self.currentStep)) {
-          self.goToStep(nextStep);
-        }
+            <div class="wbe-rule-options" data-freq="yearly" style="display: none;">
+              <p>
+                Chaque jour du <input type="text" id="wbe-rule-span-from" placeholder="JJ/MM" maxlength="5" class="small-text">
+                au <input type="text" id="wbe-rule-span-to" placeholder="JJ/MM" maxlength="5" class="small-text">
+              </p>
+            </div>
+
+            <p>
+              <label for="wbe-rule-start">À partir du :</label>
+              <input type="text" id="wbe-rule-start" class="wbe-rule-datepicker" readonly>
+            </p>
+            <p>
+              <label><input type="radio" name="wbe-rule-end" value="until" checked> Jusqu'au</label>
+              <input type="text" id="wbe-rule-until" class="wbe-rule-datepicker" readonly>
+              <label><input type="radio" name="wbe-rule-end" value="years"> Pendant</label>
+              <input type="number" id="wbe-rule-years" min="1" max="10" value="1" class="small-text"> an(s)
+            </p>
+
+            <div class="wbe-rule-preview"></div>
+
+            <div class="wbe-modal-actions">
+              <button type="button" class="button wbe-modal-cancel">Annuler</button>
+              <button type="button" class="button button-primary wbe-modal-confirm" disabled>Ajouter les dates</button>
+            </div>
+          </div>
+        </div>
+      `);
+
+      const close = function () {
+        $dialog.find(".wbe-rule-datepicker").datepicker("destroy");
+        $dialog.remove();
+        $(document).off("keydown.wbeRuleDialog");
+      };
+
+      const today = new Date();
+      const nextYear = new Date(
+        today.getFullYear() + 1,
+        today.getMonth(),
+        today.getDate() - 1,
+      );
+
+      $("body").append($dialog);
+
+      $dialog.find(".wbe-rule-datepicker").datepicker({
+        dateFormat: wbe_admin_data.date_format_js || "dd/mm/yy",
+        onSelect: function () {
+          refresh();
+        },
       });
+      $("#wbe-rule-start").datepicker("setDate", today);
+      $("#wbe-rule-until").datepicker("setDate", nextYear);
 
-      $(".wbe-prev-step").on("click", function (e) {
-        e.preventDefault();
-        const prevStep = parseInt($(this).data("prev"));
+      let current = null;
 
-        // Si on revient à l'étape 2 depuis l'étape 3 en mode reset, désactiver le mode reset
-        if (prevStep === 2 && resetMode) {
-          if (
-            confirm(
-              "Voulez-vous annuler la réinitialisation et revenir à l'édition normale ?",
-            )
-          ) {
-            resetMode = false;
-            self.formData.reset_all = false;
-            self.showToast(
-              "Information",
-              "Mode réinitialisation désactivé",
-              "info",
-            );
-          }
+      const refresh = function () {
+        const freq = $("#wbe-rule-freq").val();
+        $dialog.find(".wbe-rule-options").each(function () {
+          $(this).toggle($(this).data("freq") === freq);
+        });
+
+        const rule = self.readRuleForm($dialog);
+        const $preview = $dialog.find(".wbe-rule-preview");
+        const $confirm = $dialog.find(".wbe-modal-confirm");
+
+        if (rule.error) {
+          current = null;
+          $preview.html(
+            `<p class="wbe-rule-error">${self.escapeHtml(rule.error)}</p>`,
+          );
+          $confirm.prop("disabled", true);
+          return;
         }
 
-        self.goToStep(prevStep);
+        const dates = self.expandRecurrenceRule(rule);
+        const text = self.describeRecurrenceRule(rule);
+        current = { rule: rule, dates: dates, text: text };
+
+        const shown = dates
+          .slice(0, 24)
+          .map((d) => self.formatDateForDisplay(d))
+          .join(", ");
+        const more =
+          dates.length > 24 ? ` … (+${dates.length - 24})` : "";
+        const capped =
+          dates.length >= RULE_MAX_DATES
+            ? `<p class="wbe-rule-error">Limite de ${RULE_MAX_DATES} dates atteinte : réduisez la période.</p>`
+            : "";
+
+        $preview.html(`
+          <p><strong>${self.escapeHtml(text)}</strong></p>
+          <p>${dates.length} date(s)${dates.length ? " : " + shown + more : ""}</p>
+          ${capped}
+        `);
+        $confirm.prop("disabled", dates.length === 0);
+      };
+
+      $dialog.on("change input", "input, select", refresh);
+      $dialog.on("click", function (e) {
+        if (e.target === this) {
+          close();
+        }
+      });
+      $dialog.find(".wbe-modal-cancel").on("click", close);
+      $(document).on("keydown.wbeRuleDialog", function (e) {
+        if (e.key === "Escape") {
+          close();
+        }
       });
 
-      $(".wbe-step").on("click", function () {
-        const step = parseInt($(this).data("step"));
-        if (step < self.currentStep || $(this).hasClass("completed")) {
-          self.goToStep(step);
+      $dialog.find(".wbe-modal-confirm").on("click", function () {
+        if (!current || current.dates.length === 0) {
+          return;
         }
+
+        const added = self.addRecurrenceRule(target, current);
+        close();
+
+        self.showToast(
+          "Succès",
+          `Règle ajoutée : ${added} nouvelle(s) date(s) sur ${current.dates.length}`,
+          "success",
+        );
       });
+
+      refresh();
     },
 
     /**
-     * Valider et passer à l'étape 3
+     * Lire la règle saisie dans le dialogue
      */
-    validateAndGoToStep3: function () {
-      const self = this;
-
-      // Si en mode reset, passer directement à l'étape 3
-      if (resetMode) {
-        self.goToStep(3);
-        self.updateResetSummary();
-        return;
+    readRuleForm: function ($dialog) {
+      const freq = $dialog.find("#wbe-rule-freq").val();
+      const start = this.convertDateToYMD($dialog.find("#wbe-rule-start").val());
+      const endMode = $dialog.find('input[name="wbe-rule-end"]:checked').val();
+      const rule = { freq: freq, start: start };
+
+      if (!start) {
+        return { error: "Choisissez une date de début." };
       }
 
-      // Sinon, validation normale
-      const formData = this.collectStep2Data();
-      const clientErrors = this.validateStep2Client(formData);
-
-      if (clientErrors.length > 0) {
-        this.showValidationErrors(clientErrors);
-        return;
+      if (endMode === "years") {
+        const years = parseInt($dialog.find("#wbe-rule-years").val(), 10);
+        if (!(years >= 1 && years <= 10)) {
+          return { error: "La durée doit être comprise entre 1 et 10 ans." };
+        }
+        rule.years = years;
+        const s = this.parseYMD(start);
+        rule.until = this.formatYMD(
+          new Date(s.getFullYear() + years, s.getMonth(), s.getDate() - 1),
+        );
+      } else {
+        rule.until = this.convertDateToYMD(
+          $dialog.find("#wbe-rule-until").val(),
+        );
+        if (!rule.until) {
+          return { error: "Choisissez une date de fin." };
+        }
       }
 
-      const $button = $('.wbe-next-step[data-next="3"]');
-      const originalText = $button.html();
-      $button
-        .html(
-          '<span class="spinner is-active" style="margin: 0 5px"></span> Validation...',
-        )
-        .prop("disabled", true);
+      if (rule.until < rule.start) {
+        return { error: "La date de fin doit suivre la date de début." };
+      }
 
-      $.ajax({
+      if (freq === "weekly") {
+        rule.interval = parseInt(
+          $dialog.find("#wbe-rule-weekly-interval").val(),
+          10,
+        );
+        rule.byday = $dialog
+          .find(".wbe-rule-byday:checked")
+          .map(function () {
+            return parseInt($(this).val(), 10);
+          })
+          .get();
+        if (!(rule.interval >= 1)) {
+          return { error: "Intervalle invalide." };
+        }
+        if (rule.byday.length === 0) {
+          return { error: "Cochez au moins un jour de la semaine." };
+        }
+      } else if (freq === "monthly") {
+        rule.interval = parseInt(
+          $dialog.find("#wbe-rule-monthly-interval").val(),
+          10,
+        );
+        rule.ordinal = parseInt($dialog.find("#wbe-rule-ordinal").val(), 10);
+        rule.weekday = parseInt($dialog.find("#wbe-rule-weekday").val(), 10);
+        if (!(rule.interval >= 1)) {
+          return { error: "Intervalle invalide." };
+        }
+      } else {
+        const from = this.parseDayMonth($dialog.find("#wbe-rule-span-from").val());
+        const to = this.parseDayMonth($dialog.find("#wbe-rule-span-to").val());
+        if (!from || !to) {
+          return { error: "Saisissez la période au format JJ/MM (ex : 24/12 au 02/01)." };
+        }
+        rule.from = from;
+        rule.to = to;
+      }
+
+      return rule;
+    },
+
+    /**
+     * Développer une règle en dates concrètes (YYYY-MM-DD)
+     */
+    expandRecurrenceRule: function (rule) {
+      const dates = [];
+      const start = this.parseYMD(rule.start);
+      const until = this.parseYMD(rule.until);
+      const max = RULE_MAX_DATES;
+      const push = (date) => {
+        if (date >= start && date <= until && dates.length < max) {
+          dates.push(this.formatYMD(date));
+        }
+      };
+
+      if (rule.freq === "weekly") {
+        // Semaines comptées à partir du lundi de la semaine de début
+        const weekStart = new Date(
+          start.getFullYear(),
+          start.getMonth(),
+          start.getDate() - ((start.getDay() + 6) % 7),
+        );
+        for (
+          let d = new Date(start);
+          d <= until && dates.length < max;
+          d = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1)
+        ) {
+          const week = Math.floor(
+            Math.round((d - weekStart) / 86400000) / 7,
+          );
+          if (week % rule.interval === 0 && rule.byday.includes(d.getDay())) {
+            push(d);
+          }
+        }
+      } else if (rule.freq === "monthly") {
+        for (
+          let m = new Date(start.getFullYear(), start.getMonth(), 1);
+          m <= until && dates.length < max;
+          m = new Date(m.getFullYear(), m.getMonth() + rule.interval, 1)
+        ) {
+          const date = this.nthWeekdayOfMonth(
+            m.getFullYear(),
+            m.getMonth(),
+            rule.weekday,
+            rule.ordinal,
+          );
+          if (date) {
+            push(date);
+          }
+        }
+      } else if (rule.freq === "yearly") {
+        // Une période peut chevaucher deux années (24/12 → 02/01)
+        for (
+          let y = start.getFullYear() - 1;
+          y <= until.getFullYear() && dates.length < max;
+          y++
+        ) {
+          const from = new Date(y, rule.from.month - 1, rule.from.day);
+          let to = new Date(y, rule.to.month - 1, rule.to.day);
+          if (to < from) {
+            to = new Date(y + 1, rule.to.month - 1, rule.to.day);
+          }
+          for (
+            let d = from;
+            d <= to && dates.length < max;
+            d = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1)
+          ) {
+            push(d);
+          }
+        }
+      }
+
+      return dates;
+    },
+
+    /**
+     * Texte lisible d'une règle
+     */
+    describeRecurrenceRule: function (rule) {
+      const dayNames = [
+        "dimanche",
+        "lundi",
+        "mardi",
+        "mercredi",
+        "jeudi",
+        "vendredi",
+        "samedi",
+      ];
+      const ordinals = { 1: "1er", 2: "2e", 3: "3e", 4: "4e", "-1": "dernier" };
+      const pad = (n) => String(n).padStart(2, "0");
+      let text = "";
+
+      if (rule.freq === "weekly") {
+        const days = [1, 2, 3, 4, 5, 6, 0]
+          .filter((d) => rule.byday.includes(d))
+          .map((d) => dayNames[d])
+          .join(", ");
+        text =
+          rule.interval === 1
+            ? `Chaque ${days}`
+            : `Un ${days} toutes les ${rule.interval} semaines`;
+      } else if (rule.freq === "monthly") {
+        text = `Le ${ordinals[rule.ordinal]} ${dayNames[rule.weekday]} ${
+          rule.interval === 1 ? "de chaque mois" : `tous les ${rule.interval} mois`
+        }`;
+      } else if (rule.freq === "yearly") {
+        text = `Chaque jour du ${pad(rule.from.day)}/${pad(rule.from.month)} au ${pad(rule.to.day)}/${pad(rule.to.month)}`;
+      }
+
+      text += ` — du ${this.formatDateForDisplay(rule.start)} au ${this.formatDateForDisplay(rule.until)}`;
+
+      if (rule.years) {
+        text += ` (${rule.years} an${rule.years > 1 ? "s" : ""})`;
+      }
+
+      return text;
+    },
+
+    /**
+     * N-ième jour de semaine d'un mois (ordinal -1 = dernier), ou null
+     */
+    nthWeekdayOfMonth: function (year, month, weekday, ordinal) {
+      if (ordinal === -1) {
+        const last = new Date(year, month + 1, 0);
+        return new Date(
+          year,
+          month,
+          last.getDate() - ((last.getDay() - weekday + 7) % 7),
+        );
+      }
+
+      const first = new Date(year, month, 1);
+      const day = 1 + ((weekday - first.getDay() + 7) % 7) + (ordinal - 1) * 7;
+      const date = new Date(year, month, day);
+
+      return date.getMonth() === month ? date : null;
+    },
+
+    /**
+     * Ajouter les dates d'une règle à la liste cible et mémoriser la règle
+     */
+    addRecurrenceRule: function (target, current) {
+      const list = target === "exclusions" ? exclusionDates : specificDates;
+      let added = 0;
+
+      current.dates.forEach(function (date) {
+        if (!list.includes(date)) {
+          list.push(date);
+          added++;
+        }
+      });
+
+      recurrenceRules.push({
+        target: target,
+        text: current.text,
+        rule: current.rule,
+        dates: current.dates,
+      });
+
+      this.refreshDatesList(target);
+      this.updateRulesList(target);
+
+      return added;
+    },
+
+    /**
+     * Retirer une règle et les dates qu'elle seule a générées
+     */
+    removeRecurrenceRule: function (index) {
+      const removed = recurrenceRules.splice(index, 1)[0];
+
+      if (!removed) {
+        return;
+      }
+
+      const stillUsed = new Set();
+      recurrenceRules
+        .filter((r) => r.target === removed.target)
+        .forEach((r) => r.dates.forEach((d) => stillUsed.add(d)));
+
+      const drop = (d) => removed.dates.includes(d) && !stillUsed.has(d);
+
+      if (removed.target === "exclusions") {
+        exclusionDates = exclusionDates.filter((d) => !drop(d));
+      } else {
+        specificDates = specificDates.filter((d) => !drop(d));
+      }
+
+      this.refreshDatesList(removed.target);
+      this.updateRulesList(removed.target);
+    },
+
+    /**
+     * Oublier les règles d'une cible (après « Tout effacer »)
+     */
+    removeRulesForTarget: function (target) {
+      recurrenceRules = recurrenceRules.filter((r) => r.target !== target);
+      this.updateRulesList(target);
+    },
+
+    /**
+     * Afficher les règles d'une cible
+     */
+    updateRulesList: function (target) {
+      const self = this;
+      const $list = $(`#wbe-${target}-rules`);
+
+      $list.empty();
+
+      recurrenceRules.forEach(function (rule, index) {
+        if (rule.target !== target) {
+          return;
+        }
+
+        $list.append(`
+          <div class="wbe-rule-item">
+            <span class="dashicons dashicons-update"></span>
+            <span>${self.escapeHtml(rule.text)} (${rule.dates.length} date(s))</span>
+            <button type="button" class="remove-date" data-index="${index}" title="Retirer la règle et ses dates">&times;</button>
+          </div>
+        `);
+      });
+
+      $list.find(".remove-date").on("click", function () {
+        self.removeRecurrenceRule(parseInt($(this).data("index"), 10));
+      });
+    },
+
+    /**
+     * Rafraîchir la liste de dates d'une cible
+     */
+    refreshDatesList: function (target) {
+      if (target === "exclusions") {
+        this.updateExclusionDatesList();
+      } else {
+        this.updateSpecificDatesList();
+      }
+    },
+
+    /**
+     * "JJ/MM" → { day, month } ou null
+     */
+    parseDayMonth: function (value) {
+      const match = /^(\d{1,2})\/(\d{1,2})$/.exec((value || "").trim());
+
+      if (!match) {
+        return null;
+      }
+
+      const day = parseInt(match[1], 10);
+      const month = parseInt(match[2], 10);
+      const check = new Date(2024, month - 1, day); // année bissextile : 29/02 accepté
+
+      if (check.getMonth() !== month - 1 || check.getDate() !== day) {
+        return null;
+      }
+
+      return { day: day, month: month };
+    },
+
+    /**
+     * "YYYY-MM-DD" → Date locale
+     */
+    parseYMD: function (ymd) {
+      const parts = ymd.split("-").map((p) => parseInt(p, 10));
+      return new Date(parts[0], parts[1] - 1, parts[2]);
+    },
+
+    /**
+     * Date locale → "YYYY-MM-DD"
+     */
+    formatYMD: function (date) {
+      const pad = (n) => String(n).padStart(2, "0");
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    /**
+     * Dialogue d'import de jours fériés vers les exclusions
+     * (calendrier embarqué par pays/région ou fichier .ics)
+     */
+    openHolidayDialog: function () {
+      const self = this;
+      const datasets = wbe_admin_data.holiday_datasets || [];
+      const maxYears = parseInt(wbe_admin_data.holiday_max_years, 10) || 10;
+      const currentYear = new Date().getFullYear();
+
+      const countryOptions = datasets
+        .map(
+          (ds) =>
+            `<option value="${self.escapeHtml(ds.code)}">${self.escapeHtml(ds.label)}</option>`,
+        )
+        .join("");
+
+      const $dialog = $(`
+        <div class="wbe-modal-overlay">
+          <div class="wbe-modal wbe-holiday-dialog" role="dialog" aria-modal="true" aria-labelledby="wbe-holiday-dialog-title">
+            <h2 id="wbe-holiday-dialog-title">Ajouter des jours fériés aux exclusions</h2>
+
+            <p>
+              <label><input type="radio" name="wbe-holiday-source" value="dataset" ${datasets.length ? "checked" : "disabled"}> Calendrier intégré</label>
+              <label><input type="radio" name="wbe-holiday-source" value="file" ${datasets.length ? "" : "checked"}> Fichier .ics</label>
+            </p>
+
+            <div class="wbe-holiday-source" data-source="dataset">
+              <p>
+                <label for="wbe-holiday-country">Pays / région :</label>
+                <select id="wbe-holiday-country">${countryOptions}</select>
+              </p>
+              <p>
+                <label for="wbe-holiday-year-from">Années :</label>
+                <select id="wbe-holiday-year-from"></select>
+                à <select id="wbe-holiday-year-to"></select>
+              </p>
+            </div>
+
+            <div class="wbe-holiday-source" data-source="file" style="display: none;">
+              <p>
+                <input type="file" id="wbe-holiday-file" accept=".ics,text/calendar">
+              </p>
+              <p class="description">Calendrier iCalendar (Google Agenda, Outlook…), 1 Mo maximum. Les événements sur plusieurs jours sont découpés jour par jour.</p>
+            </div>
+
+            <p>
+              <button type="button" class="button wbe-holiday-load">Afficher les dates</button>
+            </p>
+
+            <div class="wbe-holiday-preview"></div>
+
+            <div class="wbe-modal-actions">
+              <button type="button" class="button wbe-modal-cancel">Annuler</button>
+              <button type="button" class="button button-primary wbe-modal-confirm" disabled>Ajouter aux exclusions</button>
+            </div>
+          </div>
+        </div>
+      `);
+
+      let loaded = [];
+
+      const close = function () {
+        $dialog.remove();
+        $(document).off("keydown.wbeHolidayDialog");
+      };
+
+      const fillYears = function () {
+        const ds = datasets.find((d) => d.code === $("#wbe-holiday-country").val());
+
+        if (!ds) {
+          return;
+        }
+
+        const first = Math.max(ds.from, Math.min(currentYear, ds.to));
+        let options = "";
+        for (let y = first; y <= ds.to; y++) {
+          options += `<option value="${y}">${y}</option>`;
+        }
+
+        $("#wbe-holiday-year-from").html(options).val(first);
+        $("#wbe-holiday-year-to")
+          .html(options)
+          .val(Math.min(first + 1, ds.to));
+      };
+
+      const resetPreview = function () {
+        loaded = [];
+        $dialog.find(".wbe-holiday-preview").empty();
+        $dialog.find(".wbe-modal-confirm").prop("disabled", true);
+      };
+
+      $("body").append($dialog);
+      fillYears();
+
+      $dialog.on("change", 'input[name="wbe-holiday-source"]', function () {
+        const source = $(this).val();
+        $dialog.find(".wbe-holiday-source").each(function () {
+          $(this).toggle($(this).data("source") === source);
+        });
+        resetPreview();
+      });
+      $dialog.on("change", "#wbe-holiday-country", function () {
+        fillYears();
+        resetPreview();
+      });
+      $dialog.on(
+        "change",
+        "#wbe-holiday-year-from, #wbe-holiday-year-to, #wbe-holiday-file",
+        resetPreview,
+      );
+
+      $dialog.find(".wbe-holiday-load").on("click", function () {
+        const source = $dialog
+          .find('input[name="wbe-holiday-source"]:checked')
+          .val();
+        const $button = $(this);
+        let request;
+
+        if (source === "file") {
+          const file = $("#wbe-holiday-file")[0].files[0];
+
+          if (!file) {
+            self.showToast("Erreur", "Choisissez un fichier .ics", "error");
+            return;
+          }
+
+          if (file.size > (wbe_admin_data.ics_max_file_size || 1048576)) {
+            self.showToast("Erreur", "Le fichier .ics dépasse 1 Mo", "error");
+            return;
+          }
+
+          const formData = new FormData();
+          formData.append(
+            "action",
+            wbe_admin_data.ajax_actions?.parse_ics || "wbe_parse_ics",
+          );
+          formData.append("nonce", wbe_admin_data.nonce);
+          formData.append("ics_file", file);
+
+          request = {
+            data: formData,
+            processData: false,
+            contentType: false,
+          };
+        } else {
+          const yearFrom = parseInt($("#wbe-holiday-year-from").val(), 10);
+          const yearTo = parseInt($("#wbe-holiday-year-to").val(), 10);
+
+          if (yearTo < yearFrom) {
+            self.showToast(
+              "Erreur",
+              "L'année de fin doit suivre l'année de début",
+              "error",
+            );
+            return;
+          }
+
+          if (yearTo - yearFrom + 1 > maxYears) {
+            self.showToast(
+              "Erreur",
+              `${maxYears} années au maximum`,
+              "error",
+            );
+            return;
+          }
+
+          request = {
+            data: {
+              action:
+                wbe_admin_data.ajax_actions?.get_holidays || "wbe_get_holidays",
+              nonce: wbe_admin_data.nonce,
+              country: $("#wbe-holiday-country").val(),
+              year_from: yearFrom,
+              year_to: yearTo,
+            },
+          };
+        }
+
+        $button.prop("disabled", true);
+
+        $.ajax(
+          $.extend(
+            {
+              url: wbe_admin_data.ajax_url,
+              type: "POST",
+              success: function (response) {
+                if (response.success && response.data) {
+                  loaded = response.data.holidays || [];
+                  self.renderHolidayPreview($dialog, loaded);
+                } else {
+                  self.showToast(
+                    "Erreur",
+                    response.error?.message || "Impossible de lire les jours fériés",
+                    "error",
+                  );
+                }
+              },
+              error: function (xhr) {
+                self.showToast(
+                  "Erreur",
+                  xhr.responseJSON?.error?.message ||
+                    "Impossible de lire les jours fériés",
+                  "error",
+                );
+              },
+              complete: function () {
+                $button.prop("disabled", false);
+              },
+            },
+            request,
+          ),
+        );
+      });
+
+      $dialog.on("click", function (e) {
+        if (e.target === this) {
+          close();
+        }
+      });
+      $dialog.find(".wbe-modal-cancel").on("click", close);
+      $(document).on("keydown.wbeHolidayDialog", function (e) {
+        if (e.key === "Escape") {
+          close();
+        }
+      });
+
+      $dialog.find(".wbe-modal-confirm").on("click", function () {
+        const chosen = $dialog
+          .find(".wbe-holiday-date:checked")
+          .map(function () {
+            return $(this).val();
+          })
+          .get();
+
+        if (chosen.length === 0) {
+          self.showToast("Erreur", "Aucune date cochée", "error");
+          return;
+        }
+
+        const result = self.addHolidayExclusions(chosen);
+        close();
+
+        let message = `${result.added} jour(s) férié(s) ajouté(s) aux exclusions`;
+        if (result.unspecified > 0) {
+          message += `, ${result.unspecified} retiré(s) des dates spécifiques`;
+        }
+
+        self.showToast("Succès", message, "success");
+      });
+    },
+
+    /**
+     * Aperçu des jours fériés chargés, avec leur statut
+     * (passé, déjà exclu, en conflit avec une date spécifique)
+     */
+    renderHolidayPreview: function ($dialog, holidays) {
+      const self = this;
+      const today = this.formatYMD(new Date());
+      const $preview = $dialog.find(".wbe-holiday-preview");
+      const counts = { available: 0, conflicts: 0, skipped: 0 };
+
+      if (holidays.length === 0) {
+        $preview.html("<p>Aucune date trouvée.</p>");
+        $dialog.find(".wbe-modal-confirm").prop("disabled", true);
+        return;
+      }
+
+      // Une ligne par date (un fichier .ics peut avoir plusieurs événements le même jour)
+      const byDate = {};
+      holidays.forEach(function (h) {
+        byDate[h.date] = byDate[h.date]
+          ? byDate[h.date] + " / " + h.summary
+          : h.summary;
+      });
+
+      let rows = "";
+      Object.keys(byDate)
+        .sort()
+        .forEach(function (date) {
+          let status = "";
+          let attrs = "checked";
+
+          if (date < today) {
+            status = "Date passée";
+            attrs = "disabled";
+            counts.skipped++;
+          } else if (exclusionDates.includes(date)) {
+            status = "Déjà exclue";
+            attrs = "disabled";
+            counts.skipped++;
+          } else if (specificDates.includes(date)) {
+            status = "Conflit : date spécifique";
+            attrs = "";
+            counts.conflicts++;
+          } else {
+            counts.available++;
+          }
+
+          rows += `<tr class="${attrs === "disabled" ? "wbe-holiday-skipped" : ""}">
+            <td><input type="checkbox" class="wbe-holiday-date" value="${date}" ${attrs}></td>
+            <td>${self.formatDateForDisplay(date)}</td>
+            <td>${self.escapeHtml(byDate[date] || "")}</td>
+            <td>${status}</td>
+          </tr>`;
+        });
+
+      const conflictNote =
+        counts.conflicts > 0
+          ? `<p class="wbe-rule-error">${counts.conflicts} date(s) sont déjà des dates spécifiques : elles ne sont pas cochées. Les cocher les retire des dates spécifiques.</p>`
+          : "";
+
+      $preview.html(`
+        <p><strong>${counts.available}</strong> date(s) à ajouter, ${counts.conflicts} en conflit, ${counts.skipped} ignorée(s).</p>
+        ${conflictNote}
+        <div class="wbe-holiday-table">
+          <table class="widefat striped">
+            <thead>
+              <tr><th></th><th>Date</th><th>Jour férié</th><th>Statut</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      `);
+
+      const updateConfirm = function () {
+        $dialog
+          .find(".wbe-modal-confirm")
+          .prop("disabled", $preview.find(".wbe-holiday-date:checked").length === 0);
+      };
+
+      $preview.off("change").on("change", ".wbe-holiday-date", updateConfirm);
+      updateConfirm();
+    },
+
+    /**
+     * Fusionner des jours fériés dans les exclusions
+     * (une date spécifique cochée est retirée des dates spécifiques)
+     */
+    addHolidayExclusions: function (dates) {
+      let added = 0;
+      let unspecified = 0;
+
+      dates.forEach(function (date) {
+        if (specificDates.includes(date)) {
+          specificDates = specificDates.filter((d) => d !== date);
+          unspecified++;
+        }
+
+        if (!exclusionDates.includes(date)) {
+          exclusionDates.push(date);
+          added++;
+        }
+      });
+
+      this.updateExclusionDatesList();
+      if (unspecified > 0) {
+        this.updateSpecificDatesList();
+      }
+
+      return { added: added, unspecified: unspecified };
+    },
+
+    /**
+     * Export / import iCalendar des disponibilités
+     */
+    setupIcsTransfer: function () {
+      const self = this;
+
+      $("#wbe-export-ics").on("click", function () {
+        if (self.selectedProducts.length === 0) {
+          self.showToast(
+            "Erreur",
+            "Sélectionnez au moins un produit à exporter",
+            "error",
+          );
+          return;
+        }
+
+        self.exportIcs(self.selectedProducts, $(this));
+      });
+
+      $("#wbe-product-list").on("click", ".wbe-export-product-ics", function () {
+        self.exportIcs([parseInt($(this).data("product-id"), 10)], $(this));
+      });
+
+      $("#wbe-import-ics-btn").on("click", function () {
+        $("#wbe-import-ics-file").val("").trigger("click");
+      });
+
+      $("#wbe-import-ics-file").on("change", function () {
+        const file = this.files[0];
+
+        if (file) {
+          self.importIcs(file);
+        }
+      });
+    },
+
+    /**
+     * Télécharger les disponibilités de produits au format .ics
+     */
+    exportIcs: function (productIds, $button) {
+      const self = this;
+
+      $button.prop("disabled", true);
+
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: {
+          action: wbe_admin_data.ajax_actions?.export_ics || "wbe_export_ics",
+          nonce: wbe_admin_data.nonce,
+          product_ids: productIds,
+        },
+        success: function (response) {
+          if (!response.success || !response.data) {
+            self.showToast(
+              "Erreur",
+              response.error?.message || "Export impossible",
+              "error",
+            );
+            return;
+          }
+
+          const data = response.data;
+          const skipped = (data.skipped || []).length;
+
+          if (data.exported === 0) {
+            self.showToast(
+              "Avertissement",
+              "Aucune disponibilité à exporter pour ce(s) produit(s)",
+              "warning",
+            );
+            return;
+          }
+
+          self.downloadFile(data.file_name, data.content, "text/calendar");
+          self.showToast(
+            "Succès",
+            `${data.exported} produit(s) exporté(s)` +
+              (skipped ? `, ${skipped} sans disponibilité ignoré(s)` : ""),
+            "success",
+          );
+        },
+        error: function (xhr) {
+          self.showToast(
+            "Erreur",
+            xhr.responseJSON?.error?.message || "Export impossible",
+            "error",
+          );
+        },
+        complete: function () {
+          $button.prop("disabled", false);
+        },
+      });
+    },
+
+    /**
+     * Lire un fichier .ics et pré-remplir l'étape 2
+     */
+    importIcs: function (file) {
+      const self = this;
+
+      if (file.size > (wbe_admin_data.ics_max_file_size || 1048576)) {
+        self.showToast("Erreur", "Le fichier .ics dépasse 1 Mo", "error");
+        return;
+      }
+
+      const formData = new FormData();
+      formData.append(
+        "action",
+        wbe_admin_data.ajax_actions?.import_ics || "wbe_import_ics",
+      );
+      formData.append("nonce", wbe_admin_data.nonce);
+      formData.append("ics_file", file);
+
+      $("#wbe-import-ics-btn").prop("disabled", true);
+
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: formData,
+        processData: false,
+        contentType: false,
+        success: function (response) {
+          if (response.success && response.data) {
+            self.applyImportedAvailability(response.data);
+          } else {
+            self.showToast(
+              "Erreur",
+              response.error?.message || "Impossible de lire le calendrier",
+              "error",
+            );
+          }
+        },
+        error: function (xhr) {
+          self.showToast(
+            "Erreur",
+            xhr.responseJSON?.error?.message ||
+              "Impossible de lire le calendrier",
+            "error",
+          );
+        },
+        complete: function () {
+          $("#wbe-import-ics-btn").prop("disabled", false);
+        },
+      });
+    },
+
+    /**
+     * Remplir le formulaire de l'étape 2 avec une disponibilité importée
+     */
+    applyImportedAvailability: function (data) {
+      const availability = data.availability || {};
+
+      if (
+        this.hasStep2Input() &&
+        !confirm("Remplacer les valeurs déjà saisies à l'étape 2 par celles du calendrier ?")
+      ) {
+        return;
+      }
+
+      this.clearAllFormFields();
+
+      // Les dates passées seraient refusées à l'application
+      const today = this.formatYMD(new Date());
+      const specific = (availability.specific || []).filter((d) => d >= today);
+      const exclusions = (availability.exclusions || []).filter((d) => d >= today);
+      const dropped =
+        (availability.specific || []).length -
+        specific.length +
+        (availability.exclusions || []).length -
+        exclusions.length;
+
+      if (availability.start_date) {
+        $("#wbe-start-date").datepicker("setDate", this.parseYMD(availability.start_date));
+      }
+      if (availability.end_date) {
+        $("#wbe-end-date").datepicker("setDate", this.parseYMD(availability.end_date));
+      }
+
+      const dayNames = [
+        "sunday",
+        "monday",
+        "tuesday",
+        "wednesday",
+        "thursday",
+        "friday",
+        "saturday",
+      ];
+      (availability.weekdays || []).forEach(function (day) {
+        $(`.wbe-weekday-checkbox[name="weekdays[${dayNames[day]}]"]`).prop(
+          "checked",
+          true,
+        );
+      });
+      $(".wbe-weekday-checkbox").first().trigger("change");
+
+      specificDates = specific;
+      exclusionDates = exclusions.filter((d) => !specific.includes(d));
+      this.updateSpecificDatesList();
+      this.updateExclusionDatesList();
+
+      let message = `Calendrier « ${data.file_name} » importé (${data.events} événement(s))`;
+      if (dropped > 0) {
+        message += `, ${dropped} date(s) passée(s) ignorée(s)`;
+      }
+      this.showToast("Succès", message, "success");
+
+      (data.warnings || []).forEach((warning) => {
+        this.showToast("Avertissement", warning, "warning");
+      });
+    },
+
+    /**
+     * Proposer un contenu texte au téléchargement
+     */
+    downloadFile: function (fileName, content, mimeType) {
+      const blob = new Blob([content], { type: mimeType });
+      const url = URL.createObjectURL(blob);
+      const $link = $("<a></a>").attr({ href: url, download: fileName });
+
+      $("body").append($link);
+      $link[0].click();
+      $link.remove();
+      URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Modèles de disponibilité (formulaire de l'étape 2)
+     */
+    setupTemplates: function () {
+      const self = this;
+      const selected = () =>
+        self.templates.find((t) => t.id === $("#wbe-template-select").val());
+
+      $("#wbe-template-select").on("change", function () {
+        $("#wbe-load-template, #wbe-delete-template").prop("disabled", !selected());
+      });
+
+      $("#wbe-load-template").on("click", function () {
+        const template = selected();
+
+        if (template && self.loadTemplateIntoForm(template)) {
+          self.showToast("Succès", `Modèle « ${template.name} » chargé`, "success");
+        }
+      });
+
+      $("#wbe-save-template").on("click", function () {
+        self.saveTemplate();
+      });
+
+      $("#wbe-delete-template").on("click", function () {
+        const template = selected();
+
+        if (template && confirm(`Supprimer le modèle « ${template.name} » ?`)) {
+          self.sendTemplateRequest("delete_template", { template_id: template.id });
+        }
+      });
+
+      $("#wbe-export-templates").on("click", function () {
+        self.exportTemplates();
+      });
+
+      $("#wbe-import-templates-btn").on("click", function () {
+        $("#wbe-import-templates-file").val("").trigger("click");
+      });
+
+      $("#wbe-import-templates-file").on("change", function () {
+        if (this.files[0]) {
+          self.importTemplates(this.files[0]);
+        }
+      });
+
+      $("#wbe-apply-template").on("click", function () {
+        self.openApplyTemplateDialog();
+      });
+
+      this.sendTemplateRequest("get_templates", {});
+    },
+
+    /**
+     * Appel AJAX commun aux modèles (liste renvoyée à jour)
+     */
+    sendTemplateRequest: function (action, data, onSuccess) {
+      const self = this;
+
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: $.extend(
+          {
+            action: wbe_admin_data.ajax_actions?.[action] || `wbe_${action}`,
+            nonce: wbe_admin_data.nonce,
+          },
+          data,
+        ),
+        success: function (response) {
+          if (response.success && response.data) {
+            self.renderTemplates(
+              response.data.templates || [],
+              response.data.template?.id,
+            );
+            if (onSuccess) {
+              onSuccess(response.data);
+            }
+          } else {
+            self.showToast(
+              "Erreur",
+              response.error?.message || "Opération impossible",
+              "error",
+            );
+          }
+        },
+        error: function (xhr) {
+          self.showToast(
+            "Erreur",
+            xhr.responseJSON?.error?.message || "Opération impossible",
+            "error",
+          );
+        },
+      });
+    },
+
+    /**
+     * Remplir la liste des modèles
+     */
+    renderTemplates: function (templates, selectId) {
+      const self = this;
+      const current = selectId || $("#wbe-template-select").val();
+
+      this.templates = templates;
+
+      $("#wbe-template-select")
+        .html(
+          '<option value="">— Choisir un modèle —</option>' +
+            templates
+              .map(
+                (t) =>
+                  `<option value="${self.escapeHtml(t.id)}">${self.escapeHtml(t.name)}</option>`,
+              )
+              .join(""),
+        )
+        .val(templates.some((t) => t.id === current) ? current : "")
+        .trigger("change");
+
+      $("#wbe-export-templates").prop("disabled", templates.length === 0);
+    },
+
+    /**
+     * Enregistrer le formulaire de l'étape 2 comme modèle
+     */
+    saveTemplate: function () {
+      const self = this;
+      const formData = this.collectStep2Data();
+      const current = this.templates.find(
+        (t) => t.id === $("#wbe-template-select").val(),
+      );
+
+      const errors = this.validateStep2Client(formData);
+      if (errors.length > 0) {
+        this.showValidationErrors(errors);
+        return;
+      }
+
+      const name = window.prompt(
+        "Nom du modèle (un modèle du même nom est remplacé) :",
+        current ? current.name : "",
+      );
+
+      if (!name || !name.trim()) {
+        return;
+      }
+
+      formData.rules = recurrenceRules;
+
+      this.sendTemplateRequest(
+        "save_template",
+        {
+          name: name.trim(),
+          template: JSON.stringify(formData),
+        },
+        function (data) {
+          self.showToast(
+            "Succès",
+            `Modèle « ${data.template.name} » enregistré`,
+            "success",
+          );
+        },
+      );
+    },
+
+    /**
+     * Charger un modèle dans le formulaire de l'étape 2
+     *
+     * @return {boolean} false si l'utilisateur a refusé d'écraser sa saisie
+     */
+    loadTemplateIntoForm: function (template) {
+      const data = template.data || {};
+
+      if (
+        this.hasStep2Input() &&
+        !confirm(`Remplacer les valeurs déjà saisies à l'étape 2 par le modèle « ${template.name} » ?`)
+      ) {
+        return false;
+      }
+
+      this.clearAllFormFields();
+
+      const dropped = this.fillStep2Form(data);
+
+      if (dropped > 0) {
+        this.showToast(
+          "Avertissement",
+          `${dropped} date(s) passée(s) du modèle ignorée(s)`,
+          "warning",
+        );
+      }
+
+      return true;
+    },
+
+    /**
+     * Remplir le formulaire de l'étape 2 (modèle, produit de référence)
+     *
+     * @return {number} nombre de dates passées ignorées
+     */
+    fillStep2Form: function (data) {
+      // Les dates passées seraient refusées à l'application
+      const today = this.formatYMD(new Date());
+      const upcoming = (dates) => (dates || []).filter((d) => d >= today);
+      const dropped =
+        (data.specific || []).length -
+        upcoming(data.specific).length +
+        (data.exclusions || []).length -
+        upcoming(data.exclusions).length;
+
+      $.each(data.modes || {}, function (field, mode) {
+        $(`.wbe-change-mode-select[data-field="${field}"]`).val(mode);
+      });
+      $(".wbe-change-mode-select").trigger("change");
+
+      if (data.start_date) {
+        $("#wbe-start-date").datepicker("setDate", this.parseYMD(data.start_date));
+      }
+      if (data.end_date) {
+        $("#wbe-end-date").datepicker("setDate", this.parseYMD(data.end_date));
+      }
+
+      const dayNames = [
+        "sunday",
+        "monday",
+        "tuesday",
+        "wednesday",
+        "thursday",
+        "friday",
+        "saturday",
+      ];
+      (data.weekdays || []).forEach(function (day) {
+        $(`.wbe-weekday-checkbox[name="weekdays[${dayNames[day]}]"]`).prop(
+          "checked",
+          true,
+        );
+      });
+      $(".wbe-weekday-checkbox").first().trigger("change");
+
+      specificDates = upcoming(data.specific);
+      exclusionDates = upcoming(data.exclusions);
+      recurrenceRules = (data.rules || [])
+        .map((r) => $.extend({}, r, { dates: upcoming(r.dates) }))
+        .filter((r) => r.dates.length > 0);
+
+      this.updateSpecificDatesList();
+      this.updateExclusionDatesList();
+      this.updateRulesList("specific");
+      this.updateRulesList("exclusions");
+
+      return dropped;
+    },
+
+    /**
+     * Copier les disponibilités d'un produit de référence (étape 2)
+     */
+    setupCopyFromProduct: function () {
+      const self = this;
+
+      $("#wbe-copy-from-product").on("click", function () {
+        self.openCopyFromProductDialog();
+      });
+
+      $("#wbe-copy-source-clear").on("click", function () {
+        copySource = null;
+        self.updateCopySourceNotice();
+      });
+    },
+
+    /**
+     * Dialogue de choix du produit de référence et du mode de copie
+     */
+    openCopyFromProductDialog: function () {
+      const self = this;
+      let source = null;
+      let searchTimer = null;
+
+      const $dialog = $(`
+        <div class="wbe-modal-overlay">
+          <div class="wbe-modal wbe-copy-dialog" role="dialog" aria-modal="true" aria-labelledby="wbe-copy-dialog-title">
+            <h2 id="wbe-copy-dialog-title">Copier depuis un produit</h2>
+            <p>
+              <label for="wbe-copy-search">Produit de référence :</label>
+              <input type="search" id="wbe-copy-search" class="regular-text" placeholder="Nom du produit (2 caractères minimum)" autocomplete="off">
+            </p>
+            <ul class="wbe-copy-results"></ul>
+            <div class="wbe-copy-source"></div>
+            <fieldset class="wbe-copy-mode">
+              <label>
+                <input type="radio" name="wbe-copy-mode" value="merge" checked>
+                Fusionner : les valeurs du produit s'ajoutent à celles de chaque produit sélectionné
+              </label>
+              <label>
+                <input type="radio" name="wbe-copy-mode" value="clone">
+                Cloner : chaque produit sélectionné reçoit exactement les disponibilités du produit
+              </label>
+            </fieldset>
+            <p class="description">Le formulaire de l'étape 2 est pré-rempli : vous pourrez l'ajuster puis prévisualiser avant d'appliquer.</p>
+            <div class="wbe-modal-actions">
+              <button type="button" class="button wbe-modal-cancel">Annuler</button>
+              <button type="button" class="button button-primary wbe-modal-confirm" disabled>Copier</button>
+            </div>
+          </div>
+        </div>
+      `);
+
+      const close = function () {
+        clearTimeout(searchTimer);
+        $dialog.remove();
+        $(document).off("keydown.wbeCopyDialog");
+      };
+
+      $dialog.on("click", function (e) {
+        if (e.target === this) {
+          close();
+        }
+      });
+      $dialog.find(".wbe-modal-cancel").on("click", close);
+      $(document).on("keydown.wbeCopyDialog", function (e) {
+        if (e.key === "Escape") {
+          close();
+        }
+      });
+
+      $dialog.find("#wbe-copy-search").on("input", function () {
+        const term = $(this).val().trim();
+
+        clearTimeout(searchTimer);
+        if (term.length < 2) {
+          $dialog.find(".wbe-copy-results").empty();
+          return;
+        }
+
+        searchTimer = setTimeout(function () {
+          self.searchCopySource(term, $dialog.find(".wbe-copy-results"));
+        }, 300);
+      });
+
+      $dialog.on("click", ".wbe-copy-result", function () {
+        const $result = $(this);
+        const $source = $dialog.find(".wbe-copy-source");
+
+        source = null;
+        $dialog.find(".wbe-copy-result").removeClass("is-selected");
+        $result.addClass("is-selected");
+        $dialog.find(".wbe-modal-confirm").prop("disabled", true);
+        $source.html('<span class="spinner is-active"></span> Chargement…');
+
+        self.fetchCopySource(
+          parseInt($result.data("product-id"), 10),
+          function (data) {
+            if (!data.has_data) {
+              $source.html("<p>Aucune disponibilité WooTour enregistrée pour ce produit.</p>");
+              return;
+            }
+
+            source = data;
+            $source.html(`
+              <div class="wbe-availability-summary">
+                <span><strong>Période :</strong> ${self.formatRangeForPreview(data)}</span>
+                <span><strong>Dates spécifiques :</strong> ${(data.specific || []).length}</span>
+                <span><strong>Exclusions :</strong> ${(data.exclusions || []).length}</span>
+              </div>
+            `);
+            $dialog.find(".wbe-modal-confirm").prop("disabled", false);
+          },
+          function (message) {
+            $source.html(`<p class="wbe-rule-error">${self.escapeHtml(message)}</p>`);
+          },
+        );
+      });
+
+      $dialog.find(".wbe-modal-confirm").on("click", function () {
+        const mode = $dialog.find('input[name="wbe-copy-mode"]:checked').val();
+
+        if (!source) {
+          return;
+        }
+
+        close();
+        self.loadCopySourceIntoForm(source, mode);
+      });
+
+      $("body").append($dialog);
+      $dialog.find("#wbe-copy-search").trigger("focus");
+    },
+
+    /**
+     * Recherche du produit de référence (par nom)
+     */
+    searchCopySource: function (term, $results) {
+      const self = this;
+
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: {
+          action:
+            wbe_admin_data.ajax_actions?.search_products || "wbe_search_products",
+          nonce: wbe_admin_data.nonce,
+          search: term,
+          limit: 20,
+        },
+        success: function (response) {
+          const products = response.success ? response.data.products || [] : [];
+
+          if (products.length === 0) {
+            $results.html("<li>Aucun produit trouvé.</li>");
+            return;
+          }
+
+          $results.html(
+            products
+              .map((p) => {
+                const id = parseInt(p.id, 10);
+                return `<li><button type="button" class="button-link wbe-copy-result" data-product-id="${id}">${self.escapeHtml(p.name)} <span class="description">#${id}</span></button></li>`;
+              })
+              .join(""),
+          );
+        },
+        error: function (xhr) {
+          $results.html(
+            `<li class="wbe-rule-error">${self.escapeHtml(xhr.responseJSON?.error?.message || "Recherche impossible")}</li>`,
+          );
+        },
+      });
+    },
+
+    /**
+     * Charger les disponibilités du produit de référence (wbe_get_product_availability)
+     */
+    fetchCopySource: function (productId, onSuccess, onError) {
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: {
+          action:
+            wbe_admin_data.ajax_actions?.get_product_availability ||
+            "wbe_get_product_availability",
+          nonce: wbe_admin_data.nonce,
+          product_id: productId,
+        },
+        success: function (response) {
+          if (response.success && response.data) {
+            onSuccess(response.data);
+          } else {
+            onError(response.error?.message || "Disponibilités indisponibles");
+          }
+        },
+        error: function (xhr) {
+          onError(xhr.responseJSON?.error?.message || "Disponibilités indisponibles");
+        },
+      });
+    },
+
+    /**
+     * Pré-remplir l'étape 2 avec les disponibilités du produit de référence
+     *
+     * Fusion : chaque champ en mode ajout. Clonage : chaque champ en mode
+     * remplacement, les champs vides du produit effacent ceux de la sélection.
+     */
+    loadCopySourceIntoForm: function (data, mode) {
+      const name = data.product_name || `#${data.product_id}`;
+
+      if (
+        this.hasStep2Input() &&
+        !confirm(`Remplacer les valeurs déjà saisies à l'étape 2 par celles du produit « ${name} » ?`)
+      ) {
+        return;
+      }
+
+      this.clearAllFormFields();
+
+      // La plage commence au plus tôt aujourd'hui ; terminée, elle est ignorée
+      const today = this.formatYMD(new Date());
+      let startDate = data.start_date || "";
+      let endDate = data.end_date || "";
+      let dropped = 0;
+
+      if (endDate && endDate < today) {
+        startDate = "";
+        endDate = "";
+        dropped++;
+      } else if (startDate && startDate < today) {
+        startDate = today;
+      }
+
+      const fieldMode = mode === "clone" ? "replace" : "add";
+
+      dropped += this.fillStep2Form({
+        start_date: startDate,
+        end_date: endDate,
+        weekdays: data.weekdays || [],
+        specific: data.specific || [],
+        exclusions: data.exclusions || [],
+        modes: {
+          range: fieldMode,
+          weekdays: fieldMode,
+          specific: fieldMode,
+          exclusions: fieldMode,
+        },
+      });
+
+      copySource = { id: parseInt(data.product_id, 10), name: name, mode: mode };
+      this.updateCopySourceNotice();
+
+      this.showToast(
+        "Succès",
+        `Disponibilités de « ${name} » chargées (${mode === "clone" ? "clonage" : "fusion"})`,
+        "success",
+      );
+
+      if (dropped > 0) {
+        this.showToast(
+          "Avertissement",
+          `${dropped} date(s) ou plage passée(s) du produit ignorée(s)`,
+          "warning",
+        );
+      }
+    },
+
+    /**
+     * Rappel du produit de référence sous le bouton de copie
+     */
+    updateCopySourceNotice: function () {
+      $("#wbe-copy-source-notice").toggle(!!copySource);
+      $("#wbe-copy-source-name").text(
+        copySource
+          ? `${copySource.name} (${copySource.mode === "clone" ? "clonage" : "fusion"})`
+          : "",
+      );
+    },
+
+    /**
+     * Télécharger tous les modèles (JSON)
+     */
+    exportTemplates: function () {
+      const content = JSON.stringify(
+        {
+          plugin: "wootour-bulk-editor",
+          exported_at: new Date().toISOString(),
+          templates: this.templates.map((t) => ({ name: t.name, data: t.data })),
+        },
+        null,
+        2,
+      );
+
+      this.downloadFile(
+        "modeles-disponibilite.json",
+        content,
+        "application/json",
+      );
+    },
+
+    /**
+     * Importer un fichier de modèles exporté (JSON)
+     */
+    importTemplates: function (file) {
+      const self = this;
+      const reader = new FileReader();
+
+      reader.onload = function () {
+        try {
+          JSON.parse(reader.result);
+        } catch (e) {
+          self.showToast("Erreur", "Le fichier n'est pas un JSON valide", "error");
+          return;
+        }
+
+        self.sendTemplateRequest(
+          "import_templates",
+          { templates: reader.result },
+          function (data) {
+            self.showToast(
+              data.imported > 0 ? "Succès" : "Erreur",
+              `${data.imported} modèle(s) importé(s)`,
+              data.imported > 0 ? "success" : "error",
+            );
+            (data.errors || []).forEach((error) => {
+              self.showToast("Avertissement", error, "warning");
+            });
+          },
+        );
+      };
+
+      reader.readAsText(file);
+    },
+
+    /**
+     * Appliquer un modèle aux produits sélectionnés depuis la liste :
+     * le formulaire est rempli puis validé, on arrive directement à l'étape 3
+     */
+    openApplyTemplateDialog: function () {
+      const self = this;
+
+      if (this.selectedProducts.length === 0) {
+        this.showToast("Erreur", "Aucun produit sélectionné.", "error");
+        return;
+      }
+
+      if (this.templates.length === 0) {
+        this.showToast(
+          "Avertissement",
+          "Aucun modèle : enregistrez d'abord un formulaire de l'étape 2 comme modèle",
+          "warning",
+        );
+        return;
+      }
+
+      const options = this.templates
+        .map(
+          (t) =>
+            `<option value="${self.escapeHtml(t.id)}">${self.escapeHtml(t.name)}</option>`,
+        )
+        .join("");
+
+      const $dialog = $(`
+        <div class="wbe-modal-overlay">
+          <div class="wbe-modal wbe-apply-template-dialog" role="dialog" aria-modal="true" aria-labelledby="wbe-apply-template-title">
+            <h2 id="wbe-apply-template-title">Appliquer un modèle</h2>
+            <p>
+              <label for="wbe-apply-template-select">Modèle :</label>
+              <select id="wbe-apply-template-select">${options}</select>
+            </p>
+            <p class="description">Le modèle sera appliqué aux <strong>${this.getSelectionCountLabel()}</strong> produit(s) sélectionné(s) après la révision de l'étape 3.</p>
+            <div class="wbe-modal-actions">
+              <button type="button" class="button wbe-modal-cancel">Annuler</button>
+              <button type="button" class="button button-primary wbe-modal-confirm">Continuer vers la révision</button>
+            </div>
+          </div>
+        </div>
+      `);
+
+      const close = function () {
+        $dialog.remove();
+        $(document).off("keydown.wbeApplyTemplateDialog");
+      };
+
+      $("body").append($dialog);
+
+      $dialog.on("click", function (e) {
+        if (e.target === this) {
+          close();
+        }
+      });
+      $dialog.find(".wbe-modal-cancel").on("click", close);
+      $(document).on("keydown.wbeApplyTemplateDialog", function (e) {
+        if (e.key === "Escape") {
+          close();
+        }
+      });
+
+      $dialog.find(".wbe-modal-confirm").on("click", function () {
+        const template = self.templates.find(
+          (t) => t.id === $("#wbe-apply-template-select").val(),
+        );
+
+        close();
+
+        if (template && self.loadTemplateIntoForm(template)) {
+          $("#wbe-template-select").val(template.id).trigger("change");
+          self.validateAndGoToStep3();
+        }
+      });
+    },
+
+    /**
+     * Le formulaire de l'étape 2 contient-il déjà une saisie ?
+     */
+    hasStep2Input: function () {
+      const current = this.collectStep2Data();
+
+      return (
+        !!current.start_date ||
+        !!current.end_date ||
+        current.weekdays.length > 0 ||
+        specificDates.length > 0 ||
+        exclusionDates.length > 0
+      );
+    },
+
+    /**
+     * Sélections de produits enregistrées (étape 1)
+     */
+    setupSavedSelections: function () {
+      const self = this;
+      const selectedId = () => $("#wbe-saved-selection").val();
+
+      $("#wbe-saved-selection").on("change", function () {
+        self.updateSavedSelectionButtons();
+      });
+
+      $("#wbe-load-selection").on("click", function () {
+        if (selectedId()) {
+          self.loadSavedSelection(selectedId(), $(this));
+        }
+      });
+
+      $("#wbe-save-selection").on("click", function () {
+        self.openSaveSelectionDialog();
+      });
+
+      $("#wbe-rename-selection").on("click", function () {
+        const selection = self.savedSelections.find((s) => s.id === selectedId());
+
+        if (!selection) {
+          return;
+        }
+
+        const name = window.prompt("Nouveau nom de la sélection :", selection.name);
+
+        if (name && name.trim() && name.trim() !== selection.name) {
+          self.sendSelectionRequest("rename_selection", {
+            selection_id: selection.id,
+            name: name.trim(),
+          });
+        }
+      });
+
+      $("#wbe-delete-selection").on("click", function () {
+        const selection = self.savedSelections.find((s) => s.id === selectedId());
+
+        if (selection && confirm(`Supprimer la sélection « ${selection.name} » ?`)) {
+          self.sendSelectionRequest("delete_selection", {
+            selection_id: selection.id,
+          });
+        }
+      });
+
+      this.sendSelectionRequest("get_selections", {});
+    },
+
+    /**
+     * Appel AJAX commun aux sélections enregistrées (liste renvoyée à jour)
+     */
+    sendSelectionRequest: function (action, data, onSuccess) {
+      const self = this;
+
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: $.extend(
+          {
+            action: wbe_admin_data.ajax_actions?.[action] || `wbe_${action}`,
+            nonce: wbe_admin_data.nonce,
+          },
+          data,
+        ),
+        success: function (response) {
+          if (response.success && response.data) {
+            self.renderSavedSelections(
+              response.data.selections || [],
+              response.data.selection?.id,
+            );
+            if (onSuccess) {
+              onSuccess(response.data);
+            }
+          } else {
+            self.showToast(
+              "Erreur",
+              response.error?.message || "Opération impossible",
+              "error",
+            );
+          }
+        },
+        error: function (xhr) {
+          self.showToast(
+            "Erreur",
+            xhr.responseJSON?.error?.message || "Opération impossible",
+            "error",
+          );
+        },
+      });
+    },
+
+    /**
+     * Remplir la liste des sélections (personnelles puis partagées)
+     */
+    renderSavedSelections: function (selections, selectId) {
+      const self = this;
+      const current = selectId || $("#wbe-saved-selection").val();
+
+      this.savedSelections = selections;
+
+      const options = (scope) =>
+        selections
+          .filter((s) => s.scope === scope)
+          .map((s) => {
+            const detail =
+              s.type === "static"
+                ? `${s.product_ids.length} produit(s)`
+                : "dynamique";
+            return `<option value="${self.escapeHtml(s.id)}">${self.escapeHtml(s.name)} (${detail})</option>`;
+          })
+          .join("");
+
+      const own = options("user");
+      const shared = options("shared");
+
+      $("#wbe-saved-selection")
+        .html(
+          '<option value="">— Choisir une sélection —</option>' +
+            (own ? `<optgroup label="Mes sélections">${own}</optgroup>` : "") +
+            (shared ? `<optgroup label="Partagées">${shared}</optgroup>` : ""),
+        )
+        .val(selections.some((s) => s.id === current) ? current : "");
+
+      this.updateSavedSelectionButtons();
+    },
+
+    /**
+     * Activer les boutons selon la sélection choisie et les droits
+     */
+    updateSavedSelectionButtons: function () {
+      const id = $("#wbe-saved-selection").val();
+      const selection = this.savedSelections.find((s) => s.id === id);
+
+      $("#wbe-load-selection").prop("disabled", !selection);
+      $("#wbe-rename-selection, #wbe-delete-selection").prop(
+        "disabled",
+        !selection || !selection.editable,
+      );
+    },
+
+    /**
+     * Charger une sélection : ses produits remplacent la sélection en cours
+     */
+    loadSavedSelection: function (selectionId, $button) {
+      const self = this;
+
+      $button.prop("disabled", true);
+
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: {
+          action: wbe_admin_data.ajax_actions?.load_selection || "wbe_load_selection",
+          nonce: wbe_admin_data.nonce,
+          selection_id: selectionId,
+        },
+        success: function (response) {
+          if (!response.success || !response.data) {
+            self.showToast(
+              "Erreur",
+              response.error?.message || "Impossible de charger la sélection",
+              "error",
+            );
+            return;
+          }
+
+          const selection = response.data.selection;
+          const products = response.data.products || [];
+
+          self.selectedProducts = products.map((p) => p.id);
+          self.lastQuery = selection.type === "dynamic" ? selection.rule : null;
+          self.displayProducts(products);
+          self.updateSelectedCount();
+
+          let message = `« ${selection.name} » : ${products.length} produit(s) sélectionné(s)`;
+          if (selection.type === "static" && products.length < selection.product_ids.length) {
+            message += `, ${selection.product_ids.length - products.length} introuvable(s)`;
+          }
+          self.showToast("Succès", message, "success");
+        },
+        error: function (xhr) {
+          self.showToast(
+            "Erreur",
+            xhr.responseJSON?.error?.message || "Impossible de charger la sélection",
+            "error",
+          );
+        },
+        complete: function () {
+          self.updateSavedSelectionButtons();
+        },
+      });
+    },
+
+    /**
+     * Enregistrer la sélection en cours (liste fixe ou règle dynamique)
+     */
+    openSaveSelectionDialog: function () {
+      const self = this;
+      const count = this.selectedProducts.length;
+      const rule = this.lastQuery;
+      const ruleLabel = rule ? this.describeSelectionRule(rule) : "";
+
+      if (count === 0 && !rule) {
+        self.showToast(
+          "Erreur",
+          "Sélectionnez des produits ou chargez une catégorie, une recherche ou un filtre",
+          "error",
+        );
+        return;
+      }
+
+      const $dialog = $(`
+        <div class="wbe-modal-overlay">
+          <div class="wbe-modal wbe-save-selection-dialog" role="dialog" aria-modal="true" aria-labelledby="wbe-save-selection-title">
+            <h2 id="wbe-save-selection-title">Enregistrer la sélection</h2>
+
+            <p>
+              <label for="wbe-selection-name">Nom :</label>
+              <input type="text" id="wbe-selection-name" class="regular-text" maxlength="100">
+            </p>
+
+            <p>
+              <label><input type="radio" name="wbe-selection-type" value="static" ${count ? "checked" : "disabled"}> Liste fixe des ${count} produit(s) sélectionné(s)</label><br>
+              <label><input type="radio" name="wbe-selection-type" value="dynamic" ${rule ? (count ? "" : "checked") : "disabled"}> Règle dynamique, réévaluée à chaque chargement${rule ? ` : ${self.escapeHtml(ruleLabel)}` : ""}</label>
+            </p>
+
+            <p>
+              <label><input type="checkbox" id="wbe-selection-shared"> Partager avec les autres utilisateurs</label>
+            </p>
+
+            <div class="wbe-modal-actions">
+              <button type="button" class="button wbe-modal-cancel">Annuler</button>
+              <button type="button" class="button button-primary wbe-modal-confirm">Enregistrer</button>
+            </div>
+          </div>
+        </div>
+      `);
+
+      const close = function () {
+        $dialog.remove();
+        $(document).off("keydown.wbeSaveSelectionDialog");
+      };
+
+      $("body").append($dialog);
+      $("#wbe-selection-name").trigger("focus");
+
+      $dialog.on("click", function (e) {
+        if (e.target === this) {
+          close();
+        }
+      });
+      $dialog.find(".wbe-modal-cancel").on("click", close);
+      $(document).on("keydown.wbeSaveSelectionDialog", function (e) {
+        if (e.key === "Escape") {
+          close();
+        }
+      });
+
+      $dialog.find(".wbe-modal-confirm").on("click", function () {
+        const name = $("#wbe-selection-name").val().trim();
+        const type = $dialog.find('input[name="wbe-selection-type"]:checked').val();
+
+        if (!name) {
+          self.showToast("Erreur", "Donnez un nom à la sélection", "error");
+          return;
+        }
+
+        self.sendSelectionRequest(
+          "save_selection",
+          {
+            name: name,
+            type: type,
+            scope: $("#wbe-selection-shared").is(":checked") ? "shared" : "user",
+            product_ids: type === "static" ? self.selectedProducts : [],
+            rule: type === "dynamic" ? JSON.stringify(rule) : "",
+          },
+          function () {
+            close();
+            self.showToast("Succès", `Sélection « ${name} » enregistrée`, "success");
+          },
+        );
+      });
+    },
+
+    /**
+     * Décrire une règle dynamique (catégorie + recherche + filtre)
+     */
+    describeSelectionRule: function (rule) {
+      const parts = [];
+
+      if (parseInt(rule.category_id, 10) > 0) {
+        const category = $(`#wbe-category-select option[value="${rule.category_id}"]`)
+          .text()
+          .trim();
+        parts.push(`catégorie ${category || "#" + rule.category_id}`);
+      }
+
+      if (rule.search) {
+        parts.push(`recherche « ${rule.search} »`);
+      }
+
+      if (rule.filter) {
+        let filter = $(`#wbe-smart-filter option[value="${rule.filter}"]`).text().trim();
+        if (rule.filter === "no_upcoming_dates") {
+          filter = filter.replace("N", rule.days);
+        } else if (rule.date) {
+          filter = filter.replace("…", " " + this.formatDateForDisplay(rule.date));
+        }
+        parts.push(filter.toLowerCase());
+      }
+
+      return parts.join(", ");
+    },
+
+    /**
+     * Import CSV : une ligne par produit, dates propres à chaque produit
+     */
+    setupCsvImport: function () {
+      const self = this;
+
+      $("#wbe-open-csv-import").on("click", function () {
+        self.openCsvImportDialog();
+      });
+    },
+
+    /**
+     * Dialogue d'import CSV : lecture, validation ligne par ligne, confirmation
+     */
+    openCsvImportDialog: function () {
+      const self = this;
+
+      const $dialog = $(`
+        <div class="wbe-modal-overlay">
+          <div class="wbe-modal wbe-csv-dialog" role="dialog" aria-modal="true" aria-labelledby="wbe-csv-dialog-title">
+            <h2 id="wbe-csv-dialog-title">Importer des disponibilités par produit (CSV)</h2>
+
+            <p class="description">
+              Une ligne par produit. Colonnes : <code>produit</code> (ID ou SKU), <code>debut</code>, <code>fin</code>,
+              <code>jours</code> (lun mar… ou 1-7), <code>dates_specifiques</code>, <code>exclusions</code>.
+              Dates au format JJ/MM/AAAA ou AAAA-MM-JJ, plusieurs valeurs séparées par des espaces ou « | ».
+              <a href="#" class="wbe-csv-template">Télécharger un modèle</a>
+            </p>
+
+            <p>
+              <input type="file" id="wbe-csv-file" accept=".csv,text/csv">
+            </p>
+            <p>
+              <label for="wbe-csv-mode">Application :</label>
+              <select id="wbe-csv-mode">
+                <option value="add">Ajouter aux disponibilités existantes</option>
+                <option value="replace">Remplacer les disponibilités (une cellule vide efface le champ)</option>
+              </select>
+            </p>
+            <p>
+              <button type="button" class="button wbe-csv-analyze">Analyser le fichier</button>
+            </p>
+
+            <div class="wbe-csv-report"></div>
+
+            <div class="wbe-modal-actions">
+              <button type="button" class="button wbe-modal-cancel">Annuler</button>
+              <button type="button" class="button button-primary wbe-modal-confirm" disabled>Continuer</button>
+            </div>
+          </div>
+        </div>
+      `);
+
+      let validRows = [];
+
+      const close = function () {
+        $dialog.remove();
+        $(document).off("keydown.wbeCsvDialog");
+      };
+
+      const resetReport = function () {
+        validRows = [];
+        $dialog.find(".wbe-csv-report").empty();
+        $dialog.find(".wbe-modal-confirm").prop("disabled", true).text("Continuer");
+      };
+
+      $dialog.on("change", "#wbe-csv-file, #wbe-csv-mode", resetReport);
+
+      $dialog.find(".wbe-csv-template").on("click", function (e) {
+        e.preventDefault();
+        self.downloadFile(
+          "modele-disponibilites.csv",
+          "\uFEFFproduit;debut;fin;jours;dates_specifiques;exclusions\r\n" +
+            "123;01/06/2026;30/09/2026;lun mer sam;;15/08/2026\r\n" +
+            "TOUR-SKU;;;;12/07/2026 19/07/2026;\r\n",
+          "text/csv",
+        );
+      });
+
+      $dialog.find(".wbe-csv-analyze").on("click", function () {
+        const file = $("#wbe-csv-file")[0].files[0];
+        const mode = $("#wbe-csv-mode").val();
+        const $button = $(this);
+
+        if (!file) {
+          self.showToast("Erreur", "Choisissez un fichier CSV", "error");
+          return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = function () {
+          const parsed = self.parseCsvAvailability(String(reader.result || ""));
+
+          if (parsed.error) {
+            self.showToast("Erreur", parsed.error, "error");
+            return;
+          }
+
+          $button.prop("disabled", true);
+
+          $.ajax({
+            url: wbe_admin_data.ajax_url,
+            type: "POST",
+            data: {
+              action:
+                wbe_admin_data.ajax_actions?.validate_csv_rows ||
+                "wbe_validate_csv_rows",
+              nonce: wbe_admin_data.nonce,
+              mode: mode,
+              rows: JSON.stringify(parsed.rows),
+            },
+            success: function (response) {
+              if (!response.success || !response.data) {
+                self.showToast(
+                  "Erreur",
+                  response.error?.message || "Validation impossible",
+                  "error",
+                );
+                return;
+              }
+
+              const report = self.renderCsvReport(
+                $dialog.find(".wbe-csv-report"),
+                parsed.rows,
+                response.data.rows || [],
+              );
+
+              validRows = report.valid;
+              $dialog
+                .find(".wbe-modal-confirm")
+                .prop("disabled", validRows.length === 0)
+                .text(`Continuer avec ${validRows.length} ligne(s) valide(s)`);
+            },
+            error: function (xhr) {
+              self.showToast(
+                "Erreur",
+                xhr.responseJSON?.error?.message || "Validation impossible",
+                "error",
+              );
+            },
+            complete: function () {
+              $button.prop("disabled", false);
+            },
+          });
+        };
+        reader.onerror = function () {
+          self.showToast("Erreur", "Lecture du fichier impossible", "error");
+        };
+        reader.readAsText(file);
+      });
+
+      $dialog.on("click", function (e) {
+        if (e.target === this) {
+          close();
+        }
+      });
+      $dialog.find(".wbe-modal-cancel").on("click", close);
+      $(document).on("keydown.wbeCsvDialog", function (e) {
+        if (e.key === "Escape") {
+          close();
+        }
+      });
+
+      $dialog.find(".wbe-modal-confirm").on("click", function () {
+        if (validRows.length === 0) {
+          return;
+        }
+
+        const file = $("#wbe-csv-file")[0].files[0];
+        csvImport = {
+          fileName: file ? file.name : "",
+          mode: $("#wbe-csv-mode").val(),
+          rows: validRows,
+        };
+
+        close();
+        self.goToStep(3);
+        self.showToast(
+          "Import CSV",
+          `${validRows.length} produit(s) prêts : vérifiez puis appliquez`,
+          "info",
+        );
+      });
+
+      $("body").append($dialog);
+    },
+
+    /**
+     * Lire un CSV de disponibilités
+     * Retourne { rows: [{ line, reference, start_date, ..., parse_errors }] } ou { error }
+     */
+    parseCsvAvailability: function (text) {
+      const self = this;
+      text = text.replace(/^\uFEFF/, "");
+
+      const firstLine = text.split(/\r?\n/, 1)[0] || "";
+      const delimiter = [";", ",", "\t"].reduce((best, d) =>
+        firstLine.split(d).length > firstLine.split(best).length ? d : best,
+      );
+      const records = this.parseCsv(text, delimiter).filter((r) =>
+        r.some((cell) => cell.trim() !== ""),
+      );
+
+      if (records.length === 0) {
+        return { error: "Le fichier est vide" };
+      }
+
+      // En-tête facultatif : sinon ordre par défaut des colonnes
+      const aliases = {
+        reference: ["produit", "product", "id", "sku", "ref", "reference", "référence"],
+        start_date: ["debut", "début", "start", "start_date", "date_debut"],
+        end_date: ["fin", "end", "end_date", "date_fin"],
+        weekdays: ["jours", "weekdays", "days", "jours_semaine"],
+        specific: ["dates_specifiques", "specific", "specifiques", "dates"],
+        exclusions: ["exclusions", "exclues", "exclusion"],
+      };
+      const defaultColumns = Object.keys(aliases);
+      const header = records[0].map((c) => c.trim().toLowerCase());
+      const hasHeader = aliases.reference.includes(header[0]);
+      const columns = hasHeader
+        ? header.map((name) =>
+            Object.keys(aliases).find((key) => aliases[key].includes(name)),
+          )
+        : defaultColumns;
+      const dataRecords = hasHeader ? records.slice(1) : records;
+      const maxRows = 1000;
+
+      if (dataRecords.length > maxRows) {
+        return { error: `Trop de lignes : ${maxRows} maximum par import` };
+      }
+
+      const rows = dataRecords.map(function (record, index) {
+        const row = {
+          line: index + (hasHeader ? 2 : 1),
+          reference: "",
+          start_date: "",
+          end_date: "",
+          weekdays: [],
+          specific: [],
+          exclusions: [],
+          parse_errors: [],
+        };
+
+        record.forEach(function (cell, col) {
+          const field = columns[col];
+          const value = cell.trim();
+
+          if (!field || value === "") {
+            return;
+          }
+
+          if (field === "reference") {
+            row.reference = value;
+          } else if (field === "start_date" || field === "end_date") {
+            const date = self.parseCsvDate(value);
+            if (date) {
+              row[field] = date;
+            } else {
+              row.parse_errors.push(`Date invalide : ${value}`);
+            }
+          } else if (field === "weekdays") {
+            value.split(/[\s|,;]+/).forEach(function (token) {
+              const day = self.parseCsvWeekday(token);
+              if (day === null) {
+                row.parse_errors.push(`Jour inconnu : ${token}`);
+              } else if (!row.weekdays.includes(day)) {
+                row.weekdays.push(day);
+              }
+            });
+          } else {
+            value.split(/[\s|,;]+/).forEach(function (token) {
+              const date = self.parseCsvDate(token);
+              if (!date) {
+                row.parse_errors.push(`Date invalide : ${token}`);
+              } else if (!row[field].includes(date)) {
+                row[field].push(date);
+              }
+            });
+          }
+        });
+
+        return row;
+      });
+
+      return { rows: rows };
+    },
+
+    /**
+     * Découper un texte CSV (guillemets, retours à la ligne dans les cellules)
+     */
+    parseCsv: function (text, delimiter) {
+      const records = [];
+      let record = [];
+      let cell = "";
+      let quoted = false;
+
+      for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+          if (char === '"' && text[i + 1] === '"') {
+            cell += '"';
+            i++;
+          } else if (char === '"') {
+            quoted = false;
+          } else {
+            cell += char;
+          }
+        } else if (char === '"') {
+          quoted = true;
+        } else if (char === delimiter) {
+          record.push(cell);
+          cell = "";
+        } else if (char === "\n" || char === "\r") {
+          if (char === "\r" && text[i + 1] === "\n") {
+            i++;
+          }
+          record.push(cell);
+          records.push(record);
+          record = [];
+          cell = "";
+        } else {
+          cell += char;
+        }
+      }
+
+      if (cell !== "" || record.length > 0) {
+        record.push(cell);
+        records.push(record);
+      }
+
+      return records;
+    },
+
+    /**
+     * "JJ/MM/AAAA" ou "AAAA-MM-JJ" → "AAAA-MM-JJ" (null si invalide)
+     */
+    parseCsvDate: function (value) {
+      let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+      let year, month, day;
+
+      if (match) {
+        [year, month, day] = [match[1], match[2], match[3]].map(Number);
+      } else {
+        match = /^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/.exec(value);
+        if (!match) {
+          return null;
+        }
+        [day, month, year] = [match[1], match[2], match[3]].map(Number);
+      }
+
+      const date = new Date(year, month - 1, day);
+      if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null;
+      }
+
+      return this.formatYMD(date);
+    },
+
+    /**
+     * "lun", "lundi", "mon", "1"… → numéro de jour (0 = dimanche), null si inconnu
+     */
+    parseCsvWeekday: function (token) {
+      const value = token
+        .trim()
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "");
+
+      if (/^[0-7]$/.test(value)) {
+        return parseInt(value, 10) % 7;
+      }
+
+      const prefixes = [
+        ["dim", "sun"],
+        ["lun", "mon"],
+        ["mar", "tue"],
+        ["mer", "wed"],
+        ["jeu", "thu"],
+        ["ven", "fri"],
+        ["sam", "sat"],
+      ];
+      const index = prefixes.findIndex((p) => p.includes(value.substring(0, 3)));
+
+      return index === -1 ? null : index;
+    },
+
+    /**
+     * Tableau des lignes CSV : erreurs de lecture et de validation serveur
+     * Retourne { valid: lignes importables }
+     */
+    renderCsvReport: function ($container, parsedRows, checkedRows) {
+      const self = this;
+      const byLine = {};
+      const valid = [];
+
+      checkedRows.forEach((row) => (byLine[row.line] = row));
+
+      let rowsHtml = "";
+      parsedRows.forEach(function (row) {
+        const checked = byLine[row.line] || { errors: [], warnings: [] };
+        const errors = row.parse_errors.concat(checked.errors || []);
+        const warnings = checked.warnings || [];
+
+        if (errors.length === 0) {
+          valid.push(
+            $.extend({}, row, {
+              product_id: checked.product_id,
+              product_name: checked.product_name,
+            }),
+          );
+        }
+
+        const status =
+          errors.length > 0
+            ? errors.map((e) => `<div class="wbe-rule-error">${self.escapeHtml(e)}</div>`).join("")
+            : "OK" +
+              warnings
+                .map((w) => `<div class="wbe-csv-warning">${self.escapeHtml(w)}</div>`)
+                .join("");
+
+        rowsHtml += `<tr class="${errors.length ? "wbe-csv-invalid" : ""}">
+            <td>${row.line}</td>
+            <td>${self.escapeHtml(row.reference)}</td>
+            <td>${self.escapeHtml(checked.product_name || "—")}</td>
+            <td>${status}</td>
+          </tr>`;
+      });
+
+      const invalid = parsedRows.length - valid.length;
+
+      $container.html(`
+        <p><strong>${valid.length}</strong> ligne(s) valide(s), <strong>${invalid}</strong> en erreur${invalid ? " (elles seront ignorées)" : ""}.</p>
+        <div class="wbe-csv-table">
+          <table class="widefat striped">
+            <thead>
+              <tr><th>Ligne</th><th>Référence</th><th>Produit</th><th>Statut</th></tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+          </table>
+        </div>
+      `);
+
+      return { valid: valid };
+    },
+
+    /**
+     * Résumé de l'étape 3 pour un import CSV
+     */
+    updateCsvImportSummary: function () {
+      const self = this;
+      const dayNames = [
+        "sunday",
+        "monday",
+        "tuesday",
+        "wednesday",
+        "thursday",
+        "friday",
+        "saturday",
+      ];
+      const shown = csvImport.rows.slice(0, 50);
+
+      let rows = "";
+      shown.forEach(function (row) {
+        const range =
+          row.start_date || row.end_date
+            ? self.formatRangeForPreview(row)
+            : "—";
+        const days = row.weekdays.length
+          ? self.formatWeekdaysForPreview(row.weekdays.map((d) => dayNames[d]))
+          : "—";
+
+        rows += `<tr>
+            <td>${self.escapeHtml(row.product_name || row.reference)}</td>
+            <td>${range}</td>
+            <td>${days}</td>
+            <td>${row.specific.length}</td>
+            <td>${row.exclusions.length}</td>
+          </tr>`;
+      });
+
+      const more =
+        csvImport.rows.length > shown.length
+          ? `<p>… et ${csvImport.rows.length - shown.length} autre(s) produit(s).</p>`
+          : "";
+
+      $("#wbe-review-summary").html(`
+        <div class="wbe-review-content">
+          <div class="wbe-review-section">
+            <strong>Import CSV :</strong> ${self.escapeHtml(csvImport.fileName)} — ${csvImport.rows.length} produit(s), dates propres à chaque produit
+          </div>
+          <div class="wbe-review-section">
+            <strong>Application :</strong> ${csvImport.mode === "replace" ? "remplacement des disponibilités existantes" : "ajout aux disponibilités existantes"}
+          </div>
+          <table class="widefat striped wbe-csv-summary">
+            <thead>
+              <tr><th>Produit</th><th>Période</th><th>Jours</th><th>Dates spécifiques</th><th>Exclusions</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+          ${more}
+        </div>
+      `);
+    },
+
+    /**
+     * Appliquer l'import CSV (premier lot, puis reprise lot par lot)
+     */
+    applyCsvImport: function () {
+      const rows = csvImport.rows.map(function (row) {
+        return {
+          line: row.line,
+          reference: row.reference,
+          start_date: row.start_date,
+          end_date: row.end_date,
+          weekdays: row.weekdays,
+          specific: row.specific,
+          exclusions: row.exclusions,
+        };
+      });
+
+      if (
+        !confirm(
+          `Appliquer les disponibilités du fichier à ${rows.length} produit(s) ?`,
+        )
+      ) {
+        return;
+      }
+
+      const ajaxData = {
+        action: wbe_admin_data.ajax_actions?.import_csv || "wbe_import_csv",
+        nonce: wbe_admin_data.nonce,
+        mode: csvImport.mode,
+        rows: JSON.stringify(rows),
+      };
+
+      // L'import est lancé : un nouveau passage demandera un nouveau fichier
+      csvImport = null;
+
+      this.startBatchRun(rows.length);
+      this.sendBatchRequest(ajaxData);
+    },
+
+    /**
+     * Setup step navigation
+     */
+    setupStepNavigation: function () {
+      const self = this;
+
+      $(".wbe-next-step").on("click", function (e) {
+        e.preventDefault();
+        const nextStep = parseInt($(this).data("next"));
+
+        if (nextStep === 3) {
+          self.validateAndGoToStep3();
+        } else if (self.validateStep(self.currentStep)) {
+          self.goToStep(nextStep);
+        }
+      });
+
+      $(".wbe-prev-step").on("click", function (e) {
+        e.preventDefault();
+        const prevStep = parseInt($(this).data("prev"));
+
+        // Si on revient à l'étape 2 depuis l'étape 3 en mode reset, désactiver le mode reset
+        if (prevStep === 2 && resetMode) {
+          if (
+            confirm(
+              "Voulez-vous annuler la réinitialisation et revenir à l'édition normale ?",
+            )
+          ) {
+            resetMode = false;
+            self.formData.reset_all = false;
+            self.showToast(
+              "Information",
+              "Mode réinitialisation désactivé",
+              "info",
+            );
+          }
+        }
+
+        self.goToStep(prevStep);
+      });
+
+      $(".wbe-step").on("click", function () {
+        const step = parseInt($(this).data("step"));
+        if (step < self.currentStep || $(this).hasClass("completed")) {
+          self.goToStep(step);
+        }
+      });
+    },
+
+    /**
+     * Valider et passer à l'étape 3
+     */
+    validateAndGoToStep3: function () {
+      const self = this;
+
+      // Si en mode reset, passer directement à l'étape 3
+      if (resetMode) {
+        self.goToStep(3);
+        self.updateResetSummary();
+        return;
+      }
+
+      // Sinon, validation normale
+      const formData = this.collectStep2Data();
+      const clientErrors = this.validateStep2Client(formData);
+
+      if (clientErrors.length > 0) {
+        this.showValidationErrors(clientErrors);
+        return;
+      }
+
+      const $button = $('.wbe-next-step[data-next="3"]');
+      const originalText = $button.html();
+      $button
+        .html(
+          '<span class="spinner is-active" style="margin: 0 5px"></span> Validation...',
+        )
+        .prop("disabled", true);
+
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: {
+          action:
+            wbe_admin_data.ajax_actions?.validate_dates || "wbe_validate_dates",
+          nonce: wbe_admin_data.nonce,
+          start_date: formData.start_date,
+          end_date: formData.end_date,
+          weekdays: formData.weekdays,
+          specific: formData.specific,
+          exclusions: formData.exclusions,
+          modes: formData.modes,
+          rolling_window_days: formData.rolling_window_days,
+          copy_source: copySource ? copySource.id : 0,
+          ...self.getSelectionPayload(),
+        },
+        success: function (response) {
+          $button.html(originalText).prop("disabled", false);
+
+          if (response.success && response.data.valid) {
+            self.formData.start_date = formData.start_date;
+            self.formData.end_date = formData.end_date;
+            self.formData.weekdays = formData.weekdays;
+            self.formData.specific_dates = formData.specific;
+            self.formData.exclusions = formData.exclusions;
+
+            self.goToStep(3);
+            self.updateReviewSummary(formData);
+            self.renderBookingConflicts(response.data.booking_conflicts);
+
+            self.showToast(
+              "Validation réussie",
+              "Configuration validée avec succès",
+              "success",
+            );
+          } else {
+            const errors = response.data?.errors || ["Erreur de validation"];
+            self.showValidationErrors(errors);
+          }
+        },
+        error: function (xhr, status, error) {
+          $button.html(originalText).prop("disabled", false);
+          self.showToast(
+            "Erreur",
+            "La validation a échoué. Veuillez réessayer.",
+            "error",
+          );
+        },
+      });
+    },
+
+    /**
+     * Produits de l'opération : IDs sélectionnés ou critères
+     * ("tous les produits correspondants", résolus côté serveur)
+     */
+    getSelectionPayload: function () {
+      return this.matchingSelection
+        ? { selection_query: JSON.stringify(this.matchingSelection.query) }
+        : { product_ids: this.selectedProducts };
+    },
+
+    /**
+     * Réinitialisation : vérifier les dates réservées avant d'appliquer
+     */
+    checkResetBookings: function () {
+      const self = this;
+
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: {
+          action:
+            wbe_admin_data.ajax_actions?.validate_dates || "wbe_validate_dates",
+          nonce: wbe_admin_data.nonce,
+          reset: 1,
+          fields: resetFields,
+          product_ids: this.selectedProducts,
+        },
+        success: function (response) {
+          if (resetMode && response.success && response.data.valid) {
+            self.renderBookingConflicts(response.data.booking_conflicts);
+          }
+        },
+      });
+    },
+
+    /**
+     * Dates réservées (commandes payées ou en attente) que l'opération retirerait
+     */
+    renderBookingConflicts: function (result) {
+      const self = this;
+      const $container = $("#wbe-booking-conflicts");
+      const conflicts = result?.conflicts || [];
+
+      this.bookingConflicts = conflicts.length > 0 ? conflicts : null;
+
+      if (!result || (conflicts.length === 0 && !result.truncated)) {
+        $container.hide().empty();
+        return;
+      }
+
+      let html = "";
+
+      if (conflicts.length > 0) {
+        const orderCount = new Set(
+          conflicts.flatMap((c) => c.orders.map((order) => order.id)),
+        ).size;
+
+        const rows = conflicts
+          .map(function (conflict) {
+            const orders = conflict.orders
+              .map(
+                (order) =>
+                  `<a href="${self.escapeHtml(order.edit_url)}" target="_blank" rel="noopener">#${self.escapeHtml(order.number)}</a> <span class="description">(${self.escapeHtml(order.status)})</span>`,
+              )
+              .join(", ");
+
+            return `<tr>
+              <td>${self.escapeHtml(conflict.product_name || "Sans nom")} <span class="description">(#${conflict.product_id})</span></td>
+              <td>${self.formatDateForDisplay(conflict.date)}</td>
+              <td>${orders}</td>
+            </tr>`;
+          })
+          .join("");
+
+        html += `
+          <p><strong>⚠️ ${conflicts.length} date(s) réservée(s) ne seront plus disponibles</strong>
+            (${orderCount} commande(s) payée(s) ou en attente).</p>
+          <table class="widefat striped">
+            <thead><tr><th>Produit</th><th>Date</th><th>Commandes</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+          <label class="wbe-booking-override">
+            <input type="checkbox" id="wbe-override-bookings">
+            Je confirme retirer ces dates malgré les réservations existantes
+          </label>`;
+      }
+
+      if (result.truncated) {
+        html += `<p class="description">Vérification limitée aux ${result.checked} premiers produits : d'autres réservations peuvent être concernées.</p>`;
+      }
+
+      $container.html(html).show();
+    },
+
+    /**
+     * Collecter les données de l'étape 2
+     */
+    collectStep2Data: function () {
+      const formData = {
+        start_date: this.convertDateToYMD($("#wbe-start-date").val()) || "",
+        end_date: this.convertDateToYMD($("#wbe-end-date").val()) || "",
+        weekdays: [],
+        specific: specificDates,
+        exclusions: exclusionDates,
+        modes: this.collectChangeModes(),
+        rolling_window_days: this.getRollingWindowDays(),
+      };
+
+      $(".wbe-weekday-checkbox:checked").each(function () {
+        const dayName = $(this)
+          .attr("name")
+          .match(/\[(.*?)\]/)[1];
+        const dayMap = {
+          monday: 1,
+          tuesday: 2,
+          wednesday: 3,
+          thursday: 4,
+          friday: 5,
+          saturday: 6,
+          sunday: 0,
+        };
+        if (dayMap[dayName] !== undefined) {
+          formData.weekdays.push(dayMap[dayName]);
+        }
+      });
+
+      return formData;
+    },
+
+    /**
+     * Validation côté client pour l'étape 2
+     */
+    validateStep2Client: function (formData) {
+      const errors = [];
+      const hasStartDate = !!formData.start_date;
+      const hasEndDate = !!formData.end_date;
+      const maxRollingDays = parseInt($("#wbe-rolling-days").attr("max"), 10);
+
+      if (
+        $("#wbe-rolling-enabled").is(":checked") &&
+        !(formData.rolling_window_days >= 1 && formData.rolling_window_days <= maxRollingDays)
+      ) {
+        errors.push(
+          `La fenêtre glissante doit couvrir entre 1 et ${maxRollingDays} jours.`,
+        );
+      }
+
+      if (hasStartDate && hasEndDate) {
+        const startTime = new Date(formData.start_date).getTime();
+        const endTime = new Date(formData.end_date).getTime();
+
+        if (endTime < startTime) {
+          errors.push(
+            "La date de fin ne peut pas être antérieure à la date de début.",
+          );
+        }
+      }
+
+      // Les dates retirées ne peuvent pas entrer en conflit
+      if (
+        formData.modes.specific !== "remove" &&
+        formData.modes.exclusions !== "remove" &&
+        formData.specific.length > 0 &&
+        formData.exclusions.length > 0
+      ) {
+        const conflicts = formData.specific.filter((date) =>
+          formData.exclusions.includes(date),
+        );
+        if (conflicts.length > 0) {
+          const conflictDatesFormatted = conflicts.map((date) =>
+            this.formatDateForDisplay(date),
+          );
+          errors.push(
+            `Les dates suivantes sont à la fois marquées comme disponibles et exclues : ${conflictDatesFormatted.join(", ")}`,
+          );
+        }
+      }
+
+      return errors;
+    },
+
+    /**
+     * Afficher les erreurs de validation
+     */
+    showValidationErrors: function (errors) {
+      $('.wbe-step-content[data-step="2"] .notice').remove();
+
+      if (errors.length === 0) return;
+
+      let errorHtml =
+        '<div class="notice notice-error is-dismissible" style="margin: 10px 0;">';
+      errorHtml +=
+        "<p><strong>Veuillez corriger les erreurs suivantes :</strong></p>";
+      errorHtml += '<ul style="margin-left: 20px;">';
+
+      errors.forEach(function (error) {
+        errorHtml += "<li>" + WBE_Admin.escapeHtml(error) + "</li>";
+      });
+
+      errorHtml += "</ul>";
+      errorHtml +=
+        '<button type="button" class="notice-dismiss"><span class="screen-reader-text">Fermer</span></button>';
+      errorHtml += "</div>";
+
+      $(errorHtml).prependTo('.wbe-step-content[data-step="2"] .wbe-card-body');
+
+      $("html, body").animate(
+        {
+          scrollTop: $('.wbe-step-content[data-step="2"]').offset().top - 50,
+        },
+        500,
+      );
+
+      $(document).on("click", ".notice-dismiss", function () {
+        $(this).closest(".notice").remove();
+      });
+    },
+
+    /**
+     * Go to specific step
+     */
+    goToStep: function (step) {
+      if (csvImport && step !== 3) {
+        csvImport = null;
+        this.showToast("Information", "Import CSV abandonné", "info");
+      }
+
+      if (shiftOperation && step !== 3) {
+        shiftOperation = null;
+        this.showToast("Information", "Décalage du calendrier abandonné", "info");
+      }
+
+      if (step === 2 && resetMode && this.currentStep === 3) {
+        if (
+          confirm(
+            "Voulez-vous annuler la réinitialisation et revenir à l'édition normale ?",
+          )
+        ) {
+          resetMode = false;
+          this.formData.reset_all = false;
+          this.showToast(
+            "Information",
+            "Mode réinitialisation désactivé",
+            "info",
+          );
+        } else {
+          // L'utilisateur veut rester en mode reset
+          return;
+        }
+      }
+
+      $(".wbe-step-content").removeClass("active");
+      $(".wbe-step").removeClass("active");
+
+      for (let i = 1; i < step; i++) {
+        $(`.wbe-step[data-step="${i}"]`).addClass("completed");
+      }
+
+      $(`.wbe-step-content[data-step="${step}"]`).addClass("active");
+      $(`.wbe-step[data-step="${step}"]`).addClass("active");
+
+      this.currentStep = step;
+
+      if (step === 3) {
+        // La prévisualisation et les réservations précédentes ne sont plus à jour
+        $("#wbe-preview-container").hide().empty();
+        this.renderBookingConflicts(null);
+
+        // Programmation : modifications de l'étape 2 uniquement
+        $("#wbe-apply-mode").toggle(!csvImport && !resetMode && !shiftOperation);
+        if (csvImport || resetMode || shiftOperation) {
+          this.setApplyMode("now");
+        }
+
+        if (csvImport) {
+          this.updateCsvImportSummary();
+        } else if (shiftOperation) {
+          this.updateShiftSummary();
+          this.checkShiftBookings();
+          this.previewChanges();
+        } else if (resetMode) {
+          this.updateResetSummary();
+          this.checkResetBookings();
+        } else {
+          this.updateReview();
+        }
+      }
+
+      $("html, body").animate(
+        { scrollTop: $(".wbe-admin-wrap").offset().top - 50 },
+        300,
+      );
+    },
+
+    /**
+     * Validate current step
+     */
+    validateStep: function (step) {
+      if (step === 1) {
+        if (this.selectedProducts.length === 0) {
+          this.showToast(
+            "Erreur",
+            "Veuillez sélectionner au moins un produit",
+            "error",
+          );
+          return false;
+        }
+      }
+      return true;
+    },
+
+    /**
+     * Setup datepickers
+     */
+    setupDatepickers: function () {
+      if (!$.fn.datepicker) {
+        return;
+      }
+
+      $(".wbe-datepicker").datepicker({
+        dateFormat: wbe_admin_data.date_format_js || "dd/mm/yy",
+        changeMonth: true,
+        changeYear: true,
+        minDate: 0,
+      });
+
+      $(".wbe-clear-date").on("click", function () {
+        const targetId = $(this).data("target");
+        $("#" + targetId)
+          .val("")
+          .datepicker("setDate", null);
+      });
+    },
+
+    /**
+     * Setup product selection
+     */
+    setupProductSelection: function () {
+      const self = this;
+
+      $("#wbe-load-category").on("click", function () {
+        const categoryId = $("#wbe-category-select").val();
+        self.loadProducts(categoryId);
+      });
+
+      $("#wbe-search-btn").on("click", function () {
+        const searchTerm = $("#wbe-product-search").val();
+        self.searchProducts(searchTerm);
+      });
+
+      $("#wbe-product-search").on("keypress", function (e) {
+        if (e.which === 13) {
+          e.preventDefault();
+          $("#wbe-search-btn").click();
+        }
+      });
+
+      $("#wbe-smart-filter")
+        .on("change", function () {
+          const filter = $(this).val();
+          $(".wbe-smart-filter-param").each(function () {
+            $(this).toggle($(this).data("filters").split(" ").includes(filter));
+          });
+        })
+        .trigger("change");
+
+      $("#wbe-apply-smart-filter").on("click", function () {
+        self.filterProducts($("#wbe-smart-filter").val());
+      });
+
+      // Toute la liste chargée, y compris les lignes hors de la zone visible
+      $("#wbe-select-all").on("click", function () {
+        self.productList.items.forEach(function (product) {
+          if (!self.selectedProducts.includes(product.id)) {
+            self.selectedProducts.push(product.id);
+          }
+        });
+        $(".wbe-product-checkbox").prop("checked", true);
+        self.updateSelectedCount();
+        self.offerMatchingSelection();
+      });
+
+      $("#wbe-deselect-all").on("click", function () {
+        const loaded = self.productList.items.map((product) => product.id);
+        self.selectedProducts = self.selectedProducts.filter(
+          (id) => !loaded.includes(id),
+        );
+        $(".wbe-product-checkbox").prop("checked", false);
+        self.clearMatchingSelection();
+        self.updateSelectedCount();
+      });
+
+      $("#wbe-select-matching")
+        .on("click", ".wbe-select-matching-all", function () {
+          self.matchingSelection = $("#wbe-select-matching").data("matching");
+          self.renderMatchingSelection();
+          self.updateSelectedCount();
+        })
+        .on("click", ".wbe-select-matching-cancel", function () {
+          self.clearMatchingSelection();
+        });
+
+      $("#wbe-product-list").on("change", ".wbe-product-checkbox", function () {
+        const productId = parseInt($(this).val());
+        if ($(this).is(":checked")) {
+          if (!self.selectedProducts.includes(productId)) {
+            self.selectedProducts.push(productId);
+          }
+        } else {
+          const index = self.selectedProducts.indexOf(productId);
+          if (index > -1) {
+            self.selectedProducts.splice(index, 1);
+          }
+          // Un produit décoché : retour à la sélection explicite
+          self.clearMatchingSelection();
+        }
+        self.updateSelectedCount();
+      });
+
+      $(".wbe-product-list-container").on("scroll", function () {
+        self.onProductListScroll();
+      });
+
+      // Une catégorie est triée par le serveur, une liste complète localement
+      $("#wbe-product-sort").on("change", function () {
+        if (self.productList.categoryId !== null) {
+          self.loadProducts(self.productList.categoryId, self.productList.search);
+          return;
+        }
+
+        const sort = $(this).val().split(":");
+        self.productList.sort = sort[0];
+        self.productList.order = sort[1];
+        self.sortProductItems();
+        self.renderProductWindow(true);
+      });
+
+      $("#wbe-product-list").on("click", ".wbe-toggle-availability", function () {
+        self.toggleProductAvailability($(this));
+      });
+
+      $("#wbe-open-heatmap").on("click", function () {
+        if (self.selectedProducts.length === 0) {
+          self.showToast(
+            "Erreur",
+            "Sélectionnez au moins un produit pour afficher le calendrier",
+            "error",
+          );
+          return;
+        }
+
+        if (!self.heatmap) {
+          self.heatmap = new window.WootourSelectionHeatmap(
+            "#wbe-selection-heatmap",
+          );
+        }
+        self.heatmap.load(self.selectedProducts);
+      });
+    },
+
+    /**
+     * Afficher / masquer les disponibilités actuelles d'un produit
+     */
+    toggleProductAvailability: function ($button) {
+      const $panel = $button.siblings(".wbe-product-availability");
+      const expanded = $button.attr("aria-expanded") === "true";
+
+      $button.attr("aria-expanded", expanded ? "false" : "true");
+      $button
+        .find(".dashicons")
+        .toggleClass("dashicons-visibility", expanded)
+        .toggleClass("dashicons-hidden", !expanded);
+
+      if (expanded) {
+        $panel.slideUp(150);
+        return;
+      }
+
+      $panel.slideDown(150);
+      this.loadProductAvailability(
+        parseInt($button.data("product-id"), 10),
+        this.formatYMD(new Date()).substring(0, 7),
+        $panel,
+      );
+    },
+
+    /**
+     * Charger les disponibilités d'un produit (wbe_get_product_availability)
+     */
+    loadProductAvailability: function (productId, month, $panel) {
+      const self = this;
+      const cacheKey = `${productId}|${month}`;
+
+      if (this.availabilityCache[cacheKey]) {
+        this.renderProductAvailability($panel, this.availabilityCache[cacheKey]);
+        return;
+      }
+
+      $panel.html('<span class="spinner is-active"></span> Chargement…');
+
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: {
+          action:
+            wbe_admin_data.ajax_actions?.get_product_availability ||
+            "wbe_get_product_availability",
+          nonce: wbe_admin_data.nonce,
+          product_id: productId,
+          month: month,
+          months: 2,
+        },
+        success: function (response) {
+          if (response.success && response.data) {
+            self.availabilityCache[cacheKey] = response.data;
+            self.renderProductAvailability($panel, response.data);
+          } else {
+            $panel.html(
+              `<p class="wbe-rule-error">${self.escapeHtml(response.error?.message || "Disponibilités indisponibles")}</p>`,
+            );
+          }
+        },
+        error: function (xhr) {
+          $panel.html(
+            `<p class="wbe-rule-error">${self.escapeHtml(xhr.responseJSON?.error?.message || "Disponibilités indisponibles")}</p>`,
+          );
+        },
+      });
+    },
+
+    /**
+     * Résumé et mini-calendrier des disponibilités d'un produit
+     */
+    renderProductAvailability: function ($panel, data) {
+      const self = this;
+      const calendar = data.calendar || {};
+
+      if (!data.has_data) {
+        $panel.html("<p>Aucune disponibilité WooTour enregistrée pour ce produit.</p>");
+        return;
+      }
+
+      const dayNames = [
+        "sunday",
+        "monday",
+        "tuesday",
+        "wednesday",
+        "thursday",
+        "friday",
+        "saturday",
+      ];
+      const weekdays = (data.weekdays || []).map((d) => dayNames[d]);
+      const sets = {
+        available: new Set(calendar.available || []),
+        exclusions: new Set(data.exclusions || []),
+        specific: new Set(data.specific || []),
+      };
+
+      const start = this.parseYMD(calendar.from);
+      const end = this.parseYMD(calendar.to);
+      let months = "";
+      for (
+        let d = new Date(start.getFullYear(), start.getMonth(), 1);
+        d <= end;
+        d = new Date(d.getFullYear(), d.getMonth() + 1, 1)
+      ) {
+        months += this.renderMiniCalendar(d.getFullYear(), d.getMonth(), sets);
+      }
+
+      const shift = (offset) =>
+        this.formatYMD(
+          new Date(start.getFullYear(), start.getMonth() + offset, 1),
+        ).substring(0, 7);
+
+      $panel.html(`
+        <div class="wbe-availability-summary">
+          <span><strong>Période :</strong> ${self.formatRangeForPreview(data)}</span>
+          <span><strong>Jours :</strong> ${weekdays.length ? self.formatWeekdaysForPreview(weekdays) : "tous"}</span>
+          <span><strong>Dates spécifiques :</strong> ${(data.specific || []).length}</span>
+          <span><strong>Exclusions :</strong> ${(data.exclusions || []).length}</span>
+        </div>
+        ${calendar.error ? `<p class="wbe-rule-error">${self.escapeHtml(calendar.error)}</p>` : ""}
+        <div class="wbe-mini-calendar-nav">
+          <button type="button" class="button-link" data-month="${shift(-1)}">&larr; Mois précédent</button>
+          <button type="button" class="button-link" data-month="${shift(1)}">Mois suivant &rarr;</button>
+        </div>
+        <div class="wbe-mini-calendars">${months}</div>
+        <div class="wbe-mini-calendar-legend">
+          <span class="wbe-day-available">Réservable</span>
+          <span class="wbe-day-specific">Date spécifique</span>
+          <span class="wbe-day-excluded">Exclue</span>
+        </div>
+      `);
+
+      $panel.find(".wbe-mini-calendar-nav button").on("click", function () {
+        self.loadProductAvailability(data.product_id, $(this).data("month"), $panel);
+      });
+    },
+
+    /**
+     * Mini-calendrier d'un mois (semaine commençant le lundi)
+     */
+    renderMiniCalendar: function (year, month, sets) {
+      const first = new Date(year, month, 1);
+      const daysInMonth = new Date(year, month + 1, 0).getDate();
+      const offset = (first.getDay() + 6) % 7;
+      const title = first.toLocaleDateString("fr-FR", {
+        month: "long",
+        year: "numeric",
+      });
+
+      let cells = "<td></td>".repeat(offset);
+      for (let day = 1; day <= daysInMonth; day++) {
+        const date = this.formatYMD(new Date(year, month, day));
+        const classes = [];
+
+        if (sets.exclusions.has(date)) {
+          classes.push("wbe-day-excluded");
+        } else if (sets.available.has(date)) {
+          classes.push("wbe-day-available");
+        }
+        if (sets.specific.has(date)) {
+          classes.push("wbe-day-specific");
+        }
+
+        cells += `<td class="${classes.join(" ")}">${day}</td>`;
+        if ((offset + day) % 7 === 0 && day < daysInMonth) {
+          cells += "</tr><tr>";
+        }
+      }
+
+      return `<table class="wbe-mini-calendar">
+          <caption>${title}</caption>
+          <thead><tr><th>L</th><th>M</th><th>M</th><th>J</th><th>V</th><th>S</th><th>D</th></tr></thead>
+          <tbody><tr>${cells}</tr></tbody>
+        </table>`;
+    },
+
+    /**
+     * Oublier les disponibilités affichées (après une écriture)
+     */
+    invalidateAvailabilityCache: function () {
+      this.availabilityCache = {};
+      if (this.heatmap) {
+        this.heatmap.close();
+      }
+
+      // Lignes reconstruites, disponibilités repliées
+      this.productList.rows = {};
+      this.productList.heights = {};
+      this.renderProductWindow(true);
+    },
+
+    /**
+     * Load products by category and/or search (page by page, server-side sorting)
+     */
+    loadProducts: function (categoryId, search) {
+      const $list = $("#wbe-product-list");
+
+      this.resetProductList(categoryId, search);
+
+      $list.html(
+        '<div class="wbe-loading"><span class="spinner is-active"></span><span>' +
+          wbe_admin_data.i18n.loading +
+          "</span></div>",
+      );
+      $("#wbe-load-category, #wbe-search-btn").prop("disabled", true);
+
+      this.loadProductPage(1);
+    },
+
+    /**
+     * Charger une page de la catégorie ou de la recherche en cours (défilement de la liste)
+     */
+    loadProductPage: function (page) {
+      const self = this;
+      const list = this.productList;
+      const $list = $("#wbe-product-list");
+      const categoryId = list.categoryId;
+      const search = list.search;
+
+      list.loading = true;
+
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: {
+          action: "wbe_get_products",
+          nonce: wbe_admin_data.nonce,
+          category_id: categoryId,
+          search: search,
+          page: page,
+          per_page: PRODUCT_PAGE_SIZE,
+          sort: list.sort,
+          order: list.order,
+        },
+        success: function (response) {
+          // Une autre liste a été chargée entre-temps
+          if (self.productList !== list) {
+            return;
+          }
+
+          if (response.success && response.data) {
+            const products = response.data.products || [];
+            const pagination = response.data.pagination || {};
+
+            list.page = page;
+            list.hasMore = !!pagination.has_more;
+            list.total = pagination.total || products.length;
+            list.items = list.items.concat(products);
+
+            if (page === 1) {
+              self.lastQuery = search ? { search: search } : { category_id: categoryId };
+
+              if (list.items.length === 0 && !list.hasMore) {
+                $list.html(
+                  search
+                    ? '<p style="padding: 20px; text-align: center; color: #646970;">Aucun produit trouvé pour "' +
+                        self.escapeHtml(search) +
+                        '"</p>'
+                    : '<p style="padding: 20px; text-align: center; color: #646970;">Aucun produit trouvé dans cette catégorie.</p>',
+                );
+                return;
+              }
+
+              self.showToast(
+                "Succès",
+                search
+                  ? `${list.total} produit(s) trouvé(s)`
+                  : `${list.total} produit(s) dans cette catégorie`,
+                "success",
+              );
+            }
+
+            self.renderProductWindow();
+          } else {
+            const errorMsg =
+              response.data?.message ||
+              "Erreur lors du chargement des produits";
+            self.showToast("Erreur", errorMsg, "error");
+            if (page === 1) {
+              $list.html('<div class="wbe-error">' + errorMsg + "</div>");
+            }
+          }
+        },
+        error: function (xhr, status, error) {
+
+          let errorMsg = "Erreur serveur lors du chargement des produits";
+
+          if (xhr.responseJSON && xhr.responseJSON.data) {
+            errorMsg = xhr.responseJSON.data.message || errorMsg;
+          }
+
+          self.showToast("Erreur", errorMsg, "error");
+          if (page === 1) {
+            $list.html('<div class="wbe-error">' + errorMsg + "</div>");
+          }
+        },
+        complete: function () {
+          list.loading = false;
+          $("#wbe-load-category, #wbe-search-btn").prop("disabled", false);
+        },
+      });
+    },
+
+    /**
+     * Load products matching a selection filter (wbe_filter_products)
+     */
+    filterProducts: function (filter) {
+      const self = this;
+      const $list = $("#wbe-product-list");
+      const $button = $("#wbe-apply-smart-filter");
+      const $date = $("#wbe-smart-filter-date");
+      const date = $date.val();
+
+      if ($date.data("filters").split(" ").includes(filter) && !date) {
+        self.showToast("Avertissement", "Choisissez une date pour ce filtre", "warning");
+        return;
+      }
+
+      $list.html(
+        '<div class="wbe-loading"><span class="spinner is-active"></span><span>' +
+          wbe_admin_data.i18n.loading +
+          "</span></div>",
+      );
+      $button.prop("disabled", true);
+
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: {
+          action: wbe_admin_data.ajax_actions?.filter_products || "wbe_filter_products",
+          nonce: wbe_admin_data.nonce,
+          filter: filter,
+          date: date,
+          days: $("#wbe-smart-filter-days").val(),
+          category_id: $("#wbe-category-select").val(),
+        },
+        success: function (response) {
+          if (response.success && response.data) {
+            const products = response.data.products || [];
+            self.lastQuery = {
+              filter: filter,
+              date: date,
+              days: $("#wbe-smart-filter-days").val(),
+              category_id: $("#wbe-category-select").val(),
+            };
+
+            if (products.length === 0) {
+              $list.html(
+                '<p style="padding: 20px; text-align: center; color: #646970;">Aucun produit ne correspond à ce filtre.</p>',
+              );
+              return;
+            }
+
+            self.displayProducts(products);
+            self.showToast(
+              "Succès",
+              response.data.truncated
+                ? `${products.length} premiers produits affichés, affinez avec une catégorie`
+                : `${products.length} produit(s) trouvé(s)`,
+              response.data.truncated ? "warning" : "success",
+            );
+          } else {
+            const errorMsg = response.error?.message || "Erreur lors du filtrage";
+            self.showToast("Erreur", errorMsg, "error");
+            $list.html('<div class="wbe-error">' + self.escapeHtml(errorMsg) + "</div>");
+          }
+        },
+        error: function (xhr) {
+          const errorMsg =
+            xhr.responseJSON?.error?.message || "Erreur serveur lors du filtrage";
+          self.showToast("Erreur", errorMsg, "error");
+          $list.html('<div class="wbe-error">' + self.escapeHtml(errorMsg) + "</div>");
+        },
+        complete: function () {
+          $button.prop("disabled", false);
+        },
+      });
+    },
+
+    /**
+     * Search products (paginated like a category)
+     */
+    searchProducts: function (searchTerm) {
+      if (!searchTerm || searchTerm.trim().length < 2) {
+        this.showToast(
+          "Avertissement",
+          "Veuillez entrer au moins 2 caractères",
+          "warning",
+        );
+        return;
+      }
+
+      this.loadProducts(0, searchTerm.trim());
+    },
+
+    /**
+     * Display products in list (complete list: search, filter, saved selection)
+     */
+    displayProducts: function (products) {
+      const $list = $("#wbe-product-list");
+
+      this.resetProductList(null);
+
+      if (!products || products.length === 0) {
+        $list.html(
+          '<p style="padding: 20px; text-align: center; color: #646970;">Aucun produit trouvé.</p>',
+        );
+        return;
+      }
+
+      this.productList.items = products.slice();
+      this.productList.total = products.length;
+      this.sortProductItems();
+      this.renderProductWindow();
+    },
+
+    /**
+     * Repartir d'une liste vide (categoryId null : liste complète, sans pagination)
+     */
+    resetProductList: function (categoryId, search) {
+      const sort = ($("#wbe-product-sort").val() || "name:ASC").split(":");
+
+      this.clearMatchingSelection();
+
+      this.productList = {
+        items: [],
+        categoryId: categoryId,
+        search: search || "",
+        page: 0,
+        total: 0,
+        hasMore: false,
+        loading: false,
+        sort: sort[0],
+        order: sort[1],
+        rows: {},
+        heights: {},
+        cursor: -1, // Produit ayant le focus clavier
+        anchor: -1, // Début de la plage (Maj + clic / flèches)
+      };
+
+      $("#wbe-product-list").closest(".wbe-product-list-container").scrollTop(0);
+    },
+
+    /**
+     * Tri local d'une liste complète (les catégories sont triées par le serveur)
+     */
+    sortProductItems: function () {
+      const list = this.productList;
+      const direction = list.order === "DESC" ? -1 : 1;
+      const text = (value) => String(value || "");
+
+      const compare = {
+        name: (a, b) => text(a.name).localeCompare(text(b.name), "fr"),
+        sku: (a, b) => text(a.sku).localeCompare(text(b.sku), "fr", { numeric: true }),
+        // Les ID suivent l'ordre de création des produits
+        date: (a, b) => a.id - b.id,
+        wootour: (a, b) => (a.has_wootour ? 1 : 0) - (b.has_wootour ? 1 : 0),
+      }[list.sort] || ((a, b) => 0);
+
+      list.items.sort(
+        (a, b) =>
+          direction * compare(a, b) ||
+          text(a.name).localeCompare(text(b.name), "fr"),
+      );
+    },
+
+    /**
+     * Afficher uniquement les lignes visibles de la liste (défilement virtuel)
+     *
+     * Les lignes déjà construites sont réutilisées : coche, disponibilités
+     * dépliées et hauteur mesurée sont conservées d'un défilement à l'autre.
+     */
+    renderProductWindow: function (force) {
+      const self = this;
+      const list = this.productList;
+      const $list = $("#wbe-product-list");
+      const $container = $list.closest(".wbe-product-list-container");
+
+      if (list.items.length === 0) {
+        return;
+      }
+
+      const scrollTop = $container.scrollTop();
+      const viewport = $container.innerHeight() || 400;
+      const overscan = viewport;
+      const heightOf = (product) => list.heights[product.id] || PRODUCT_ROW_HEIGHT;
+
+      let offset = 0;
+      let start = 0;
+      while (
+        start < list.items.length &&
+        offset + heightOf(list.items[start]) < scrollTop - overscan
+      ) {
+        offset += heightOf(list.items[start]);
+        start++;
+      }
+
+      const top = offset;
+      let end = start;
+      while (end < list.items.length && offset < scrollTop + viewport + overscan) {
+        offset += heightOf(list.items[end]);
+        end++;
+      }
+
+      // Mêmes lignes qu'au rendu précédent : rien à reconstruire
+      const windowKey = `${start}:${end}:${list.items.length}`;
+      if (!force && windowKey === list.windowKey) {
+        return;
+      }
+      list.windowKey = windowKey;
+
+      let bottom = 0;
+      for (let i = end; i < list.items.length; i++) {
+        bottom += heightOf(list.items[i]);
+      }
+
+      const rows = list.items.slice(start, end).map(function (product) {
+        if (!list.rows[product.id]) {
+          list.rows[product.id] = self.buildProductRow(product);
+        }
+
+        const $row = list.rows[product.id];
+        $row
+          .find(".wbe-product-checkbox")
+          .prop("checked", self.selectedProducts.includes(product.id));
+
+        return $row;
+      });
+
+      $list.children().detach();
+      $list.append(`<div class="wbe-product-spacer" style="height: ${top}px;"></div>`);
+      rows.forEach(($row) => $list.append($row));
+      $list.append(`<div class="wbe-product-spacer" style="height: ${bottom}px;"></div>`);
+
+      if (list.hasMore) {
+        $list.append(
+          `<div class="wbe-product-list-more">${list.items.length} / ${list.total} — faites défiler pour charger la suite</div>`,
+        );
+      }
+
+      rows.forEach(function ($row) {
+        list.heights[$row.data("product-id")] = $row.outerHeight(true);
+      });
+    },
+
+    /**
+     * Construire la ligne d'un produit
+     */
+    buildProductRow: function (product) {
+      const productName = this.escapeHtml(product.name || "Sans nom");
+      const productSku = product.sku
+        ? "| SKU: " + this.escapeHtml(product.sku)
+        : "";
+      const rollingBadge = product.rolling_window
+        ? ` <span class="wbe-badge wbe-badge-rolling" title="Dates recalculées chaque jour : aujourd'hui → +${parseInt(product.rolling_window.days, 10)} jours">↻ ${parseInt(product.rolling_window.days, 10)} j</span>`
+        : "";
+
+      const $item = $('<div class="wbe-product-item"></div>').attr(
+        "data-product-id",
+        product.id,
+      );
+
+      $item.html(`
+        <label style="display: flex; align-items: center; gap: 10px; cursor: pointer; flex: 1;">
+          <input type="checkbox"
+                 class="wbe-product-checkbox"
+                 value="${product.id}">
+          <div>
+            <div style="font-weight: 600;">${productName}${rollingBadge}</div>
+            <div style="font-size: 12px; color: #646970;">
+              ID: ${product.id} ${productSku}
+            </div>
+          </div>
+        </label>
+        <button type="button" class="button-link wbe-toggle-availability" data-product-id="${product.id}" aria-expanded="false" title="Voir les disponibilités actuelles">
+          <span class="dashicons dashicons-visibility"></span>
+        </button>
+        <button type="button" class="button-link wbe-export-product-ics" data-product-id="${product.id}" title="Exporter les disponibilités (.ics)">
+          <span class="dashicons dashicons-calendar-alt"></span>
+        </button>
+        <div class="wbe-product-availability" style="display: none;"></div>
+      `);
+
+      return $item;
+    },
+
+    /**
+     * Défilement de la liste : lignes visibles et page suivante
+     */
+    onProductListScroll: function () {
+      const self = this;
+      const list = this.productList;
+
+      if (this.productListFrame) {
+        return;
+      }
+
+      this.productListFrame = window.requestAnimationFrame(function () {
+        self.productListFrame = null;
+        self.renderProductWindow();
+
+        const container = $("#wbe-product-list")
+          .closest(".wbe-product-list-container")
+          .get(0);
+
+        if (
+          list.hasMore &&
+          !list.loading &&
+          container.scrollTop + container.clientHeight >=
+            container.scrollHeight - PRODUCT_ROW_HEIGHT * 5
+        ) {
+          self.loadProductPage(list.page + 1);
+        }
+      });
+    },
+
+    /**
+     * Sélection au clavier dans la liste des produits
+     *
+     * Flèches / Début / Fin déplacent le focus (Maj : étend la plage), Espace
+     * coche (Maj+Espace : plage), Maj+clic coche une plage. Sur l'étape 1,
+     * hors champ de saisie : « / » recherche, « a » / « i » / « n » tout,
+     * inverser, rien, « ? » aide.
+     */
+    setupProductKeyboard: function () {
+      const self = this;
+      const $list = $("#wbe-product-list");
+
+      $list.on("focusin", ".wbe-product-checkbox", function () {
+        self.productList.cursor = self.getProductIndex(parseInt($(this).val(), 10));
+      });
+
+      // Le clic coche la case ; avec Maj, toute la plage depuis le dernier clic
+      $list.on("click", ".wbe-product-checkbox", function (e) {
+        const list = self.productList;
+        const index = self.getProductIndex(parseInt($(this).val(), 10));
+
+        if (e.shiftKey && list.anchor >= 0) {
+          self.setProductRangeChecked(list.anchor, index, this.checked);
+        } else {
+          list.anchor = index;
+        }
+      });
+
+      $list.on("keydown", ".wbe-product-checkbox", function (e) {
+        const list = self.productList;
+        const index = list.cursor;
+        const moves = {
+          ArrowDown: index + 1,
+          ArrowUp: index - 1,
+          Home: 0,
+          End: list.items.length - 1,
+        };
+
+        if (e.key in moves) {
+          e.preventDefault();
+          const target = Math.max(0, Math.min(list.items.length - 1, moves[e.key]));
+
+          if (e.shiftKey) {
+            if (list.anchor < 0) {
+              list.anchor = index;
+            }
+            self.setProductRangeChecked(list.anchor, target, true);
+          } else {
+            list.anchor = target;
+          }
+
+          self.focusProduct(target);
+        } else if (e.key === " " && e.shiftKey && list.anchor >= 0) {
+          e.preventDefault();
+          self.setProductRangeChecked(list.anchor, index, true);
+        }
+      });
+
+      $(document).on("keydown", function (e) {
+        if (
+          self.currentStep !== 1 ||
+          e.ctrlKey ||
+          e.metaKey ||
+          e.altKey ||
+          $(".wbe-modal-overlay").length ||
+          $(e.target).is("textarea, select, [contenteditable], input:not([type=checkbox], [type=radio], [type=button])")
+        ) {
+          return;
+        }
+
+        switch (e.key) {
+          case "/":
+            e.preventDefault();
+            $("#wbe-product-search").trigger("focus").trigger("select");
+            break;
+          case "a":
+            $("#wbe-select-all").trigger("click");
+            break;
+          case "n":
+            $("#wbe-deselect-all").trigger("click");
+            break;
+          case "i":
+            self.invertProductSelection();
+            break;
+          case "?":
+            self.openKeyboardHelp();
+            break;
+        }
+      });
+
+      $("#wbe-keyboard-help").on("click", function () {
+        self.openKeyboardHelp();
+      });
+    },
+
+    /**
+     * Position d'un produit dans la liste chargée (-1 si absent)
+     */
+    getProductIndex: function (productId) {
+      return this.productList.items.findIndex((product) => product.id === productId);
+    },
+
+    /**
+     * Cocher / décocher des produits de la liste chargée
+     */
+    setProductsChecked: function (productIds, checked) {
+      const list = this.productList;
+
+      productIds.forEach((productId) => {
+        const index = this.selectedProducts.indexOf(productId);
+
+        if (checked && index === -1) {
+          this.selectedProducts.push(productId);
+        } else if (!checked && index > -1) {
+          this.selectedProducts.splice(index, 1);
+        }
+
+        if (list.rows[productId]) {
+          list.rows[productId].find(".wbe-product-checkbox").prop("checked", checked);
+        }
+      });
+
+      if (!checked) {
+        this.clearMatchingSelection();
+      }
+
+      this.updateSelectedCount();
+    },
+
+    /**
+     * Cocher / décocher les produits entre deux positions (incluses)
+     */
+    setProductRangeChecked: function (from, to, checked) {
+      const items = this.productList.items.slice(Math.min(from, to), Math.max(from, to) + 1);
+
+      this.setProductsChecked(
+        items.map((product) => product.id),
+        checked,
+      );
+    },
+
+    /**
+     * Inverser la sélection des produits chargés
+     */
+    invertProductSelection: function () {
+      const checked = [];
+      const unchecked = [];
+
+      this.productList.items.forEach((product) => {
+        (this.selectedProducts.includes(product.id) ? unchecked : checked).push(product.id);
+      });
+
+      this.setProductsChecked(unchecked, false);
+      this.setProductsChecked(checked, true);
+    },
+
+    /**
+     * Amener un produit dans la zone visible et lui donner le focus
+     */
+    focusProduct: function (index) {
+      const list = this.productList;
+      const product = list.items[index];
+
+      if (!product) {
+        return;
+      }
+
+      const $container = $("#wbe-product-list").closest(".wbe-product-list-container");
+      const heightOf = (item) => list.heights[item.id] || PRODUCT_ROW_HEIGHT;
+      let top = 0;
+
+      for (let i = 0; i < index; i++) {
+        top += heightOf(list.items[i]);
+      }
+
+      const scrollTop = $container.scrollTop();
+      const viewport = $container.innerHeight();
+
+      if (top < scrollTop) {
+        $container.scrollTop(top);
+      } else if (top + heightOf(product) > scrollTop + viewport) {
+        $container.scrollTop(top + heightOf(product) - viewport);
+      }
+
+      this.renderProductWindow();
+      list.cursor = index;
+      list.rows[product.id]?.find(".wbe-product-checkbox").trigger("focus");
+    },
+
+    /**
+     * Aide des raccourcis clavier de la liste des produits
+     */
+    openKeyboardHelp: function () {
+      const $trigger = $(document.activeElement);
+      const bindings = [
+        ["↑ / ↓", "Produit précédent / suivant"],
+        ["Début / Fin", "Premier / dernier produit chargé"],
+        ["Maj + ↑ / ↓", "Étendre la sélection"],
+        ["Espace", "Cocher / décocher le produit"],
+        ["Maj + Espace", "Cocher la plage depuis le dernier produit"],
+        ["Maj + clic", "Cocher / décocher une plage de produits"],
+        ["Ctrl / Cmd + clic", "Cocher / décocher un produit sans toucher aux autres"],
+        ["/", "Rechercher un produit"],
+        ["a", "Tout sélectionner"],
+        ["i", "Inverser la sélection"],
+        ["n", "Tout désélectionner"],
+        ["?", "Afficher cette aide"],
+      ];
+
+      const $dialog = $(`
+        <div class="wbe-modal-overlay">
+          <div class="wbe-modal wbe-keyboard-help" role="dialog" aria-modal="true" aria-labelledby="wbe-keyboard-help-title">
+            <h2 id="wbe-keyboard-help-title">Raccourcis clavier</h2>
+            <table class="widefat striped">
+              <tbody>
+                ${bindings
+                  .map(([keys, label]) => `<tr><th scope="row"><kbd>${keys}</kbd></th><td>${label}</td></tr>`)
+                  .join("")}
+              </tbody>
+            </table>
+            <p class="description">Les raccourcis à une touche sont ignorés pendant la saisie dans un champ.</p>
+            <div class="wbe-modal-actions">
+              <button type="button" class="button button-primary wbe-modal-cancel">Fermer</button>
+            </div>
+          </div>
+        </div>
+      `);
+
+      const close = function () {
+        $dialog.remove();
+        $(document).off("keydown.wbeKeyboardHelp");
+        $trigger.trigger("focus");
+      };
+
+      $("body").append($dialog);
+      $dialog.find(".wbe-modal-cancel").trigger("focus");
+
+      $dialog.on("click", function (e) {
+        if (e.target === this) {
+          close();
+        }
+      });
+      $dialog.find(".wbe-modal-cancel").on("click", close);
+      $(document).on("keydown.wbeKeyboardHelp", function (e) {
+        if (e.key === "Escape") {
+          close();
+        } else if (e.key === "Tab") {
+          // Seul élément focusable : le focus reste sur « Fermer »
+          e.preventDefault();
+        }
+      });
+    },
+
+    /**
+     * Setup form handlers
+     */
+    setupFormHandlers: function () {
+      const self = this;
+
+      $(".wbe-weekday-checkbox").on("change", function () {
+        self.formData.weekdays = $(".wbe-weekday-checkbox:checked")
+          .map(function () {
+            return $(this)
+              .attr("name")
+              .match(/\[(.*?)\]/)[1];
+          })
+          .get();
+      });
+
+      // Supprimer la plage : les dates saisies sont ignorées
+      $("#wbe-mode-range").on("change", function () {
+        $("#wbe-start-date, #wbe-end-date").prop(
+          "disabled",
+          $(this).val() === "remove",
+        );
+      });
+
+      $("#wbe-rolling-enabled, #wbe-rolling-days").on("change input", function () {
+        self.updateRollingWindow();
+      });
+
+      $("#wbe-preview-btn").on("click", function () {
+        self.previewChanges();
+      });
+
+      $("#wbe-apply-btn").on("click", function () {
+        if (confirm(wbe_admin_data.i18n.confirmApply)) {
+          self.applyChanges();
+        }
+      });
+    },
+
+    /**
+     * Update review summary
+     */
+    updateReviewSummary: function (formData) {
+      const $summary = $("#wbe-review-summary");
+      let html = '<div class="wbe-review-content">';
+
+      html += `<div class="wbe-review-section"><strong>Produits sélectionnés :</strong> ${this.getSelectionCountLabel()}</div>`;
+
+      if (copySource) {
+        html += `<div class="wbe-review-section"><strong>Copié depuis :</strong> ${this.escapeHtml(copySource.name)} (#${copySource.id}, ${copySource.mode === "clone" ? "clonage" : "fusion"})</div>`;
+      }
+
+      const modes = formData.modes || {};
+      const isModified = function (field, hasValue) {
+        // En remplacement, une valeur vide efface les données existantes
+        return hasValue || (modes[field] && modes[field] !== "add");
+      };
+      const modeSuffix = (field) =>
+        ` <em>(${this.getChangeModeLabel(modes[field])})</em>`;
+
+      const hasRules =
+        isModified("range", formData.start_date || formData.end_date) ||
+        isModified("weekdays", formData.weekdays.length > 0) ||
+        isModified("specific", formData.specific.length > 0) ||
+        isModified("exclusions", formData.exclusions.length > 0);
+
+      if (!hasRules) {
+        html +=
+          '<div class="wbe-review-section" style="padding: 15px; background: #fff3cd; border-left: 4px solid #ffc107; margin: 10px 0;">';
+        html += "<strong>⚠️ Aucune règle de disponibilité définie</strong><br>";
+        html +=
+          '<span style="font-size: 13px; color: #856404;">Les informations existantes des produits seront conservées.</span>';
+        html += "</div>";
+      } else {
+        if (formData.rolling_window_days) {
+          html += `<div class="wbe-review-section"><strong>Période :</strong> fenêtre glissante de ${formData.rolling_window_days} jour(s), actuellement du ${this.formatDateForDisplay(formData.start_date)} au ${this.formatDateForDisplay(formData.end_date)} <em>(recalculée chaque jour)</em></div>`;
+        } else if (modes.range === "remove") {
+          html += `<div class="wbe-review-section"><strong>Période :</strong> la plage existante sera supprimée</div>`;
+        } else if (formData.start_date || formData.end_date) {
+          if (formData.start_date && formData.end_date) {
+            const startFr = this.formatDateForDisplay(formData.start_date);
+            const endFr = this.formatDateForDisplay(formData.end_date);
+            html += `<div class="wbe-review-section"><strong>Période :</strong> ${startFr} au ${endFr}${modeSuffix("range")}</div>`;
+          } else if (formData.start_date) {
+            const startFr = this.formatDateForDisplay(formData.start_date);
+            html += `<div class="wbe-review-section"><strong>Période :</strong> À partir du ${startFr}${modeSuffix("range")}</div>`;
+          } else {
+            const endFr = this.formatDateForDisplay(formData.end_date);
+            html += `<div class="wbe-review-section"><strong>Période :</strong> Jusqu'au ${endFr}${modeSuffix("range")}</div>`;
+          }
+        } else if (modes.range === "replace") {
+          html += `<div class="wbe-review-section"><strong>Période :</strong> aucune${modeSuffix("range")}</div>`;
+        }
+
+        if (isModified("weekdays", formData.weekdays.length > 0)) {
+          const dayNames = [
+            "Dimanche",
+            "Lundi",
+            "Mardi",
+            "Mercredi",
+            "Jeudi",
+            "Vendredi",
+            "Samedi",
+          ];
+          const selectedDays = formData.weekdays.map(function (dayIndex) {
+            return dayNames[dayIndex];
+          });
+          html += `<div class="wbe-review-section"><strong>Jours disponibles :</strong> ${selectedDays.join(", ") || "aucun"}${modeSuffix("weekdays")}</div>`;
+        }
+
+        if (isModified("specific", formData.specific.length > 0)) {
+          const formattedDates = formData.specific.map((date) =>
+            this.formatDateForDisplay(date),
+          );
+          html += `<div class="wbe-review-section"><strong>Dates spécifiques (${formData.specific.length})${modeSuffix("specific")} :</strong><br>${formattedDates.join(", ") || "aucune"}</div>`;
+        }
+
+        if (isModified("exclusions", formData.exclusions.length > 0)) {
+          const formattedDates = formData.exclusions.map((date) =>
+            this.formatDateForDisplay(date),
+          );
+          html += `<div class="wbe-review-section"><strong>Dates exclues (${formData.exclusions.length})${modeSuffix("exclusions")} :</strong><br>${formattedDates.join(", ") || "aucune"}</div>`;
+        }
+
+        recurrenceRules.forEach((rule) => {
+          html += `<div class="wbe-review-section"><strong>Règle récurrente :</strong> ${this.escapeHtml(rule.text)} (${rule.dates.length} date(s))</div>`;
+        });
+      }
+
+      html += "</div>";
+      $summary.html(html);
+    },
+
+    /**
+     * Update review
+     */
+    updateReview: function () {
+      const formData = {
+        start_date: this.formData.start_date,
+        end_date: this.formData.end_date,
+        weekdays: this.formData.weekdays,
+        specific: this.formData.specific_dates,
+        exclusions: this.formData.exclusions,
+        modes: this.collectChangeModes(),
+        rolling_window_days: this.getRollingWindowDays(),
+      };
+
+      this.updateReviewSummary(formData);
+    },
+
+    /**
+     * Collect step 2 changes in the format expected by the AJAX handlers
+     */
+    collectChangesPayload: function () {
+      const weekdaysObj = {};
+      $(".wbe-weekday-checkbox:checked").each(function () {
+        const dayName = $(this)
+          .attr("name")
+          .match(/\[(.*?)\]/)[1];
+        weekdaysObj[dayName] = "on";
+      });
+
+      return {
+        start_date: this.formData.start_date,
+        end_date: this.formData.end_date,
+        weekdays: weekdaysObj,
+        specific: specificDates,
+        exclusions: exclusionDates,
+        modes: this.collectChangeModes(),
+        rolling_window_days: this.getRollingWindowDays(),
+        copy_source: copySource ? copySource.id : 0,
+        rules: recurrenceRules.map(function (r) {
+          return {
+            target: r.target,
+            text: r.text,
+            rule: JSON.stringify(r.rule),
+            dates: r.dates,
+          };
+        }),
+      };
+    },
+
+    /**
+     * Fenêtre glissante : plage aujourd'hui → aujourd'hui + N jours, en
+     * remplacement de la plage existante (recalculée côté serveur)
+     */
+    updateRollingWindow: function () {
+      const enabled = $("#wbe-rolling-enabled").is(":checked");
+      const days = this.getRollingWindowDays();
+
+      $("#wbe-rolling-days").prop("disabled", !enabled);
+      $("#wbe-mode-range").prop("disabled", enabled);
+      $("#wbe-start-date, #wbe-end-date")
+        .siblings(".wbe-clear-date")
+        .prop("disabled", enabled);
+
+      if (!enabled) {
+        $("#wbe-mode-range").trigger("change");
+        return;
+      }
+
+      $("#wbe-mode-range").val("replace");
+      $("#wbe-start-date, #wbe-end-date").prop("disabled", true);
+
+      if (days > 0) {
+        const end = new Date();
+        end.setDate(end.getDate() + days);
+        $("#wbe-start-date").datepicker("setDate", new Date());
+        $("#wbe-end-date").datepicker("setDate", end);
+      }
+    },
+
+    /**
+     * Nombre de jours de la fenêtre glissante (0 : dates fixes)
+     */
+    getRollingWindowDays: function () {
+      if (!$("#wbe-rolling-enabled").is(":checked")) {
+        return 0;
+      }
+
+      return parseInt($("#wbe-rolling-days").val(), 10) || 0;
+    },
+
+    /**
+     * Mode choisi pour chaque champ (add, replace, remove)
+     */
+    collectChangeModes: function () {
+      const modes = {};
+
+      $(".wbe-change-mode-select").each(function () {
+        modes[$(this).data("field")] = $(this).val();
+      });
+
+      return modes;
+    },
+
+    /**
+     * Libellé d'un mode pour le résumé
+     */
+    getChangeModeLabel: function (mode) {
+      const labels = {
+        add: "ajout",
+        replace: "remplacement",
+        remove: "retrait",
+      };
+      return labels[mode] || labels.add;
+    },
+
+    /**
+     * Preview changes (appel wbe_preview_changes)
+     */
+    previewChanges: function () {
+      const self = this;
+      const $previewBtn = $("#wbe-preview-btn");
+      const $container = $("#wbe-preview-container");
+
+      if (csvImport) {
+        this.showToast(
+          "Information",
+          "Pas de prévisualisation pour un import CSV : le rapport de validation du fichier en tient lieu.",
+          "info",
+        );
+        return;
+      }
+
+      if (this.selectedProducts.length === 0 && !this.matchingSelection) {
+        this.showToast("Erreur", "Aucun produit sélectionné.", "error");
+        return;
+      }
+
+      if (resetMode) {
+        this.showToast(
+          "Information",
+          "En mode réinitialisation, toutes les disponibilités des produits sélectionnés seront supprimées.",
+          "info",
+        );
+        return;
+      }
+
+      const ajaxData = $.extend(
+        {
+          action:
+            wbe_admin_data.ajax_actions?.preview_changes ||
+            "wbe_preview_changes",
+          nonce: wbe_admin_data.nonce,
+          ...this.getSelectionPayload(),
+          sample_size: 20,
+        },
+        shiftOperation ? { shift: shiftOperation } : this.collectChangesPayload(),
+      );
+
+      $previewBtn.prop("disabled", true);
+      $container
+        .html(
+          '<div class="wbe-loading"><span class="spinner is-active"></span> Génération de la prévisualisation...</div>',
+        )
+        .show();
+
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: ajaxData,
+        success: function (response) {
+          if (response.success && response.data) {
+            self.renderPreview(response.data);
+          } else {
+            const errorMsg =
+              response.error?.message ||
+              response.message ||
+              "Prévisualisation impossible";
+            $container.hide().empty();
+            self.showToast("Erreur", errorMsg, "error");
+          }
+        },
+        error: function (xhr) {
+          let errorMsg = "Erreur serveur";
+          if (xhr.responseJSON && xhr.responseJSON.error) {
+            errorMsg = xhr.responseJSON.error.message || errorMsg;
+          }
+          $container.hide().empty();
+          self.showToast("Erreur", errorMsg, "error");
+        },
+        complete: function () {
+          $previewBtn.prop("disabled", false);
+        },
+      });
+    },
+
+    /**
+     * Render before/after diff for each sampled product
+     */
+    renderPreview: function (preview) {
+      const self = this;
+      const $container = $("#wbe-preview-container");
+      const samples = preview.samples || [];
+      const summary = preview.summary || {};
+
+      if (samples.length === 0) {
+        $container.html(
+          '<div class="wbe-preview-empty">Aucune modification à prévisualiser : les données existantes seront conservées.</div>',
+        );
+        return;
+      }
+
+      let html = '<div class="wbe-preview-header">';
+      html += "<h3>Prévisualisation des modifications</h3>";
+      html += `<span class="wbe-preview-meta">${summary.sample_size} produit(s) sur ${summary.total_products} · ${summary.changed_count || 0} modifié(s)</span>`;
+      if (summary.total_conflicts > 0) {
+        html += `<span class="wbe-badge wbe-badge-error">${summary.total_conflicts} conflit(s)</span>`;
+      }
+      if (summary.total_warnings > 0) {
+        html += `<span class="wbe-badge wbe-badge-warning">${summary.total_warnings} avertissement(s)</span>`;
+      }
+      html += "</div>";
+
+      samples.forEach(function (sample) {
+        html += self.renderPreviewItem(sample);
+      });
+
+      if (summary.total_products > summary.sample_size) {
+        html += `<p class="wbe-preview-note">Seul un échantillon de ${summary.sample_size} produit(s) est affiché. Les mêmes règles seront appliquées aux ${summary.total_products} produits.</p>`;
+      }
+
+      $container.html(html).show();
+    },
+
+    /**
+     * Render a single product diff
+     */
+    renderPreviewItem: function (sample) {
+      const self = this;
+      const name = self.escapeHtml(sample.product_name || "#" + sample.product_id);
+
+      if (sample.error) {
+        return `<div class="wbe-preview-item has-error">
+            <div class="wbe-preview-item-header"><strong>${name}</strong>
+              <span class="wbe-badge wbe-badge-error">Erreur</span></div>
+            <p class="wbe-preview-message">${self.escapeHtml(sample.error)}</p>
+          </div>`;
+      }
+
+      const conflicts = sample.conflicts || [];
+      const errors = conflicts.filter((c) => c.type === "error");
+      const warnings = conflicts.filter((c) => c.type !== "error");
+      const before = sample.existing || {};
+      const after = sample.proposed || before;
+
+      let classes = "wbe-preview-item";
+      if (errors.length > 0) classes += " has-error";
+      else if (warnings.length > 0) classes += " has-warning";
+
+      let html = `<div class="${classes}">`;
+      html += `<div class="wbe-preview-item-header"><strong>${name}</strong> <span class="wbe-preview-id">#${sample.product_id}</span>`;
+      if (!sample.has_wootour) {
+        html += '<span class="wbe-badge">Sans WooTour</span>';
+      }
+      if (errors.length > 0) {
+        html += `<span class="wbe-badge wbe-badge-error">${errors.length} conflit(s)</span>`;
+      }
+      if (warnings.length > 0) {
+        html += `<span class="wbe-badge wbe-badge-warning">${warnings.length} avertissement(s)</span>`;
+      }
+      if (!sample.has_changes) {
+        html += '<span class="wbe-badge">Inchangé</span>';
+      }
+      html += "</div>";
+
+      conflicts.forEach(function (conflict) {
+        const type = conflict.type === "error" ? "error" : "warning";
+        html += `<p class="wbe-preview-message wbe-preview-${type}">${self.escapeHtml(conflict.message)}</p>`;
+      });
+
+      html += '<table class="wbe-preview-table"><thead><tr>';
+      html += "<th></th><th>Avant</th><th>Après</th></tr></thead><tbody>";
+      html += self.renderPreviewRow(
+        "Période",
+        self.formatRangeForPreview(before),
+        self.formatRangeForPreview(after),
+      );
+      html += self.renderPreviewRow(
+        "Jours",
+        self.formatWeekdaysForPreview(before.weekdays),
+        self.formatWeekdaysForPreview(after.weekdays),
+      );
+      html += self.renderPreviewDatesRow(
+        "Dates spécifiques",
+        before.specific_dates || [],
+        after.specific_dates || [],
+      );
+      html += self.renderPreviewDatesRow(
+        "Dates exclues",
+        before.exclusions || [],
+        after.exclusions || [],
+      );
+      html += "</tbody></table>";
+
+      if (sample.preview && sample.preview.success) {
+        html += `<p class="wbe-preview-note">30 prochains jours : ${sample.preview.existing_count} → ${sample.preview.new_count} date(s) réservable(s)`;
+        html += ` (<span class="wbe-diff-added">+${sample.preview.added.length}</span> / <span class="wbe-diff-removed">-${sample.preview.removed.length}</span>)</p>`;
+      }
+
+      html += "</div>";
+      return html;
+    },
+
+    /**
+     * Render a simple before/after row
+     */
+    renderPreviewRow: function (label, before, after) {
+      const changed = before !== after ? " is-changed" : "";
+      return `<tr class="wbe-preview-row${changed}"><th>${label}</th>
+          <td>${this.escapeHtml(before)}</td><td>${this.escapeHtml(after)}</td></tr>`;
+    },
+
+    /**
+     * Render a before/after row for date lists with added/removed markers
+     */
+    renderPreviewDatesRow: function (label, before, after) {
+      const self = this;
+      const added = after.filter((d) => before.indexOf(d) === -1);
+      const removed = before.filter((d) => after.indexOf(d) === -1);
+      const changed = added.length || removed.length ? " is-changed" : "";
+
+      const beforeHtml = before.length
+        ? before
+            .map(function (d) {
+              const cls = removed.indexOf(d) !== -1 ? "wbe-diff-removed" : "";
+              return `<span class="${cls}">${self.formatDateForDisplay(d)}</span>`;
+            })
+            .join(", ")
+        : "—";
+      const afterHtml = after.length
+        ? after
+            .map(function (d) {
+              const cls = added.indexOf(d) !== -1 ? "wbe-diff-added" : "";
+              return `<span class="${cls}">${self.formatDateForDisplay(d)}</span>`;
+            })
+            .join(", ")
+        : "—";
+
+      return `<tr class="wbe-preview-row${changed}"><th>${label}</th>
+          <td>${beforeHtml}</td><td>${afterHtml}</td></tr>`;
+    },
+
+    /**
+     * Format a start/end range for preview display
+     */
+    formatRangeForPreview: function (availability) {
+      const start = this.formatDateForDisplay(availability.start_date);
+      const end = this.formatDateForDisplay(availability.end_date);
+
+      if (start && end) return `${start} → ${end}`;
+      if (start) return `À partir du ${start}`;
+      if (end) return `Jusqu'au ${end}`;
+      return "—";
+    },
+
+    /**
+     * Translate weekday names returned by the server
+     */
+    formatWeekdaysForPreview: function (weekdays) {
+      const names = {
+        sunday: "Dimanche",
+        monday: "Lundi",
+        tuesday: "Mardi",
+        wednesday: "Mercredi",
+        thursday: "Jeudi",
+        friday: "Vendredi",
+        saturday: "Samedi",
+      };
+
+      if (!weekdays || weekdays.length === 0) return "—";
+
+      return weekdays
+        .map((day) => names[String(day).toLowerCase()] || day)
+        .join(", ");
+    },
+
+    /**
+     * Apply changes to products - MODIFIÉ pour gérer le mode reset
+     */
+    applyChanges: function () {
+      if (csvImport) {
+        this.applyCsvImport();
+        return;
+      }
+
+      if (this.selectedProducts.length === 0) {
+        this.showToast("Erreur", "Aucun produit sélectionné.", "error");
+        return;
+      }
+
+      if (
+        this.bookingConflicts &&
+        !$("#wbe-override-bookings").is(":checked")
+      ) {
+        this.showToast(
+          "Réservations existantes",
+          "Confirmez le retrait des dates réservées avant d'appliquer.",
+          "error",
+        );
+        $("#wbe-override-bookings").trigger("focus");
+        return;
+      }
+
+      if (resetMode) {
+        this.applyReset();
+        return;
+      }
+
+      if (shiftOperation) {
+        this.applyShift();
+        return;
+      }
+
+      if ($('input[name="wbe-apply-mode"]:checked').val() === "schedule") {
+        this.scheduleOperation();
+        return;
+      }
+
+      // MODE NORMAL : traitement par lots côté serveur, piloté lot par lot
+      const ajaxData = $.extend(
+        {
+          action:
+            wbe_admin_data.ajax_actions?.process_batch || "wbe_process_batch",
+          nonce: wbe_admin_data.nonce,
+        },
+        this.collectChangesPayload(),
+        // Tous les produits correspondants : le serveur résout les IDs lot par lot
+        this.getSelectionPayload(),
+      );
+
+      if (this.bookingConflicts) {
+        ajaxData.override_bookings = 1;
+      }
+
+      this.startBatchRun(
+        this.matchingSelection
+          ? this.matchingSelection.total
+          : this.selectedProducts.length,
+      );
+      this.sendBatchRequest(ajaxData);
+    },
+
+    /**
+     * Réinitialisation (requête unique wbe_reset_products)
+     */
+    applyReset: function () {
+      const self = this;
+      const ajaxData = {
+        action: "wbe_reset_products",
+        nonce: wbe_admin_data.nonce,
+        product_ids: this.selectedProducts,
+        fields: resetFields,
+      };
+
+      if (this.bookingConflicts) {
+        ajaxData.override_bookings = 1;
+      }
+
+      const $applyBtn = $("#wbe-apply-btn");
+      const $progressContainer = $("#wbe-progress-container");
+      const $progressFill = $("#wbe-progress-fill");
+      const $progressText = $("#wbe-progress-text");
+
+      $progressContainer.show();
+      $("#wbe-pause-process, #wbe-resume-process, #wbe-cancel-process").hide();
+      $applyBtn.prop("disabled", true);
+      $progressText.text("⏳ Réinitialisation en cours...");
+
+      const startTime = Date.now();
+      const updateTimer = setInterval(function () {
+        const elapsed = Math.floor((Date.now() - startTime) / 1000);
+        $progressText.text(`⏳ Réinitialisation en cours... (${elapsed}s)`);
+      }, 1000);
+
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: ajaxData,
+        success: function (response) {
+          clearInterval(updateTimer);
+          const elapsed = Math.floor((Date.now() - startTime) / 1000);
+
+          if (response.success) {
+            $progressFill.css("width", "100%");
+            $progressText.text(
+              `✅ Réinitialisation effectuée avec succès en ${elapsed}s`,
+            );
+
+            const results = response.data;
+            self.showToast(
+              "Succès",
+              `${results.success_count}/${results.total_products} produit(s) réinitialisé(s)`,
+              "success",
+            );
+
+            self.invalidateAvailabilityCache();
+
+            // ✅ Désactiver le mode reset après succès
+            resetMode = false;
+            self.formData.reset_all = false;
+
+            if (results.can_rollback) {
+              self.showRollbackAction(
+                results.operation_id,
+                results.success_count,
+              );
+            }
+
+            // ✅ Afficher les erreurs s'il y en a
+            if (results.failed_count > 0) {
+              self.showDetailedErrors(results.failed_details);
+            }
+          } else {
+            const errorMsg =
+              response.data?.message || response.message || "Erreur inconnue";
+            self.showToast("Erreur", errorMsg, "error");
+            $progressText.text(`❌ Échec: ${errorMsg}`);
+          }
+        },
+
+        error: function (xhr) {
+          clearInterval(updateTimer);
+
+          let errorMsg = "Erreur serveur";
+
+          if (xhr.responseJSON && xhr.responseJSON.error) {
+            errorMsg = xhr.responseJSON.error.message || errorMsg;
+          }
+
+          self.showToast("Erreur", errorMsg, "error");
+          $progressText.text("❌ " + errorMsg);
+        },
+
+        complete: function () {
+          clearInterval(updateTimer);
+          $applyBtn.prop("disabled", false);
+
+          setTimeout(function () {
+            $progressContainer.hide();
+            $progressFill.css("width", "0%");
+          }, 3000);
+        },
+      });
+    },
+
+    /**
+     * Setup des boutons pause / reprise / annulation du traitement
+     */
+    setupBatchControls: function () {
+      const self = this;
+
+      $("#wbe-pause-process").on("click", function () {
+        self.pauseBatchRun();
+      });
+
+      $("#wbe-resume-process").on("click", function () {
+        self.resumeBatchRun();
+      });
+
+      $("#wbe-cancel-process").on("click", function () {
+        self.cancelBatchRun();
+      });
+
+      this.attachBackgroundOperations();
+    },
+
+    /**
+     * Initialiser l'état et l'interface d'un traitement par lots
+     */
+    startBatchRun: function (total, operationId) {
+      clearTimeout(this.batchRun.pollTimer);
+
+      this.batchRun = {
+        operationId: operationId || "",
+        total: total,
+        running: true,
+        paused: false,
+        cancelled: false,
+        pollTimer: null,
+      };
+
+      $("#wbe-rollback-container, #wbe-date-changes").hide().empty();
+      $("#wbe-apply-btn").prop("disabled", true);
+      $("#wbe-progress-container").show();
+      $("#wbe-progress-fill").css("width", "0%");
+      $("#wbe-progress-percentage").text("0%");
+      $("#wbe-time-remaining").text("");
+      $("#wbe-progress-text").text(
+        `⏳ Traitement de ${total} produit(s) par lots de ${wbe_admin_data.batch_size}...`,
+      );
+      this.updateBatchButtons();
+    },
+
+    /**
+     * Envoyer la requête de lancement (le serveur traite le premier lot,
+     * puis les suivants en arrière-plan)
+     */
+    sendBatchRequest: function (ajaxData) {
+      const self = this;
+
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: ajaxData,
+        success: function (response) {
+          if (self.batchRun.cancelled) {
+            return;
+          }
+
+          if (response.success && response.data) {
+            self.handleBatchResponse(response.data);
+          } else if (!ajaxData.override_bookings && self.confirmBookedDatesRemoval(response)) {
+            ajaxData.override_bookings = 1;
+            self.sendBatchRequest(ajaxData);
+          } else {
+            self.interruptBatchRun(
+              response.error?.message || response.message || "Erreur inconnue",
+              response.can_resume,
+            );
+          }
+        },
+        error: function (xhr, status) {
+          if (self.batchRun.cancelled) {
+            return;
+          }
+
+          if (
+            !ajaxData.override_bookings &&
+            self.confirmBookedDatesRemoval(xhr.responseJSON)
+          ) {
+            ajaxData.override_bookings = 1;
+            self.sendBatchRequest(ajaxData);
+            return;
+          }
+
+          let errorMsg =
+            status === "timeout" ? "Délai serveur dépassé" : "Erreur serveur";
+          let canResume = true;
+
+          if (xhr.responseJSON && xhr.responseJSON.error) {
+            errorMsg = xhr.responseJSON.error.message || errorMsg;
+            canResume = xhr.responseJSON.can_resume !== false;
+          }
+
+          self.interruptBatchRun(errorMsg, canResume);
+        },
+      });
+    },
+
+    /**
+     * Le serveur refuse de retirer des dates réservées (import CSV, relance) :
+     * demander confirmation avant de renvoyer avec override_bookings
+     */
+    confirmBookedDatesRemoval: function (response) {
+      return (
+        !!response?.booked_dates &&
+        confirm(
+          `${response.error?.message || "Des dates réservées seraient retirées."}\n\nRetirer quand même ces dates réservées ?`,
+        )
+      );
+    },
+
+    /**
+     * Traiter la réponse du lancement : suivi en arrière-plan ou résultat final
+     */
+    handleBatchResponse: function (result) {
+      if (result.operation_id && !this.batchRun.operationId) {
+        this.batchRun.operationId = result.operation_id;
+      }
+
+      if (result.is_complete === false) {
+        this.updateBatchProgress(result.progress || {});
+        this.pollBatchRun();
+        return;
+      }
+
+      this.finishBatchRun(result);
+    },
+
+    /**
+     * Suivre la progression du traitement en arrière-plan (wbe_get_progress)
+     */
+    pollBatchRun: function () {
+      const self = this;
+      const run = this.batchRun;
+
+      clearTimeout(run.pollTimer);
+
+      run.pollTimer = setTimeout(function () {
+        $.ajax({
+          url: wbe_admin_data.ajax_url,
+          type: "POST",
+          data: {
+            action:
+              wbe_admin_data.ajax_actions?.get_progress || "wbe_get_progress",
+            nonce: wbe_admin_data.nonce,
+            operation_id: run.operationId,
+          },
+          success: function (response) {
+            // Annulé, mis en pause ou remplacé entre-temps
+            if (self.batchRun !== run || !run.running || run.paused) {
+              return;
+            }
+
+            const data = response.data;
+
+            if (!response.success || !data) {
+              self.interruptBatchRun(
+                response.error?.message || "Opération introuvable",
+                false,
+              );
+              return;
+            }
+
+            if (data.status === "completed") {
+              self.finishBatchRun(data.result);
+              return;
+            }
+
+            self.updateBatchProgress(data);
+
+            if (data.status === "interrupted") {
+              self.interruptBatchRun(
+                data.message || "Traitement interrompu",
+                data.can_resume,
+              );
+            } else if (data.status === "paused") {
+              self.showBatchPaused();
+            } else {
+              self.pollBatchRun();
+            }
+          },
+          error: function () {
+            // Erreur réseau passagère : le traitement continue sur le serveur
+            if (self.batchRun === run && run.running && !run.paused) {
+              self.pollBatchRun();
+            }
+          },
+        });
+      }, 2000);
+    },
+
+    /**
+     * Mettre à jour la barre de progression (données serveur)
+     */
+    updateBatchProgress: function (progress) {
+      const percentage = Math.round(progress.percentage || 0);
+      const done = (progress.processed || 0) + (progress.failed || 0);
+
+      this.batchRun.processed = progress.processed || 0;
+
+      $("#wbe-progress-fill").css("width", percentage + "%");
+      $("#wbe-progress-percentage").text(percentage + "%");
+      $("#wbe-time-remaining").text(
+        progress.estimated_remaining > 0
+          ? `≈ ${this.formatDuration(progress.estimated_remaining)} restant(es)`
+          : "",
+      );
+
+      let text = `⏳ Lot ${progress.current_batch || 1} — ${done}/${progress.total} produit(s) traité(s)`;
+      if (progress.failed > 0) {
+        text += ` (${progress.failed} échec(s))`;
+      }
+      $("#wbe-progress-text").text(text);
+    },
+
+    /**
+     * Fin du traitement : résultat, erreurs et proposition de rollback
+     */
+    finishBatchRun: function (result) {
+      const self = this;
+      const failed = Object.values(result.failed_details || {});
+      const successCount = result.success_count || 0;
+      const totalCount = result.total_products || this.batchRun.total;
+
+      this.batchRun.running = false;
+      this.invalidateAvailabilityCache();
+
+      $("#wbe-progress-fill").css("width", "100%");
+      $("#wbe-progress-percentage").text("100%");
+      $("#wbe-time-remaining").text("");
+      $("#wbe-progress-text").text(
+        `✅ Modifications appliquées en ${this.formatDuration(result.processing_time || 0)}`,
+      );
+      this.updateBatchButtons();
+      $("#wbe-apply-btn").prop("disabled", false);
+
+      this.showToast(
+        "Succès",
+        `${successCount}/${totalCount} produit(s) mis à jour`,
+        "success",
+      );
+
+      if (failed.length > 0) {
+        this.showDetailedErrors(failed);
+      }
+
+      if (result.date_changes) {
+        this.showDateChangesReport(result.date_changes);
+      }
+
+      if (result.can_rollback) {
+        this.showRollbackAction(result.operation_id, successCount);
+      }
+
+      if (this.historyLoaded) {
+        this.loadHistory();
+      }
+
+      setTimeout(function () {
+        if (!self.batchRun.running) {
+          $("#wbe-progress-container").hide();
+          $("#wbe-progress-fill").css("width", "0%");
+        }
+      }, 3000);
+    },
+
+    /**
+     * Interruption (erreur / délai) : l'état est conservé côté serveur
+     */
+    interruptBatchRun: function (errorMsg, canResume) {
+      clearTimeout(this.batchRun.pollTimer);
+
+      if (canResume && this.batchRun.operationId) {
+        this.batchRun.paused = true;
+        $("#wbe-progress-text").text(
+          `❌ ${errorMsg} — le traitement peut être repris.`,
+        );
+      } else {
+        this.batchRun.running = false;
+        $("#wbe-progress-text").text(`❌ Échec: ${errorMsg}`);
+        $("#wbe-apply-btn").prop("disabled", false);
+      }
+
+      this.showToast("Erreur", errorMsg, "error");
+      this.updateBatchButtons();
+    },
+
+    /**
+     * Afficher l'état "en pause"
+     */
+    showBatchPaused: function () {
+      clearTimeout(this.batchRun.pollTimer);
+      this.batchRun.paused = true;
+      $("#wbe-progress-text").text(
+        "⏸ Traitement en pause. Cliquez sur « Reprendre » pour continuer.",
+      );
+      this.updateBatchButtons();
+    },
+
+    /**
+     * Mettre en pause après le lot en cours (wbe_pause_operation)
+     */
+    pauseBatchRun: function () {
+      const self = this;
+
+      if (!this.batchRun.running || !this.batchRun.operationId) {
+        return;
+      }
+
+      $("#wbe-pause-process").prop("disabled", true);
+      $("#wbe-progress-text").text("⏸ Mise en pause après le lot en cours...");
+
+      $.ajax({
         url: wbe_admin_data.ajax_url,
         type: "POST",
         data: {
           action:
-            wbe_admin_data.ajax_actions?.validate_dates || "wbe_validate_dates",
+            wbe_admin_data.ajax_actions?.pause_operation ||
+            "wbe_pause_operation",
           nonce: wbe_admin_data.nonce,
-          start_date: formData.start_date,
-          end_date: formData.end_date,
-          weekdays: formData.weekdays,
-          specific: formData.specific,
-          exclusions: formData.exclusions,
+          operation_id: this.batchRun.operationId,
         },
         success: function (response) {
-          $button.html(originalText).prop("disabled", false);
-
-          if (response.success && response.data.valid) {
-            self.formData.start_date = formData.start_date;
-            self.formData.end_date = formData.end_date;
-            self.formData.weekdays = formData.weekdays;
-            self.formData.specific_dates = formData.specific;
-            self.formData.exclusions = formData.exclusions;
-
-            self.goToStep(3);
-            self.updateReviewSummary(formData);
-
+          if (response.success) {
+            self.showBatchPaused();
+          } else {
             self.showToast(
-              "Validation réussie",
-              "Configuration validée avec succès",
-              "success",
+              "Erreur",
+              response.error?.message || "Mise en pause impossible",
+              "error",
             );
-          } else {
-            const errors = response.data?.errors || ["Erreur de validation"];
-            self.showValidationErrors(errors);
           }
         },
-        error: function (xhr, status, error) {
-          $button.html(originalText).prop("disabled", false);
+        error: function (xhr) {
           self.showToast(
             "Erreur",
-            "La validation a échoué. Veuillez réessayer.",
+            xhr.responseJSON?.error?.message || "Mise en pause impossible",
             "error",
           );
         },
+        complete: function () {
+          $("#wbe-pause-process").prop("disabled", false);
+        },
       });
     },
 
     /**
-     * Collecter les données de l'étape 2
+     * Reprendre un traitement en pause ou interrompu (wbe_resume_operation)
      */
-    collectStep2Data: function () {
-      const formData = {
-        start_date: this.convertDateToYMD($("#wbe-start-date").val()) || "",
-        end_date: this.convertDateToYMD($("#wbe-end-date").val()) || "",
-        weekdays: [],
-        specific: specificDates,
-        exclusions: exclusionDates,
-      };
+    resumeBatchRun: function () {
+      const self = this;
 
-      $(".wbe-weekday-checkbox:checked").each(function () {
-        const dayName = $(this)
-          .attr("name")
-          .match(/\[(.*?)\]/)[1];
-        const dayMap = {
-          monday: 1,
-          tuesday: 2,
-          wednesday: 3,
-          thursday: 4,
-          friday: 5,
-          saturday: 6,
-          sunday: 0,
-        };
-        if (dayMap[dayName] !== undefined) {
-          formData.weekdays.push(dayMap[dayName]);
+      if (!this.batchRun.running || !this.batchRun.operationId) {
+        return;
+      }
+
+      $("#wbe-resume-process").prop("disabled", true);
+      $("#wbe-progress-text").text("⏳ Reprise du traitement...");
+
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: {
+          action:
+            wbe_admin_data.ajax_actions?.resume_operation ||
+            "wbe_resume_operation",
+          nonce: wbe_admin_data.nonce,
+          operation_id: this.batchRun.operationId,
+        },
+        success: function (response) {
+          if (response.success && response.data) {
+            self.batchRun.paused = false;
+            self.updateBatchButtons();
+            self.updateBatchProgress(response.data);
+            self.pollBatchRun();
+          } else {
+            self.interruptBatchRun(
+              response.error?.message || "Reprise impossible",
+              false,
+            );
+          }
+        },
+        error: function (xhr) {
+          self.interruptBatchRun(
+            xhr.responseJSON?.error?.message || "Reprise impossible",
+            false,
+          );
+        },
+        complete: function () {
+          $("#wbe-resume-process").prop("disabled", false);
+        },
+      });
+    },
+
+    /**
+     * Annuler le traitement (wbe_cancel_operation)
+     */
+    cancelBatchRun: function () {
+      const self = this;
+
+      if (
+        !confirm(
+          "Annuler le traitement ? Les produits déjà traités conservent leurs modifications.",
+        )
+      ) {
+        return;
+      }
+
+      const operationId = this.batchRun.operationId;
+      const processedCount = this.batchRun.processed || 0;
+      clearTimeout(this.batchRun.pollTimer);
+      this.batchRun.cancelled = true;
+      this.batchRun.running = false;
+
+      $("#wbe-progress-container").hide();
+      $("#wbe-apply-btn").prop("disabled", false);
+      this.updateBatchButtons();
+
+      if (!operationId) {
+        return;
+      }
+
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: {
+          action:
+            wbe_admin_data.ajax_actions?.cancel_operation ||
+            "wbe_cancel_operation",
+          nonce: wbe_admin_data.nonce,
+          operation_id: operationId,
+        },
+        success: function (response) {
+          self.showToast("Information", "Traitement annulé.", "warning");
+
+          if (response.data?.can_rollback) {
+            self.showRollbackAction(operationId, processedCount);
+          }
+        },
+      });
+    },
+
+    /**
+     * Afficher les boutons selon l'état du traitement
+     */
+    updateBatchButtons: function () {
+      const run = this.batchRun;
+
+      $("#wbe-pause-process").toggle(run.running && !run.paused);
+      $("#wbe-resume-process").toggle(run.running && run.paused);
+      $("#wbe-cancel-process").toggle(run.running);
+    },
+
+    /**
+     * Au chargement : reprendre le suivi des traitements en arrière-plan
+     * de l'utilisateur (l'onglet a pu être fermé pendant le traitement)
+     */
+    attachBackgroundOperations: function () {
+      const self = this;
+      const jobs = wbe_admin_data.background_operations || [];
+      const running = jobs.find(function (job) {
+        return job.status === "running";
+      });
+
+      if (running) {
+        this.switchTab("editor");
+        this.goToStep(3);
+        this.startBatchRun(running.progress.total, running.operation_id);
+        this.updateBatchProgress(running.progress);
+        this.pollBatchRun();
+        this.showToast(
+          "Information",
+          "Un traitement se poursuit en arrière-plan.",
+          "info",
+        );
+      }
+
+      jobs.forEach(function (job) {
+        if (job.status !== "running" && job.progress.can_resume) {
+          self.showResumeNotice(job);
         }
       });
-
-      return formData;
     },
 
     /**
-     * Validation côté client pour l'étape 2
+     * Bandeau de reprise d'une opération en pause ou interrompue
      */
-    validateStep2Client: function (formData) {
-      const errors = [];
-      const hasStartDate = !!formData.start_date;
-      const hasEndDate = !!formData.end_date;
+    showResumeNotice: function (job) {
+      const self = this;
+      const progress = job.progress;
+      const done = progress.processed + progress.failed;
+      const label =
+        job.status === "paused" ? "Opération en pause" : "Opération interrompue";
+      const $notice = $(`
+        <div class="notice notice-warning wbe-resume-notice">
+          <p>
+            <strong>${label} :</strong>
+            ${done}/${progress.total} produit(s) traité(s) (${Math.round(progress.percentage)}%).
+            <button type="button" class="button button-primary wbe-resume-operation">Reprendre</button>
+            <button type="button" class="button wbe-discard-operation">Abandonner</button>
+          </p>
+        </div>
+      `);
+
+      if (job.message) {
+        $notice.find("p").append($("<br>"), $("<em>").text(job.message));
+      }
 
-      if (hasStartDate && hasEndDate) {
-        const startTime = new Date(formData.start_date).getTime();
-        const endTime = new Date(formData.end_date).getTime();
+      $(".wbe-stats-bar").after($notice);
 
-        if (endTime < startTime) {
-          errors.push(
-            "La date de fin ne peut pas être antérieure à la date de début.",
+      $notice.find(".wbe-resume-operation").on("click", function () {
+        if (self.batchRun.running) {
+          self.showToast(
+            "Information",
+            "Un autre traitement est déjà suivi dans l'éditeur.",
+            "warning",
           );
+          return;
         }
-      }
 
-      if (formData.specific.length > 0 && formData.exclusions.length > 0) {
-        const conflicts = formData.specific.filter((date) =>
-          formData.exclusions.includes(date),
-        );
-        if (conflicts.length > 0) {
-          const conflictDatesFormatted = conflicts.map((date) =>
-            this.formatDateForDisplay(date),
-          );
-          errors.push(
-            `Les dates suivantes sont à la fois marquées comme disponibles et exclues : ${conflictDatesFormatted.join(", ")}`,
+        $notice.remove();
+        self.switchTab("editor");
+        self.goToStep(3);
+        self.startBatchRun(progress.total, progress.operation_id);
+        self.updateBatchProgress(progress);
+        self.batchRun.paused = true;
+        self.resumeBatchRun();
+      });
+
+      $notice.find(".wbe-discard-operation").on("click", function () {
+        if (self.batchRun.running) {
+          self.showToast(
+            "Information",
+            "Un autre traitement est déjà suivi dans l'éditeur.",
+            "warning",
           );
+          return;
         }
-      }
 
-      return errors;
+        $notice.remove();
+        self.batchRun.operationId = progress.operation_id;
+        self.batchRun.running = true;
+        self.cancelBatchRun();
+      });
     },
 
     /**
-     * Afficher les erreurs de validation
+     * Format a duration in seconds (ex: "2 min 05 s")
      */
-    showValidationErrors: function (errors) {
-      $('.wbe-step-content[data-step="2"] .notice').remove();
+    formatDuration: function (seconds) {
+      seconds = Math.max(0, Math.round(seconds));
 
-      if (errors.length === 0) return;
+      if (seconds < 60) {
+        return `${seconds} s`;
+      }
 
-      let errorHtml =
-        '<div class="notice notice-error is-dismissible" style="margin: 10px 0;">';
-      errorHtml +=
-        "<p><strong>Veuillez corriger les erreurs suivantes :</strong></p>";
-      errorHtml += '<ul style="margin-left: 20px;">';
+      const minutes = Math.floor(seconds / 60);
+      const rest = String(seconds % 60).padStart(2, "0");
+      return `${minutes} min ${rest} s`;
+    },
 
-      errors.forEach(function (error) {
-        errorHtml += "<li>" + WBE_Admin.escapeHtml(error) + "</li>";
-      });
+    /**
+     * Propose l'annulation de l'opération qui vient d'être appliquée
+     */
+    showRollbackAction: function (operationId, productCount) {
+      const self = this;
+      const $container = $("#wbe-rollback-container");
 
-      errorHtml += "</ul>";
-      errorHtml +=
-        '<button type="button" class="notice-dismiss"><span class="screen-reader-text">Fermer</span></button>';
-      errorHtml += "</div>";
+      if (!operationId) {
+        return;
+      }
 
-      $(errorHtml).prependTo('.wbe-step-content[data-step="2"] .wbe-card-body');
+      $container
+        .html(
+          `<div class="wbe-rollback-box">
+            <span class="dashicons dashicons-backup"></span>
+            <span>Opération <code>${self.escapeHtml(operationId)}</code> appliquée à ${productCount} produit(s). Les disponibilités précédentes ont été sauvegardées.</span>
+            <button type="button" class="button wbe-rollback-btn" data-operation-id="${self.escapeHtml(operationId)}">
+              Annuler cette opération
+            </button>
+          </div>`,
+        )
+        .show();
 
-      $("html, body").animate(
+      $container
+        .find(".wbe-rollback-btn")
+        .on("click", function () {
+          self.rollbackOperation($(this).data("operation-id"), $(this));
+        });
+    },
+
+    /**
+     * Restaurer les snapshots d'une opération (wbe_rollback_operation)
+     */
+    rollbackOperation: function (operationId, $button) {
+      if (
+        !confirm(
+          "Restaurer les disponibilités telles qu'elles étaient avant cette opération ?",
+        )
+      ) {
+        return;
+      }
+
+      this.sendRollbackRequest(
         {
-          scrollTop: $('.wbe-step-content[data-step="2"]').offset().top - 50,
+          action:
+            wbe_admin_data.ajax_actions?.rollback_operation ||
+            "wbe_rollback_operation",
+          nonce: wbe_admin_data.nonce,
+          operation_id: operationId,
         },
-        500,
+        $button,
       );
+    },
 
-      $(document).on("click", ".notice-dismiss", function () {
-        $(this).closest(".notice").remove();
+    /**
+     * Lancer (ou reprendre) la restauration, renvoyée avec
+     * override_later_operations si l'utilisateur confirme l'écrasement
+     */
+    sendRollbackRequest: function (ajaxData, $button) {
+      const self = this;
+
+      if ($button) {
+        $button.prop("disabled", true);
+      }
+
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: ajaxData,
+        success: function (response) {
+          if (response.success && response.data) {
+            self.handleRollbackResponse(response.data, $button);
+          } else if (
+            !ajaxData.override_later_operations &&
+            self.confirmLaterOperationsOverwrite(response)
+          ) {
+            ajaxData.override_later_operations = 1;
+            self.sendRollbackRequest(ajaxData, $button);
+          } else {
+            self.failRollback(
+              response.error?.message || response.message || "Erreur inconnue",
+              $button,
+            );
+          }
+        },
+        error: function (xhr) {
+          if (
+            !ajaxData.override_later_operations &&
+            self.confirmLaterOperationsOverwrite(xhr.responseJSON)
+          ) {
+            ajaxData.override_later_operations = 1;
+            self.sendRollbackRequest(ajaxData, $button);
+            return;
+          }
+
+          let errorMsg = "Erreur serveur";
+          if (xhr.responseJSON && xhr.responseJSON.error) {
+            errorMsg = xhr.responseJSON.error.message || errorMsg;
+          }
+          self.failRollback(errorMsg, $button);
+        },
       });
     },
 
     /**
-     * Go to specific step
+     * Des opérations plus récentes ont modifié les mêmes produits :
+     * demander confirmation avant de les écraser
      */
-    goToStep: function (step) {
-      if (step === 2 && resetMode && this.currentStep === 3) {
-        if (
-          confirm(
-            "Voulez-vous annuler la réinitialisation et revenir à l'édition normale ?",
-          )
-        ) {
-          resetMode = false;
-          this.formData.reset_all = false;
-          this.showToast(
-            "Information",
-            "Mode réinitialisation désactivé",
-            "info",
-          );
-        } else {
-          // L'utilisateur veut rester en mode reset
-          return;
-        }
+    confirmLaterOperationsOverwrite: function (response) {
+      return (
+        !!response?.later_operations &&
+        confirm(
+          `${response.error?.message || "Des opérations plus récentes ont modifié ces produits."}\n\nRestaurer quand même ?`,
+        )
+      );
+    },
+
+    /**
+     * Restauration terminée, ou poursuivie en arrière-plan par lots
+     */
+    handleRollbackResponse: function (result, $button) {
+      if (result.is_complete) {
+        this.finishRollback(result, $button);
+        return;
       }
 
-      $(".wbe-step-content").removeClass("active");
-      $(".wbe-step").removeClass("active");
+      this.showToast(
+        "Restauration en cours",
+        `${result.success_count + result.failed_count}/${result.total_products} produit(s) restauré(s), la suite continue en arrière-plan`,
+        "info",
+      );
+      this.pollRollback(result.operation_id, $button);
+    },
 
-      for (let i = 1; i < step; i++) {
-        $(`.wbe-step[data-step="${i}"]`).addClass("completed");
+    /**
+     * Suivre la restauration poursuivie en arrière-plan (wbe_get_rollback_progress)
+     */
+    pollRollback: function (operationId, $button) {
+      const self = this;
+
+      setTimeout(function () {
+        $.ajax({
+          url: wbe_admin_data.ajax_url,
+          type: "POST",
+          data: {
+            action:
+              wbe_admin_data.ajax_actions?.get_rollback_progress ||
+              "wbe_get_rollback_progress",
+            nonce: wbe_admin_data.nonce,
+            operation_id: operationId,
+          },
+          success: function (response) {
+            const data = response.data;
+
+            if (!response.success || !data) {
+              self.failRollback(
+                response.error?.message || "Restauration introuvable",
+                $button,
+              );
+            } else if (data.is_complete) {
+              self.finishRollback(data, $button);
+            } else if (data.status === "interrupted") {
+              self.failRollback(
+                `Restauration interrompue (${data.message || "erreur inconnue"}). Relancez-la pour restaurer les produits restants.`,
+                $button,
+              );
+            } else {
+              self.pollRollback(operationId, $button);
+            }
+          },
+          error: function (xhr) {
+            if (xhr.responseJSON && xhr.responseJSON.error) {
+              self.failRollback(xhr.responseJSON.error.message, $button);
+              return;
+            }
+
+            // Erreur réseau passagère : la restauration continue sur le serveur
+            self.pollRollback(operationId, $button);
+          },
+        });
+      }, 2000);
+    },
+
+    /**
+     * Fin de la restauration : résultat, erreurs, listes à recharger
+     */
+    finishRollback: function (results, $button) {
+      this.showToast(
+        "Opération annulée",
+        `${results.success_count}/${results.total_products} produit(s) restauré(s)`,
+        "success",
+      );
+
+      if (results.failed_count > 0) {
+        this.showDetailedErrors(results.failed_details);
       }
 
-      $(`.wbe-step-content[data-step="${step}"]`).addClass("active");
-      $(`.wbe-step[data-step="${step}"]`).addClass("active");
+      $("#wbe-rollback-container").hide().empty();
+      this.invalidateAvailabilityCache();
 
-      this.currentStep = step;
+      if (this.historyLoaded) {
+        this.loadHistory();
+      }
 
-      if (step === 3) {
-        if (resetMode) {
-          this.updateResetSummary();
-        } else {
-          this.updateReview();
-        }
+      if ($button) {
+        $button.prop("disabled", false);
       }
+    },
 
-      $("html, body").animate(
-        { scrollTop: $(".wbe-admin-wrap").offset().top - 50 },
-        300,
-      );
+    failRollback: function (message, $button) {
+      this.showToast("Erreur", message, "error");
+
+      if ($button) {
+        $button.prop("disabled", false);
+      }
     },
 
     /**
-     * Validate current step
+     * Setup onglet Historique (opérations côté serveur)
      */
-    validateStep: function (step) {
-      if (step === 1) {
-        if (this.selectedProducts.length === 0) {
-          this.showToast(
-            "Erreur",
-            "Veuillez sélectionner au moins un produit",
-            "error",
-          );
-          return false;
-        }
-      }
-      return true;
+    setupHistory: function () {
+      const self = this;
+      let searchTimer = null;
+
+      $(".wbe-tabs .nav-tab").on("click", function (e) {
+        e.preventDefault();
+        self.switchTab($(this).data("tab"));
+      });
+
+      $(".wbe-view-logs").on("click", function () {
+        self.switchTab("history");
+      });
+
+      $("#wbe-history-type, #wbe-history-status, #wbe-history-mine").on(
+        "change",
+        function () {
+          self.loadHistory();
+        },
+      );
+
+      $("#wbe-history-search").on("input", function () {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(function () {
+          self.loadHistory();
+        }, 400);
+      });
+
+      $("#wbe-history-refresh").on("click", function () {
+        self.loadHistory();
+      });
+
+      $("#wbe-history-list")
+        .on("click", ".wbe-history-details-btn", function () {
+          self.showOperationDetails($(this).data("operation-id"));
+        })
+        .on("click", ".wbe-history-rerun-btn", function () {
+          self.rerunOperation($(this).data("operation-id"), $(this));
+        })
+        .on("click", ".wbe-history-rollback-btn", function () {
+          self.rollbackOperation($(this).data("operation-id"), $(this));
+        });
     },
 
     /**
-     * Setup datepickers
+     * Switch between admin tabs
      */
-    setupDatepickers: function () {
-      if (!$.fn.datepicker) {
-        return;
+    switchTab: function (tab) {
+      $(".wbe-tabs .nav-tab").removeClass("nav-tab-active");
+      $(`.wbe-tabs .nav-tab[data-tab="${tab}"]`).addClass("nav-tab-active");
+      $(".wbe-tab-panel").removeClass("active");
+      $(`.wbe-tab-panel[data-tab="${tab}"]`).addClass("active");
+
+      if (tab === "history") {
+        this.loadHistory();
       }
 
-      $(".wbe-datepicker").datepicker({
-        dateFormat: wbe_admin_data.date_format_js || "dd/mm/yy",
-        changeMonth: true,
-        changeYear: true,
-        minDate: 0,
-      });
+      clearInterval(this.scheduledPoll);
+      this.scheduledPoll = null;
 
-      $(".wbe-clear-date").on("click", function () {
-        const targetId = $(this).data("target");
-        $("#" + targetId)
-          .val("")
-          .datepicker("setDate", null);
-      });
+      if (tab === "scheduled") {
+        this.loadScheduledOperations();
+        this.scheduledPoll = setInterval(
+          this.loadScheduledOperations.bind(this, true),
+          15000,
+        );
+      }
     },
 
     /**
-     * Setup product selection
+     * Load operation history (wbe_get_history)
      */
-    setupProductSelection: function () {
+    loadHistory: function () {
       const self = this;
 
-      $("#wbe-load-category").on("click", function () {
-        const categoryId = $("#wbe-category-select").val();
-        self.loadProducts(categoryId);
-      });
-
-      $("#wbe-search-btn").on("click", function () {
-        const searchTerm = $("#wbe-product-search").val();
-        self.searchProducts(searchTerm);
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: {
+          action: wbe_admin_data.ajax_actions?.get_history || "wbe_get_history",
+          nonce: wbe_admin_data.nonce,
+          type: $("#wbe-history-type").val(),
+          status: $("#wbe-history-status").val(),
+          search: $("#wbe-history-search").val(),
+          mine: $("#wbe-history-mine").is(":checked") ? "true" : "false",
+        },
+        success: function (response) {
+          if (response.success && response.data) {
+            self.historyLoaded = true;
+            self.renderHistory(response.data.operations || []);
+          } else {
+            self.showToast(
+              "Erreur",
+              response.error?.message || "Impossible de charger l'historique",
+              "error",
+            );
+          }
+        },
+        error: function () {
+          self.showToast(
+            "Erreur",
+            "Impossible de charger l'historique",
+            "error",
+          );
+        },
       });
+    },
 
-      $("#wbe-product-search").on("keypress", function (e) {
-        if (e.which === 13) {
-          e.preventDefault();
-          $("#wbe-search-btn").click();
-        }
-      });
+    /**
+     * Render history rows
+     */
+    renderHistory: function (operations) {
+      const self = this;
+      const $list = $("#wbe-history-list");
 
-      $("#wbe-select-all").on("click", function () {
-        $(".wbe-product-checkbox").prop("checked", true).trigger("change");
-      });
+      if (operations.length === 0) {
+        $list.html(
+          '<tr><td colspan="7">Aucune opération enregistrée.</td></tr>',
+        );
+        return;
+      }
 
-      $("#wbe-deselect-all").on("click", function () {
-        $(".wbe-product-checkbox").prop("checked", false).trigger("change");
-      });
+      const html = operations
+        .map(function (op) {
+          const opId = self.escapeHtml(op.operation_id);
+          let actions = `<button type="button" class="button button-small wbe-history-details-btn" data-operation-id="${opId}">Détails</button>`;
+
+          if (op.type === "batch" && op.status !== "running") {
+            actions += ` <button type="button" class="button button-small wbe-history-rerun-btn" data-operation-id="${opId}">Relancer</button>`;
+          }
+          if (op.can_rollback) {
+            actions += ` <button type="button" class="button button-small wbe-history-rollback-btn" data-operation-id="${opId}">Restaurer</button>`;
+          }
+
+          return `<tr>
+              <td>${self.escapeHtml(op.started_at || "")}</td>
+              <td>${self.escapeHtml(op.user_name || "#" + op.user_id)}</td>
+              <td>${self.getOperationTypeLabel(op.type)}</td>
+              <td>${op.product_count}</td>
+              <td>${op.success_count} / ${op.failed_count}</td>
+              <td><span class="wbe-badge wbe-status-${self.escapeHtml(op.status)}">${self.getOperationStatusLabel(op.status)}</span></td>
+              <td>${actions}</td>
+            </tr>`;
+        })
+        .join("");
+
+      $list.html(html);
     },
 
     /**
-     * Load products by category
+     * Drill-down: operation details + logs (wbe_get_operation_logs)
      */
-    loadProducts: function (categoryId) {
+    showOperationDetails: function (operationId) {
       const self = this;
-      const $list = $("#wbe-product-list");
-      const $loadBtn = $("#wbe-load-category");
-      $list.html(
-        '<div class="wbe-loading"><span class="spinner is-active"></span><span>' +
-          wbe_admin_data.i18n.loading +
-          "</span></div>",
-      );
-      $loadBtn.prop("disabled", true);
+      const $details = $("#wbe-history-details");
+
+      $details
+        .html(
+          '<div class="wbe-loading"><span class="spinner is-active"></span> Chargement...</div>',
+        )
+        .show();
 
       $.ajax({
         url: wbe_admin_data.ajax_url,
         type: "POST",
         data: {
-          action: "wbe_get_products",
+          action:
+            wbe_admin_data.ajax_actions?.get_operation_logs ||
+            "wbe_get_operation_logs",
           nonce: wbe_admin_data.nonce,
-          category_id: categoryId,
-          page: 1,
-          per_page: 50,
+          operation_id: operationId,
         },
         success: function (response) {
-          if (response.success && response.data) {
-            const products = response.data.products || [];
-
-            if (products.length === 0) {
-              $list.html(
-                '<p style="padding: 20px; text-align: center; color: #646970;">Aucun produit trouvé dans cette catégorie.</p>',
-              );
-            } else {
-              self.displayProducts(products);
-              self.showToast(
-                "Succès",
-                `${products.length} produit(s) chargé(s)`,
-                "success",
-              );
-            }
-          } else {
-            const errorMsg =
-              response.data?.message ||
-              "Erreur lors du chargement des produits";
-            self.showToast("Erreur", errorMsg, "error");
-            $list.html('<div class="wbe-error">' + errorMsg + "</div>");
+          if (!response.success || !response.data) {
+            $details.hide().empty();
+            self.showToast("Erreur", "Détails indisponibles", "error");
+            return;
           }
-        },
-        error: function (xhr, status, error) {
 
-          let errorMsg = "Erreur serveur lors du chargement des produits";
+          const op = response.data.operation || {};
+          const logs = response.data.logs || [];
+          const changes = op.changes || {};
 
-          if (xhr.responseJSON && xhr.responseJSON.data) {
-            errorMsg = xhr.responseJSON.data.message || errorMsg;
+          let html = `<div class="wbe-history-details-header">
+              <h3>Opération <code>${self.escapeHtml(operationId)}</code></h3>
+              <button type="button" class="button button-small wbe-history-details-close">Fermer</button>
+            </div>`;
+
+          html += '<div class="wbe-review-content">';
+          html += `<div class="wbe-review-section"><strong>Produits :</strong> ${(op.product_ids || []).join(", ") || "—"}</div>`;
+          if (changes.start_date || changes.end_date) {
+            html += `<div class="wbe-review-section"><strong>Période :</strong> ${self.formatRangeForPreview(changes)}</div>`;
+          }
+          if (changes.weekdays && changes.weekdays.length) {
+            const dayNames = [
+              "sunday",
+              "monday",
+              "tuesday",
+              "wednesday",
+              "thursday",
+              "friday",
+              "saturday",
+            ];
+            const days = changes.weekdays.map((d) => dayNames[d]);
+            html += `<div class="wbe-review-section"><strong>Jours :</strong> ${self.formatWeekdaysForPreview(days)}</div>`;
+          }
+          if (changes.specific && changes.specific.length) {
+            html += `<div class="wbe-review-section"><strong>Dates spécifiques :</strong> ${changes.specific.map((d) => self.formatDateForDisplay(d)).join(", ")}</div>`;
+          }
+          if (changes.exclusions && changes.exclusions.length) {
+            html += `<div class="wbe-review-section"><strong>Dates exclues :</strong> ${changes.exclusions.map((d) => self.formatDateForDisplay(d)).join(", ")}</div>`;
+          }
+          if (changes.source) {
+            html += `<div class="wbe-review-section"><strong>Copié depuis :</strong> ${self.escapeHtml(changes.source.name || "")} (#${parseInt(changes.source.product_id, 10)})</div>`;
+          }
+          if (changes.shift) {
+            const shiftLabels = self.getShiftFieldLabels();
+            html += `<div class="wbe-review-section"><strong>Décalage :</strong> ${self.getShiftLabel(changes.shift)} (${(changes.shift.fields || []).map((f) => shiftLabels[f]).join(", ")})</div>`;
+          }
+          (changes.rules || []).forEach(function (rule) {
+            const label =
+              rule.target === "exclusions" ? "Règle (exclusions)" : "Règle (dates spécifiques)";
+            html += `<div class="wbe-review-section"><strong>${label} :</strong> ${self.escapeHtml(rule.text)} — ${(rule.dates || []).length} date(s)</div>`;
+          });
+          if (changes.per_product) {
+            const perProduct = Object.keys(changes.per_product);
+            html += `<div class="wbe-review-section"><strong>Import CSV :</strong> ${perProduct.length} produit(s), dates propres à chaque produit</div>`;
+            perProduct.slice(0, 20).forEach(function (productId) {
+              const c = changes.per_product[productId] || {};
+              const parts = [];
+              if (c.start_date || c.end_date) {
+                parts.push(self.formatRangeForPreview(c));
+              }
+              if (c.weekdays && c.weekdays.length) {
+                parts.push(`${c.weekdays.length} jour(s)`);
+              }
+              if (c.specific && c.specific.length) {
+                parts.push(`${c.specific.length} date(s) spécifique(s)`);
+              }
+              if (c.exclusions && c.exclusions.length) {
+                parts.push(`${c.exclusions.length} exclusion(s)`);
+              }
+              html += `<div class="wbe-review-section">#${self.escapeHtml(productId)} : ${parts.join(", ") || "disponibilités effacées"}</div>`;
+            });
+          }
+          if (op.reset_fields && op.reset_fields.length) {
+            const labels = self.getResetFieldLabels();
+            html += `<div class="wbe-review-section"><strong>Champs réinitialisés :</strong> ${op.reset_fields.map((f) => labels[f] || self.escapeHtml(f)).join(", ")}</div>`;
           }
+          if (op.rolled_back_at) {
+            html += `<div class="wbe-review-section"><strong>Restaurée le :</strong> ${self.escapeHtml(op.rolled_back_at)}</div>`;
+          }
+          html += "</div>";
 
-          self.showToast("Erreur", errorMsg, "error");
-          $list.html('<div class="wbe-error">' + errorMsg + "</div>");
+          html += "<h4>Journal</h4>";
+          if (logs.length === 0) {
+            html += "<p>Aucune entrée de journal pour cette opération (les journaux sont conservés par mois).</p>";
+          } else {
+            html += '<table class="widefat striped"><tbody>';
+            logs.forEach(function (log) {
+              html += `<tr class="wbe-log-${self.escapeHtml(log.level)}">
+                  <td>${self.escapeHtml(log.timestamp)}</td>
+                  <td>${self.escapeHtml(log.level)}</td>
+                  <td>${self.escapeHtml(log.message)}</td>
+                </tr>`;
+            });
+            html += "</tbody></table>";
+          }
+
+          $details.html(html);
+          $details.find(".wbe-history-details-close").on("click", function () {
+            $details.hide().empty();
+          });
         },
-        complete: function () {
-          $loadBtn.prop("disabled", false);
+        error: function () {
+          $details.hide().empty();
+          self.showToast("Erreur", "Détails indisponibles", "error");
         },
       });
     },
 
     /**
-     * Search products
+     * Re-run a past operation (wbe_rerun_operation)
      */
-    searchProducts: function (searchTerm) {
+    rerunOperation: function (operationId, $button, overrideBookings) {
       const self = this;
-      const $list = $("#wbe-product-list");
-      const $searchBtn = $("#wbe-search-btn");
 
-      if (!searchTerm || searchTerm.trim().length < 2) {
-        self.showToast(
-          "Avertissement",
-          "Veuillez entrer au moins 2 caractères",
-          "warning",
-        );
+      if (
+        !overrideBookings &&
+        !confirm(
+          "Relancer cette opération avec les mêmes produits et les mêmes règles ?",
+        )
+      ) {
         return;
       }
 
-      $list.html(
-        '<div class="wbe-loading"><span class="spinner is-active"></span><span>' +
-          wbe_admin_data.i18n.loading +
-          "</span></div>",
-      );
-      $searchBtn.prop("disabled", true);
+      $button.prop("disabled", true);
 
       $.ajax({
         url: wbe_admin_data.ajax_url,
         type: "POST",
         data: {
-          action: "wbe_search_products",
+          action:
+            wbe_admin_data.ajax_actions?.rerun_operation ||
+            "wbe_rerun_operation",
           nonce: wbe_admin_data.nonce,
-          search: searchTerm.trim(),
-          limit: 50,
+          operation_id: operationId,
+          override_bookings: overrideBookings ? 1 : 0,
         },
         success: function (response) {
-          if (response.success && response.data) {
-            const products = response.data.products || [];
-
-            if (products.length === 0) {
-              $list.html(
-                '<p style="padding: 20px; text-align: center; color: #646970;">Aucun produit trouvé pour "' +
-                  self.escapeHtml(searchTerm) +
-                  '"</p>',
-              );
-            } else {
-              self.displayProducts(products);
-              self.showToast(
-                "Succès",
-                `${products.length} produit(s) trouvé(s)`,
-                "success",
-              );
-            }
+          if (!response.success && !overrideBookings && self.confirmBookedDatesRemoval(response)) {
+            self.rerunOperation(operationId, $button, true);
+          } else if (response.success && response.data?.is_complete === false) {
+            // Lots restants : suivi dans l'éditeur
+            self.switchTab("editor");
+            self.goToStep(3);
+            self.startBatchRun(response.data.progress?.total || 0);
+            self.handleBatchResponse(response.data);
+          } else if (response.success) {
+            self.showToast(
+              "Succès",
+              response.message || "Opération relancée",
+              "success",
+            );
+            self.loadHistory();
           } else {
-            const errorMsg =
-              response.data?.message || "Erreur lors de la recherche";
-            self.showToast("Erreur", errorMsg, "error");
-            $list.html('<div class="wbe-error">' + errorMsg + "</div>");
+            self.showToast(
+              "Erreur",
+              response.error?.message || "Erreur inconnue",
+              "error",
+            );
           }
         },
-        error: function (xhr, status, error) {
-
-          let errorMsg = "Erreur lors de la recherche";
-
-          if (xhr.responseJSON && xhr.responseJSON.data) {
-            errorMsg = xhr.responseJSON.data.message || errorMsg;
+        error: function (xhr) {
+          if (!overrideBookings && self.confirmBookedDatesRemoval(xhr.responseJSON)) {
+            self.rerunOperation(operationId, $button, true);
+            return;
           }
 
+          let errorMsg = "Erreur serveur";
+          if (xhr.responseJSON && xhr.responseJSON.error) {
+            errorMsg = xhr.responseJSON.error.message || errorMsg;
+          }
           self.showToast("Erreur", errorMsg, "error");
-          $list.html('<div class="wbe-error">' + errorMsg + "</div>");
         },
         complete: function () {
-          $searchBtn.prop("disabled", false);
+          $button.prop("disabled", false);
         },
       });
     },
 
     /**
-     * Display products in list
+     * Libellés des types d'opération
      */
-    displayProducts: function (products) {
-      const self = this;
-      const $list = $("#wbe-product-list");
-
-      $list.empty();
-
-      if (!products || products.length === 0) {
-        $list.html(
-          '<p style="padding: 20px; text-align: center; color: #646970;">Aucun produit trouvé.</p>',
-        );
-        return;
-      }
-
-      products.forEach(function (product) {
-        const $item = $('<div class="wbe-product-item"></div>');
-        const isChecked = self.selectedProducts.includes(product.id);
-
-        const productName = self.escapeHtml(product.name || "Sans nom");
-        const productSku = product.sku
-          ? "| SKU: " + self.escapeHtml(product.sku)
-          : "";
-
-        $item.html(`
-          <label style="display: flex; align-items: center; gap: 10px; cursor: pointer; flex: 1;">
-            <input type="checkbox" 
-                   class="wbe-product-checkbox" 
-                   value="${product.id}" 
-                   ${isChecked ? "checked" : ""}>
-            <div>
-              <div style="font-weight: 600;">${productName}</div>
-              <div style="font-size: 12px; color: #646970;">
-                ID: ${product.id} ${productSku}
-              </div>
-            </div>
-          </label>
-        `);
-
-        $list.append($item);
-      });
+    getOperationTypeLabel: function (type) {
+      const labels = {
+        batch: "Modification",
+        reset: "Réinitialisation",
+      };
+      return labels[type] || this.escapeHtml(type);
+    },
 
-      $(".wbe-product-checkbox").on("change", function () {
-        const productId = parseInt($(this).val());
-        if ($(this).is(":checked")) {
-          if (!self.selectedProducts.includes(productId)) {
-            self.selectedProducts.push(productId);
-          }
-        } else {
-          const index = self.selectedProducts.indexOf(productId);
-          if (index > -1) {
-            self.selectedProducts.splice(index, 1);
-          }
-        }
-        self.updateSelectedCount();
-      });
+    /**
+     * Libellés des statuts d'opération
+     */
+    getOperationStatusLabel: function (status) {
+      const labels = {
+        running: "En cours",
+        completed: "Terminée",
+        partial: "Partielle",
+        interrupted: "Interrompue",
+        cancelled: "Annulée",
+        rolled_back: "Restaurée",
+      };
+      return labels[status] || this.escapeHtml(status);
     },
 
     /**
-     * Setup form handlers
+     * Programmation (étape 3) et onglet Opérations programmées
      */
-    setupFormHandlers: function () {
+    setupSchedule: function () {
       const self = this;
+      const $applyBtn = $("#wbe-apply-btn");
 
-      $(".wbe-weekday-checkbox").on("change", function () {
-        self.formData.weekdays = $(".wbe-weekday-checkbox:checked")
-          .map(function () {
-            return $(this)
-              .attr("name")
-              .match(/\[(.*?)\]/)[1];
-          })
-          .get();
-      });
+      $applyBtn.data("apply-html", $applyBtn.html());
 
-      $("#wbe-preview-btn").on("click", function () {
-        self.previewChanges();
+      $('input[name="wbe-apply-mode"]').on("change", function () {
+        self.setApplyMode($(this).val());
       });
 
-      $("#wbe-apply-btn").on("click", function () {
-        if (confirm(wbe_admin_data.i18n.confirmApply)) {
-          self.applyChanges();
-        }
+      $("#wbe-scheduled-refresh").on("click", function () {
+        self.loadScheduledOperations();
       });
-    },
-
-    /**
-     * Update review summary
-     */
-    updateReviewSummary: function (formData) {
-      const $summary = $("#wbe-review-summary");
-      let html = '<div class="wbe-review-content">';
-
-      html += `<div class="wbe-review-section"><strong>Produits sélectionnés :</strong> ${this.selectedProducts.length}</div>`;
-
-      const hasRules =
-        formData.start_date ||
-        formData.end_date ||
-        formData.weekdays.length > 0 ||
-        formData.specific.length > 0 ||
-        formData.exclusions.length > 0;
 
-      if (!hasRules) {
-        html +=
-          '<div class="wbe-review-section" style="padding: 15px; background: #fff3cd; border-left: 4px solid #ffc107; margin: 10px 0;">';
-        html += "<strong>⚠️ Aucune règle de disponibilité définie</strong><br>";
-        html +=
-          '<span style="font-size: 13px; color: #856404;">Les informations existantes des produits seront conservées.</span>';
-        html += "</div>";
-      } else {
-        if (formData.start_date || formData.end_date) {
-          if (formData.start_date && formData.end_date) {
-            const startFr = this.formatDateForDisplay(formData.start_date);
-            const endFr = this.formatDateForDisplay(formData.end_date);
-            html += `<div class="wbe-review-section"><strong>Période :</strong> ${startFr} au ${endFr}</div>`;
-          } else if (formData.start_date) {
-            const startFr = this.formatDateForDisplay(formData.start_date);
-            html += `<div class="wbe-review-section"><strong>Période :</strong> À partir du ${startFr}</div>`;
-          } else {
-            const endFr = this.formatDateForDisplay(formData.end_date);
-            html += `<div class="wbe-review-section"><strong>Période :</strong> Jusqu'au ${endFr}</div>`;
+      $("#wbe-scheduled-list")
+        .on("click", ".wbe-scheduled-edit-btn", function () {
+          self.openScheduleEditDialog($(this).data("schedule-id"));
+        })
+        .on("click", ".wbe-scheduled-run-btn", function () {
+          if (confirm("Exécuter cette opération maintenant ?")) {
+            self.updateScheduledOperation("run_scheduled_operation", {
+              schedule_id: $(this).data("schedule-id"),
+            });
           }
-        }
-
-        if (formData.weekdays.length > 0) {
-          const dayNames = [
-            "Dimanche",
-            "Lundi",
-            "Mardi",
-            "Mercredi",
-            "Jeudi",
-            "Vendredi",
-            "Samedi",
-          ];
-          const selectedDays = formData.weekdays.map(function (dayIndex) {
-            return dayNames[dayIndex];
-          });
-          html += `<div class="wbe-review-section"><strong>Jours disponibles :</strong> ${selectedDays.join(", ")}</div>`;
-        }
-
-        if (formData.specific.length > 0) {
-          const formattedDates = formData.specific.map((date) =>
-            this.formatDateForDisplay(date),
-          );
-          html += `<div class="wbe-review-section"><strong>Dates spécifiques (${formData.specific.length}) :</strong><br>${formattedDates.join(", ")}</div>`;
-        }
-
-        if (formData.exclusions.length > 0) {
-          const formattedDates = formData.exclusions.map((date) =>
-            this.formatDateForDisplay(date),
-          );
-          html += `<div class="wbe-review-section"><strong>Dates exclues (${formData.exclusions.length}) :</strong><br>${formattedDates.join(", ")}</div>`;
-        }
-      }
-
-      html += "</div>";
-      $summary.html(html);
+        })
+        .on("click", ".wbe-scheduled-cancel-btn", function () {
+          if (confirm("Annuler cette opération programmée ?")) {
+            self.updateScheduledOperation("cancel_scheduled_operation", {
+              schedule_id: $(this).data("schedule-id"),
+            });
+          }
+        });
     },
 
     /**
-     * Update review
+     * Appliquer maintenant ou programmer (bouton et champs de l'étape 3)
      */
-    updateReview: function () {
-      const formData = {
-        start_date: this.formData.start_date,
-        end_date: this.formData.end_date,
-        weekdays: this.formData.weekdays,
-        specific: this.formData.specific_dates,
-        exclusions: this.formData.exclusions,
-      };
+    setApplyMode: function (mode) {
+      const schedule = mode === "schedule";
+      const $applyBtn = $("#wbe-apply-btn");
 
-      this.updateReviewSummary(formData);
-    },
+      $(`input[name="wbe-apply-mode"][value="${mode}"]`).prop("checked", true);
+      $("#wbe-schedule-at, #wbe-schedule-label").prop("disabled", !schedule);
 
-    /**
-     * Preview changes
-     */
-    previewChanges: function () {
-      this.showToast(
-        "Information",
-        "Fonction de prévisualisation à venir...",
-        "info",
+      $applyBtn.html(
+        schedule
+          ? '<span class="dashicons dashicons-clock"></span> Programmer l\'opération'
+          : $applyBtn.data("apply-html"),
       );
+
+      if (schedule && !$("#wbe-schedule-at").val()) {
+        // Par défaut : demain à la même heure
+        const tomorrow = new Date(Date.now() + 86400000);
+        const pad = (n) => String(n).padStart(2, "0");
+        $("#wbe-schedule-at").val(
+          `${tomorrow.getFullYear()}-${pad(tomorrow.getMonth() + 1)}-${pad(tomorrow.getDate())}T${pad(tomorrow.getHours())}:${pad(tomorrow.getMinutes())}`,
+        );
+      }
     },
 
     /**
-     * Apply changes to products - MODIFIÉ pour gérer le mode reset
+     * Enregistrer les modifications de l'étape 2 pour une exécution par WP-Cron
      */
-    applyChanges: function () {
+    scheduleOperation: function () {
       const self = this;
-      let ajaxData = {
-        nonce: wbe_admin_data.nonce,
-        product_ids: this.selectedProducts,
-        debug: true,
-        timestamp: Date.now(),
-      };
-      if (this.selectedProducts.length === 0) {
-        this.showToast("Erreur", "Aucun produit sélectionné.", "error");
-        return;
-      }
-
+      const runAt = $("#wbe-schedule-at").val();
       const $applyBtn = $("#wbe-apply-btn");
-      const $progressContainer = $("#wbe-progress-container");
-      const $progressFill = $("#wbe-progress-fill");
-      const $progressText = $("#wbe-progress-text");
-
-      $progressContainer.show();
-      $applyBtn.prop("disabled", true);
 
-      // Texte selon le mode
-      if (resetMode) {
-        $progressText.text("⏳ Réinitialisation en cours...");
-      } else {
-        $progressText.text("⏳ Application des modifications en cours...");
+      if (!runAt) {
+        this.showToast("Erreur", "Choisissez la date et l'heure d'exécution.", "error");
+        $("#wbe-schedule-at").trigger("focus");
+        return;
       }
 
-      const startTime = Date.now();
-      const updateTimer = setInterval(function () {
-        const elapsed = Math.floor((Date.now() - startTime) / 1000);
-        if (resetMode) {
-          $progressText.text(`⏳ Réinitialisation en cours... (${elapsed}s)`);
-        } else {
-          $progressText.text(`⏳ Application en cours... (${elapsed}s)`);
-        }
-      }, 1000);
-      if (resetMode) {
+      const ajaxData = $.extend(
+        {
+          action:
+            wbe_admin_data.ajax_actions?.schedule_operation ||
+            "wbe_schedule_operation",
+          nonce: wbe_admin_data.nonce,
+          run_at: runAt,
+          label: $("#wbe-schedule-label").val(),
+        },
+        this.collectChangesPayload(),
+        this.getSelectionPayload(),
+      );
 
-        ajaxData.action = "wbe_reset_products"; 
+      if (this.bookingConflicts) {
+        ajaxData.override_bookings = 1;
       }
-      // MODE NORMAL : Action batch standard
-      else {
-
-        ajaxData.action =
-          wbe_admin_data.ajax_actions?.process_batch || "wbe_process_batch";
 
-        // Collecter les données du formulaire
-        const weekdaysObj = {};
-        $(".wbe-weekday-checkbox:checked").each(function () {
-          const dayName = $(this)
-            .attr("name")
-            .match(/\[(.*?)\]/)[1];
-          weekdaysObj[dayName] = "on";
-        });
+      $applyBtn.prop("disabled", true);
 
-        ajaxData.start_date = this.formData.start_date;
-        ajaxData.end_date = this.formData.end_date;
-        ajaxData.weekdays = weekdaysObj;
-        ajaxData.specific = specificDates;
-        ajaxData.exclusions = exclusionDates;
-      }
       $.ajax({
         url: wbe_admin_data.ajax_url,
         type: "POST",
         data: ajaxData,
         success: function (response) {
-          clearInterval(updateTimer);
-          const elapsed = Math.floor((Date.now() - startTime) / 1000);
+          $applyBtn.prop("disabled", false);
 
           if (response.success) {
-            $progressFill.css("width", "100%");
-
-            // ✅ MESSAGE SELON LE MODE
-            if (resetMode) {
-              $progressText.text(
-                `✅ Réinitialisation effectuée avec succès en ${elapsed}s`,
-              );
-
-              const results = response.data;
-              self.showToast(
-                "Succès",
-                `${results.success_count}/${results.total_products} produit(s) réinitialisé(s)`,
-                "success",
-              );
-
-              // ✅ Désactiver le mode reset après succès
-              resetMode = false;
-              self.formData.reset_all = false;
-
-              // ✅ Afficher les erreurs s'il y en a
-              if (results.failed_count > 0) {
-                self.showDetailedErrors(results.failed_details);
-              }
-            } else {
-              $progressText.text(
-                `✅ Modifications appliquées avec succès en ${elapsed}s`,
-              );
-
-              const results = response.data?.results || response.data;
-              const successCount = results.success
-                ? results.success.length
-                : results.success_count || 0;
-              const totalCount = results.total || self.selectedProducts.length;
-
-              self.showToast(
-                "Succès",
-                `${successCount}/${totalCount} produit(s) mis à jour`,
-                "success",
-              );
-
-              if (results.failed && results.failed.length > 0) {
-                self.showDetailedErrors(results.failed);
-              }
-            }
+            self.showToast("Opération programmée", response.message, "success");
+            $("#wbe-schedule-label").val("");
+            self.setApplyMode("now");
+            self.switchTab("scheduled");
           } else {
-            const errorMsg =
-              response.data?.message || response.message || "Erreur inconnue";
-            self.showToast("Erreur", errorMsg, "error");
-            $progressText.text(`❌ Échec: ${errorMsg}`);
+            self.showToast(
+              "Erreur",
+              response.error?.message || "Programmation impossible",
+              "error",
+            );
           }
         },
+        error: function (xhr) {
+          $applyBtn.prop("disabled", false);
+          self.showToast(
+            "Erreur",
+            xhr.responseJSON?.error?.message || "Programmation impossible",
+            "error",
+          );
+        },
+      });
+    },
 
-        error: function (xhr, status, error) {
-          clearInterval(updateTimer);
+    /**
+     * Charger les opérations programmées (wbe_get_scheduled_operations)
+     *
+     * @param {boolean} poll Actualisation automatique : seulement si une opération est en attente
+     */
+    loadScheduledOperations: function (poll) {
+      const self = this;
 
-          let errorMsg = "Erreur serveur";
+      if (
+        poll &&
+        !this.scheduledOperations.some((op) =>
+          ["scheduled", "running"].includes(op.status),
+        )
+      ) {
+        return;
+      }
 
-          if (xhr.responseJSON && xhr.responseJSON.error) {
-            errorMsg = xhr.responseJSON.error.message || errorMsg;
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: {
+          action:
+            wbe_admin_data.ajax_actions?.get_scheduled_operations ||
+            "wbe_get_scheduled_operations",
+          nonce: wbe_admin_data.nonce,
+        },
+        success: function (response) {
+          if (response.success && response.data) {
+            self.renderScheduledOperations(response.data.operations || []);
+          } else if (!poll) {
+            self.showToast(
+              "Erreur",
+              response.error?.message || "Impossible de charger les opérations programmées",
+              "error",
+            );
           }
-
-          self.showToast("Erreur", errorMsg, "error");
-          $progressText.text("❌ " + errorMsg);
         },
-
-        complete: function () {
-          clearInterval(updateTimer);
-          $applyBtn.prop("disabled", false);
-
-          setTimeout(function () {
-            $progressContainer.hide();
-            $progressFill.css("width", "0%");
-          }, 3000);
+        error: function () {
+          if (!poll) {
+            self.showToast(
+              "Erreur",
+              "Impossible de charger les opérations programmées",
+              "error",
+            );
+          }
         },
       });
     },
 
-    handleResetAll: function () {
+    /**
+     * Tableau des opérations programmées
+     */
+    renderScheduledOperations: function (operations) {
       const self = this;
-      // Vérifier qu'il y a des produits sélectionnés
-      if (self.selectedProducts.length === 0) {
-        self.showToast(
-          "Erreur",
-          "Veuillez d'abord sélectionner des produits à l'étape 1",
-          "error",
+      const $list = $("#wbe-scheduled-list");
+
+      this.scheduledOperations = operations;
+
+      if (operations.length === 0) {
+        $list.html(
+          '<tr><td colspan="6">Aucune opération programmée.</td></tr>',
         );
         return;
       }
 
-      // ✅ Message de confirmation plus clair
-      const confirmMessage = `⚠️ ATTENTION - ACTION IRRÉVERSIBLE ⚠️
-
-Vous êtes sur le point de SUPPRIMER TOUTES les configurations de disponibilité de ${self.selectedProducts.length} produit(s).
+      const html = operations
+        .map(function (op) {
+          const id = self.escapeHtml(op.id);
+          const progress = op.progress || {};
+          let status = `<span class="wbe-badge wbe-status-${self.escapeHtml(op.status)}">${self.getScheduleStatusLabel(op.status)}</span>`;
+          let actions = "";
 
-Cela va effacer :
-✓ Les plages de dates (début et fin)
-✓ Les jours de la semaine disponibles
-✓ Les dates spécifiques
-✓ Les dates d'exclusion
+          if (op.status === "running" && progress.total) {
+            status += ` <span class="description">${Math.round(progress.percentage)} % (${progress.processed + progress.failed}/${progress.total})</span>`;
+          }
+          if (op.message) {
+            status += `<br><span class="description">${self.escapeHtml(op.message)}</span>`;
+          }
 
-Cette action est IRRÉVERSIBLE.
+          if (op.editable) {
+            actions += `<button type="button" class="button button-small wbe-scheduled-edit-btn" data-schedule-id="${id}">Modifier</button>
+              <button type="button" class="button button-small wbe-scheduled-run-btn" data-schedule-id="${id}">Exécuter maintenant</button> `;
+          }
+          if (["scheduled", "running"].includes(op.status)) {
+            actions += `<button type="button" class="button button-small wbe-scheduled-cancel-btn" data-schedule-id="${id}">Annuler</button>`;
+          }
 
-Voulez-vous vraiment continuer ?`;
+          return `<tr>
+              <td>${self.escapeHtml(op.run_at_display)}</td>
+              <td>${self.escapeHtml(op.label)}${Array.isArray(op.selection_query) ? "" : ' <span class="description">(produits correspondants)</span>'}</td>
+              <td>${op.product_count}</td>
+              <td>${self.escapeHtml(op.author || "#" + op.created_by)}</td>
+              <td>${status}</td>
+              <td>${actions}</td>
+            </tr>`;
+        })
+        .join("");
+
+      $list.html(html);
+    },
 
-      if (!confirm(confirmMessage)) {
-        return;
-      }
+    getScheduleStatusLabel: function (status) {
+      const labels = {
+        scheduled: "Programmée",
+        failed: "Échouée",
+      };
+      return labels[status] || this.getOperationStatusLabel(status);
+    },
 
-      // Deuxième confirmation (sécurité supplémentaire)
-      const doubleConfirm = confirm(
-        `Dernière confirmation :\n\nEffacer TOUTES les dates de ${self.selectedProducts.length} produit(s) ?\n\nCliquez OK pour confirmer.`,
+    /**
+     * Modifier la date ou le libellé d'une opération programmée
+     */
+    openScheduleEditDialog: function (scheduleId) {
+      const self = this;
+      const operation = this.scheduledOperations.find(
+        (op) => op.id === scheduleId,
       );
 
-      if (!doubleConfirm) {
+      if (!operation) {
         return;
       }
 
-      // Activer le mode reset
-      resetMode = true;
-      self.formData.reset_all = true;
+      const $dialog = $(`
+        <div class="wbe-modal-overlay">
+          <div class="wbe-modal" role="dialog" aria-modal="true" aria-labelledby="wbe-schedule-edit-title">
+            <h2 id="wbe-schedule-edit-title">Modifier l'opération programmée</h2>
+            <p>
+              <label for="wbe-schedule-edit-at">Date et heure (heure du site)</label><br>
+              <input type="datetime-local" id="wbe-schedule-edit-at">
+            </p>
+            <p>
+              <label for="wbe-schedule-edit-label">Libellé</label><br>
+              <input type="text" id="wbe-schedule-edit-label" class="regular-text" maxlength="100">
+            </p>
+            <div class="wbe-modal-actions">
+              <button type="button" class="button wbe-modal-cancel">Annuler</button>
+              <button type="button" class="button button-primary wbe-modal-confirm">Enregistrer</button>
+            </div>
+          </div>
+        </div>
+      `);
 
-      // Effacer tous les champs de l'interface (visuel uniquement)
-      self.clearAllFormFields();
+      const close = function () {
+        $dialog.remove();
+        $(document).off("keydown.wbeScheduleEdit");
+      };
 
-      // Passer directement à l'étape 3 pour révision
-      self.goToStep(3);
+      $dialog.find("#wbe-schedule-edit-at").val(operation.run_at_input);
+      $dialog.find("#wbe-schedule-edit-label").val(operation.label);
 
-      // Mettre à jour le résumé avec l'indication de reset
-      self.updateResetSummary();
+      $("body").append($dialog);
+      $dialog.find("#wbe-schedule-edit-at").trigger("focus");
 
-      self.showToast(
-        "Mode Réinitialisation Activé",
-        `${self.selectedProducts.length} produit(s) seront réinitialisés lors de l'application`,
-        "warning",
-      );
+      $dialog.on("click", function (e) {
+        if (e.target === this) {
+          close();
+        }
+      });
+      $dialog.find(".wbe-modal-cancel").on("click", close);
+      $(document).on("keydown.wbeScheduleEdit", function (e) {
+        if (e.key === "Escape") {
+          close();
+        }
+      });
+
+      $dialog.find(".wbe-modal-confirm").on("click", function () {
+        self.updateScheduledOperation(
+          "update_scheduled_operation",
+          {
+            schedule_id: scheduleId,
+            run_at: $dialog.find("#wbe-schedule-edit-at").val(),
+            label: $dialog.find("#wbe-schedule-edit-label").val(),
+          },
+          close,
+        );
+      });
+    },
+
+    /**
+     * Modifier / annuler / exécuter une opération programmée, puis actualiser la liste
+     */
+    updateScheduledOperation: function (actionKey, data, onSuccess) {
+      const self = this;
+
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: $.extend(
+          {
+            action:
+              wbe_admin_data.ajax_actions?.[actionKey] || "wbe_" + actionKey,
+            nonce: wbe_admin_data.nonce,
+          },
+          data,
+        ),
+        success: function (response) {
+          if (response.success) {
+            if (onSuccess) {
+              onSuccess();
+            }
+            self.loadScheduledOperations();
+          } else {
+            self.showToast(
+              "Erreur",
+              response.error?.message || "Action impossible",
+              "error",
+            );
+          }
+        },
+        error: function (xhr) {
+          self.showToast(
+            "Erreur",
+            xhr.responseJSON?.error?.message || "Action impossible",
+            "error",
+          );
+        },
+      });
     },
+
     /**
      * Show detailed errors for failed products
      */
@@ -1309,6 +7130,129 @@ Voulez-vous vraiment continuer ?`;
       );
     },
 
+    /**
+     * Rapport des dates devenues réservables / retirées, par produit
+     */
+    showDateChangesReport: function (products) {
+      const self = this;
+      const changed = products.filter((p) => p.added.length || p.removed.length);
+      const $container = $("#wbe-date-changes");
+
+      if (products.length === 0) {
+        $container.hide().empty();
+        return;
+      }
+
+      const added = changed.reduce((sum, p) => sum + p.added.length, 0);
+      const removed = changed.reduce((sum, p) => sum + p.removed.length, 0);
+
+      const dateList = function (dates, className, sign) {
+        return self
+          .groupDateRuns(dates)
+          .map((run) => {
+            const label =
+              run[0] === run[1]
+                ? self.formatDateForDisplay(run[0])
+                : `${self.formatDateForDisplay(run[0])} → ${self.formatDateForDisplay(run[1])}`;
+            return `<li class="${className}">${sign} ${label}</li>`;
+          })
+          .join("");
+      };
+
+      let html = `
+        <div class="wbe-date-changes-header">
+          <h4>Dates modifiées</h4>
+          <button type="button" class="button button-small wbe-date-changes-download">
+            <span class="dashicons dashicons-download" style="margin-top: 3px;"></span>
+            Télécharger (.csv)
+          </button>
+        </div>
+        <p>
+          <strong>${changed.length}</strong> produit(s) avec des dates modifiées :
+          <span class="wbe-date-added">+${added} date(s) réservable(s)</span>,
+          <span class="wbe-date-removed">−${removed} date(s) retirée(s)</span>.
+          ${products.length - changed.length} produit(s) sans changement de dates.
+        </p>`;
+
+      changed.forEach(function (product) {
+        html += `
+          <details class="wbe-date-changes-product">
+            <summary>
+              ${self.escapeHtml(product.product_name || "Sans nom")} <span class="description">(#${product.product_id})</span>
+              — <span class="wbe-date-added">+${product.added.length}</span>
+              / <span class="wbe-date-removed">−${product.removed.length}</span>
+            </summary>
+            <p class="description">Dates comparées du ${self.formatDateForDisplay(product.from)} au ${self.formatDateForDisplay(product.to)}</p>
+            <ul>
+              ${dateList(product.added, "wbe-date-added", "+")}
+              ${dateList(product.removed, "wbe-date-removed", "−")}
+            </ul>
+          </details>`;
+      });
+
+      $container.html(html).show();
+      $container.find(".wbe-date-changes-download").on("click", function () {
+        self.downloadDateChanges(products);
+      });
+    },
+
+    /**
+     * Regrouper des dates Y-m-d triées en plages consécutives [début, fin]
+     */
+    groupDateRuns: function (dates) {
+      const runs = [];
+      const dayAfter = function (date) {
+        const next = new Date(date + "T00:00:00Z");
+        next.setUTCDate(next.getUTCDate() + 1);
+        return next.toISOString().slice(0, 10);
+      };
+
+      dates
+        .slice()
+        .sort()
+        .forEach(function (date) {
+          const last = runs[runs.length - 1];
+
+          if (last && dayAfter(last[1]) === date) {
+            last[1] = date;
+          } else {
+            runs.push([date, date]);
+          }
+        });
+
+      return runs;
+    },
+
+    /**
+     * Export CSV du rapport : une ligne par date ajoutée ou retirée
+     */
+    downloadDateChanges: function (products) {
+      const cell = (value) => `"${String(value).replace(/"/g, '""')}"`;
+      let content = "\uFEFFproduit;nom;changement;date\r\n";
+
+      products.forEach((product) => {
+        [
+          ["ajoutée", product.added],
+          ["retirée", product.removed],
+        ].forEach(([change, dates]) => {
+          dates.forEach((date) => {
+            content += [
+              product.product_id,
+              cell(product.product_name || ""),
+              change,
+              this.formatDateForDisplay(date),
+            ].join(";") + "\r\n";
+          });
+        });
+      });
+
+      this.downloadFile(
+        `dates-modifiees-${new Date().toISOString().slice(0, 10)}.csv`,
+        content,
+        "text/csv",
+      );
+    },
+
     /**
      * Enhanced toast with icons and better styling
      */
@@ -1407,7 +7351,97 @@ Voulez-vous vraiment continuer ?`;
      * Update selected count
      */
     updateSelectedCount: function () {
-      $("#wbe-selected-count").text(this.selectedProducts.length);
+      $("#wbe-selected-count").text(this.getSelectionCountLabel());
+    },
+
+    /**
+     * Nombre de produits visés (« ≈ » tant qu'un filtre sur les règles n'est pas résolu)
+     */
+    getSelectionCountLabel: function () {
+      if (this.matchingSelection) {
+        return (this.matchingSelection.exact ? "" : "≈ ") + this.matchingSelection.total;
+      }
+
+      return this.selectedProducts.length;
+    },
+
+    /**
+     * Après « Tout sélectionner » : proposer tous les produits correspondants
+     * quand la liste chargée n'en contient qu'une partie
+     */
+    offerMatchingSelection: function () {
+      const self = this;
+      const list = this.productList;
+      const loaded = list.items.length;
+
+      this.clearMatchingSelection();
+
+      if (!this.lastQuery || loaded === 0) {
+        return;
+      }
+
+      const query = $.extend({}, this.lastQuery);
+
+      $.ajax({
+        url: wbe_admin_data.ajax_url,
+        type: "POST",
+        data: {
+          action:
+            wbe_admin_data.ajax_actions?.count_matching_products ||
+            "wbe_count_matching_products",
+          nonce: wbe_admin_data.nonce,
+          selection_query: JSON.stringify(query),
+        },
+        success: function (response) {
+          // Une autre liste a été chargée entre-temps
+          if (!response.success || self.productList !== list || response.data.total <= loaded) {
+            return;
+          }
+
+          const total = (response.data.exact ? "" : "≈ ") + response.data.total;
+
+          $("#wbe-select-matching")
+            .data("matching", {
+              query: query,
+              total: response.data.total,
+              exact: response.data.exact,
+            })
+            .html(
+              `Les <strong>${loaded}</strong> produit(s) chargés sont sélectionnés.
+              <button type="button" class="button-link wbe-select-matching-all">Sélectionner les ${total} produits correspondants</button>`,
+            )
+            .show();
+        },
+      });
+    },
+
+    /**
+     * Bandeau affiché quand tous les produits correspondants sont sélectionnés
+     */
+    renderMatchingSelection: function () {
+      const matching = this.matchingSelection;
+      const note = matching.exact
+        ? ""
+        : " (les règles de disponibilité sont vérifiées pendant le traitement)";
+
+      $("#wbe-select-matching")
+        .html(
+          `Les <strong>${this.getSelectionCountLabel()}</strong> produits correspondants sont sélectionnés${note}.
+          <button type="button" class="button-link wbe-select-matching-cancel">Annuler</button>`,
+        )
+        .show();
+    },
+
+    /**
+     * Revenir à la sélection explicite (produits cochés)
+     */
+    clearMatchingSelection: function () {
+      $("#wbe-select-matching").hide().empty().removeData("matching");
+
+      if (this.matchingSelection) {
+        this.matchingSelection = null;
+        this.updateSelectedCount();
+      }
     },
 
     /**
@@ -268,7 +268,6 @@
             this.showResults();
             this.enableForm();
             this.updateButtonStates();
-            this.logToHistory();
         }
 
         /**
@@ -561,26 +560,6 @@
             URL.revokeObjectURL(url);
         }
 
-        /**
-         * Journaliser dans l'historique
-         */
-        logToHistory() {
-            const history = JSON.parse(localStorage.getItem('wootour_bulk_history') || '[]');
-            
-            history.unshift({
-                timestamp: new Date().toISOString(),
-                total: this.totalCount,
-                success: this.successCount,
-                errors: this.errorCount,
-                operation: this.getFormData()
-            });
-            if (history.length > 50) {
-                history.pop();
-            }
-            
-            localStorage.setItem('wootour_bulk_history', JSON.stringify(history));
-        }
-
         /**
          * Afficher une notification
          */
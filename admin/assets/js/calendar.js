@@ -357,11 +357,252 @@
         }
     }
 
+    /**
+     * Carte de chaleur des disponibilités de la sélection
+     * Nombre de produits réservables par jour, calculé côté serveur en une requête
+     */
+    class WootourSelectionHeatmap {
+        constructor(container) {
+            this.$container = $(container);
+            this.productIds = [];
+            this.data = null;
+            this.months = 3;
+            this.bindEvents();
+        }
+
+        /**
+         * Charger la carte pour une liste de produits
+         * @param {number[]} productIds
+         * @param {string} [month] Premier mois affiché (Y-m), mois courant par défaut
+         */
+        load(productIds, month) {
+            const self = this;
+
+            this.productIds = productIds.slice();
+            this.$container.show().html('<p><span class="spinner is-active"></span> Calcul des disponibilités…</p>');
+
+            $.ajax({
+                url: wbe_admin_data.ajax_url,
+                type: 'POST',
+                data: {
+                    action: wbe_admin_data.ajax_actions?.get_availability_heatmap || 'wbe_get_availability_heatmap',
+                    nonce: wbe_admin_data.nonce,
+                    product_ids: this.productIds,
+                    month: month || '',
+                    months: this.months
+                },
+                success: function(response) {
+                    if (response.success && response.data) {
+                        self.data = response.data;
+                        self.render();
+                    } else {
+                        self.renderError(response.error?.message);
+                    }
+                },
+                error: function(xhr) {
+                    self.renderError(xhr.responseJSON?.error?.message);
+                }
+            });
+        }
+
+        /**
+         * Afficher la carte complète
+         */
+        render() {
+            const data = this.data;
+            const start = this.parseYMD(data.from);
+            const end = this.parseYMD(data.to);
+            const total = data.products.length;
+            let months = '';
+
+            for (let d = new Date(start.getFullYear(), start.getMonth(), 1); d <= end; d = new Date(d.getFullYear(), d.getMonth() + 1, 1)) {
+                months += this.renderMonth(d.getFullYear(), d.getMonth());
+            }
+
+            const withoutData = data.without_data.length
+                ? `<p class="description">${data.without_data.length} produit(s) sans disponibilité WooTour ne sont pas comptés.</p>`
+                : '';
+
+            this.$container.html(`
+                <div class="wbe-heatmap-header">
+                    <h4>Disponibilités de la sélection (${total} produit${total > 1 ? 's' : ''})</h4>
+                    <button type="button" class="button-link wbe-heatmap-close" aria-label="Fermer">
+                        <span class="dashicons dashicons-no-alt"></span>
+                    </button>
+                </div>
+                ${withoutData}
+                <div class="wbe-heatmap-nav">
+                    <button type="button" class="button button-small" data-month="${this.shiftMonth(start, -this.months)}">&larr; Précédent</button>
+                    <button type="button" class="button button-small" data-month="${this.shiftMonth(start, this.months)}">Suivant &rarr;</button>
+                </div>
+                <div class="wbe-heatmap-months">${months}</div>
+                <div class="wbe-heatmap-legend">
+                    <span class="wbe-heat-0">Aucun</span>
+                    <span class="wbe-heat-1">Quelques-uns</span>
+                    <span class="wbe-heat-2">Moitié</span>
+                    <span class="wbe-heat-3">La plupart</span>
+                    <span class="wbe-heat-4">Tous</span>
+                </div>
+                <div class="wbe-heatmap-day"></div>
+            `);
+        }
+
+        /**
+         * Un mois de la carte (semaine commençant le lundi)
+         * @param {number} year
+         * @param {number} month 0-11
+         * @returns {string}
+         */
+        renderMonth(year, month) {
+            const first = new Date(year, month, 1);
+            const daysInMonth = new Date(year, month + 1, 0).getDate();
+            const offset = (first.getDay() + 6) % 7;
+            const total = this.data.products.length;
+            const title = first.toLocaleDateString('fr-FR', { month: 'long', year: 'numeric' });
+
+            let cells = '<td></td>'.repeat(offset);
+            for (let day = 1; day <= daysInMonth; day++) {
+                const date = this.formatYMD(new Date(year, month, day));
+                const count = (this.data.days[date] || []).length;
+                const level = this.getLevel(count, total);
+
+                cells += `<td class="wbe-heat-${level}" data-date="${date}" title="${count} produit(s) réservable(s)">
+                        <span class="wbe-heatmap-daynum">${day}</span>
+                        <span class="wbe-heatmap-count">${count}</span>
+                    </td>`;
+
+                if ((offset + day) % 7 === 0 && day < daysInMonth) {
+                    cells += '</tr><tr>';
+                }
+            }
+
+            return `<table class="wbe-heatmap-month">
+                    <caption>${title}</caption>
+                    <thead><tr><th>L</th><th>M</th><th>M</th><th>J</th><th>V</th><th>S</th><th>D</th></tr></thead>
+                    <tbody><tr>${cells}</tr></tbody>
+                </table>`;
+        }
+
+        /**
+         * Produits réservables un jour donné
+         * @param {string} date Y-m-d
+         */
+        showDay(date) {
+            const indexes = this.data.days[date] || [];
+            const label = this.parseYMD(date).toLocaleDateString('fr-FR', {
+                weekday: 'long',
+                day: 'numeric',
+                month: 'long',
+                year: 'numeric'
+            });
+
+            this.$container.find('td.wbe-heatmap-selected').removeClass('wbe-heatmap-selected');
+            this.$container.find(`td[data-date="${date}"]`).addClass('wbe-heatmap-selected');
+
+            const items = indexes.map(index => {
+                const product = this.data.products[index];
+                return `<li>${this.escapeHtml(product.name)} <span class="wbe-product-id">#${product.id}</span></li>`;
+            }).join('');
+
+            this.$container.find('.wbe-heatmap-day').html(`
+                <strong>${label} : ${indexes.length} / ${this.data.products.length} produit(s) réservable(s)</strong>
+                ${items ? `<ul>${items}</ul>` : ''}
+            `);
+        }
+
+        /**
+         * Fermer la carte
+         */
+        close() {
+            this.data = null;
+            this.$container.hide().empty();
+        }
+
+        /**
+         * Lier les événements (délégués, le contenu est régénéré)
+         */
+        bindEvents() {
+            const self = this;
+
+            this.$container.on('click', 'td[data-date]', function() {
+                self.showDay($(this).data('date'));
+            });
+
+            this.$container.on('click', '.wbe-heatmap-nav button', function() {
+                self.load(self.productIds, $(this).data('month'));
+            });
+
+            this.$container.on('click', '.wbe-heatmap-close', function() {
+                self.close();
+            });
+        }
+
+        /**
+         * Message d'erreur à la place de la carte
+         * @param {string} [message]
+         */
+        renderError(message) {
+            this.$container.html(`<p class="wbe-rule-error">${this.escapeHtml(message || 'Impossible de calculer les disponibilités.')}</p>`);
+        }
+
+        /**
+         * Niveau de couleur (0-4) selon la part de produits réservables
+         * @param {number} count
+         * @param {number} total
+         * @returns {number}
+         */
+        getLevel(count, total) {
+            if (count === 0 || total === 0) return 0;
+            if (count === total) return 4;
+            return Math.min(3, Math.ceil((count / total) * 3));
+        }
+
+        /**
+         * Décaler un mois (Y-m)
+         * @param {Date} date
+         * @param {number} offset
+         * @returns {string}
+         */
+        shiftMonth(date, offset) {
+            return this.formatYMD(new Date(date.getFullYear(), date.getMonth() + offset, 1)).substring(0, 7);
+        }
+
+        /**
+         * @param {string} value Y-m-d
+         * @returns {Date}
+         */
+        parseYMD(value) {
+            const parts = value.split('-').map(Number);
+            return new Date(parts[0], parts[1] - 1, parts[2]);
+        }
+
+        /**
+         * @param {Date} date
+         * @returns {string} Y-m-d
+         */
+        formatYMD(date) {
+            const month = String(date.getMonth() + 1).padStart(2, '0');
+            const day = String(date.getDate()).padStart(2, '0');
+            return `${date.getFullYear()}-${month}-${day}`;
+        }
+
+        /**
+         * @param {string} text
+         * @returns {string}
+         */
+        escapeHtml(text) {
+            return $('<div>').text(text).html();
+        }
+    }
+
+    window.WootourSelectionHeatmap = WootourSelectionHeatmap;
+
     /**
      * Initialisation quand le DOM est prêt
      */
     $(document).ready(function() {
-        if (!$.datepicker) {
+        // Formulaire d'édition historique, absent de la page de l'assistant
+        if (!$.datepicker || !$('#bulk-start-date').length) {
             return;
         }
         
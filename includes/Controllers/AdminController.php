@@ -4,6 +4,8 @@ namespace WootourBulkEditor\Controllers;
 
 use WootourBulkEditor\Core\Constants;
 use WootourBulkEditor\Services\SecurityService;
+use WootourBulkEditor\Services\HolidayService;
+use WootourBulkEditor\Services\BackgroundService;
 use WootourBulkEditor\Repositories\ProductRepository;
 use WootourBulkEditor\Core\Traits\Singleton;
 
@@ -114,10 +116,18 @@ class AdminController
 
 
         // Plugin JS
+        wp_enqueue_script(
+            'wbe-calendar',
+            Constants::plugin_url() . '../admin/assets/js/calendar.js',
+            ['jquery', 'jquery-ui-datepicker'],
+            Constants::VERSION,
+            true
+        );
+
         wp_enqueue_script(
             'wbe-admin',
             Constants::plugin_url() . '../admin/assets/js/admin.js',
-            ['jquery', 'jquery-ui-datepicker', 'wp-util', 'wp-i18n'],
+            ['jquery', 'jquery-ui-datepicker', 'wp-util', 'wp-i18n', 'wbe-calendar'],
             Constants::VERSION,
             true
         );
@@ -143,6 +153,15 @@ class AdminController
             //  AJOUTER pour debug
             'ajax_actions' => Constants::AJAX_ACTIONS,
 
+            // Calendriers de jours fériés embarqués (import vers les exclusions)
+            'holiday_datasets' => HolidayService::getInstance()->getDatasetsInfo(),
+            'holiday_max_years' => Constants::HOLIDAY_MAX_YEARS,
+            'ics_max_file_size' => Constants::ICS_MAX_FILE_SIZE,
+            'shift_max_days' => Constants::SHIFT_MAX_DAYS,
+
+            // Opérations en arrière-plan de l'utilisateur (reprise du suivi à la réouverture)
+            'background_operations' => BackgroundService::getInstance()->getUserJobs(),
+
             //  Utiliser la fonction corrigée SANS filtre Wootour pour le dropdown
             'categories' => $this->product_repository->getCategoryTree(),
 
@@ -235,6 +254,21 @@ class AdminController
                 </div>
             </div>
 
+            <!-- TABS -->
+            <nav class="nav-tab-wrapper wbe-tabs">
+                <a href="#" class="nav-tab nav-tab-active" data-tab="editor">
+                    <?php _e('Édition en masse', Constants::TEXT_DOMAIN); ?>
+                </a>
+                <a href="#" class="nav-tab" data-tab="history">
+                    <?php _e('Historique', Constants::TEXT_DOMAIN); ?>
+                </a>
+                <a href="#" class="nav-tab" data-tab="scheduled">
+                    <?php _e('Opérations programmées', Constants::TEXT_DOMAIN); ?>
+                </a>
+            </nav>
+
+            <div class="wbe-tab-panel active" data-tab="editor">
+
             <!-- STEPS INDICATOR -->
             <div class="wbe-steps">
                 <div class="wbe-step active" data-step="1">
@@ -258,6 +292,37 @@ class AdminController
                         <h2><?php _e('1. Sélectionner les Produits', Constants::TEXT_DOMAIN); ?></h2>
                     </div>
                     <div class="wbe-card-body">
+                        <div class="wbe-section wbe-csv-import">
+                            <h3><?php _e('Dates différentes par produit', Constants::TEXT_DOMAIN); ?></h3>
+                            <p class="description"><?php _e('Importez un fichier CSV avec une ligne par produit (ID ou SKU, dates, jours, dates spécifiques, exclusions) : chaque produit reçoit ses propres disponibilités, sans passer par les étapes 1 et 2.', Constants::TEXT_DOMAIN); ?></p>
+                            <button type="button" id="wbe-open-csv-import" class="button">
+                                <span class="dashicons dashicons-media-spreadsheet" style="margin-top: 3px;"></span>
+                                <?php _e('Importer un CSV…', Constants::TEXT_DOMAIN); ?>
+                            </button>
+                        </div>
+
+                        <div class="wbe-section wbe-saved-selections">
+                            <h3><?php _e('Sélections Enregistrées', Constants::TEXT_DOMAIN); ?></h3>
+                            <div class="wbe-saved-selections-bar">
+                                <select id="wbe-saved-selection" class="wbe-select">
+                                    <option value=""><?php _e('— Choisir une sélection —', Constants::TEXT_DOMAIN); ?></option>
+                                </select>
+                                <button type="button" id="wbe-load-selection" class="button button-secondary" disabled>
+                                    <?php _e('Charger', Constants::TEXT_DOMAIN); ?>
+                                </button>
+                                <button type="button" id="wbe-rename-selection" class="button" disabled>
+                                    <?php _e('Renommer', Constants::TEXT_DOMAIN); ?>
+                                </button>
+                                <button type="button" id="wbe-delete-selection" class="button" disabled>
+                                    <?php _e('Supprimer', Constants::TEXT_DOMAIN); ?>
+                                </button>
+                                <button type="button" id="wbe-save-selection" class="button">
+                                    <span class="dashicons dashicons-saved" style="margin-top: 3px;"></span>
+                                    <?php _e('Enregistrer la sélection…', Constants::TEXT_DOMAIN); ?>
+                                </button>
+                            </div>
+                        </div>
+
                         <div class="wbe-section">
                             <h3><?php _e('Filtrer par Catégorie', Constants::TEXT_DOMAIN); ?></h3>
                             <div class="wbe-category-filter">
@@ -281,18 +346,66 @@ class AdminController
                             </div>
                         </div>
 
+                        <div class="wbe-section">
+                            <h3><?php _e('Filtres de Disponibilité', Constants::TEXT_DOMAIN); ?></h3>
+                            <p class="description"><?php _e('Retrouver les produits selon leurs données WooTour (dans la catégorie choisie ci-dessus, le cas échéant).', Constants::TEXT_DOMAIN); ?></p>
+                            <div class="wbe-smart-filter">
+                                <select id="wbe-smart-filter" class="wbe-select">
+                                    <?php foreach (Constants::SELECTION_FILTERS as $filter => $label): ?>
+                                        <option value="<?php echo esc_attr($filter); ?>"><?php echo esc_html($label); ?></option>
+                                    <?php endforeach; ?>
+                                </select>
+                                <input type="date" id="wbe-smart-filter-date" class="wbe-smart-filter-param" data-filters="ends_before bookable_on excluded_on" style="display: none;">
+                                <label class="wbe-smart-filter-param" data-filters="no_upcoming_dates" style="display: none;">
+                                    <input type="number" id="wbe-smart-filter-days" min="1" max="365" value="30">
+                                    <?php _e('jours', Constants::TEXT_DOMAIN); ?>
+                                </label>
+                                <button type="button" id="wbe-apply-smart-filter" class="button button-secondary">
+                                    <?php _e('Filtrer', Constants::TEXT_DOMAIN); ?>
+                                </button>
+                            </div>
+                        </div>
+
                         <div class="wbe-section">
                             <div class="wbe-product-list-header">
                                 <h3><?php _e('Produits', Constants::TEXT_DOMAIN); ?></h3>
                                 <div>
+                                    <label for="wbe-product-sort" class="screen-reader-text"><?php _e('Trier les produits', Constants::TEXT_DOMAIN); ?></label>
+                                    <select id="wbe-product-sort" class="wbe-product-sort">
+                                        <option value="name:ASC"><?php _e('Nom (A → Z)', Constants::TEXT_DOMAIN); ?></option>
+                                        <option value="name:DESC"><?php _e('Nom (Z → A)', Constants::TEXT_DOMAIN); ?></option>
+                                        <option value="sku:ASC"><?php _e('SKU', Constants::TEXT_DOMAIN); ?></option>
+                                        <option value="date:DESC"><?php _e('Plus récents', Constants::TEXT_DOMAIN); ?></option>
+                                        <option value="date:ASC"><?php _e('Plus anciens', Constants::TEXT_DOMAIN); ?></option>
+                                        <option value="wootour:DESC"><?php _e('Avec WooTour d\'abord', Constants::TEXT_DOMAIN); ?></option>
+                                        <option value="wootour:ASC"><?php _e('Sans WooTour d\'abord', Constants::TEXT_DOMAIN); ?></option>
+                                    </select>
                                     <button type="button" id="wbe-select-all" class="button button-small">
                                         <?php _e('Tout Sélectionner', Constants::TEXT_DOMAIN); ?>
                                     </button>
                                     <button type="button" id="wbe-deselect-all" class="button button-small">
                                         <?php _e('Tout Désélectionner', Constants::TEXT_DOMAIN); ?>
                                     </button>
+                                    <button type="button" id="wbe-keyboard-help" class="button button-small" aria-keyshortcuts="?" title="<?php esc_attr_e('Raccourcis clavier (?)', Constants::TEXT_DOMAIN); ?>">
+                                        <span class="dashicons dashicons-editor-help" style="margin-top: 3px;"></span>
+                                        <span class="screen-reader-text"><?php _e('Raccourcis clavier', Constants::TEXT_DOMAIN); ?></span>
+                                    </button>
+                                    <button type="button" id="wbe-export-ics" class="button button-small" title="<?php esc_attr_e('Télécharger les disponibilités des produits sélectionnés au format iCalendar', Constants::TEXT_DOMAIN); ?>">
+                                        <span class="dashicons dashicons-download" style="margin-top: 3px;"></span>
+                                        <?php _e('Exporter (.ics)', Constants::TEXT_DOMAIN); ?>
+                                    </button>
+                                    <button type="button" id="wbe-apply-template" class="button button-small" title="<?php esc_attr_e('Appliquer un modèle de disponibilité aux produits sélectionnés', Constants::TEXT_DOMAIN); ?>">
+                                        <span class="dashicons dashicons-admin-page" style="margin-top: 3px;"></span>
+                                        <?php _e('Appliquer un modèle', Constants::TEXT_DOMAIN); ?>
+                                    </button>
+                                    <button type="button" id="wbe-open-heatmap" class="button button-small" title="<?php esc_attr_e('Nombre de produits sélectionnés réservables chaque jour', Constants::TEXT_DOMAIN); ?>">
+                                        <span class="dashicons dashicons-calendar-alt" style="margin-top: 3px;"></span>
+                                        <?php _e('Vue calendrier', Constants::TEXT_DOMAIN); ?>
+                                    </button>
                                 </div>
                             </div>
+                            <div id="wbe-selection-heatmap" class="wbe-selection-heatmap" style="display: none;"></div>
+                            <div id="wbe-select-matching" class="wbe-select-matching" style="display: none;"></div>
                             <div class="wbe-product-list-container">
                                 <div id="wbe-product-list" class="wbe-loading">
                                     <span class="spinner is-active"></span>
@@ -328,8 +441,66 @@ class AdminController
                         <h2><?php _e('2. Définir la Disponibilité', Constants::TEXT_DOMAIN); ?></h2>
                     </div>
                     <div class="wbe-card-body">
+                        <div class="wbe-section wbe-templates">
+                            <h3><?php _e('Modèles', Constants::TEXT_DOMAIN); ?></h3>
+                            <p class="description"><?php _e('Enregistrez ce formulaire (plage, jours, dates, exclusions, modes et règles) sous un nom pour le réutiliser, ou échangez vos modèles au format JSON.', Constants::TEXT_DOMAIN); ?></p>
+                            <div class="wbe-templates-bar">
+                                <select id="wbe-template-select" class="wbe-select">
+                                    <option value=""><?php _e('— Choisir un modèle —', Constants::TEXT_DOMAIN); ?></option>
+                                </select>
+                                <button type="button" id="wbe-load-template" class="button button-secondary" disabled>
+                                    <?php _e('Charger', Constants::TEXT_DOMAIN); ?>
+                                </button>
+                                <button type="button" id="wbe-delete-template" class="button" disabled>
+                                    <?php _e('Supprimer', Constants::TEXT_DOMAIN); ?>
+                                </button>
+                                <button type="button" id="wbe-save-template" class="button">
+                                    <span class="dashicons dashicons-saved" style="margin-top: 3px;"></span>
+                                    <?php _e('Enregistrer comme modèle…', Constants::TEXT_DOMAIN); ?>
+                                </button>
+                                <button type="button" id="wbe-export-templates" class="button" disabled>
+                                    <span class="dashicons dashicons-download" style="margin-top: 3px;"></span>
+                                    <?php _e('Exporter (.json)', Constants::TEXT_DOMAIN); ?>
+                                </button>
+                                <input type="file" id="wbe-import-templates-file" accept=".json,application/json" style="display: none;">
+                                <button type="button" id="wbe-import-templates-btn" class="button">
+                                    <span class="dashicons dashicons-upload" style="margin-top: 3px;"></span>
+                                    <?php _e('Importer (.json)…', Constants::TEXT_DOMAIN); ?>
+                                </button>
+                            </div>
+                        </div>
+
+                        <div class="wbe-section wbe-copy-from-product">
+                            <h3><?php _e('Copier depuis un produit', Constants::TEXT_DOMAIN); ?></h3>
+                            <p class="description"><?php _e('Pré-remplit cette étape avec les disponibilités d\'un produit de référence, à fusionner avec celles de la sélection ou à cloner à l\'identique.', Constants::TEXT_DOMAIN); ?></p>
+                            <button type="button" id="wbe-copy-from-product" class="button">
+                                <span class="dashicons dashicons-admin-page" style="margin-top: 3px;"></span>
+                                <?php _e('Copier depuis un produit…', Constants::TEXT_DOMAIN); ?>
+                            </button>
+                            <p id="wbe-copy-source-notice" class="wbe-copy-source-notice" style="display: none;">
+                                <?php _e('Produit de référence :', Constants::TEXT_DOMAIN); ?>
+                                <strong id="wbe-copy-source-name"></strong>
+                                <button type="button" id="wbe-copy-source-clear" class="button-link"><?php _e('Oublier', Constants::TEXT_DOMAIN); ?></button>
+                            </p>
+                        </div>
+
+                        <div class="wbe-section wbe-ics-import">
+                            <h3><?php _e('Importer depuis un calendrier', Constants::TEXT_DOMAIN); ?></h3>
+                            <p class="description"><?php _e('Pré-remplit cette étape à partir d\'un fichier .ics (Google Agenda, Outlook, export de ce plugin) : répétition hebdomadaire → plage et jours, dates ajoutées → dates spécifiques, dates retirées → exclusions.', Constants::TEXT_DOMAIN); ?></p>
+                            <input type="file" id="wbe-import-ics-file" accept=".ics,text/calendar" style="display: none;">
+                            <button type="button" id="wbe-import-ics-btn" class="button">
+                                <span class="dashicons dashicons-upload" style="margin-top: 3px;"></span>
+                                <?php _e('Importer un fichier .ics…', Constants::TEXT_DOMAIN); ?>
+                            </button>
+                        </div>
+
                         <div class="wbe-section">
                             <h3><?php _e('Plage de Dates', Constants::TEXT_DOMAIN); ?></h3>
+                            <?php $this->render_change_mode_select('range', [
+                                'add'     => __('Modifier uniquement les dates saisies', Constants::TEXT_DOMAIN),
+                                'replace' => __('Remplacer la plage (une date vide est effacée)', Constants::TEXT_DOMAIN),
+                                'remove'  => __('Supprimer la plage existante', Constants::TEXT_DOMAIN),
+                            ]); ?>
                             <div class="wbe-date-range">
                                 <div class="wbe-date-field">
                                     <label for="wbe-start-date"><?php _e('Premier jour', Constants::TEXT_DOMAIN); ?></label>
@@ -346,10 +517,26 @@ class AdminController
                                     </button>
                                 </div>
                             </div>
+                            <div class="wbe-rolling-window">
+                                <label class="wbe-checkbox-label">
+                                    <input type="checkbox" id="wbe-rolling-enabled">
+                                    <span><?php _e('Fenêtre glissante : réservable d\'aujourd\'hui à', Constants::TEXT_DOMAIN); ?></span>
+                                </label>
+                                <label for="wbe-rolling-days" class="screen-reader-text"><?php _e('Nombre de jours', Constants::TEXT_DOMAIN); ?></label>
+                                <?php _e('aujourd\'hui +', Constants::TEXT_DOMAIN); ?>
+                                <input type="number" id="wbe-rolling-days" class="small-text" min="1" max="<?php echo esc_attr(Constants::ROLLING_WINDOW_MAX_DAYS); ?>" value="<?php echo esc_attr(Constants::ROLLING_WINDOW_DEFAULT_DAYS); ?>" disabled>
+                                <?php _e('jours', Constants::TEXT_DOMAIN); ?>
+                                <p class="description"><?php _e('Les dates de début et de fin sont recalculées chaque nuit, avec les jours de la semaine cochés ci-dessous. Une modification ultérieure de la plage ou des jours de ces produits supprime la règle.', Constants::TEXT_DOMAIN); ?></p>
+                            </div>
                         </div>
 
                         <div class="wbe-section">
                             <h3><?php _e('Jours de la Semaine Disponibles', Constants::TEXT_DOMAIN); ?></h3>
+                            <?php $this->render_change_mode_select('weekdays', [
+                                'add'     => __('Ajouter ces jours aux jours existants', Constants::TEXT_DOMAIN),
+                                'replace' => __('Remplacer les jours existants', Constants::TEXT_DOMAIN),
+                                'remove'  => __('Retirer ces jours', Constants::TEXT_DOMAIN),
+                            ]); ?>
                             <div class="wbe-weekdays">
                                 <?php
                                 $days = [
@@ -373,6 +560,11 @@ class AdminController
 
                         <div class="wbe-section">
                             <h3><?php _e('Dates Spécifiques', Constants::TEXT_DOMAIN); ?></h3>
+                            <?php $this->render_change_mode_select('specific', [
+                                'add'     => __('Ajouter ces dates aux dates existantes', Constants::TEXT_DOMAIN),
+                                'replace' => __('Remplacer les dates existantes', Constants::TEXT_DOMAIN),
+                                'remove'  => __('Retirer ces dates', Constants::TEXT_DOMAIN),
+                            ]); ?>
 
                             <!-- AJOUTER: Zone d'ajout de date -->
                             <div class="wbe-add-date">
@@ -384,6 +576,11 @@ class AdminController
                                     </button>
                                 </div>
                                 <p class="description"><?php _e('Ajoutez des dates spécifiques où l\'activité sera disponible.', Constants::TEXT_DOMAIN); ?></p>
+                                <button type="button" class="button wbe-open-rule-builder" data-target="specific">
+                                    <span class="dashicons dashicons-update" style="margin-top: 3px;"></span>
+                                    <?php _e('Règle récurrente…', Constants::TEXT_DOMAIN); ?>
+                                </button>
+                                <div id="wbe-specific-rules" class="wbe-rules-list"></div>
                             </div>
 
                             <div class="wbe-selected-dates">
@@ -397,6 +594,11 @@ class AdminController
 
                         <div class="wbe-section">
                             <h3><?php _e('Exclure des Dates', Constants::TEXT_DOMAIN); ?></h3>
+                            <?php $this->render_change_mode_select('exclusions', [
+                                'add'     => __('Ajouter ces exclusions aux exclusions existantes', Constants::TEXT_DOMAIN),
+                                'replace' => __('Remplacer les exclusions existantes', Constants::TEXT_DOMAIN),
+                                'remove'  => __('Retirer ces exclusions', Constants::TEXT_DOMAIN),
+                            ]); ?>
 
                             <!-- AJOUTER: Zone d'ajout de date d'exclusion -->
                             <div class="wbe-add-date">
@@ -408,6 +610,15 @@ class AdminController
                                     </button>
                                 </div>
                                 <p class="description"><?php _e('Ajoutez des dates spécifiques où l\'activité ne sera PAS disponible.', Constants::TEXT_DOMAIN); ?></p>
+                                <button type="button" class="button wbe-open-rule-builder" data-target="exclusions">
+                                    <span class="dashicons dashicons-update" style="margin-top: 3px;"></span>
+                                    <?php _e('Règle récurrente…', Constants::TEXT_DOMAIN); ?>
+                                </button>
+                                <button type="button" id="wbe-open-holidays" class="button">
+                                    <span class="dashicons dashicons-flag" style="margin-top: 3px;"></span>
+                                    <?php _e('Ajouter des jours fériés…', Constants::TEXT_DOMAIN); ?>
+                                </button>
+                                <div id="wbe-exclusions-rules" class="wbe-rules-list"></div>
                             </div>
 
                             <div class="wbe-selected-dates">
@@ -419,6 +630,15 @@ class AdminController
                             </div>
                         </div>
 
+                        <div class="wbe-section wbe-shift-section">
+                            <h3><?php _e('Décaler le calendrier', Constants::TEXT_DOMAIN); ?></h3>
+                            <p class="description"><?php _e('Pour une saison qui se répète : la plage, les dates spécifiques et les exclusions de chaque produit sont décalées à partir de ses propres dates, au lieu d\'appliquer les valeurs de cette étape.', Constants::TEXT_DOMAIN); ?></p>
+                            <button type="button" id="wbe-shift-schedule" class="button">
+                                <span class="dashicons dashicons-controls-forward" style="margin-top: 3px;"></span>
+                                <?php _e('Décaler les dates…', Constants::TEXT_DOMAIN); ?>
+                            </button>
+                        </div>
+
                         <!-- NOUVELLE SECTION: Réinitialisation complète -->
                         <div class="wbe-section wbe-reset-section" style="margin-top: 30px; padding-top: 30px; border-top: 2px solid #ddd;">
                             <h3 style="color: #d63638;">
@@ -429,16 +649,16 @@ class AdminController
                             <div style="background: #fff3cd; border-left: 4px solid #ffc107; padding: 15px; margin: 10px 0; border-radius: 4px;">
                                 <p style="margin: 0 0 10px 0;">
                                     <strong><?php _e('⚠️ Attention:', Constants::TEXT_DOMAIN); ?></strong>
-                                    <?php _e('Cette action va effacer TOUTES les configurations de disponibilité des produits sélectionnés.', Constants::TEXT_DOMAIN); ?>
+                                    <?php _e('Cette action efface les configurations de disponibilité des produits sélectionnés.', Constants::TEXT_DOMAIN); ?>
                                 </p>
                                 <p style="margin: 0; font-size: 13px; color: #856404;">
-                                    <?php _e('Cela inclut : plage de dates, jours de la semaine, dates spécifiques et exclusions.', Constants::TEXT_DOMAIN); ?>
+                                    <?php _e('Vous pourrez choisir les champs à effacer : plage de dates, jours de la semaine, dates spécifiques et/ou exclusions.', Constants::TEXT_DOMAIN); ?>
                                 </p>
                             </div>
 
                             <button type="button" id="wbe-reset-all" class="button button-large" style="background: #d63638; color: white; border-color: #d63638;">
                                 <span class="dashicons dashicons-trash" style="margin-top: 3px;"></span>
-                                <?php _e('Réinitialiser toutes les dates', Constants::TEXT_DOMAIN); ?>
+                                <?php _e('Réinitialiser des dates…', Constants::TEXT_DOMAIN); ?>
                             </button>
                         </div>
                     </div>
@@ -475,6 +695,31 @@ class AdminController
                             <div id="wbe-review-summary"></div>
                         </div>
 
+                        <div id="wbe-preview-container" class="wbe-preview-box" style="display: none;"></div>
+
+                        <div id="wbe-booking-conflicts" class="wbe-booking-conflicts" style="display: none;"></div>
+
+                        <fieldset id="wbe-apply-mode" class="wbe-apply-mode">
+                            <legend class="screen-reader-text"><?php _e('Moment de l\'application', Constants::TEXT_DOMAIN); ?></legend>
+                            <label>
+                                <input type="radio" name="wbe-apply-mode" value="now" checked>
+                                <?php _e('Appliquer maintenant', Constants::TEXT_DOMAIN); ?>
+                            </label>
+                            <label>
+                                <input type="radio" name="wbe-apply-mode" value="schedule">
+                                <?php _e('Programmer le', Constants::TEXT_DOMAIN); ?>
+                            </label>
+                            <input type="datetime-local" id="wbe-schedule-at" disabled>
+                            <input type="text" id="wbe-schedule-label" class="regular-text" maxlength="100" disabled
+                                placeholder="<?php esc_attr_e('Libellé (facultatif)', Constants::TEXT_DOMAIN); ?>">
+                            <p class="description">
+                                <?php printf(
+                                    esc_html__('Heure du site (%s). L\'opération est appliquée par WP-Cron, lot par lot, même si personne n\'est connecté.', Constants::TEXT_DOMAIN),
+                                    esc_html(wp_timezone_string())
+                                ); ?>
+                            </p>
+                        </fieldset>
+
                         <div id="wbe-progress-container" style="display: none;">
                             <div class="wbe-progress-header">
                                 <span id="wbe-progress-percentage">0%</span>
@@ -487,11 +732,20 @@ class AdminController
                                 <span id="wbe-progress-text"></span>
                             </div>
                             <div class="wbe-progress-actions">
+                                <button type="button" id="wbe-pause-process" class="button" style="display: none;">
+                                    <?php _e('Pause', Constants::TEXT_DOMAIN); ?>
+                                </button>
+                                <button type="button" id="wbe-resume-process" class="button button-primary" style="display: none;">
+                                    <?php _e('Reprendre', Constants::TEXT_DOMAIN); ?>
+                                </button>
                                 <button type="button" id="wbe-cancel-process" class="button">
                                     <?php _e('Annuler', Constants::TEXT_DOMAIN); ?>
                                 </button>
                             </div>
                         </div>
+
+                        <div id="wbe-rollback-container" style="display: none;"></div>
+                        <div id="wbe-date-changes" class="wbe-date-changes" style="display: none;"></div>
                     </div>
                 </div>
 
@@ -510,11 +764,141 @@ class AdminController
                 </div>
             </section>
 
+            </div>
+
+            <?php $this->render_history_panel(); ?>
+            <?php $this->render_scheduled_panel(); ?>
+
             <div id="wbe-toast-container" class="wbe-toast-container"></div>
         </div>
 <?php
     }
 
+    /**
+     * Sélecteur du mode d'application d'un champ (ajout, remplacement, retrait)
+     */
+    private function render_change_mode_select(string $field, array $labels): void
+    {
+        ?>
+        <div class="wbe-change-mode">
+            <label for="wbe-mode-<?php echo esc_attr($field); ?>"><?php _e('Mode :', Constants::TEXT_DOMAIN); ?></label>
+            <select id="wbe-mode-<?php echo esc_attr($field); ?>" class="wbe-change-mode-select" data-field="<?php echo esc_attr($field); ?>">
+                <?php foreach (Constants::CHANGE_MODES as $mode): ?>
+                    <option value="<?php echo esc_attr($mode); ?>"><?php echo esc_html($labels[$mode] ?? $mode); ?></option>
+                <?php endforeach; ?>
+            </select>
+        </div>
+        <?php
+    }
+
+    /**
+     * Onglet Historique : opérations enregistrées côté serveur
+     */
+    private function render_history_panel(): void
+    {
+?>
+        <div class="wbe-tab-panel" data-tab="history">
+            <div class="wbe-card">
+                <div class="wbe-card-header">
+                    <h2><?php _e('Historique des Opérations', Constants::TEXT_DOMAIN); ?></h2>
+                </div>
+                <div class="wbe-card-body">
+                    <div class="wbe-history-filters">
+                        <select id="wbe-history-type" class="wbe-select">
+                            <option value=""><?php _e('Tous les types', Constants::TEXT_DOMAIN); ?></option>
+                            <option value="batch"><?php _e('Modification', Constants::TEXT_DOMAIN); ?></option>
+                            <option value="reset"><?php _e('Réinitialisation', Constants::TEXT_DOMAIN); ?></option>
+                        </select>
+                        <select id="wbe-history-status" class="wbe-select">
+                            <option value=""><?php _e('Tous les statuts', Constants::TEXT_DOMAIN); ?></option>
+                            <option value="completed"><?php _e('Terminée', Constants::TEXT_DOMAIN); ?></option>
+                            <option value="partial"><?php _e('Partielle', Constants::TEXT_DOMAIN); ?></option>
+                            <option value="running"><?php _e('En cours', Constants::TEXT_DOMAIN); ?></option>
+                            <option value="interrupted"><?php _e('Interrompue', Constants::TEXT_DOMAIN); ?></option>
+                            <option value="cancelled"><?php _e('Annulée', Constants::TEXT_DOMAIN); ?></option>
+                            <option value="rolled_back"><?php _e('Restaurée', Constants::TEXT_DOMAIN); ?></option>
+                        </select>
+                        <input type="text" id="wbe-history-search" class="wbe-search-input"
+                            placeholder="<?php esc_attr_e('ID opération ou ID produit...', Constants::TEXT_DOMAIN); ?>">
+                        <label class="wbe-checkbox-inline">
+                            <input type="checkbox" id="wbe-history-mine">
+                            <?php _e('Mes opérations uniquement', Constants::TEXT_DOMAIN); ?>
+                        </label>
+                        <button type="button" id="wbe-history-refresh" class="button button-secondary">
+                            <span class="dashicons dashicons-update"></span>
+                            <?php _e('Actualiser', Constants::TEXT_DOMAIN); ?>
+                        </button>
+                    </div>
+
+                    <table class="widefat striped wbe-history-table">
+                        <thead>
+                            <tr>
+                                <th><?php _e('Date', Constants::TEXT_DOMAIN); ?></th>
+                                <th><?php _e('Utilisateur', Constants::TEXT_DOMAIN); ?></th>
+                                <th><?php _e('Type', Constants::TEXT_DOMAIN); ?></th>
+                                <th><?php _e('Produits', Constants::TEXT_DOMAIN); ?></th>
+                                <th><?php _e('Succès / Échecs', Constants::TEXT_DOMAIN); ?></th>
+                                <th><?php _e('Statut', Constants::TEXT_DOMAIN); ?></th>
+                                <th><?php _e('Actions', Constants::TEXT_DOMAIN); ?></th>
+                            </tr>
+                        </thead>
+                        <tbody id="wbe-history-list">
+                            <tr>
+                                <td colspan="7"><?php _e('Chargement...', Constants::TEXT_DOMAIN); ?></td>
+                            </tr>
+                        </tbody>
+                    </table>
+
+                    <div id="wbe-history-details" class="wbe-history-details" style="display: none;"></div>
+                </div>
+            </div>
+        </div>
+<?php
+    }
+
+    /**
+     * Onglet Opérations programmées : exécution différée par WP-Cron
+     */
+    private function render_scheduled_panel(): void
+    {
+?>
+        <div class="wbe-tab-panel" data-tab="scheduled">
+            <div class="wbe-card">
+                <div class="wbe-card-header">
+                    <h2><?php _e('Opérations programmées', Constants::TEXT_DOMAIN); ?></h2>
+                </div>
+                <div class="wbe-card-body">
+                    <p class="description">
+                        <?php _e('Programmez une opération depuis l\'étape 3 de l\'édition en masse. Les dates sont à l\'heure du site.', Constants::TEXT_DOMAIN); ?>
+                        <button type="button" id="wbe-scheduled-refresh" class="button button-secondary">
+                            <span class="dashicons dashicons-update"></span>
+                            <?php _e('Actualiser', Constants::TEXT_DOMAIN); ?>
+                        </button>
+                    </p>
+
+                    <table class="widefat striped wbe-scheduled-table">
+                        <thead>
+                            <tr>
+                                <th><?php _e('Date prévue', Constants::TEXT_DOMAIN); ?></th>
+                                <th><?php _e('Libellé', Constants::TEXT_DOMAIN); ?></th>
+                                <th><?php _e('Produits', Constants::TEXT_DOMAIN); ?></th>
+                                <th><?php _e('Auteur', Constants::TEXT_DOMAIN); ?></th>
+                                <th><?php _e('Statut', Constants::TEXT_DOMAIN); ?></th>
+                                <th><?php _e('Actions', Constants::TEXT_DOMAIN); ?></th>
+                            </tr>
+                        </thead>
+                        <tbody id="wbe-scheduled-list">
+                            <tr>
+                                <td colspan="6"><?php _e('Chargement...', Constants::TEXT_DOMAIN); ?></td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+<?php
+    }
+
     public function add_help_tabs(): void
     {
         $screen = get_current_screen();
@@ -27,7 +27,17 @@ use WootourBulkEditor\Services\AvailabilityService;
 use WootourBulkEditor\Repositories\ProductRepository;
 use WootourBulkEditor\Services\SecurityService;
 use WootourBulkEditor\Exceptions\ValidationException;
+use WootourBulkEditor\Models\Availability;
 use WootourBulkEditor\Services\LoggerService;
+use WootourBulkEditor\Services\SnapshotService;
+use WootourBulkEditor\Services\HolidayService;
+use WootourBulkEditor\Services\IcsService;
+use WootourBulkEditor\Services\SelectionService;
+use WootourBulkEditor\Services\TemplateService;
+use WootourBulkEditor\Services\BookingService;
+use WootourBulkEditor\Services\ScheduleService;
+use WootourBulkEditor\Services\BackgroundService;
+use WootourBulkEditor\Services\RollingWindowService;
 use WootourBulkEditor\Controllers\ProductController;
 use WootourBulkEditor\Exceptions\BatchException;
 use WootourBulkEditor\Traits\Singleton;
@@ -75,6 +85,51 @@ final class AjaxController
      */
     private $availability_service;
 
+    /**
+     * @var SnapshotService
+     */
+    private $snapshot_service;
+
+    /**
+     * @var HolidayService
+     */
+    private $holiday_service;
+
+    /**
+     * @var IcsService
+     */
+    private $ics_service;
+
+    /**
+     * @var SelectionService
+     */
+    private $selection_service;
+
+    /**
+     * @var TemplateService
+     */
+    private $template_service;
+
+    /**
+     * @var BookingService
+     */
+    private $booking_service;
+
+    /**
+     * @var ScheduleService
+     */
+    private $schedule_service;
+
+    /**
+     * @var BackgroundService
+     */
+    private $background_service;
+
+    /**
+     * @var RollingWindowService
+     */
+    private $rolling_window_service;
+
     /**
      * Private constructor
      */
@@ -95,6 +150,15 @@ final class AjaxController
 
         $this->wootour_repository = WootourRepository::getInstance();
         $this->logger_service = LoggerService::getInstance();
+        $this->snapshot_service = SnapshotService::getInstance();
+        $this->holiday_service = HolidayService::getInstance();
+        $this->ics_service = IcsService::getInstance();
+        $this->selection_service = SelectionService::getInstance();
+        $this->template_service = TemplateService::getInstance();
+        $this->booking_service = BookingService::getInstance();
+        $this->schedule_service = ScheduleService::getInstance();
+        $this->background_service = BackgroundService::getInstance();
+        $this->rolling_window_service = RollingWindowService::getInstance();
 
         // Register AJAX actions
         foreach (Constants::AJAX_ACTIONS as $action) {
@@ -130,7 +194,18 @@ final class AjaxController
                 );
             }
 
-            $results = $this->wootour_repository->resetAvailabilityBatch($product_ids);
+            // Champs à effacer (vide = réinitialisation complète)
+            $fields = $this->parse_reset_fields();
+
+            $this->assert_no_booking_conflicts($product_ids, [], $this->build_reset_changes($fields));
+
+            // Suffixe aléatoire : deux réinitialisations dans la même seconde ne partagent ni snapshot ni historique
+            $operation_id = 'reset_' . time() . '_' . strtolower(wp_generate_password(8, false));
+
+            // Snapshot avant suppression : la réinitialisation peut être annulée
+            $this->snapshot_service->captureProducts($operation_id, $product_ids, 'reset');
+
+            $results = $this->wootour_repository->resetAvailabilityBatch($product_ids, $fields);
 
             $success_count = count($results['success']);
             $failed_count = count($results['failed']);
@@ -143,8 +218,9 @@ final class AjaxController
                 'batch_reset',
                 sprintf('Reset: %d/%d produits réinitialisés', $success_count, $total),
                 [
-                    'operation_id'   => 'reset_' . time(),
+                    'operation_id'   => $operation_id,
                     'product_ids'    => $product_ids,
+                    'reset_fields'   => $fields ?: Constants::AVAILABILITY_FIELDS,
                     'product_count'  => $total,
                     'success_count'  => $success_count,
                     'failed_count'   => $failed_count,
@@ -153,9 +229,21 @@ final class AjaxController
                 'info'
             );
 
+            $logger->recordOperation($operation_id, [
+                'type'          => 'reset',
+                'status'        => $failed_count === 0 ? 'completed' : 'partial',
+                'product_ids'   => $product_ids,
+                'reset_fields'  => $fields ?: Constants::AVAILABILITY_FIELDS,
+                'success_count' => $success_count,
+                'failed_count'  => $failed_count,
+                'completed_at'  => current_time('mysql'),
+            ]);
+
             $this->send_success_response([
                 'data' => [
-                    'operation_id'    => 'reset_' . time(),
+                    'operation_id'    => $operation_id,
+                    'can_rollback'    => $this->snapshot_service->canRollback($operation_id),
+                    'reset_fields'    => $fields ?: Constants::AVAILABILITY_FIELDS,
                     'total_products'  => $total,
                     'success_count'   => $success_count,
                     'failed_count'    => $failed_count,
@@ -222,6 +310,10 @@ final class AjaxController
         } catch (ValidationException $e) {
             $this->send_error_response($e->getMessage(), $e->getCode(), [
                 'type' => 'validation_error',
+                // Le navigateur peut redemander avec override_bookings après confirmation
+                'booked_dates' => $e->getCode() === Constants::ERROR_CODES['booked_dates'],
+                // ... et avec override_later_operations pour un rollback
+                'later_operations' => $e->getCode() === Constants::ERROR_CODES['later_operations'],
             ]);
         } catch (BatchException $e) {
             $this->send_error_response($e->getMessage(), $e->getCode(), [
@@ -268,21 +360,108 @@ final class AjaxController
             case Constants::AJAX_ACTIONS['validate_dates']:
                 return $this->handle_validate_dates();
 
-            case 'wbe_get_product_availability':
+            case Constants::AJAX_ACTIONS['get_product_availability']:
                 return $this->handle_get_product_availability();
 
-            case 'get_progress':
+            case Constants::AJAX_ACTIONS['get_progress']:
                 return $this->handle_get_progress();
 
-            case 'preview_changes':
+            case Constants::AJAX_ACTIONS['preview_changes']:
                 return $this->handle_preview_changes();
 
-            case 'cancel_operation':
+            case Constants::AJAX_ACTIONS['cancel_operation']:
                 return $this->handle_cancel_operation();
 
-            case 'resume_operation':
+            case Constants::AJAX_ACTIONS['resume_operation']:
                 return $this->handle_resume_operation();
 
+            case Constants::AJAX_ACTIONS['pause_operation']:
+                return $this->handle_pause_operation();
+
+            case Constants::AJAX_ACTIONS['rollback_operation']:
+                return $this->handle_rollback_operation();
+
+            case Constants::AJAX_ACTIONS['get_rollback_progress']:
+                return $this->handle_get_rollback_progress();
+
+            case Constants::AJAX_ACTIONS['get_history']:
+                return $this->handle_get_history();
+
+            case Constants::AJAX_ACTIONS['get_operation_logs']:
+                return $this->handle_get_operation_logs();
+
+            case Constants::AJAX_ACTIONS['rerun_operation']:
+                return $this->handle_rerun_operation();
+
+            case Constants::AJAX_ACTIONS['get_holidays']:
+                return $this->handle_get_holidays();
+
+            case Constants::AJAX_ACTIONS['parse_ics']:
+                return $this->handle_parse_ics();
+
+            case Constants::AJAX_ACTIONS['export_ics']:
+                return $this->handle_export_ics();
+
+            case Constants::AJAX_ACTIONS['import_ics']:
+                return $this->handle_import_ics();
+
+            case Constants::AJAX_ACTIONS['validate_csv_rows']:
+                return $this->handle_validate_csv_rows();
+
+            case Constants::AJAX_ACTIONS['import_csv']:
+                return $this->handle_import_csv();
+
+            case Constants::AJAX_ACTIONS['get_availability_heatmap']:
+                return $this->handle_get_availability_heatmap();
+
+            case Constants::AJAX_ACTIONS['filter_products']:
+                return $this->handle_filter_products();
+
+            case Constants::AJAX_ACTIONS['count_matching_products']:
+                return $this->handle_count_matching_products();
+
+            case Constants::AJAX_ACTIONS['get_selections']:
+                return $this->handle_get_selections();
+
+            case Constants::AJAX_ACTIONS['save_selection']:
+                return $this->handle_save_selection();
+
+            case Constants::AJAX_ACTIONS['rename_selection']:
+                return $this->handle_rename_selection();
+
+            case Constants::AJAX_ACTIONS['delete_selection']:
+                return $this->handle_delete_selection();
+
+            case Constants::AJAX_ACTIONS['load_selection']:
+                return $this->handle_load_selection();
+
+            case Constants::AJAX_ACTIONS['get_templates']:
+                return $this->handle_get_templates();
+
+            case Constants::AJAX_ACTIONS['save_template']:
+                return $this->handle_save_template();
+
+            case Constants::AJAX_ACTIONS['delete_template']:
+                return $this->handle_delete_template();
+
+            case Constants::AJAX_ACTIONS['import_templates']:
+                return $this->handle_import_templates();
+
+            case Constants::AJAX_ACTIONS['get_scheduled_operations']:
+                return $this->handle_get_scheduled_operations();
+
+            case Constants::AJAX_ACTIONS['schedule_operation']:
+                return $this->handle_schedule_operation();
+
+            case Constants::AJAX_ACTIONS['update_scheduled_operation']:
+                return $this->handle_update_scheduled_operation();
+
+            case Constants::AJAX_ACTIONS['cancel_scheduled_operation']:
+                return $this->handle_cancel_scheduled_operation();
+
+            case Constants::AJAX_ACTIONS['run_scheduled_operation']:
+                return $this->handle_run_scheduled_operation();
+
             default:
                 throw new \InvalidArgumentException(sprintf('Unknown AJAX action: %s', $action));
         }
@@ -485,219 +664,535 @@ final class AjaxController
     {
         $category_id = (int) ($_REQUEST['category_id'] ?? 0);
         $page = max(1, (int) ($_REQUEST['page'] ?? 1));
-        $per_page = min(100, max(1, (int) ($_REQUEST['per_page'] ?? 50)));
+        $per_page = min(Constants::PRODUCT_LIST_MAX_PER_PAGE, max(1, (int) ($_REQUEST['per_page'] ?? 50)));
         $search = sanitize_text_field($_REQUEST['search'] ?? '');
+        $sort = sanitize_key($_REQUEST['sort'] ?? 'name');
+        $order = strtoupper(sanitize_key($_REQUEST['order'] ?? 'asc')) === 'DESC' ? 'DESC' : 'ASC';
 
-        $products = [];
-
-        if (!empty($search)) {
-            // Search products
-            $products = $this->product_repository->searchProducts($search, $per_page);
-        } elseif ($category_id > 0) {
-            // Get by category
-            $products = $this->product_repository->getProductsByCategory($category_id, $page, $per_page);
-        } else {
-            // Get all (with limit)
-            $products = $this->product_repository->getAllProducts($per_page);
+        if (!in_array($sort, Constants::PRODUCT_SORTS, true)) {
+            $sort = 'name';
         }
 
+        // Catégorie (0 = tous les produits) et recherche, une page à la fois
+        $result = $this->product_repository->getMatchingProductsPage($search, $category_id, $page, $per_page, $sort, $order);
+        $total_pages = (int) ceil($result['total'] / $per_page);
+
         // Convert to API format
         $product_data = array_map(function ($product) {
             return $product->toApiArray();
-        }, $products);
-
-        // Get pagination info
-        $total = $this->product_repository->getProductCount($category_id);
-        $total_pages = $per_page > 0 ? ceil($total / $per_page) : 1;
+        }, $result['products']);
 
         return [
             'success' => true,
             'data' => [
                 'products' => $product_data,
                 'pagination' => [
-                    'total' => $total,
-                    'per_page' => $per_page,
+                    'total'        => $result['total'],
+                    'per_page'     => $per_page,
                     'current_page' => $page,
-                    'total_pages' => $total_pages,
-                    'has_more' => $page < $total_pages,
+                    'total_pages'  => $total_pages,
+                    'has_more'     => $page < $total_pages,
                 ],
                 'category_id' => $category_id,
                 'search_term' => $search,
+                'sort' => $sort,
+                'order' => $order,
             ],
         ];
     }
 
     /**
-     * Handle: Get categories (for category filter)
+     * Handle: Get products matching a selection filter (WooTour status, coverage, dates)
      */
-    private function handle_get_categories(): array
+    private function handle_filter_products(): array
     {
-        $categories = $this->product_repository->getCategoryTree();
+        $filter = sanitize_key($_REQUEST['filter'] ?? '');
+        $category_id = (int) ($_REQUEST['category_id'] ?? 0);
+        $params = [
+            'date' => sanitize_text_field($_REQUEST['date'] ?? ''),
+            'days' => min(365, max(1, (int) ($_REQUEST['days'] ?? 30))),
+        ];
+
+        if (!isset(Constants::SELECTION_FILTERS[$filter])) {
+            throw new ValidationException(sprintf('Unknown filter: %s', $filter));
+        }
+
+        if (in_array($filter, ['ends_before', 'bookable_on', 'excluded_on'], true)) {
+            $params['date'] = $this->availability_service->convertDateToDatabaseFormat($params['date']);
+
+            if (!$this->availability_service->isValidDate($params['date'])) {
+                throw ValidationException::invalidField('A valid date is required for this filter.');
+            }
+        }
+
+        $products = $this->product_repository->getProductsBySelectionFilter($filter, $params, $category_id);
 
         return [
             'success' => true,
             'data' => [
-                'categories' => $categories,
-                'total' => count($categories),
+                'products'  => array_map(fn($product) => $product->toApiArray(), $products),
+                'total'     => count($products),
+                'truncated' => count($products) >= Constants::SELECTION_FILTER_MAX_RESULTS,
+                'filter'    => $filter,
             ],
         ];
     }
 
     /**
-     * Handle: Process batch update
+     * Handle: Count the products matching the current list ("select all N matching")
      */
-    private function handle_process_batch(): array
+    private function handle_count_matching_products(): array
     {
-        error_log('[WBE] Processing batch request');
-        error_log('[WBE] POST data: ' . print_r($_POST, true));
+        $query = $this->parse_selection_query();
+        $count = $this->product_repository->countProductsBySelectionFilter(
+            $query['filter'],
+            $query,
+            $query['category_id']
+        );
 
-        // Parse request data
-        $product_ids = $this->parse_product_ids();
-        $changes = $this->parse_changes();
-        $operation_id = sanitize_text_field($_REQUEST['operation_id'] ?? '');
+        return [
+            'success' => true,
+            'data' => [
+                'query' => $query,
+                'total' => $count['total'],
+                'exact' => $count['exact'],
+            ],
+        ];
+    }
 
-        error_log('[WBE] Parsed product IDs: ' . print_r($product_ids, true));
-        error_log('[WBE] Parsed changes: ' . print_r($changes, true));
+    /**
+     * Handle: List the saved selections (own + shared)
+     */
+    private function handle_get_selections(): array
+    {
+        return [
+            'success' => true,
+            'data' => [
+                'selections' => $this->selection_service->getSelections(),
+            ],
+        ];
+    }
 
-        // Validate we have products to process
-        if (empty($product_ids)) {
-            throw new ValidationException('No products selected.');
-        }
+    /**
+     * Handle: Save the current selection (static list or dynamic rule)
+     */
+    private function handle_save_selection(): array
+    {
+        $rule = json_decode(wp_unslash($_POST['rule'] ?? ''), true);
 
-        // NOTE IMPORTANTE : On n'exige plus qu'il y ait des changements
-        // Si aucune règle n'est définie, les données existantes sont conservées
+        $selection = $this->selection_service->create([
+            'name'        => wp_unslash($_POST['name'] ?? ''),
+            'scope'       => sanitize_key($_POST['scope'] ?? 'user'),
+            'type'        => sanitize_key($_POST['type'] ?? 'static'),
+            'product_ids' => $this->parse_product_ids(),
+            'rule'        => is_array($rule) ? $rule : [],
+        ]);
 
-        error_log('[WBE] Starting batch processing for ' . count($product_ids) . ' products');
+        return [
+            'success' => true,
+            'data' => [
+                'selection'  => $selection,
+                'selections' => $this->selection_service->getSelections(),
+            ],
+            'message' => sprintf('Selection "%s" saved.', $selection['name']),
+        ];
+    }
 
-        // Process batch
-        $result = $this->batch_processor->processBatch($product_ids, $changes, $operation_id);
+    /**
+     * Handle: Rename a saved selection
+     */
+    private function handle_rename_selection(): array
+    {
+        $selection = $this->selection_service->rename(
+            sanitize_text_field($_POST['selection_id'] ?? ''),
+            wp_unslash($_POST['name'] ?? '')
+        );
 
-        error_log('[WBE] Batch processing result: ' . print_r($result, true));
         return [
             'success' => true,
-            'data' => $result,
-            'message' => $this->generate_batch_message($result),
-            'debug' => [
-                'product_count' => count($product_ids),
-                'changes_applied' => $changes
-            ]
+            'data' => [
+                'selection'  => $selection,
+                'selections' => $this->selection_service->getSelections(),
+            ],
         ];
     }
 
     /**
-     * Handle: Validate dates before moving to step 3
-     * VERSION SIMPLIFIÉE : Toutes les règles sont optionnelles
+     * Handle: Delete a saved selection
      */
-    private function handle_validate_dates(): array
+    private function handle_delete_selection(): array
     {
-        try {
-            // Parse et valider les données
-            $changes = $this->parse_changes();
+        $this->selection_service->delete(sanitize_text_field($_POST['selection_id'] ?? ''));
 
-            // Validation simple mais efficace
-            $errors = $this->validate_for_step2($changes);
+        return [
+            'success' => true,
+            'data' => [
+                'selections' => $this->selection_service->getSelections(),
+            ],
+        ];
+    }
 
-            if (!empty($errors)) {
-                return [
-                    'success' => false,
-                    'data' => [
-                        'valid' => false,
-                        'errors' => $errors,
-                        'changes' => $changes
-                    ]
-                ];
-            }
+    /**
+     * Handle: Load the products of a saved selection
+     */
+    private function handle_load_selection(): array
+    {
+        $result = $this->selection_service->resolve(sanitize_text_field($_REQUEST['selection_id'] ?? ''));
 
-            return [
-                'success' => true,
-                'data' => [
-                    'valid' => true,
-                    'changes' => $changes,
-                    'summary' => $this->generate_step2_summary($changes)
-                ]
-            ];
-        } catch (ValidationException $e) {
-            return [
-                'success' => false,
-                'data' => [
-                    'valid' => false,
-                    'errors' => [$e->getMessage()]
-                ]
-            ];
-        } catch (\Exception $e) {
-            return [
-                'success' => false,
-                'data' => [
-                    'valid' => false,
-                    'errors' => ['Une erreur technique est survenue. Veuillez réessayer.']
-                ]
-            ];
-        }
+        return [
+            'success' => true,
+            'data' => [
+                'selection' => $result['selection'],
+                'products'  => array_map(fn($product) => $product->toApiArray(), $result['products']),
+            ],
+        ];
     }
 
     /**
-     * Validation spécifique pour l'étape 2 - VERSION ULTRA-SIMPLIFIÉE
-     * 
-     * MODIFICATIONS MAJEURES :
-     * - On ne vérifie PLUS qu'au moins une règle est définie
-     * - Toutes les règles sont optionnelles
-     * - PLUS de validation de cohérence entre date début et date fin
-     * - Seule validation : si les DEUX dates sont présentes, fin >= début
+     * Handle: List the availability templates
      */
-    private function validate_for_step2(array $changes): array
+    private function handle_get_templates(): array
     {
-        $errors = [];
+        return [
+            'success' => true,
+            'data' => [
+                'templates' => $this->template_service->getTemplates(),
+            ],
+        ];
+    }
 
-        // 1. Si DEUX dates sont présentes, valider que fin >= début
-        $hasStartDate = !empty($changes['start_date']);
-        $hasEndDate = !empty($changes['end_date']);
+    /**
+     * Handle: Save the step-2 form as a template (same name = replaced)
+     */
+    private function handle_save_template(): array
+    {
+        $data = json_decode(wp_unslash($_POST['template'] ?? ''), true);
 
-        if ($hasStartDate && $hasEndDate) {
-            try {
-                $this->validate_date_range($changes['start_date'], $changes['end_date']);
-            } catch (ValidationException $e) {
-                $errors[] = $e->getMessage();
-            }
+        if (!is_array($data)) {
+            throw new ValidationException('Invalid template data.');
         }
 
-        // 2. Vérifier les conflits de dates
-        if (!empty($changes['specific']) && !empty($changes['exclusions'])) {
-            $conflicts = array_intersect($changes['specific'], $changes['exclusions']);
-            if (!empty($conflicts)) {
-                $formattedConflicts = array_map(function ($date) {
-                    return date('d/m/Y', strtotime($date));
-                }, $conflicts);
-                $errors[] = sprintf(
-                    'Les dates suivantes sont à la fois marquées comme disponibles et exclues : %s',
-                    implode(', ', $formattedConflicts)
-                );
-            }
-        }
+        $template = $this->template_service->save(wp_unslash($_POST['name'] ?? ''), $data);
 
-        return $errors;
+        return [
+            'success' => true,
+            'data' => [
+                'template'  => $template,
+                'templates' => $this->template_service->getTemplates(),
+            ],
+            'message' => sprintf('Template "%s" saved.', $template['name']),
+        ];
     }
 
     /**
-     * Génère un résumé pour l'étape 3
+     * Handle: Delete a template
      */
-    private function generate_step2_summary(array $changes): array
+    private function handle_delete_template(): array
     {
-        $summary = [];
+        $this->template_service->delete(sanitize_text_field($_POST['template_id'] ?? ''));
 
-        // Vérifier si au moins une règle est définie
-        $hasRules = (!empty($changes['start_date']) ||
-            !empty($changes['end_date'])) ||
-            !empty($changes['weekdays']) ||
-            !empty($changes['specific']) ||
-            !empty($changes['exclusions']);
+        return [
+            'success' => true,
+            'data' => [
+                'templates' => $this->template_service->getTemplates(),
+            ],
+        ];
+    }
 
-        if (!$hasRules) {
-            $summary['no_rules'] = true;
-            $summary['message'] = 'Aucune règle de disponibilité définie. Les informations existantes des produits seront conservées.';
-            return $summary;
+    /**
+     * Handle: Import templates from an exported JSON file (read by the browser)
+     */
+    private function handle_import_templates(): array
+    {
+        $entries = json_decode(wp_unslash($_POST['templates'] ?? ''), true);
+
+        if (!is_array($entries)) {
+            throw new ValidationException('The file is not a valid template export.');
         }
 
-        // Plage de dates
+        // Export complet ({ templates: [...] }) ou simple liste
+        $result = $this->template_service->import($entries['templates'] ?? $entries);
+
+        return [
+            'success' => true,
+            'data' => array_merge($result, [
+                'templates' => $this->template_service->getTemplates(),
+            ]),
+        ];
+    }
+
+    /**
+     * Handle: List the scheduled operations (pending first)
+     */
+    private function handle_get_scheduled_operations(): array
+    {
+        return [
+            'success' => true,
+            'data' => [
+                'operations' => $this->schedule_service->getOperations(),
+            ],
+        ];
+    }
+
+    /**
+     * Handle: Schedule the step-3 changes instead of applying them now
+     */
+    private function handle_schedule_operation(): array
+    {
+        $selection_query = isset($_POST['selection_query']) ? $this->parse_selection_query() : [];
+        $product_ids = empty($selection_query) ? $this->parse_product_ids() : [];
+        $changes = $this->parse_changes();
+
+        $this->availability_service->validateChanges($changes);
+        $this->assert_no_booking_conflicts($product_ids, $selection_query, $changes);
+
+        $operation = $this->schedule_service->create([
+            'label'             => wp_unslash($_POST['label'] ?? ''),
+            'run_at'            => $this->parse_schedule_time(),
+            'product_ids'       => $product_ids,
+            'selection_query'   => $selection_query,
+            'changes'           => $changes,
+            'override_bookings' => !empty($_POST['override_bookings']),
+        ]);
+
+        return [
+            'success' => true,
+            'data' => [
+                'operation' => $operation,
+            ],
+            'message' => sprintf('Opération programmée le %s', $operation['run_at_display']),
+        ];
+    }
+
+    /**
+     * Handle: Change the label or the date of a scheduled operation
+     */
+    private function handle_update_scheduled_operation(): array
+    {
+        return [
+            'success' => true,
+            'data' => [
+                'operation' => $this->schedule_service->update(
+                    sanitize_text_field($_POST['schedule_id'] ?? ''),
+                    [
+                        'label'  => wp_unslash($_POST['label'] ?? ''),
+                        'run_at' => $this->parse_schedule_time(),
+                    ]
+                ),
+            ],
+        ];
+    }
+
+    /**
+     * Handle: Cancel a scheduled or running operation
+     */
+    private function handle_cancel_scheduled_operation(): array
+    {
+        return [
+            'success' => true,
+            'data' => [
+                'operation' => $this->schedule_service->cancel(sanitize_text_field($_POST['schedule_id'] ?? '')),
+            ],
+        ];
+    }
+
+    /**
+     * Handle: Run a scheduled operation now (next WP-Cron run)
+     */
+    private function handle_run_scheduled_operation(): array
+    {
+        return [
+            'success' => true,
+            'data' => [
+                'operation' => $this->schedule_service->runNow(sanitize_text_field($_POST['schedule_id'] ?? '')),
+            ],
+        ];
+    }
+
+    /**
+     * Handle: Get categories (for category filter)
+     */
+    private function handle_get_categories(): array
+    {
+        $categories = $this->product_repository->getCategoryTree();
+
+        return [
+            'success' => true,
+            'data' => [
+                'categories' => $categories,
+                'total' => count($categories),
+            ],
+        ];
+    }
+
+    /**
+     * Handle: Process batch update
+     */
+    private function handle_process_batch(): array
+    {
+        error_log('[WBE] Processing batch request');
+        error_log('[WBE] POST data: ' . print_r($_POST, true));
+
+        // Parse request data ("select all matching" : critères au lieu des IDs)
+        $selection_query = isset($_POST['selection_query']) ? $this->parse_selection_query() : [];
+        $product_ids = empty($selection_query) ? $this->parse_product_ids() : [];
+        $changes = $this->parse_changes();
+        $operation_id = sanitize_text_field($_REQUEST['operation_id'] ?? '');
+
+        error_log('[WBE] Parsed product IDs: ' . print_r($product_ids, true));
+        error_log('[WBE] Parsed changes: ' . print_r($changes, true));
+
+        // Validate we have products to process
+        if (empty($product_ids) && empty($selection_query)) {
+            throw new ValidationException('No products selected.');
+        }
+
+        // NOTE IMPORTANTE : On n'exige plus qu'il y ait des changements
+        // Si aucune règle n'est définie, les données existantes sont conservées
+
+        $this->assert_no_booking_conflicts($product_ids, $selection_query, $changes);
+
+        error_log('[WBE] Starting batch processing for ' . count($product_ids) . ' products');
+
+        // Process batch: first chunk now, the rest in the background
+        $result = $this->batch_processor->processBatch($product_ids, $changes, $operation_id, $selection_query);
+
+        if (empty($result['is_complete'])) {
+            $this->background_service->start($result['operation_id']);
+        }
+
+        error_log('[WBE] Batch processing result: ' . print_r($result, true));
+        return [
+            'success' => true,
+            'data' => $result,
+            'message' => $this->generate_batch_message($result),
+            'debug' => [
+                'product_count' => $result['total_products'] ?? $result['progress']['total'] ?? count($product_ids),
+                'changes_applied' => $changes
+            ]
+        ];
+    }
+
+    /**
+     * Handle: Validate dates before moving to step 3
+     * VERSION SIMPLIFIÉE : Toutes les règles sont optionnelles
+     */
+    private function handle_validate_dates(): array
+    {
+        try {
+            // Parse et valider les données (réinitialisation : champs effacés)
+            $reset = !empty($_POST['reset']);
+            $changes = $reset ? $this->build_reset_changes($this->parse_reset_fields()) : $this->parse_changes();
+
+            // Validation simple mais efficace
+            $errors = $reset ? [] : $this->validate_for_step2($changes);
+
+            if (!empty($errors)) {
+                return [
+                    'success' => false,
+                    'data' => [
+                        'valid' => false,
+                        'errors' => $errors,
+                        'changes' => $changes
+                    ]
+                ];
+            }
+
+            return [
+                'success' => true,
+                'data' => [
+                    'valid' => true,
+                    'changes' => $changes,
+                    'summary' => $this->generate_step2_summary($changes),
+                    'booking_conflicts' => $this->check_booking_conflicts($changes),
+                ]
+            ];
+        } catch (ValidationException $e) {
+            return [
+                'success' => false,
+                'data' => [
+                    'valid' => false,
+                    'errors' => [$e->getMessage()]
+                ]
+            ];
+        } catch (\Exception $e) {
+            return [
+                'success' => false,
+                'data' => [
+                    'valid' => false,
+                    'errors' => ['Une erreur technique est survenue. Veuillez réessayer.']
+                ]
+            ];
+        }
+    }
+
+    /**
+     * Validation spécifique pour l'étape 2 - VERSION ULTRA-SIMPLIFIÉE
+     * 
+     * MODIFICATIONS MAJEURES :
+     * - On ne vérifie PLUS qu'au moins une règle est définie
+     * - Toutes les règles sont optionnelles
+     * - PLUS de validation de cohérence entre date début et date fin
+     * - Seule validation : si les DEUX dates sont présentes, fin >= début
+     */
+    private function validate_for_step2(array $changes): array
+    {
+        $errors = [];
+
+        // 1. Si DEUX dates sont présentes, valider que fin >= début
+        $hasStartDate = !empty($changes['start_date']);
+        $hasEndDate = !empty($changes['end_date']);
+
+        if ($hasStartDate && $hasEndDate) {
+            try {
+                $this->validate_date_range($changes['start_date'], $changes['end_date']);
+            } catch (ValidationException $e) {
+                $errors[] = $e->getMessage();
+            }
+        }
+
+        // 2. Vérifier les conflits de dates
+        // Les dates retirées ne peuvent pas entrer en conflit
+        $modes = $changes['modes'] ?? [];
+        $adds_both = ($modes['specific'] ?? 'add') !== 'remove' && ($modes['exclusions'] ?? 'add') !== 'remove';
+
+        if ($adds_both && !empty($changes['specific']) && !empty($changes['exclusions'])) {
+            $conflicts = array_intersect($changes['specific'], $changes['exclusions']);
+            if (!empty($conflicts)) {
+                $formattedConflicts = array_map(function ($date) {
+                    return date('d/m/Y', strtotime($date));
+                }, $conflicts);
+                $errors[] = sprintf(
+                    'Les dates suivantes sont à la fois marquées comme disponibles et exclues : %s',
+                    implode(', ', $formattedConflicts)
+                );
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Génère un résumé pour l'étape 3
+     */
+    private function generate_step2_summary(array $changes): array
+    {
+        $summary = [];
+
+        // Vérifier si au moins une règle est définie
+        $hasRules = (!empty($changes['start_date']) ||
+            !empty($changes['end_date'])) ||
+            !empty($changes['weekdays']) ||
+            !empty($changes['specific']) ||
+            !empty($changes['exclusions']);
+
+        if (!$hasRules) {
+            $summary['no_rules'] = true;
+            $summary['message'] = 'Aucune règle de disponibilité définie. Les informations existantes des produits seront conservées.';
+            return $summary;
+        }
+
+        // Plage de dates
         if (!empty($changes['start_date']) || !empty($changes['end_date'])) {
             $startFr = !empty($changes['start_date'])
                 ? date('d/m/Y', strtotime($changes['start_date']))
@@ -781,6 +1276,20 @@ final class AjaxController
             throw new ValidationException('Operation ID required.');
         }
 
+        // Terminée en arrière-plan : résultat final (rapport, rollback...)
+        $result = $this->background_service->getResult($operation_id);
+
+        if ($result !== null) {
+            return [
+                'success' => true,
+                'data' => [
+                    'operation_id' => $operation_id,
+                    'status' => 'completed',
+                    'result' => $result,
+                ],
+            ];
+        }
+
         $progress = $this->batch_processor->getProgress($operation_id);
 
         if (!$progress) {
@@ -794,6 +1303,11 @@ final class AjaxController
             ];
         }
 
+        // Sans traitement en arrière-plan : interrompue, à reprendre
+        $job = $this->background_service->getJob($operation_id);
+        $progress['status'] = $job['status'] ?? 'interrupted';
+        $progress['message'] = $job['message'] ?? '';
+
         return [
             'success' => true,
             'data' => $progress,
@@ -856,38 +1370,94 @@ final class AjaxController
             $product_id
         );
 
+        $has_data = !empty($availability_data) || !empty($excluded_dates_1) || !empty($excluded_dates_2) || !empty($special_dates);
+
         return [
             'success' => true,
             'data' => array_merge([
                 'product_id' => $product_id,
-                'has_data' => !empty($availability_data) || !empty($excluded_dates_1) || !empty($excluded_dates_2) || !empty($special_dates),
+                'has_data' => $has_data,
                 'product_name' => $product->get_name(),
+                'calendar' => $this->build_availability_calendar($parsed_data, $has_data),
             ], $parsed_data)
         ];
     }
 
     /**
-     * Parser les données de disponibilité WooTour
-     * 
-     * @param mixed $availability_data Données brutes de disponibilité principales
-     * @param mixed $excluded_dates_1 Dates exclues (wt_disable_book)
-     * @param mixed $excluded_dates_2 Dates exclues (wt_disabledate)
-     * @param mixed $special_dates Dates spéciales (wt_customdate)
-     * @param int $product_id ID du produit (pour debug)
-     * @return array Données parsées et formatées
+     * Bookable days of a product over a few months (mini calendar of the product list)
+     *
+     * Window: "month" (Y-m, current month by default) for "months" months (1 to 6).
      */
-    private function parse_wootour_availability(
-        $availability_data,
-        $excluded_dates_1 = null,
-        $excluded_dates_2 = null,
-        $special_dates = null,
-        $product_id = 0
-    ): array {
-        $result = [
-            'start_date' => '',
-            'end_date' => '',
-            'weekdays' => [],
-            'specific' => [],
+    private function build_availability_calendar(array $parsed_data, bool $has_data): array
+    {
+        $calendar = $this->read_calendar_window(2);
+        $calendar['available'] = [];
+        $from = $calendar['from'];
+        $to = $calendar['to'];
+
+        // Sans aucune règle, Availability considère chaque jour disponible
+        if (!$has_data) {
+            return $calendar;
+        }
+
+        try {
+            $availability = new Availability($parsed_data);
+            $calendar['available'] = $availability->getAvailableDates($from, $to);
+        } catch (\InvalidArgumentException $e) {
+            $calendar['error'] = $e->getMessage();
+        }
+
+        return $calendar;
+    }
+
+    /**
+     * Calendar window requested by the admin UI
+     *
+     * "month" (Y-m, current month by default) for "months" months
+     * (1 to Constants::HEATMAP_MAX_MONTHS).
+     *
+     * @return array ['from' => 'Y-m-d', 'to' => 'Y-m-d']
+     */
+    private function read_calendar_window(int $default_months): array
+    {
+        $month = sanitize_text_field($_REQUEST['month'] ?? '');
+        $months = (int) ($_REQUEST['months'] ?? $default_months);
+        $months = min(Constants::HEATMAP_MAX_MONTHS, max(1, $months));
+
+        if (!preg_match('/^\d{4}-\d{2}$/', $month)) {
+            $month = current_time('Y-m');
+        }
+
+        $from = $month . '-01';
+
+        return [
+            'from' => $from,
+            'to'   => date('Y-m-t', strtotime(sprintf('%s +%d months', $from, $months - 1))),
+        ];
+    }
+
+    /**
+     * Parser les données de disponibilité WooTour
+     * 
+     * @param mixed $availability_data Données brutes de disponibilité principales
+     * @param mixed $excluded_dates_1 Dates exclues (wt_disable_book)
+     * @param mixed $excluded_dates_2 Dates exclues (wt_disabledate)
+     * @param mixed $special_dates Dates spéciales (wt_customdate)
+     * @param int $product_id ID du produit (pour debug)
+     * @return array Données parsées et formatées
+     */
+    private function parse_wootour_availability(
+        $availability_data,
+        $excluded_dates_1 = null,
+        $excluded_dates_2 = null,
+        $special_dates = null,
+        $product_id = 0
+    ): array {
+        $result = [
+            'start_date' => '',
+            'end_date' => '',
+            'weekdays' => [],
+            'specific' => [],
             'exclusions' => []
         ];
 
@@ -959,168 +1529,818 @@ final class AjaxController
 
         error_log('[WBE] Product ' . $product_id . ' - Final parsed data: ' . print_r($result, true));
 
-        return $result;
+        return $result;
+    }
+
+    /**
+     * Parser une meta key WooTour contenant des dates
+     * 
+     * @param mixed $meta_value Valeur de la meta key
+     * @param string $meta_key Nom de la meta key (pour debug)
+     * @param int $product_id ID du produit (pour debug)
+     * @return array Tableau de dates normalisées
+     */
+    private function parse_wootour_date_meta($meta_value, string $meta_key, int $product_id): array
+    {
+        $dates = [];
+
+        if (empty($meta_value)) {
+            return $dates;
+        }
+
+        // Cas 1: C'est déjà un tableau de dates
+        if (is_array($meta_value)) {
+            foreach ($meta_value as $date) {
+                if (is_string($date) && !empty($date)) {
+                    $normalized = $this->normalize_date($date);
+                    if ($normalized) {
+                        $dates[] = $normalized;
+                    }
+                }
+                // Cas où c'est un tableau de tableaux (ex: [['date' => '2026-01-01'], ...])
+                elseif (is_array($date) && isset($date['date'])) {
+                    $normalized = $this->normalize_date($date['date']);
+                    if ($normalized) {
+                        $dates[] = $normalized;
+                    }
+                }
+            }
+        }
+        // Cas 2: C'est une chaîne sérialisée
+        elseif (is_string($meta_value)) {
+            // Essayer de désérialiser
+            $unserialized = @unserialize($meta_value);
+            if (is_array($unserialized)) {
+                return $this->parse_wootour_date_meta($unserialized, $meta_key, $product_id);
+            }
+
+            // Sinon, essayer de parser comme une date unique
+            $normalized = $this->normalize_date($meta_value);
+            if ($normalized) {
+                $dates[] = $normalized;
+            }
+        }
+
+        if (!empty($dates)) {
+            error_log('[WBE] Product ' . $product_id . ' - Parsed ' . count($dates) . ' dates from ' . $meta_key);
+        }
+
+        return $dates;
+    }
+
+    /**
+     * Normaliser une date au format YYYY-MM-DD
+     * 
+     * @param string $date Date à normaliser
+     * @return string Date normalisée
+     */
+    private function normalize_date(string $date): string
+    {
+        if (empty($date)) {
+            return '';
+        }
+
+        // Si déjà au bon format
+        if (preg_match('/^\d{4}-\d{2}-\d{2}$/', $date)) {
+            return $date;
+        }
+
+        // Si format DD/MM/YYYY
+        if (preg_match('/^(\d{2})\/(\d{2})\/(\d{4})$/', $date, $matches)) {
+            return sprintf('%04d-%02d-%02d', $matches[3], $matches[2], $matches[1]);
+        }
+
+        // Si format MM/DD/YYYY
+        if (preg_match('/^(\d{2})\/(\d{2})\/(\d{4})$/', $date, $matches)) {
+            // Ambiguïté - on suppose DD/MM/YYYY par défaut
+            return sprintf('%04d-%02d-%02d', $matches[3], $matches[2], $matches[1]);
+        }
+
+        // Essayer strtotime comme dernier recours
+        $timestamp = strtotime($date);
+        if ($timestamp !== false) {
+            return date('Y-m-d', $timestamp);
+        }
+
+        return '';
+    }
+
+    /**
+     * Handle: Preview changes before applying
+     */
+    private function handle_preview_changes(): array
+    {
+        $selection_query = isset($_POST['selection_query']) ? $this->parse_selection_query() : [];
+        $product_ids = empty($selection_query) ? $this->parse_product_ids() : [];
+        $changes = $this->parse_changes();
+        $sample_size = min(20, max(1, (int) ($_REQUEST['sample_size'] ?? 5)));
+        $total = count($product_ids);
+
+        // "Tous les produits correspondants" : échantillon pris dans les premiers produits, comme le premier lot
+        if (!empty($selection_query)) {
+            $product_ids = $this->product_repository->getProductIdsBySelectionFilter(
+                $selection_query['filter'],
+                $selection_query,
+                $selection_query['category_id'],
+                0,
+                $sample_size
+            )['ids'];
+            $total = $this->product_repository->countProductsBySelectionFilter(
+                $selection_query['filter'],
+                $selection_query,
+                $selection_query['category_id']
+            )['total'];
+        }
+
+        if (empty($product_ids)) {
+            throw new ValidationException('No products selected for preview.');
+        }
+
+        $preview = $this->batch_processor->previewChanges($product_ids, $changes, $sample_size);
+
+        if (!empty($preview['summary'])) {
+            $preview['summary']['total_products'] = $total;
+        }
+
+        return [
+            'success' => true,
+            'data' => $preview,
+            'message' => sprintf(
+                'Preview generated for %d products (sampled %d)',
+                $total,
+                count($preview['samples'] ?? [])
+            ),
+        ];
+    }
+
+    /**
+     * Handle: Cancel operation
+     */
+    private function handle_cancel_operation(): array
+    {
+        $operation_id = sanitize_text_field($_REQUEST['operation_id'] ?? '');
+
+        if (empty($operation_id)) {
+            throw new ValidationException('Operation ID required.');
+        }
+
+        $this->background_service->stop($operation_id);
+        $cancelled = $this->batch_processor->cancelOperation($operation_id);
+
+        return [
+            'success' => $cancelled,
+            'data' => [
+                'operation_id' => $operation_id,
+                'cancelled' => $cancelled,
+                'can_rollback' => $this->snapshot_service->canRollback($operation_id),
+            ],
+            'message' => $cancelled ? 'Operation cancelled.' : 'Failed to cancel operation.',
+        ];
+    }
+
+    /**
+     * Handle: Resume a paused or interrupted operation in the background
+     */
+    private function handle_resume_operation(): array
+    {
+        $operation_id = sanitize_text_field($_REQUEST['operation_id'] ?? '');
+
+        if (empty($operation_id)) {
+            throw new ValidationException('Operation ID required.');
+        }
+
+        $progress = $this->batch_processor->getProgress($operation_id);
+
+        if ($progress === null || empty($progress['can_resume'])) {
+            throw BatchException::cannotResume($operation_id);
+        }
+
+        $this->background_service->start($operation_id);
+
+        return [
+            'success' => true,
+            'data' => array_merge($progress, ['status' => 'running']),
+            'message' => 'Operation resumed in the background.',
+        ];
+    }
+
+    /**
+     * Handle: Pause a background operation after its current chunk
+     */
+    private function handle_pause_operation(): array
+    {
+        $operation_id = sanitize_text_field($_REQUEST['operation_id'] ?? '');
+
+        if (empty($operation_id)) {
+            throw new ValidationException('Operation ID required.');
+        }
+
+        $this->background_service->pause($operation_id);
+
+        return [
+            'success' => true,
+            'data' => [
+                'operation_id' => $operation_id,
+                'status' => 'paused',
+            ],
+            'message' => 'Operation paused.',
+        ];
+    }
+
+    /**
+     * Handle: Rollback operation (restore snapshots)
+     *
+     * The first chunk is restored by this request, the others in the
+     * background. Also resumes an interrupted rollback.
+     */
+    private function handle_rollback_operation(): array
+    {
+        $operation_id = sanitize_text_field($_REQUEST['operation_id'] ?? '');
+
+        if (empty($operation_id)) {
+            throw new ValidationException('Operation ID required.');
+        }
+
+        $job = $this->background_service->getJob($operation_id);
+
+        if ($job !== null && ($job['type'] ?? 'batch') !== 'rollback') {
+            throw ValidationException::invalidField(
+                'This operation is still being processed. Wait for it to finish or cancel it before rolling it back.'
+            );
+        }
+
+        // Déjà en cours en arrière-plan : le navigateur suit sa progression
+        if ($job !== null && $job['status'] === 'running') {
+            $progress = $this->snapshot_service->getRollbackProgress($operation_id);
+
+            if ($progress !== null) {
+                return [
+                    'success' => true,
+                    'data' => $progress,
+                ];
+            }
+        }
+
+        $this->assert_no_later_operations($operation_id);
+
+        $this->snapshot_service->startRollback($operation_id);
+        $result = $this->snapshot_service->restoreNextChunk($operation_id);
+
+        if (!$result['is_complete']) {
+            $this->background_service->start($operation_id, 'rollback');
+
+            return [
+                'success' => true,
+                'data' => $result,
+                'message' => 'Rollback continues in the background.',
+            ];
+        }
+
+        // Reprise d'une restauration interrompue, terminée par cette requête
+        if ($job !== null) {
+            $this->background_service->stop($operation_id);
+        }
+
+        return [
+            'success' => true,
+            'data' => $result,
+            'message' => sprintf(
+                '%d/%d produit(s) restauré(s)',
+                $result['success_count'],
+                $result['total_products']
+            ),
+        ];
+    }
+
+    /**
+     * Handle: Progress of a rollback continued in the background
+     */
+    private function handle_get_rollback_progress(): array
+    {
+        $operation_id = sanitize_text_field($_REQUEST['operation_id'] ?? '');
+
+        if (empty($operation_id)) {
+            throw new ValidationException('Operation ID required.');
+        }
+
+        $result = $this->background_service->getResult($operation_id, 'rollback');
+
+        if ($result !== null) {
+            return [
+                'success' => true,
+                'data' => $result,
+            ];
+        }
+
+        $progress = $this->snapshot_service->getRollbackProgress($operation_id);
+
+        if ($progress === null) {
+            throw ValidationException::invalidField('Rollback not found or expired.');
+        }
+
+        $job = $this->background_service->getJob($operation_id);
+
+        // Sans tâche : interrompue avant d'avoir été confiée à l'arrière-plan
+        $progress['status'] = $job['status'] ?? 'interrupted';
+        $progress['message'] = $job['message'] ?? '';
+
+        return [
+            'success' => true,
+            'data' => $progress,
+        ];
+    }
+
+    /**
+     * Refuse a rollback that would overwrite the changes of later
+     * operations on the same products, unless the user confirmed it
+     * (override_later_operations)
+     *
+     * @throws ValidationException Listing the later operations
+     */
+    private function assert_no_later_operations(string $operation_id): void
+    {
+        $later = $this->snapshot_service->getLaterOperations($operation_id);
+
+        if (empty($later)) {
+            return;
+        }
+
+        if (!empty($_POST['override_later_operations'])) {
+            $this->logger_service->log(
+                'rollback_override',
+                'Restauration confirmée malgré des opérations ultérieures',
+                [
+                    'operation_id'     => $operation_id,
+                    'later_operations' => array_column($later, 'operation_id'),
+                    'user_id'          => get_current_user_id(),
+                ],
+                'warning'
+            );
+            return;
+        }
+
+        throw ValidationException::laterOperations(sprintf(
+            '%d opération(s) appliquée(s) depuis ont modifié les mêmes produits et seraient écrasées : %s. Confirmez pour restaurer quand même.',
+            count($later),
+            implode(', ', array_map(function ($operation) {
+                return sprintf('%s (%d produit(s), %s)', $operation['operation_id'], $operation['product_count'], $operation['created_at']);
+            }, $later))
+        ));
+    }
+
+    /**
+     * Handle: Get operation history
+     */
+    private function handle_get_history(): array
+    {
+        $filters = [
+            'type'    => sanitize_key($_REQUEST['type'] ?? ''),
+            'status'  => sanitize_key($_REQUEST['status'] ?? ''),
+            'search'  => sanitize_text_field($_REQUEST['search'] ?? ''),
+            'days'    => (int) ($_REQUEST['days'] ?? 0),
+            'user_id' => ($_REQUEST['mine'] ?? '') === 'true' ? get_current_user_id() : 0,
+        ];
+        $limit = min(200, max(1, (int) ($_REQUEST['limit'] ?? 50)));
+
+        $operations = $this->logger_service->getOperationHistory($filters, $limit);
+
+        foreach ($operations as &$operation) {
+            $operation['can_rollback'] = $this->snapshot_service->canRollback($operation['operation_id']);
+        }
+        unset($operation);
+
+        return [
+            'success' => true,
+            'data' => [
+                'operations' => $operations,
+                'total'      => count($operations),
+            ],
+        ];
+    }
+
+    /**
+     * Handle: Get logs of a single operation (drill-down)
+     */
+    private function handle_get_operation_logs(): array
+    {
+        $operation_id = sanitize_text_field($_REQUEST['operation_id'] ?? '');
+
+        if (empty($operation_id)) {
+            throw new ValidationException('Operation ID required.');
+        }
+
+        $operation = $this->logger_service->getOperation($operation_id);
+
+        if ($operation !== null) {
+            $operation['can_rollback'] = $this->snapshot_service->canRollback($operation_id);
+        }
+
+        return [
+            'success' => true,
+            'data' => [
+                'operation' => $operation,
+                'logs'      => $this->logger_service->getLogsByOperation($operation_id, 200),
+            ],
+        ];
+    }
+
+    /**
+     * Handle: Re-run a past operation with the same products and changes
+     */
+    private function handle_rerun_operation(): array
+    {
+        $operation_id = sanitize_text_field($_REQUEST['operation_id'] ?? '');
+        $operation = $this->logger_service->getOperation($operation_id);
+
+        if ($operation === null) {
+            throw new ValidationException('Operation not found in history.');
+        }
+
+        if (($operation['type'] ?? '') !== 'batch') {
+            throw new ValidationException('Only bulk update operations can be re-run.');
+        }
+
+        $changes = $operation['changes'];
+        if (!empty($changes['weekdays'])) {
+            $changes['weekdays'] = array_map('intval', $changes['weekdays']);
+        }
+        foreach ($changes['per_product'] ?? [] as $product_id => $product_changes) {
+            if (!empty($product_changes['weekdays'])) {
+                $changes['per_product'][$product_id]['weekdays'] = array_map('intval', $product_changes['weekdays']);
+            }
+        }
+
+        // "Tous les produits correspondants" : les critères, résolus à nouveau
+        $selection_query = $operation['selection_query'] ?? [];
+        $product_ids = empty($selection_query) ? $operation['product_ids'] : [];
+
+        // Des commandes ont pu être passées depuis l'opération d'origine
+        $this->assert_no_booking_conflicts($product_ids, $selection_query, $changes);
+
+        $result = $this->batch_processor->processBatch($product_ids, $changes, '', $selection_query);
+
+        if (!empty($result['operation_id'])) {
+            $this->logger_service->recordOperation($result['operation_id'], ['rerun_of' => $operation_id]);
+        }
+
+        if (empty($result['is_complete'])) {
+            $this->background_service->start($result['operation_id']);
+        }
+
+        return [
+            'success' => true,
+            'data' => $result,
+            'message' => $this->generate_batch_message($result),
+        ];
+    }
+
+    /**
+     * Handle: Get public holidays from a bundled calendar
+     */
+    private function handle_get_holidays(): array
+    {
+        $code = sanitize_key($_REQUEST['country'] ?? '');
+        $year_from = (int) ($_REQUEST['year_from'] ?? 0);
+        $year_to = (int) ($_REQUEST['year_to'] ?? $year_from);
+
+        $holidays = $this->holiday_service->getHolidays($code, $year_from, $year_to);
+
+        return [
+            'success' => true,
+            'data' => [
+                'country'  => $code,
+                'holidays' => $holidays,
+                'total'    => count($holidays),
+            ],
+        ];
+    }
+
+    /**
+     * Handle: Read the dates of an uploaded .ics file
+     *
+     * The file is only parsed, nothing is stored on the server.
+     */
+    private function handle_parse_ics(): array
+    {
+        $file = $this->read_uploaded_ics();
+        $events = $this->ics_service->parse($file['content']);
+
+        return [
+            'success' => true,
+            'data' => [
+                'file_name' => $file['name'],
+                'holidays'  => $events,
+                'total'     => count($events),
+            ],
+        ];
+    }
+
+    /**
+     * Handle: Export the availability of products as an .ics calendar
+     */
+    private function handle_export_ics(): array
+    {
+        $product_ids = $this->parse_product_ids();
+
+        if (empty($product_ids)) {
+            throw new ValidationException('No products selected for export.');
+        }
+
+        if (count($product_ids) > Constants::ICS_EXPORT_MAX_PRODUCTS) {
+            throw new ValidationException(sprintf(
+                'Too many products: %d maximum per export.',
+                Constants::ICS_EXPORT_MAX_PRODUCTS
+            ));
+        }
+
+        $entries = [];
+        foreach ($product_ids as $product_id) {
+            if (get_post_type($product_id) !== 'product') {
+                continue;
+            }
+
+            $entries[] = [
+                'product_id'   => $product_id,
+                'name'         => get_the_title($product_id),
+                'availability' => $this->wootour_repository->getAvailability($product_id)->toArray(),
+            ];
+        }
+
+        $export = $this->ics_service->export($entries);
+
+        $file_name = count($entries) === 1
+            ? sprintf('disponibilites-%s.ics', sanitize_title($entries[0]['name']) ?: $entries[0]['product_id'])
+            : sprintf('disponibilites-%d-produits.ics', count($entries));
+
+        return [
+            'success' => true,
+            'data' => [
+                'file_name' => $file_name,
+                'content'   => $export['content'],
+                'exported'  => count($export['exported']),
+                'skipped'   => $export['skipped'],
+            ],
+        ];
+    }
+
+    /**
+     * Handle: Read availability from an uploaded .ics file (prefills step 2)
+     */
+    private function handle_import_ics(): array
+    {
+        $file = $this->read_uploaded_ics();
+        $result = $this->ics_service->parseAvailability($file['content']);
+
+        return [
+            'success' => true,
+            'data' => array_merge(['file_name' => $file['name']], $result),
+        ];
+    }
+
+    /**
+     * Handle: Bookable products per day for the whole selection (heatmap)
+     *
+     * One request for the selection: each product is evaluated with
+     * Availability::isDateAvailable over the requested window.
+     */
+    private function handle_get_availability_heatmap(): array
+    {
+        $product_ids = $this->parse_product_ids();
+
+        if (empty($product_ids)) {
+            throw new ValidationException('No products selected.');
+        }
+
+        if (count($product_ids) > Constants::HEATMAP_MAX_PRODUCTS) {
+            throw new ValidationException(sprintf(
+                'Too many products: %d maximum for the heatmap.',
+                Constants::HEATMAP_MAX_PRODUCTS
+            ));
+        }
+
+        $window = $this->read_calendar_window(3);
+
+        $dates = [];
+        for ($day = strtotime($window['from']); $day <= strtotime($window['to']); $day = strtotime('+1 day', $day)) {
+            $dates[] = date('Y-m-d', $day);
+        }
+
+        $products = [];
+        $days = array_fill_keys($dates, []);
+        $without_data = [];
+
+        foreach ($product_ids as $product_id) {
+            if (get_post_type($product_id) !== 'product') {
+                continue;
+            }
+
+            $availability = $this->wootour_repository->getAvailability($product_id);
+
+            // Sans aucune règle, Availability considère chaque jour disponible
+            if ($availability->isEmpty()) {
+                $without_data[] = ['id' => $product_id, 'name' => get_the_title($product_id)];
+                continue;
+            }
+
+            // Les jours sont renvoyés sous forme d'index dans "products"
+            $index = count($products);
+            $products[] = ['id' => $product_id, 'name' => get_the_title($product_id)];
+
+            foreach ($dates as $date) {
+                if ($availability->isDateAvailable($date)) {
+                    $days[$date][] = $index;
+                }
+            }
+        }
+
+        return [
+            'success' => true,
+            'data' => array_merge($window, [
+                'products'     => $products,
+                'days'         => $days,
+                'without_data' => $without_data,
+            ]),
+        ];
+    }
+
+    /**
+     * Handle: Validate CSV rows parsed by the browser (one product per row)
+     */
+    private function handle_validate_csv_rows(): array
+    {
+        $rows = $this->build_csv_rows();
+        $valid = count(array_filter($rows, fn($row) => empty($row['errors'])));
+
+        return [
+            'success' => true,
+            'data' => [
+                'rows'    => $rows,
+                'total'   => count($rows),
+                'valid'   => $valid,
+                'invalid' => count($rows) - $valid,
+            ],
+        ];
     }
 
     /**
-     * Parser une meta key WooTour contenant des dates
-     * 
-     * @param mixed $meta_value Valeur de la meta key
-     * @param string $meta_key Nom de la meta key (pour debug)
-     * @param int $product_id ID du produit (pour debug)
-     * @return array Tableau de dates normalisées
+     * Handle: Apply the valid CSV rows, each product with its own changes
+     *
+     * Rows are validated again here; invalid ones are left out.
+     * Next chunks go through wbe_resume_operation like any bulk update.
      */
-    private function parse_wootour_date_meta($meta_value, string $meta_key, int $product_id): array
+    private function handle_import_csv(): array
     {
-        $dates = [];
+        $per_product = [];
 
-        if (empty($meta_value)) {
-            return $dates;
+        foreach ($this->build_csv_rows() as $row) {
+            if (empty($row['errors'])) {
+                $per_product[$row['product_id']] = $row['changes'];
+            }
         }
 
-        // Cas 1: C'est déjà un tableau de dates
-        if (is_array($meta_value)) {
-            foreach ($meta_value as $date) {
-                if (is_string($date) && !empty($date)) {
-                    $normalized = $this->normalize_date($date);
-                    if ($normalized) {
-                        $dates[] = $normalized;
-                    }
-                }
-                // Cas où c'est un tableau de tableaux (ex: [['date' => '2026-01-01'], ...])
-                elseif (is_array($date) && isset($date['date'])) {
-                    $normalized = $this->normalize_date($date['date']);
-                    if ($normalized) {
-                        $dates[] = $normalized;
-                    }
-                }
-            }
+        if (empty($per_product)) {
+            throw new ValidationException('Aucune ligne valide à importer.');
         }
-        // Cas 2: C'est une chaîne sérialisée
-        elseif (is_string($meta_value)) {
-            // Essayer de désérialiser
-            $unserialized = @unserialize($meta_value);
-            if (is_array($unserialized)) {
-                return $this->parse_wootour_date_meta($unserialized, $meta_key, $product_id);
-            }
 
-            // Sinon, essayer de parser comme une date unique
-            $normalized = $this->normalize_date($meta_value);
-            if ($normalized) {
-                $dates[] = $normalized;
-            }
+        $changes = ['per_product' => $per_product];
+
+        // En remplacement, une ligne vide efface le produit : dates réservées comprises
+        $this->assert_no_booking_conflicts(array_keys($per_product), [], $changes);
+
+        $result = $this->batch_processor->processBatch(array_keys($per_product), $changes);
+
+        if (!empty($result['operation_id'])) {
+            $this->logger_service->recordOperation($result['operation_id'], ['source' => 'csv']);
         }
 
-        if (!empty($dates)) {
-            error_log('[WBE] Product ' . $product_id . ' - Parsed ' . count($dates) . ' dates from ' . $meta_key);
+        if (empty($result['is_complete'])) {
+            $this->background_service->start($result['operation_id']);
         }
 
-        return $dates;
+        return [
+            'success' => true,
+            'data' => $result,
+            'message' => $this->generate_batch_message($result),
+        ];
     }
 
     /**
-     * Normaliser une date au format YYYY-MM-DD
-     * 
-     * @param string $date Date à normaliser
-     * @return string Date normalisée
+     * Resolve and validate the CSV rows sent by the browser
+     *
+     * @return array List of [line, reference, product_id, product_name, changes, errors, warnings]
+     * @throws ValidationException On missing, malformed or oversized payload
      */
-    private function normalize_date(string $date): string
+    private function build_csv_rows(): array
     {
-        if (empty($date)) {
-            return '';
-        }
+        $raw_rows = json_decode(wp_unslash($_POST['rows'] ?? ''), true);
+        $mode = sanitize_key($_POST['mode'] ?? 'add');
 
-        // Si déjà au bon format
-        if (preg_match('/^\d{4}-\d{2}-\d{2}$/', $date)) {
-            return $date;
+        if (!is_array($raw_rows) || empty($raw_rows)) {
+            throw new ValidationException('Aucune ligne CSV reçue.');
         }
 
-        // Si format DD/MM/YYYY
-        if (preg_match('/^(\d{2})\/(\d{2})\/(\d{4})$/', $date, $matches)) {
-            return sprintf('%04d-%02d-%02d', $matches[3], $matches[2], $matches[1]);
+        if (count($raw_rows) > Constants::CSV_MAX_ROWS) {
+            throw new ValidationException(sprintf(
+                'Trop de lignes : %d maximum par import.',
+                Constants::CSV_MAX_ROWS
+            ));
         }
 
-        // Si format MM/DD/YYYY
-        if (preg_match('/^(\d{2})\/(\d{2})\/(\d{4})$/', $date, $matches)) {
-            // Ambiguïté - on suppose DD/MM/YYYY par défaut
-            return sprintf('%04d-%02d-%02d', $matches[3], $matches[2], $matches[1]);
+        if (!in_array($mode, Constants::CSV_MODES, true)) {
+            throw ValidationException::invalidField(sprintf('Invalid import mode: %s', $mode));
         }
 
-        // Essayer strtotime comme dernier recours
-        $timestamp = strtotime($date);
-        if ($timestamp !== false) {
-            return date('Y-m-d', $timestamp);
-        }
+        $rows = [];
+        $seen = [];
 
-        return '';
-    }
+        foreach ($raw_rows as $raw_row) {
+            if (!is_array($raw_row)) {
+                continue;
+            }
 
-    /**
-     * Handle: Preview changes before applying
-     */
-    private function handle_preview_changes(): array
-    {
-        $product_ids = $this->parse_product_ids();
-        $changes = $this->parse_changes();
-        $sample_size = min(20, max(1, (int) ($_REQUEST['sample_size'] ?? 5)));
-        error_log('test');
-        if (empty($product_ids)) {
-            throw new ValidationException('No products selected for preview.');
-        }
+            $row = $this->build_csv_row($raw_row, $mode);
 
-        $preview = $this->batch_processor->previewChanges($product_ids, $changes, $sample_size);
+            if ($row['product_id'] > 0) {
+                if (isset($seen[$row['product_id']])) {
+                    $row['errors'][] = sprintf('Produit déjà présent à la ligne %d.', $seen[$row['product_id']]);
+                } else {
+                    $seen[$row['product_id']] = $row['line'];
+                }
+            }
 
-        return [
-            'success' => true,
-            'data' => $preview,
-            'message' => sprintf(
-                'Preview generated for %d products (sampled %d)',
-                count($product_ids),
-                count($preview['samples'] ?? [])
-            ),
-        ];
+            $rows[] = $row;
+        }
+
+        return $rows;
     }
 
     /**
-     * Handle: Cancel operation
+     * Resolve the product of one CSV row and validate its changes
      */
-    private function handle_cancel_operation(): array
+    private function build_csv_row(array $raw_row, string $mode): array
     {
-        $operation_id = sanitize_text_field($_REQUEST['operation_id'] ?? '');
+        $row = [
+            'line'         => (int) ($raw_row['line'] ?? 0),
+            'reference'    => sanitize_text_field($raw_row['reference'] ?? ''),
+            'product_id'   => 0,
+            'product_name' => '',
+            'changes'      => [],
+            'errors'       => [],
+            'warnings'     => [],
+        ];
 
-        if (empty($operation_id)) {
-            throw new ValidationException('Operation ID required.');
+        // Référence : ID du produit, sinon SKU
+        $reference = $row['reference'];
+        if (ctype_digit($reference) && get_post_type((int) $reference) === 'product') {
+            $row['product_id'] = (int) $reference;
+        } elseif ($reference !== '' && function_exists('wc_get_product_id_by_sku')) {
+            $row['product_id'] = (int) wc_get_product_id_by_sku($reference);
         }
 
-        $cancelled = $this->batch_processor->cancelOperation($operation_id);
+        if ($row['product_id'] <= 0) {
+            $row['errors'][] = $reference === ''
+                ? 'Référence produit manquante (ID ou SKU).'
+                : sprintf('Aucun produit trouvé pour « %s ».', $reference);
+        } else {
+            $row['product_name'] = get_the_title($row['product_id']);
+        }
 
-        return [
-            'success' => $cancelled,
-            'data' => [
-                'operation_id' => $operation_id,
-                'cancelled' => $cancelled,
-            ],
-            'message' => $cancelled ? 'Operation cancelled.' : 'Failed to cancel operation.',
-        ];
+        $parsed = $this->availability_service->parseImportRow($raw_row, $mode);
+        $row['errors'] = array_merge($row['errors'], $parsed['errors']);
+        $row['warnings'] = $parsed['warnings'];
+        $row['changes'] = $parsed['changes'];
+
+        return $row;
     }
 
     /**
-     * Handle: Resume operation
+     * Validate and read the uploaded .ics file (field "ics_file")
+     *
+     * @return array ['name' => string, 'content' => string]
+     * @throws ValidationException On missing, oversized or non-.ics file
      */
-    private function handle_resume_operation(): array
+    private function read_uploaded_ics(): array
     {
-        $operation_id = sanitize_text_field($_REQUEST['operation_id'] ?? '');
+        $file = $_FILES['ics_file'] ?? null;
 
-        if (empty($operation_id)) {
-            throw new ValidationException('Operation ID required.');
+        if (!is_array($file) || ($file['error'] ?? UPLOAD_ERR_NO_FILE) !== UPLOAD_ERR_OK || !is_uploaded_file($file['tmp_name'])) {
+            throw ValidationException::invalidField('No .ics file received.');
+        }
+
+        if (strtolower(pathinfo($file['name'] ?? '', PATHINFO_EXTENSION)) !== 'ics') {
+            throw ValidationException::invalidField('Only .ics files are accepted.');
         }
 
-        $result = $this->batch_processor->resumeOperation($operation_id);
+        if ((int) $file['size'] > Constants::ICS_MAX_FILE_SIZE) {
+            throw ValidationException::invalidField(sprintf(
+                'The .ics file is too large (max %s).',
+                size_format(Constants::ICS_MAX_FILE_SIZE)
+            ));
+        }
 
         return [
-            'success' => true,
-            'data' => $result,
-            'message' => 'Operation resumed successfully.',
+            'name'    => sanitize_file_name($file['name']),
+            'content' => (string) file_get_contents($file['tmp_name']),
         ];
     }
 
@@ -1154,6 +2374,166 @@ final class AjaxController
         return array_map('intval', $product_ids);
     }
 
+    /**
+     * Parse the selection criteria sent as JSON (category_id, search, filter, date, days)
+     */
+    private function parse_selection_query(): array
+    {
+        $query = json_decode(wp_unslash($_POST['selection_query'] ?? ''), true);
+
+        if (!is_array($query)) {
+            throw new ValidationException('Invalid selection criteria.');
+        }
+
+        return $this->selection_service->sanitizeQuery($query);
+    }
+
+    /**
+     * Parse recurrence rules sent with the changes
+     *
+     * The dates themselves are already part of specific/exclusions; the
+     * rules are only kept so the operation log shows where they came from.
+     *
+     * @param array $raw_rules Rules from the request
+     * @return array List of [target, text, rule, dates]
+     */
+    private function parse_recurrence_rules(array $raw_rules): array
+    {
+        $rules = [];
+
+        foreach ($raw_rules as $raw_rule) {
+            if (!is_array($raw_rule)) {
+                continue;
+            }
+
+            $target = sanitize_key($raw_rule['target'] ?? '');
+            $text = sanitize_text_field(wp_unslash($raw_rule['text'] ?? ''));
+
+            if (!in_array($target, ['specific', 'exclusions'], true) || $text === '') {
+                continue;
+            }
+
+            $definition = json_decode(wp_unslash($raw_rule['rule'] ?? ''), true);
+            $dates = array_map('sanitize_text_field', (array) ($raw_rule['dates'] ?? []));
+
+            $rules[] = [
+                'target' => $target,
+                'text'   => $text,
+                'rule'   => is_array($definition) ? map_deep($definition, 'sanitize_text_field') : [],
+                'dates'  => array_values(array_filter($dates, fn($date) => preg_match('/^\d{4}-\d{2}-\d{2}$/', $date))),
+            ];
+        }
+
+        return $rules;
+    }
+
+    /**
+     * Reset expressed as changes: the reset fields are replaced by empty values
+     *
+     * @param array $fields Fields from parse_reset_fields (empty = all)
+     */
+    private function build_reset_changes(array $fields): array
+    {
+        $modes = [];
+        foreach ($fields ?: Constants::AVAILABILITY_FIELDS as $field) {
+            $modes[$field] = 'replace';
+        }
+
+        return ['modes' => $modes];
+    }
+
+    /**
+     * Booked dates removed by the changes, for the products of the request
+     * (product_ids or selection_query)
+     *
+     * @see BookingService::checkOperation()
+     */
+    private function check_booking_conflicts(array $changes): array
+    {
+        $selection_query = isset($_POST['selection_query']) ? $this->parse_selection_query() : [];
+        $product_ids = empty($selection_query) && isset($_REQUEST['product_ids']) ? $this->parse_product_ids() : [];
+
+        return $this->booking_service->checkOperation($product_ids, $selection_query, $changes);
+    }
+
+    /**
+     * Refuse an operation that removes booked dates, unless the user
+     * confirmed it (override_bookings)
+     *
+     * @throws ValidationException Listing the affected orders
+     */
+    private function assert_no_booking_conflicts(array $product_ids, array $selection_query, array $changes): void
+    {
+        if (!empty($_POST['override_bookings'])) {
+            $this->logger_service->log(
+                'booking_override',
+                'Suppression de dates réservées confirmée',
+                ['product_ids' => $product_ids, 'selection_query' => $selection_query, 'user_id' => get_current_user_id()],
+                'warning'
+            );
+            return;
+        }
+
+        // Tous les produits, pas seulement les premiers comme pour l'aperçu de l'étape 3
+        $conflicts = $this->booking_service->checkOperation($product_ids, $selection_query, $changes, true)['conflicts'];
+
+        if (empty($conflicts)) {
+            return;
+        }
+
+        throw ValidationException::bookedDates(sprintf(
+            '%d date(s) réservée(s) ne seraient plus disponibles (commandes %s). Confirmez la suppression pour continuer.',
+            count($conflicts),
+            $this->booking_service->formatOrderNumbers($conflicts)
+        ));
+    }
+
+    /**
+     * Parse the scheduled date and time (datetime-local field, site timezone)
+     *
+     * @return int Timestamp
+     */
+    private function parse_schedule_time(): int
+    {
+        $value = sanitize_text_field(wp_unslash($_POST['run_at'] ?? ''));
+        $date = \DateTime::createFromFormat('Y-m-d\TH:i', $value, wp_timezone());
+
+        if ($date === false) {
+            throw new ValidationException('Invalid scheduled date and time.');
+        }
+
+        return $date->getTimestamp();
+    }
+
+    /**
+     * Parse the fields to clear for a selective reset
+     *
+     * @return array Selected fields, or an empty array for a full reset
+     * @throws ValidationException If the selection is empty
+     */
+    private function parse_reset_fields(): array
+    {
+        if (!isset($_REQUEST['fields'])) {
+            return [];
+        }
+
+        $fields = array_intersect(
+            Constants::AVAILABILITY_FIELDS,
+            array_map('sanitize_key', (array) $_REQUEST['fields'])
+        );
+
+        if (empty($fields)) {
+            throw new ValidationException('Aucun champ sélectionné pour la réinitialisation.');
+        }
+
+        // Tous les champs : réinitialisation complète (toutes les meta WooTour)
+        if (count($fields) === count(Constants::AVAILABILITY_FIELDS)) {
+            return [];
+        }
+
+        return array_values($fields);
+    }
+
     /**
      * Parse changes from request
      * VERSION MODIFIÉE : Permet de choisir date de début OU date de fin indépendamment
@@ -1180,6 +2560,11 @@ final class AjaxController
             ];
         }
 
+        // Décalage du calendrier : dates propres à chaque produit, aucune valeur commune
+        if (isset($_REQUEST['shift']) && is_array($_REQUEST['shift'])) {
+            return $this->parse_shift_changes($_REQUEST['shift']);
+        }
+
         // Parse each field with sanitization (code existant)
         $fields = ['start_date', 'end_date', 'weekdays', 'exclusions', 'specific'];
 
@@ -1262,6 +2647,44 @@ final class AjaxController
             }
         }
 
+        // Mode par champ : add (défaut), replace ou remove
+        $modes = [];
+        if (isset($_REQUEST['modes']) && is_array($_REQUEST['modes'])) {
+            foreach (Constants::CHANGE_MODE_FIELDS as $mode_field) {
+                $mode = sanitize_key($_REQUEST['modes'][$mode_field] ?? 'add');
+                $modes[$mode_field] = in_array($mode, Constants::CHANGE_MODES, true) ? $mode : 'add';
+            }
+            $changes['modes'] = $modes;
+        }
+
+        // Règles récurrentes (texte + dates générées), conservées pour le journal
+        if (isset($_REQUEST['rules']) && is_array($_REQUEST['rules'])) {
+            $rules = $this->parse_recurrence_rules($_REQUEST['rules']);
+            if (!empty($rules)) {
+                $changes['rules'] = $rules;
+            }
+        }
+
+        // Suppression de la plage : les dates saisies sont ignorées
+        if (($modes['range'] ?? 'add') === 'remove') {
+            unset($changes['start_date'], $changes['end_date']);
+        }
+
+        // Fenêtre glissante : la plage est calculée à partir d'aujourd'hui
+        if (!empty($_REQUEST['rolling_window_days'])) {
+            $days = (int) $_REQUEST['rolling_window_days'];
+
+            if ($days < 1 || $days > Constants::ROLLING_WINDOW_MAX_DAYS) {
+                throw new ValidationException(
+                    sprintf('La fenêtre glissante doit couvrir entre 1 et %d jours.', Constants::ROLLING_WINDOW_MAX_DAYS)
+                );
+            }
+
+            // Dates saisies ignorées : calculées après les contrôles, dans le fuseau du site
+            $changes['rolling_window'] = ['days' => $days];
+            unset($changes['start_date'], $changes['end_date']);
+        }
+
         error_log('[WBE AjaxController] Final parsed changes: ' . print_r($changes, true));
 
         // Validations (seulement si pas en mode reset)
@@ -1298,7 +2721,11 @@ final class AjaxController
             $this->validate_date_range($changes['start_date'], $changes['end_date']);
         }
 
-        if (!empty($changes['specific']) && !empty($changes['exclusions'])) {
+        // Les dates retirées ne sont ni ajoutées ni contrôlées
+        $adds_specific = ($modes['specific'] ?? 'add') !== 'remove';
+        $adds_exclusions = ($modes['exclusions'] ?? 'add') !== 'remove';
+
+        if ($adds_specific && $adds_exclusions && !empty($changes['specific']) && !empty($changes['exclusions'])) {
             $conflicts = array_intersect($changes['specific'], $changes['exclusions']);
             if (!empty($conflicts)) {
                 $conflict_dates = array_map(function ($date) {
@@ -1314,7 +2741,7 @@ final class AjaxController
             }
         }
 
-        if (!empty($changes['specific'])) {
+        if ($adds_specific && !empty($changes['specific'])) {
             $past_dates = [];
             foreach ($changes['specific'] as $date) {
                 if ($date < $today) {
@@ -1332,7 +2759,7 @@ final class AjaxController
             }
         }
 
-        if (!empty($changes['exclusions'])) {
+        if ($adds_exclusions && !empty($changes['exclusions'])) {
             $past_dates = [];
             foreach ($changes['exclusions'] as $date) {
                 if ($date < $today) {
@@ -1350,11 +2777,81 @@ final class AjaxController
             }
         }
 
+        // Copie depuis un produit de référence : ses disponibilités sont gardées dans le journal
+        if (!empty($_REQUEST['copy_source'])) {
+            $changes['source'] = $this->build_copy_source((int) $_REQUEST['copy_source']);
+        }
+
+        $changes = $this->rolling_window_service->resolveChanges($changes);
+
         error_log('[WBE AjaxController] === END parse_changes ===');
 
         return $changes;
     }
 
+    /**
+     * Reference product of a copy, with its availability at the time of the
+     * operation (recorded in the operation log)
+     *
+     * @throws ValidationException If the product does not exist
+     */
+    private function build_copy_source(int $product_id): array
+    {
+        $product = $product_id > 0 ? wc_get_product($product_id) : null;
+
+        if (!$product) {
+            throw new ValidationException('Produit de référence introuvable.');
+        }
+
+        return [
+            'product_id'   => $product_id,
+            'name'         => $product->get_name(),
+            'availability' => array_intersect_key(
+                $this->wootour_repository->getAvailability($product_id)->toArray(),
+                array_flip(['start_date', 'end_date', 'weekdays', 'specific', 'exclusions'])
+            ),
+        ];
+    }
+
+    /**
+     * Changes of a shift operation: the chosen fields are replaced by the
+     * product's own dates, moved (see AvailabilityService::shiftAvailability)
+     *
+     * @param array $input ['type' => days|next_year, 'days' => int, 'fields' => string[]]
+     * @throws ValidationException
+     */
+    private function parse_shift_changes(array $input): array
+    {
+        $type = sanitize_key($input['type'] ?? '');
+        $days = (int) ($input['days'] ?? 0);
+        $fields = array_values(array_intersect(
+            Constants::SHIFT_FIELDS,
+            array_map('sanitize_key', (array) ($input['fields'] ?? []))
+        ));
+
+        if (!in_array($type, Constants::SHIFT_TYPES, true)) {
+            throw new ValidationException('Type de décalage invalide.');
+        }
+
+        if ($type === 'days' && ($days === 0 || abs($days) > Constants::SHIFT_MAX_DAYS)) {
+            throw new ValidationException(
+                sprintf('Le décalage doit être compris entre 1 et %d jours, en avant ou en arrière.', Constants::SHIFT_MAX_DAYS)
+            );
+        }
+
+        if (empty($fields)) {
+            throw new ValidationException('Choisissez au moins un champ à décaler.');
+        }
+
+        return [
+            'shift' => [
+                'type'   => $type,
+                'days'   => $type === 'days' ? $days : 0,
+                'fields' => $fields,
+            ],
+            'modes' => array_fill_keys($fields, 'replace'),
+        ];
+    }
 
     /**
      * Validate date range
@@ -59,6 +59,103 @@ final class Constants
     public const LOG_MAX_ENTRIES = 100;
     public const LOG_RETENTION_DAYS = 30;
 
+    // Historique des opérations (option dédiée, hors rotation des logs)
+    public const HISTORY_MAX_ENTRIES = 200;
+
+    // Snapshots de disponibilité pour le rollback (une option par opération)
+    public const SNAPSHOT_OPTION_PREFIX = 'wbe_snapshot_';
+    public const SNAPSHOT_RETENTION_DAYS = 30;
+
+    // Rapport des dates ajoutées / retirées par opération (conservé comme les snapshots)
+    public const DATE_CHANGES_OPTION_PREFIX = 'wbe_date_changes_';
+    public const DATE_CHANGES_DEFAULT_DAYS = 365; // Fenêtre comparée sans date de fin
+    public const DATE_CHANGES_MAX_DAYS = 1095;
+
+    // Champs de disponibilité éditables séparément (modes, réinitialisation sélective)
+    public const AVAILABILITY_FIELDS = ['range', 'weekdays', 'specific', 'exclusions'];
+
+    // Modes d'application des modifications, par champ (étape 2)
+    public const CHANGE_MODES = ['add', 'replace', 'remove'];
+    public const CHANGE_MODE_FIELDS = self::AVAILABILITY_FIELDS;
+
+    // Jours fériés embarqués (data/holidays/<code>.ics), import hors ligne vers les exclusions
+    public const HOLIDAY_DATASETS = [
+        'fr'                => 'France',
+        'fr-alsace-moselle' => 'France (Alsace-Moselle)',
+        'be'                => 'Belgique',
+        'de'                => 'Allemagne',
+        'es'                => 'Espagne',
+        'it'                => 'Italie',
+    ];
+    public const HOLIDAY_MAX_YEARS = 10;
+
+    // Import de fichiers iCalendar (.ics)
+    public const ICS_MAX_FILE_SIZE = 1048576;
+    public const ICS_MAX_EVENT_DAYS = 366;
+    public const ICS_EXPORT_MAX_PRODUCTS = 500;
+
+    // Import CSV de disponibilités par produit (une ligne par produit)
+    public const CSV_MAX_ROWS = 1000;
+    public const CSV_MODES = ['add', 'replace'];
+
+    // Carte de chaleur des disponibilités de la sélection
+    public const HEATMAP_MAX_PRODUCTS = 500;
+    public const HEATMAP_MAX_MONTHS = 6;
+
+    // Filtres de sélection sur les meta WooTour (étape 1)
+    public const SELECTION_FILTERS = [
+        'no_wootour'        => 'Sans données WooTour',
+        'ends_before'       => 'Disponibilité se terminant avant le…',
+        'no_upcoming_dates' => 'Aucune date dans les N prochains jours',
+        'bookable_on'       => 'Réservable le…',
+        'excluded_on'       => 'Exclusion le…',
+    ];
+    public const SELECTION_FILTER_MAX_RESULTS = 500;
+
+    // Liste des produits de l'étape 1 (chargée page par page côté serveur)
+    public const PRODUCT_SORTS = ['name', 'sku', 'date', 'wootour'];
+    public const PRODUCT_LIST_MAX_PER_PAGE = 100;
+
+    // Sélections de produits enregistrées (personnelles ou partagées)
+    public const SELECTIONS_OPTION = 'wbe_saved_selections';
+    public const SELECTIONS_USER_META = 'wbe_saved_selections';
+    public const SELECTION_MAX_SAVED = 50;
+    public const SELECTION_MAX_PRODUCTS = 1000;
+
+    // Modèles de disponibilité (formulaire de l'étape 2), partagés sur le site
+    public const TEMPLATES_OPTION = 'wbe_availability_templates';
+    public const TEMPLATE_MAX_SAVED = 100;
+
+    // Réservations existantes : dates retirées alors que des commandes les occupent
+    public const BOOKING_ORDER_STATUSES = ['pending', 'on-hold', 'processing', 'completed'];
+    public const BOOKING_DATE_META_KEYS = ['_date', 'wt_date']; // Date du tour sur la ligne de commande WooTour
+    public const BOOKING_CHECK_MAX_PRODUCTS = 500;
+
+    // Opérations programmées, exécutées par WP-Cron lot par lot
+    public const SCHEDULED_OPERATIONS_OPTION = 'wbe_scheduled_operations';
+    public const SCHEDULE_CRON_HOOK = 'wbe_process_scheduled_operation';
+    public const SCHEDULE_MAX_PENDING = 50;
+    public const SCHEDULE_CONTINUE_DELAY = 60; // Secondes avant le passage WP-Cron suivant
+
+    // Traitement en arrière-plan : requête en boucle locale, WP-Cron en secours
+    public const BACKGROUND_JOB_OPTION_PREFIX = 'wbe_background_job_'; // Une option par opération
+    public const BACKGROUND_WORKER_ACTION = 'wbe_background_worker'; // Hors AJAX_ACTIONS : authentifié par jeton
+    public const BACKGROUND_CRON_HOOK = 'wbe_background_healthcheck';
+    public const BACKGROUND_HEALTHCHECK_DELAY = 120;
+
+    // Fenêtre glissante : aujourd'hui → aujourd'hui + N jours, recalculée chaque nuit
+    public const ROLLING_WINDOW_META = '_wbe_rolling_window';
+    public const ROLLING_WINDOW_CRON_HOOK = 'wbe_rolling_window_update';
+    public const ROLLING_WINDOW_CONTINUE_HOOK = 'wbe_rolling_window_continue'; // Suite de la mise à jour, par lots
+    public const ROLLING_WINDOW_RUN_OPTION = 'wbe_rolling_window_run';
+    public const ROLLING_WINDOW_DEFAULT_DAYS = 90;
+    public const ROLLING_WINDOW_MAX_DAYS = 730;
+
+    // Décalage du calendrier : N jours, ou même jour de la semaine l'année suivante
+    public const SHIFT_TYPES = ['days', 'next_year'];
+    public const SHIFT_FIELDS = ['range', 'specific', 'exclusions'];
+    public const SHIFT_MAX_DAYS = 730;
+
     /** Actions AJAX */
     public const AJAX_ACTIONS = [
         'get_products' => 'wbe_get_products',
@@ -66,10 +163,40 @@ final class Constants
         'process_batch' => 'wbe_process_batch',
         'search_products' => 'wbe_search_products',
         'validate_dates' => 'wbe_validate_dates',
+        'get_product_availability' => 'wbe_get_product_availability',
         'get_progress' => 'wbe_get_progress',
         'preview_changes' => 'wbe_preview_changes',
         'cancel_operation' => 'wbe_cancel_operation',
         'resume_operation' => 'wbe_resume_operation',
+        'pause_operation' => 'wbe_pause_operation',
+        'rollback_operation' => 'wbe_rollback_operation',
+        'get_rollback_progress' => 'wbe_get_rollback_progress',
+        'get_history' => 'wbe_get_history',
+        'get_operation_logs' => 'wbe_get_operation_logs',
+        'rerun_operation' => 'wbe_rerun_operation',
+        'get_holidays' => 'wbe_get_holidays',
+        'parse_ics' => 'wbe_parse_ics',
+        'export_ics' => 'wbe_export_ics',
+        'import_ics' => 'wbe_import_ics',
+        'validate_csv_rows' => 'wbe_validate_csv_rows',
+        'import_csv' => 'wbe_import_csv',
+        'get_availability_heatmap' => 'wbe_get_availability_heatmap',
+        'filter_products' => 'wbe_filter_products',
+        'count_matching_products' => 'wbe_count_matching_products',
+        'get_selections' => 'wbe_get_selections',
+        'save_selection' => 'wbe_save_selection',
+        'rename_selection' => 'wbe_rename_selection',
+        'delete_selection' => 'wbe_delete_selection',
+        'load_selection' => 'wbe_load_selection',
+        'get_templates' => 'wbe_get_templates',
+        'save_template' => 'wbe_save_template',
+        'delete_template' => 'wbe_delete_template',
+        'import_templates' => 'wbe_import_templates',
+        'get_scheduled_operations' => 'wbe_get_scheduled_operations',
+        'schedule_operation' => 'wbe_schedule_operation',
+        'update_scheduled_operation' => 'wbe_update_scheduled_operation',
+        'cancel_scheduled_operation' => 'wbe_cancel_scheduled_operation',
+        'run_scheduled_operation' => 'wbe_run_scheduled_operation',
     ];
 
     /**
@@ -122,6 +249,8 @@ final class Constants
         'permission_denied' => 1003,
         'batch_failed'      => 1004,
         'wootour_error'     => 1005,
+        'booked_dates'      => 1006,
+        'later_operations'  => 1007,
     ];
 
 
@@ -141,8 +141,18 @@ final class Plugin
 
             // Logique métier
             \WootourBulkEditor\Services\AvailabilityService::class,
+            \WootourBulkEditor\Services\SnapshotService::class,
+            \WootourBulkEditor\Services\ChangeReportService::class,
+            \WootourBulkEditor\Services\BookingService::class,
+            \WootourBulkEditor\Services\RollingWindowService::class,
             \WootourBulkEditor\Services\BatchProcessor::class,
+            \WootourBulkEditor\Services\BackgroundService::class,
             \WootourBulkEditor\Services\SecurityService::class,
+            \WootourBulkEditor\Services\IcsService::class,
+            \WootourBulkEditor\Services\HolidayService::class,
+            \WootourBulkEditor\Services\SelectionService::class,
+            \WootourBulkEditor\Services\TemplateService::class,
+            \WootourBulkEditor\Services\ScheduleService::class,
 
             // Contrôleurs (dépendent des services)
             \WootourBulkEditor\Controllers\AdminController::class,
@@ -298,6 +308,13 @@ final class Plugin
     {
         // Supprimer les tâches cron planifiées
         wp_clear_scheduled_hook('wbe_daily_cleanup');
+
+        // Opérations programmées (un événement par opération, avec arguments) :
+        // replanifiées par ScheduleService à la réactivation
+        wp_unschedule_hook(Constants::SCHEDULE_CRON_HOOK);
+        wp_unschedule_hook(Constants::BACKGROUND_CRON_HOOK);
+        wp_clear_scheduled_hook(Constants::ROLLING_WINDOW_CRON_HOOK);
+        wp_clear_scheduled_hook(Constants::ROLLING_WINDOW_CONTINUE_HOOK);
     }
 
     /**
@@ -112,6 +112,17 @@ class BatchException extends \RuntimeException
         );
     }
 
+    /**
+     * A chunk left the remaining products unchanged
+     */
+    public static function noProgress(string $operation_id): self
+    {
+        return new self(
+            sprintf('Batch processing made no progress for operation %s', $operation_id),
+            Constants::ERROR_CODES['batch_failed']
+        );
+    }
+
     /**
      * Permission denied
      */
@@ -133,4 +144,26 @@ class BatchException extends \RuntimeException
             Constants::ERROR_CODES['batch_failed']
         );
     }
-}
\ No newline at end of file
+
+    /**
+     * No snapshot available for rollback
+     */
+    public static function noSnapshot(string $operation_id): self
+    {
+        return new self(
+            sprintf('No snapshot found for operation %s', $operation_id),
+            Constants::ERROR_CODES['batch_failed']
+        );
+    }
+
+    /**
+     * Operation already rolled back
+     */
+    public static function alreadyRolledBack(string $operation_id, string $restored_at): self
+    {
+        return new self(
+            sprintf('Operation %s was already rolled back on %s', $operation_id, $restored_at),
+            Constants::ERROR_CODES['batch_failed']
+        );
+    }
+}
@@ -56,6 +56,28 @@ class ValidationException extends \InvalidArgumentException
         );
     }
 
+    /**
+     * Booked dates removed without the user's confirmation
+     */
+    public static function bookedDates(string $message): self
+    {
+        return new self(
+            $message,
+            Constants::ERROR_CODES['booked_dates']
+        );
+    }
+
+    /**
+     * Rollback overwriting later operations without the user's confirmation
+     */
+    public static function laterOperations(string $message): self
+    {
+        return new self(
+            $message,
+            Constants::ERROR_CODES['later_operations']
+        );
+    }
+
     /**
      * Date conflict
      */
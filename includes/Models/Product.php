@@ -59,6 +59,11 @@ final class Product
      */
     private bool $has_wootour;
 
+    /**
+     * Rolling window rule (days, weekdays), null if the dates are manual
+     */
+    private ?array $rolling_window;
+
     /**
      * Edit URL
      */
@@ -86,6 +91,7 @@ final class Product
         $this->status = (string) ($data['status'] ?? 'publish');
         $this->categories = (array) ($data['categories'] ?? []);
         $this->has_wootour = (bool) ($data['has_wootour'] ?? false);
+        $this->rolling_window = $data['rolling_window'] ?? null;
         $this->edit_url = (string) ($data['edit_url'] ?? '');
         $this->view_url = (string) ($data['view_url'] ?? '');
         $this->image_url = (string) ($data['image_url'] ?? '');
@@ -104,6 +110,7 @@ final class Product
             'status'      => $this->status,
             'categories'  => $this->categories,
             'has_wootour' => $this->has_wootour,
+            'rolling_window' => $this->rolling_window,
             'edit_url'    => $this->edit_url,
             'view_url'    => $this->view_url,
             'image_url'   => $this->image_url,
@@ -122,6 +129,7 @@ final class Product
             'price'       => wc_price($this->price),
             'status'      => $this->status,
             'has_wootour' => $this->has_wootour,
+            'rolling_window' => $this->rolling_window,
             'edit_url'    => $this->edit_url,
             'view_url'    => $this->view_url,
             'image_url'   => $this->image_url,
@@ -219,6 +227,11 @@ final class Product
         return $this->has_wootour;
     }
 
+    public function getRollingWindow(): ?array
+    {
+        return $this->rolling_window;
+    }
+
     public function getEditUrl(): string
     {
         return $this->edit_url;
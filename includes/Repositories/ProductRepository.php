@@ -43,6 +43,11 @@ final class ProductRepository implements RepositoryInterface
      */
     private array $query_cache = [];
 
+    /**
+     * Selection filters evaluated on the availability rules, not in SQL
+     */
+    private const AVAILABILITY_RULE_FILTERS = ['bookable_on', 'no_upcoming_dates'];
+
     /**
      * Private constructor
      */
@@ -115,6 +120,43 @@ final class ProductRepository implements RepositoryInterface
         return $products;
     }
 
+    /**
+     * Get one page of the products of a category, optionally matching a search
+     *
+     * Built like countProductsBySelectionFilter() and
+     * getProductIdsBySelectionFilter() with an empty filter: the list, the
+     * "select all matching" count and the batch cover the same products.
+     *
+     * @param string $search Search term ('' for none)
+     * @param int $category_id Category ID (0 for all)
+     * @param int $page Page number (1-based)
+     * @param int $per_page Items per page
+     * @param string $sort One of Constants::PRODUCT_SORTS
+     * @param string $order ASC or DESC
+     * @return array ['products' => ProductModel[], 'total' => int]
+     */
+    public function getMatchingProductsPage(
+        string $search,
+        int $category_id,
+        int $page = 1,
+        int $per_page = 50,
+        string $sort = 'name',
+        string $order = 'ASC'
+    ): array {
+        $args = $this->buildSelectionFilterArgs('', ['search' => $search], $category_id);
+        $args['paged'] = $page;
+        $args['posts_per_page'] = $per_page;
+
+        $args = $this->applySort($args, $sort, strtoupper($order) === 'DESC' ? 'DESC' : 'ASC');
+
+        $query = new \WP_Query($args);
+
+        return [
+            'products' => $this->createProductModels($query),
+            'total'    => (int) $query->found_posts,
+        ];
+    }
+
     /**
      * Get products by IDs
      * 
@@ -231,6 +273,118 @@ final class ProductRepository implements RepositoryInterface
         return $products;
     }
 
+    /**
+     * Get products matching a selection filter over the WooTour meta keys
+     *
+     * no_wootour, ends_before and excluded_on are answered by the meta query.
+     * bookable_on and no_upcoming_dates depend on the availability rules and
+     * are evaluated on the products that have WooTour data (products without
+     * data are found with no_wootour). An empty filter only applies the
+     * category and the search (dynamic saved selections).
+     *
+     * @param string $filter One of Constants::SELECTION_FILTERS, or ''
+     * @param array $params ['date' => 'Y-m-d', 'days' => int, 'search' => string]
+     * @param int $category_id Restrict to a category (0 for all)
+     * @return array Array of ProductModel objects
+     */
+    public function getProductsBySelectionFilter(string $filter, array $params = [], int $category_id = 0): array
+    {
+        if ($filter !== '' && !isset(Constants::SELECTION_FILTERS[$filter])) {
+            return [];
+        }
+
+        $args = $this->buildSelectionFilterArgs($filter, $params, $category_id);
+        $args['posts_per_page'] = Constants::SELECTION_FILTER_MAX_RESULTS;
+        $args['paged'] = 1;
+
+        $products = $this->executeQuery($args);
+
+        if (!in_array($filter, self::AVAILABILITY_RULE_FILTERS, true)) {
+            return $products;
+        }
+
+        return array_values(array_filter($products, function (ProductModel $product) use ($filter, $params) {
+            return $this->matchesAvailabilityFilter($filter, $params, $product->getId());
+        }));
+    }
+
+    /**
+     * Count the products matching a selection filter, without loading them
+     *
+     * Exact for the filters answered by the meta query. For bookable_on and
+     * no_upcoming_dates it is the number of products with WooTour data: an
+     * upper bound, the rules are only evaluated while resolving the IDs.
+     *
+     * @param string $filter One of Constants::SELECTION_FILTERS, or ''
+     * @param array $params See getProductsBySelectionFilter()
+     * @param int $category_id Restrict to a category (0 for all)
+     * @return array ['total' => int, 'exact' => bool]
+     */
+    public function countProductsBySelectionFilter(string $filter, array $params = [], int $category_id = 0): array
+    {
+        $args = $this->buildSelectionFilterArgs($filter, $params, $category_id);
+        $args['fields'] = 'ids';
+        $args['posts_per_page'] = 1;
+
+        $query = new \WP_Query($args);
+
+        return [
+            'total' => (int) $query->found_posts,
+            'exact' => !in_array($filter, self::AVAILABILITY_RULE_FILTERS, true),
+        ];
+    }
+
+    /**
+     * Resolve the next IDs matching a selection filter (BatchProcessor chunks)
+     *
+     * Products are scanned by ascending ID after $after_id rather than by
+     * page number: the batch updates the products already returned, which
+     * may stop matching the filter and would shift the following pages.
+     *
+     * @param string $filter One of Constants::SELECTION_FILTERS, or ''
+     * @param array $params See getProductsBySelectionFilter()
+     * @param int $category_id Restrict to a category (0 for all)
+     * @param int $after_id Last ID already scanned (0 to start)
+     * @param int $limit Maximum number of IDs to return
+     * @return array ['ids' => int[], 'last_id' => int, 'has_more' => bool]
+     */
+    public function getProductIdsBySelectionFilter(
+        string $filter,
+        array $params,
+        int $category_id,
+        int $after_id,
+        int $limit = Constants::BATCH_SIZE
+    ): array {
+        $args = $this->buildSelectionFilterArgs($filter, $params, $category_id);
+        $args['fields'] = 'ids';
+        $args['orderby'] = 'ID';
+        $args['order'] = 'ASC';
+        $args['posts_per_page'] = $limit;
+        $args['no_found_rows'] = true;
+
+        $ids = [];
+        $last_id = $after_id;
+
+        // Filtres évalués en PHP : on parcourt les candidats jusqu'à remplir le lot
+        do {
+            $page = $this->queryIdsAfter($args, $last_id);
+
+            foreach ($page as $product_id) {
+                $last_id = $product_id;
+
+                if ($this->matchesAvailabilityFilter($filter, $params, $product_id)) {
+                    $ids[] = $product_id;
+                }
+
+                if (count($ids) >= $limit) {
+                    return ['ids' => $ids, 'last_id' => $last_id, 'has_more' => true];
+                }
+            }
+        } while (count($page) === $limit);
+
+        return ['ids' => $ids, 'last_id' => $last_id, 'has_more' => false];
+    }
+
     /**
      * Extend WordPress search to include SKU
      */
@@ -537,13 +691,199 @@ final class ProductRepository implements RepositoryInterface
         ];
     }
 
+    /**
+     * Add the ordering of the product list (Constants::PRODUCT_SORTS)
+     *
+     * The title is always the secondary order, so pages stay stable.
+     */
+    private function applySort(array $args, string $sort, string $order): array
+    {
+        $sort_keys = ['sku' => '_sku', 'wootour' => $this->wootour_repository->getMetaKey()];
+
+        switch ($sort) {
+            case 'sku':
+            case 'wootour':
+                // EXISTS OR NOT EXISTS : les produits sans la meta restent dans la liste
+                $clause = [
+                    'relation'   => 'OR',
+                    'sort_value' => ['key' => $sort_keys[$sort], 'compare' => 'EXISTS'],
+                    ['key' => $sort_keys[$sort], 'compare' => 'NOT EXISTS'],
+                ];
+
+                $args['meta_query'] = empty($args['meta_query'])
+                    ? $clause
+                    : ['relation' => 'AND', $args['meta_query'], $clause];
+                $args['orderby'] = ['sort_value' => $order, 'title' => 'ASC'];
+                break;
+
+            case 'date':
+                $args['orderby'] = ['date' => $order, 'title' => 'ASC'];
+                break;
+
+            default:
+                $args['orderby'] = ['title' => $order, 'ID' => 'ASC'];
+        }
+
+        return $args;
+    }
+
+    /**
+     * Meta keys whose presence means the product has WooTour availability data
+     */
+    private function getAvailabilityMetaKeys(): array
+    {
+        return array_merge(
+            ['_wootour_availability'],
+            ...array_values($this->wootour_repository->getFieldMetaKeys())
+        );
+    }
+
+    /**
+     * Query arguments shared by the selection filter lookups
+     *
+     * @throws \InvalidArgumentException On an unknown filter
+     */
+    private function buildSelectionFilterArgs(string $filter, array $params, int $category_id): array
+    {
+        $args = $this->buildBaseQueryArgs();
+
+        // Seuls les produits simples sont éditables
+        $args['tax_query'] = [[
+            'taxonomy' => 'product_type',
+            'field'    => 'slug',
+            'terms'    => 'simple',
+        ]];
+
+        if ($category_id > 0) {
+            $args['tax_query'][] = [
+                'taxonomy' => 'product_cat',
+                'field'    => 'term_id',
+                'terms'    => $category_id,
+                'operator' => 'IN',
+            ];
+        }
+
+        if (!empty($params['search'])) {
+            $args['s'] = sanitize_text_field($params['search']);
+        }
+
+        // Dates WooTour enregistrées en timestamps UNIX (minuit)
+        $timestamp = !empty($params['date']) ? strtotime($params['date']) : false;
+
+        switch ($filter) {
+            case 'no_wootour':
+                $args['meta_query'] = ['relation' => 'AND'];
+                foreach ($this->getAvailabilityMetaKeys() as $meta_key) {
+                    $args['meta_query'][] = ['key' => $meta_key, 'compare' => 'NOT EXISTS'];
+                }
+                break;
+
+            case 'ends_before':
+                $args['meta_query'] = [[
+                    'key'     => 'wt_expired',
+                    'value'   => $timestamp,
+                    'compare' => '<',
+                    'type'    => 'NUMERIC',
+                ]];
+                break;
+
+            case 'excluded_on':
+                $args['meta_query'] = ['relation' => 'OR'];
+                foreach ($this->wootour_repository->getFieldMetaKeys()['exclusions'] as $meta_key) {
+                    $args['meta_query'][] = [
+                        'key'     => $meta_key,
+                        'value'   => [$timestamp, $timestamp + DAY_IN_SECONDS - 1],
+                        'compare' => 'BETWEEN',
+                        'type'    => 'NUMERIC',
+                    ];
+                }
+                break;
+
+            case 'bookable_on':
+            case 'no_upcoming_dates':
+                // Candidats : produits ayant des données WooTour
+                $args['meta_query'] = ['relation' => 'OR'];
+                foreach ($this->getAvailabilityMetaKeys() as $meta_key) {
+                    $args['meta_query'][] = ['key' => $meta_key, 'compare' => 'EXISTS'];
+                }
+                break;
+
+            case '':
+                break;
+
+            default:
+                throw new \InvalidArgumentException(sprintf('Unknown selection filter: %s', $filter));
+        }
+
+        return $args;
+    }
+
+    /**
+     * Evaluate the availability rules of a product for bookable_on / no_upcoming_dates
+     *
+     * Always true for the other filters, already answered by the meta query.
+     */
+    private function matchesAvailabilityFilter(string $filter, array $params, int $product_id): bool
+    {
+        if (!in_array($filter, self::AVAILABILITY_RULE_FILTERS, true)) {
+            return true;
+        }
+
+        $availability = $this->wootour_repository->getAvailability($product_id);
+
+        // Sans aucune règle, Availability considère chaque jour disponible
+        if ($availability->isEmpty()) {
+            return false;
+        }
+
+        if ($filter === 'bookable_on') {
+            return $availability->isDateAvailable($params['date']);
+        }
+
+        $from = current_time('Y-m-d');
+        $to = date('Y-m-d', strtotime(sprintf('%s +%d days', $from, max(1, (int) ($params['days'] ?? 30)))));
+
+        try {
+            return empty($availability->getAvailableDates($from, $to));
+        } catch (\InvalidArgumentException $e) {
+            // Règles incohérentes : aucune date réservable
+            return true;
+        }
+    }
+
+    /**
+     * Run an IDs query restricted to the products after $after_id
+     *
+     * @return int[]
+     */
+    private function queryIdsAfter(array $args, int $after_id): array
+    {
+        global $wpdb;
+
+        $where = function ($where) use ($wpdb, $after_id) {
+            return $where . $wpdb->prepare(" AND {$wpdb->posts}.ID > %d", $after_id);
+        };
+
+        add_filter('posts_where', $where);
+        $query = new \WP_Query($args);
+        remove_filter('posts_where', $where);
+
+        return array_map('intval', $query->posts);
+    }
+
     /**
      * Execute query and convert to ProductModel objects
      */
     private function executeQuery(array $args): array
     {
-        $query = new \WP_Query($args);
+        return $this->createProductModels(new \WP_Query($args));
+    }
 
+    /**
+     * Convert the posts of a query to ProductModel objects (simple products only)
+     */
+    private function createProductModels(\WP_Query $query): array
+    {
         if (!$query->have_posts()) {
             return [];
         }
@@ -585,6 +925,9 @@ final class ProductRepository implements RepositoryInterface
         // Check if product has Wootour data
         $has_wootour = metadata_exists('post', $product_id, $this->wootour_repository->getMetaKey());
 
+        // Règle de fenêtre glissante (badge dans la liste)
+        $rolling_window = get_post_meta($product_id, Constants::ROLLING_WINDOW_META, true);
+
         return new ProductModel([
             'id'           => $product_id,
             'name'         => $product->get_name(),
@@ -593,6 +936,7 @@ final class ProductRepository implements RepositoryInterface
             'status'       => $product->get_status(),
             'categories'   => $categories,
             'has_wootour'  => $has_wootour,
+            'rolling_window' => is_array($rolling_window) && !empty($rolling_window['days']) ? $rolling_window : null,
             'edit_url'     => get_edit_post_link($product_id, ''),
             'view_url'     => get_permalink($product_id),
             'image_url'    => $this->getProductImageUrl($product),
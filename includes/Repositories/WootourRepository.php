@@ -31,6 +31,46 @@ final class WootourRepository implements RepositoryInterface
 {
     use Singleton;
 
+    /**
+     * Toutes les meta_keys WooTour gérées par le plugin
+     * (utilisées pour la réinitialisation et les snapshots de rollback)
+     */
+    private const AVAILABILITY_META_KEYS = [
+        // Métadonnées principales
+        '_wootour_availability',
+
+        // Dates
+        'wt_start',
+        'start_date',
+        'wt_expired',
+        'expired_date',
+
+        // Jours de la semaine
+        'wt_weekday',
+
+        // Dates d'exclusion
+        'wt_disable_book',
+        'wt_disabledate',
+
+        // Dates spécifiques
+        'wt_customdate',
+
+        // Autres métadonnées WooTour potentielles
+        'wt_booking_type',
+        'wt_duration',
+        'wt_max_people',
+    ];
+
+    /**
+     * Meta keys par champ, pour la réinitialisation sélective
+     */
+    private const FIELD_META_KEYS = [
+        'range'      => ['wt_start', 'start_date', 'wt_expired', 'expired_date'],
+        'weekdays'   => ['wt_weekday'],
+        'exclusions' => ['wt_disable_book', 'wt_disabledate'],
+        'specific'   => ['wt_customdate'],
+    ];
+
     /**
      * The actual meta key used by Wootour (detected at runtime)
      */
@@ -204,11 +244,12 @@ final class WootourRepository implements RepositoryInterface
      * Update availability for a product
      * 
      * @param int $product_id Product ID
-     * @param array $changes Array of changes (only filled fields will be updated)
+     * @param array $availability_data Merged availability to save
+     * @param array $changes Changes that produced it (per-field "modes" are respected)
      * @return bool True on success
      * @throws WootourException If update fails
      */
-    public function updateAvailability(int $product_id, array $availability_data): bool
+    public function updateAvailability(int $product_id, array $availability_data, array $changes = []): bool
     {
         error_log('[WBE WootourRepository] === START updateAvailability ===');
         error_log('[WBE WootourRepository] Product ID: ' . $product_id);
@@ -223,7 +264,7 @@ final class WootourRepository implements RepositoryInterface
 
         try {
             // 1. Mettre à jour les métadonnées WooTours (timestamps)
-            $meta_updated = $this->updateWootourTimestampMeta($product_id, $availability_data);
+            $meta_updated = $this->updateWootourTimestampMeta($product_id, $availability_data, $changes);
 
             if (!$meta_updated) {
                 error_log('[WBE WootourRepository] ERROR: Failed to update timestamp meta');
@@ -331,8 +372,10 @@ final class WootourRepository implements RepositoryInterface
      * 
      * ⚠️ MODIFICATION COMPLÈTE : Structure de champs indexés pour compatibilité WooTours
      */
-    private function updateWootourTimestampMeta(int $product_id, array $availability_data): bool
+    private function updateWootourTimestampMeta(int $product_id, array $availability_data, array $changes = []): bool
     {
+        $modes = $changes['modes'] ?? [];
+
         error_log('');
         error_log('████████████████████████████████████████');
         error_log('🔄 updateWootourTimestampMeta() DÉBUT');
@@ -367,14 +410,14 @@ final class WootourRepository implements RepositoryInterface
             error_log('═══════════════════════════════════════');
             error_log('  Nouvelles exclusions: ' . print_r($availability_data['exclusions'], true));
 
-            // Fusionner les dates (éviter les doublons)
-            $all_exclusions = array_unique(array_merge($existing_exclusions, $availability_data['exclusions']));
-            error_log('  Fusion: ' . count($existing_exclusions) . ' existant + ' .
+            // Fusionner / remplacer / retirer selon le mode (éviter les doublons)
+            $all_exclusions = $this->resolveDates($existing_exclusions, $availability_data['exclusions'], $changes, 'exclusions');
+            error_log('  Mode ' . ($modes['exclusions'] ?? 'add') . ': ' . count($existing_exclusions) . ' existant + ' .
                 count($availability_data['exclusions']) . ' nouvelles = ' .
                 count($all_exclusions) . ' total');
 
             // Sauvegarder chaque date dans un champ séparé (structure indexée)
-            $this->saveIndexedDates($product_id, 'wt_disable_book', $all_exclusions);
+            $this->saveIndexedDates($product_id, 'wt_disable_book', $all_exclusions, true);
 
             // Sauvegarder aussi dans wt_disabledate avec structure indexée
             $this->saveIndexedDates($product_id, 'wt_disabledate', $all_exclusions, true);
@@ -397,12 +440,13 @@ final class WootourRepository implements RepositoryInterface
             if (is_array($availability_data['specific'])) {
                 error_log('  ✅ specific IS ARRAY with ' . count($availability_data['specific']) . ' element(s)');
 
-                if (!empty($availability_data['specific'])) {
+                // En remplacement ou retrait, une liste vide est une modification
+                if (!empty($availability_data['specific']) || ($modes['specific'] ?? 'add') !== 'add') {
                     error_log('  ✅ specific IS NOT EMPTY');
 
-                    // Fusionner les dates (éviter les doublons)
-                    $all_specific = array_unique(array_merge($existing_specific, $availability_data['specific']));
-                    error_log('  Fusion: ' . count($existing_specific) . ' existant + ' .
+                    // Fusionner / remplacer / retirer selon le mode (éviter les doublons)
+                    $all_specific = $this->resolveDates($existing_specific, $availability_data['specific'], $changes, 'specific');
+                    error_log('  Mode ' . ($modes['specific'] ?? 'add') . ': ' . count($existing_specific) . ' existant + ' .
                         count($availability_data['specific']) . ' nouvelles = ' .
                         count($all_specific) . ' total');
                     error_log('  All specific dates to save: ' . print_r($all_specific, true));
@@ -435,6 +479,20 @@ final class WootourRepository implements RepositoryInterface
         error_log('🔵 MÉTADONNÉES PRINCIPALES');
         error_log('═══════════════════════════════════════');
 
+        // Plage supprimée (mode remove) ou remplacée par une plage partielle
+        $range_mode = $modes['range'] ?? 'add';
+        if ($range_mode !== 'add') {
+            if (empty($availability_data['start_date'])) {
+                delete_post_meta($product_id, 'wt_start');
+                delete_post_meta($product_id, 'start_date');
+            }
+
+            if (empty($availability_data['end_date'])) {
+                delete_post_meta($product_id, 'wt_expired');
+                delete_post_meta($product_id, 'expired_date');
+            }
+        }
+
         // wt_start - timestamp UNIX (début)
         if (!empty($availability_data['start_date'])) {
             $start_timestamp = strtotime($availability_data['start_date']);
@@ -461,6 +519,10 @@ final class WootourRepository implements RepositoryInterface
             }
             update_post_meta($product_id, 'wt_weekday', $wootour_weekdays);
             error_log('📝 wt_weekday: ' . print_r($wootour_weekdays, true));
+        } elseif (($modes['weekdays'] ?? 'add') !== 'add') {
+            // Tous les jours retirés / remplacés par aucun jour
+            delete_post_meta($product_id, 'wt_weekday');
+            error_log('📝 wt_weekday: supprimé');
         }
 
         // === 5. MÉTADONNÉES COMPLÉMENTAIRES ===
@@ -491,6 +553,34 @@ final class WootourRepository implements RepositoryInterface
         return true;
     }
 
+    /**
+     * Calculer la liste de dates à enregistrer selon le mode du champ
+     *
+     * - add : dates existantes + dates fusionnées
+     * - replace : dates fusionnées uniquement
+     * - remove : dates existantes + fusionnées, moins les dates retirées
+     */
+    private function resolveDates(array $existing, array $merged, array $changes, string $field): array
+    {
+        switch ($changes['modes'][$field] ?? 'add') {
+            case 'replace':
+                $dates = $merged;
+                break;
+
+            case 'remove':
+                $dates = array_diff(array_merge($existing, $merged), $changes[$field] ?? []);
+                break;
+
+            default:
+                $dates = array_merge($existing, $merged);
+        }
+
+        $dates = array_values(array_unique($dates));
+        sort($dates);
+
+        return $dates;
+    }
+
     /**
      * Sauvegarder des dates dans une structure indexée (exc_mb-field-0, exc_mb-field-1, etc.)
      * 
@@ -734,7 +824,14 @@ final class WootourRepository implements RepositoryInterface
         wp_cache_delete($product_id, 'post_meta');
     }
 
-    public function resetAvailability(int $product_id): bool
+    /**
+     * Réinitialiser la disponibilité d'un produit
+     *
+     * @param int $product_id
+     * @param array $fields Champs à effacer (vide = toutes les meta WooTour)
+     * @return bool
+     */
+    public function resetAvailability(int $product_id, array $fields = []): bool
     {
         error_log('');
         error_log('████████████████████████████████████████');
@@ -742,32 +839,15 @@ final class WootourRepository implements RepositoryInterface
         error_log('████████████████████████████████████████');
 
         try {
-            // Liste complète des meta_keys à supprimer
-            $meta_keys_to_delete = [
-                // Métadonnées principales
-                '_wootour_availability',
-
-                // Dates
-                'wt_start',
-                'start_date',
-                'wt_expired',
-                'expired_date',
-
-                // Jours de la semaine
-                'wt_weekday',
-
-                // Dates d'exclusion
-                'wt_disable_book',
-                'wt_disabledate',
+            if (!empty($fields)) {
+                return $this->resetAvailabilityFields($product_id, $fields);
+            }
 
-                // Dates spécifiques
-                'wt_customdate',
+            // Liste complète des meta_keys à supprimer
+            $meta_keys_to_delete = self::AVAILABILITY_META_KEYS;
 
-                // Autres métadonnées WooTour potentielles
-                'wt_booking_type',
-                'wt_duration',
-                'wt_max_people',
-            ];
+            // Plus de dates à faire glisser
+            delete_post_meta($product_id, Constants::ROLLING_WINDOW_META);
 
             $deleted_count = 0;
 
@@ -810,13 +890,66 @@ final class WootourRepository implements RepositoryInterface
         }
     }
 
+    /**
+     * Réinitialiser uniquement certains champs d'un produit
+     *
+     * Supprime les meta_keys des champs choisis et retire ces champs de
+     * _wootour_availability ; les autres champs sont conservés.
+     *
+     * @param int $product_id
+     * @param array $fields Champs à effacer (range, weekdays, specific, exclusions)
+     * @return bool
+     */
+    private function resetAvailabilityFields(int $product_id, array $fields): bool
+    {
+        $availability = $this->getAvailability($product_id)->toArray();
+
+        // La fenêtre glissante réécrirait la plage et les jours effacés
+        if (array_intersect($fields, ['range', 'weekdays'])) {
+            delete_post_meta($product_id, Constants::ROLLING_WINDOW_META);
+        }
+
+        foreach ($fields as $field) {
+            foreach (self::FIELD_META_KEYS[$field] ?? [] as $meta_key) {
+                delete_post_meta($product_id, $meta_key);
+            }
+
+            if ($field === 'range') {
+                $availability['start_date'] = '';
+                $availability['end_date'] = '';
+            } elseif (isset($availability[$field])) {
+                $availability[$field] = [];
+            }
+        }
+
+        $meta_key = '_wootour_availability';
+
+        if (empty(array_filter([
+            $availability['start_date'],
+            $availability['end_date'],
+            $availability['weekdays'],
+            $availability['exclusions'],
+            $availability['specific'],
+        ]))) {
+            // Plus aucune règle : même état qu'après une réinitialisation complète
+            delete_post_meta($product_id, $meta_key);
+        } else {
+            update_post_meta($product_id, $meta_key, $this->formatForWootour($availability, $product_id));
+        }
+
+        $this->clearAllCaches($product_id);
+
+        return true;
+    }
+
     /**
      * Réinitialiser plusieurs produits en batch
      * 
      * @param array $product_ids Array of product IDs
+     * @param array $fields Champs à effacer (vide = réinitialisation complète)
      * @return array Results with success and failed products
      */
-    public function resetAvailabilityBatch(array $product_ids): array
+    public function resetAvailabilityBatch(array $product_ids, array $fields = []): array
     {
         error_log('');
         error_log('═══════════════════════════════════════');
@@ -831,7 +964,7 @@ final class WootourRepository implements RepositoryInterface
 
         foreach ($product_ids as $product_id) {
             try {
-                $success = $this->resetAvailability($product_id);
+                $success = $this->resetAvailability($product_id, $fields);
 
                 if ($success) {
                     $results['success'][] = $product_id;
@@ -860,6 +993,61 @@ final class WootourRepository implements RepositoryInterface
         return $results;
     }
 
+    /**
+     * Capturer l'état brut des meta WooTour d'un produit (pour rollback)
+     *
+     * Chaque clé est conservée avec toutes ses valeurs (wt_disable_book,
+     * wt_customdate... sont stockées en plusieurs lignes). Une clé absente
+     * est enregistrée avec un tableau vide pour pouvoir être supprimée
+     * lors de la restauration.
+     *
+     * @param int $product_id
+     * @return array [meta_key => array of values]
+     */
+    public function getMetaSnapshot(int $product_id): array
+    {
+        // Règle de fenêtre glissante incluse : un rollback la restaure avec les dates
+        $meta_keys = array_unique(array_merge(
+            [$this->meta_key, Constants::ROLLING_WINDOW_META],
+            self::AVAILABILITY_META_KEYS
+        ));
+        $snapshot = [];
+
+        foreach ($meta_keys as $meta_key) {
+            $snapshot[$meta_key] = get_post_meta($product_id, $meta_key, false);
+        }
+
+        return $snapshot;
+    }
+
+    /**
+     * Restaurer un snapshot pris avec getMetaSnapshot()
+     *
+     * @param int $product_id
+     * @param array $snapshot [meta_key => array of values]
+     * @return bool
+     */
+    public function restoreMetaSnapshot(int $product_id, array $snapshot): bool
+    {
+        try {
+            foreach ($snapshot as $meta_key => $values) {
+                delete_post_meta($product_id, $meta_key);
+
+                foreach ((array) $values as $value) {
+                    // add_post_meta() retire les slashes : on les protège
+                    add_post_meta($product_id, $meta_key, wp_slash($value));
+                }
+            }
+
+            $this->clearAllCaches($product_id);
+            $this->clear_product_cache($product_id);
+
+            return true;
+        } catch (\Exception $e) {
+            error_log('[WBE WootourRepository] Snapshot restore failed: ' . $e->getMessage());
+            return false;
+        }
+    }
 
     /**
      * Get detected meta key
@@ -869,6 +1057,16 @@ final class WootourRepository implements RepositoryInterface
         return $this->meta_key;
     }
 
+    /**
+     * Get the meta keys holding availability data, grouped by field
+     *
+     * @return array Field => meta keys (range, weekdays, exclusions, specific)
+     */
+    public function getFieldMetaKeys(): array
+    {
+        return self::FIELD_META_KEYS;
+    }
+
     /**
      * Check if structure was detected
      */
@@ -59,6 +59,11 @@ final class AvailabilityService implements ServiceInterface
      * Merge changes into existing availability
      * 
      * Core business logic: Empty fields in $changes don't overwrite existing data
+     * (in "add" mode). $changes['modes'] may set a per-field mode (range, weekdays,
+     * specific, exclusions): add, replace or remove.
+     *
+     * A shift ($changes['shift'], see shiftAvailability) moves the product's own
+     * dates instead of applying shared values.
      * 
      * @param Availability $existing Current availability
      * @param array $changes Changes to apply (from UI form)
@@ -72,72 +77,55 @@ final class AvailabilityService implements ServiceInterface
         error_log('[WBE AvailabilityService] Existing: ' . print_r($existing->toArray(), true));
         error_log('[WBE AvailabilityService] Changes: ' . print_r($changes, true));
 
-        // Commencer avec l'objet existant
-        $merged = $existing;
-
-        // Appliquer les changements un par un (méthodes immuables)
-        if (!empty($changes['start_date'])) {
-            $merged = $merged->withStartDate($changes['start_date']);
+        // Décalage : les dates propres au produit sont déplacées
+        if (!empty($changes['shift'])) {
+            return $this->shiftAvailability($existing, $changes['shift']);
         }
 
-        if (!empty($changes['end_date'])) {
-            $merged = $merged->withEndDate($changes['end_date']);
-        }
-
-        if (!empty($changes['weekdays'])) {
-            // Créer un nouveau tableau de weekdays
-            $current_weekdays = $merged->getWeekdays();
-            $new_weekdays = array_unique(array_merge($current_weekdays, $changes['weekdays']));
+        // Commencer avec l'objet existant
+        $merged = $existing;
+        $modes = $this->getChangeModes($changes);
+
+        // Plage de dates (méthodes immuables)
+        switch ($modes['range']) {
+            case 'replace':
+                $merged = $merged
+                    ->withStartDate($changes['start_date'] ?? '')
+                    ->withEndDate($changes['end_date'] ?? '');
+                break;
+
+            case 'remove':
+                $merged = $merged->withStartDate('')->withEndDate('');
+                break;
+
+            default:
+                if (!empty($changes['start_date'])) {
+                    $merged = $merged->withStartDate($changes['start_date']);
+                }
 
-            // Pour modifier les weekdays, vous aurez besoin d'une méthode withWeekdays()
-            // Si elle n'existe pas, vous devrez peut-être créer un nouvel objet
-            if (method_exists($merged, 'withWeekdays')) {
-                $merged = $merged->withWeekdays($new_weekdays);
-            } else {
-                // Solution de contournement : recréer l'objet
-                $data = $merged->toArray();
-                $data['weekdays'] = $new_weekdays;
-                $merged = new Availability($data);
-            }
+                if (!empty($changes['end_date'])) {
+                    $merged = $merged->withEndDate($changes['end_date']);
+                }
         }
 
-        if (!empty($changes['specific'])) {
-            error_log('[WBE AvailabilityService] Processing specific dates: ' . print_r($changes['specific'], true));
-
-            // Récupérer les dates existantes
-            $current_specific = $merged->getSpecificDates();
-            error_log('[WBE AvailabilityService] Current specific dates: ' . print_r($current_specific, true));
-
-            // Fusionner avec les nouvelles
-            $new_specific = array_unique(array_merge($current_specific, $changes['specific']));
-            error_log('[WBE AvailabilityService] New specific dates: ' . print_r($new_specific, true));
+        // Champs tableau : ajout, remplacement ou retrait selon le mode
+        $array_fields = [
+            'weekdays'   => $merged->getWeekdays(),
+            'specific'   => $merged->getSpecificDates(),
+            'exclusions' => $merged->getExclusions(),
+        ];
 
-            // Ajouter au merged
-            if (method_exists($merged, 'withSpecificDates')) {
-                $merged = $merged->withSpecificDates($new_specific);
-                error_log('[WBE AvailabilityService] Used withSpecificDates() method');
-            } else {
-                // Solution de repli
-                $data = $merged->toArray();
-                $data['specific'] = $new_specific;
-                $merged = new Availability($data);
-                error_log('[WBE AvailabilityService] Created new Availability object');
+        foreach ($array_fields as $field => $current_values) {
+            // En ajout ou retrait, un champ vide ne modifie rien
+            if ($modes[$field] !== 'replace' && empty($changes[$field])) {
+                continue;
             }
-        }
 
-        if (!empty($changes['exclusions'])) {
-            error_log('[WBE AvailabilityService] Processing exclusions: ' . print_r($changes['exclusions'], true));
+            error_log('[WBE AvailabilityService] Processing ' . $field . ' (' . $modes[$field] . '): ' . print_r($changes[$field] ?? [], true));
 
-            $current_exclusions = $merged->getExclusions();
-            $new_exclusions = array_unique(array_merge($current_exclusions, $changes['exclusions']));
-
-            if (method_exists($merged, 'withExclusions')) {
-                $merged = $merged->withExclusions($new_exclusions);
-            } else {
-                $data = $merged->toArray();
-                $data['exclusions'] = $new_exclusions;
-                $merged = new Availability($data);
-            }
+            $data = $merged->toArray();
+            $data[$field] = $this->mergeArrayField($current_values, $changes[$field] ?? [], $field, $modes[$field]);
+            $merged = new Availability($data);
         }
 
         error_log('[WBE AvailabilityService] Merged result: ' . print_r($merged->toArray(), true));
@@ -153,7 +141,7 @@ final class AvailabilityService implements ServiceInterface
      */
     public function validateChanges(array $changes): void
     {
-        $allowed_fields = ['start_date', 'end_date', 'weekdays', 'exclusions', 'specific'];
+        $allowed_fields = ['start_date', 'end_date', 'weekdays', 'exclusions', 'specific', 'modes', 'rules', 'per_product', 'rolling_window', 'shift', 'source'];
 
         // Check for unknown fields
         $unknown_fields = array_diff(array_keys($changes), $allowed_fields);
@@ -593,19 +581,21 @@ final class AvailabilityService implements ServiceInterface
     private function applyMergeRules(array $existing, array $changes): array
     {
         $merged = $existing;
+        $modes = $this->getChangeModes($changes);
 
         foreach ($changes as $field => $new_value) {
-            // Special handling for array fields (additive, not replacement)
+            // Array fields follow the mode chosen for the field
             if (in_array($field, ['exclusions', 'specific', 'weekdays'])) {
                 $merged[$field] = $this->mergeArrayField(
                     $existing[$field] ?? [],
                     $new_value,
-                    $field
+                    $field,
+                    $modes[$field]
                 );
             }
-            // Date fields (direct replacement if not empty)
+            // Date fields (direct replacement if not empty, cleared in remove mode)
             elseif (in_array($field, ['start_date', 'end_date'])) {
-                $merged[$field] = $new_value;
+                $merged[$field] = $modes['range'] === 'remove' ? '' : $new_value;
             }
         }
 
@@ -613,32 +603,67 @@ final class AvailabilityService implements ServiceInterface
     }
 
     /**
-     * Merge array fields with special rules
+     * Merge array fields according to the field mode
+     *
+     * - add: union of existing and new values
+     * - replace: new values only
+     * - remove: existing values minus the new ones
      */
-    private function mergeArrayField(array $existing, $new, string $field): array
+    private function mergeArrayField(array $existing, $new, string $field, string $mode = 'add'): array
     {
         if (!is_array($new)) {
             $new = [$new];
         }
 
-        // For exclusions and specific dates: union (add new to existing)
-        if (in_array($field, ['exclusions', 'specific'])) {
-            $merged = array_unique(array_merge($existing, $new));
+        if ($field === 'weekdays') {
+            $new = $this->normalizeWeekdays($new);
+        } elseif (in_array($field, ['exclusions', 'specific'])) {
+            $new = $this->normalizeDateArray($new);
+        }
 
-            // Sort dates chronologically
+        switch ($mode) {
+            case 'replace':
+                $merged = $new;
+                break;
+
+            case 'remove':
+                $merged = array_diff($existing, $new);
+                break;
+
+            default:
+                $merged = array_merge($existing, $new);
+        }
+
+        $merged = array_values(array_unique($merged));
+
+        // Sort dates chronologically
+        if (in_array($field, ['exclusions', 'specific'])) {
             usort($merged, function ($a, $b) {
                 return strtotime($a) <=> strtotime($b);
             });
-
-            return $merged;
         }
 
-        // For weekdays: replacement (but only if new value is not empty)
-        if ($field === 'weekdays') {
-            return $new;
+        return $merged;
+    }
+
+    /**
+     * Get the mode of each field from a changes array
+     *
+     * Missing or unknown modes fall back to "add", the historical behaviour.
+     *
+     * @param array $changes Changes (optional "modes" key)
+     * @return array Field => mode (range, weekdays, specific, exclusions)
+     */
+    public function getChangeModes(array $changes): array
+    {
+        $modes = [];
+
+        foreach (Constants::CHANGE_MODE_FIELDS as $field) {
+            $mode = $changes['modes'][$field] ?? 'add';
+            $modes[$field] = in_array($mode, Constants::CHANGE_MODES, true) ? $mode : 'add';
         }
 
-        return $existing;
+        return $modes;
     }
 
     /**
@@ -728,6 +753,112 @@ final class AvailabilityService implements ServiceInterface
         }
     }
 
+    /**
+     * Validate recurrence rules (informational, dates are in specific/exclusions)
+     */
+    private function validateRules($value): void
+    {
+        if (!is_array($value)) {
+            throw ValidationException::invalidField('Rules must be an array');
+        }
+
+        foreach ($value as $rule) {
+            if (!is_array($rule) || !in_array($rule['target'] ?? '', ['specific', 'exclusions'], true)) {
+                throw ValidationException::invalidField('Invalid recurrence rule');
+            }
+        }
+    }
+
+    /**
+     * Validate per-product change sets (CSV import: product ID => changes)
+     */
+    private function validatePerProduct($value): void
+    {
+        if (!is_array($value)) {
+            throw ValidationException::invalidField('per_product must be an array');
+        }
+
+        foreach ($value as $product_id => $changes) {
+            if ((int) $product_id <= 0 || !is_array($changes) || isset($changes['per_product'])) {
+                throw ValidationException::invalidField(sprintf('Invalid change set for product #%s', $product_id));
+            }
+
+            try {
+                $this->validateChanges($changes);
+            } catch (ValidationException $e) {
+                throw ValidationException::invalidField(sprintf('Product #%d: %s', $product_id, $e->getMessage()));
+            }
+        }
+    }
+
+    /**
+     * Validate a rolling window (today → today + days)
+     */
+    private function validateRollingWindow($value): void
+    {
+        $days = is_array($value) ? (int) ($value['days'] ?? 0) : 0;
+
+        if ($days < 1 || $days > Constants::ROLLING_WINDOW_MAX_DAYS) {
+            throw ValidationException::invalidField(
+                sprintf('Rolling window must cover 1 to %d days', Constants::ROLLING_WINDOW_MAX_DAYS)
+            );
+        }
+    }
+
+    /**
+     * Validate a shift (type, days, fields)
+     */
+    private function validateShift($value): void
+    {
+        if (!is_array($value) || !in_array($value['type'] ?? '', Constants::SHIFT_TYPES, true)) {
+            throw ValidationException::invalidField('Invalid shift type');
+        }
+
+        $days = (int) ($value['days'] ?? 0);
+
+        if ($value['type'] === 'days' && ($days === 0 || abs($days) > Constants::SHIFT_MAX_DAYS)) {
+            throw ValidationException::invalidField(
+                sprintf('Shift must be 1 to %d days, forward or backward', Constants::SHIFT_MAX_DAYS)
+            );
+        }
+
+        $fields = (array) ($value['fields'] ?? []);
+
+        if (empty($fields) || array_diff($fields, Constants::SHIFT_FIELDS)) {
+            throw ValidationException::invalidField('Invalid shift fields');
+        }
+    }
+
+    /**
+     * Validate the reference product of a copy
+     */
+    private function validateSource($value): void
+    {
+        if (!is_array($value) || (int) ($value['product_id'] ?? 0) <= 0) {
+            throw ValidationException::invalidField('Invalid source product');
+        }
+    }
+
+    /**
+     * Validate per-field modes
+     */
+    private function validateModes($value): void
+    {
+        if (!is_array($value)) {
+            throw ValidationException::invalidField('Modes must be an array');
+        }
+
+        foreach ($value as $field => $mode) {
+            if (!in_array($field, Constants::CHANGE_MODE_FIELDS, true)) {
+                throw ValidationException::invalidField(sprintf('Unknown mode field: %s', $field));
+            }
+
+            if (!in_array($mode, Constants::CHANGE_MODES, true)) {
+                throw ValidationException::invalidField(sprintf('Invalid mode "%s" for field %s', $mode, $field));
+            }
+        }
+    }
+
     /**
      * Normalize weekdays input
      */
@@ -839,7 +970,10 @@ final class AvailabilityService implements ServiceInterface
         }
 
         // Check if new exclusions fall outside date range
-        if (!empty($changes['exclusions']) && !$this->isEmptyValue($changes['exclusions'])) {
+        if (
+            !empty($changes['exclusions']) && !$this->isEmptyValue($changes['exclusions'])
+            && $this->getChangeModes($changes)['exclusions'] !== 'remove'
+        ) {
             $new_exclusions = $this->normalizeDateArray($changes['exclusions']);
             $existing_exclusions = $existing->getExclusions();
             $added_exclusions = array_diff($new_exclusions, $existing_exclusions);
@@ -909,17 +1043,15 @@ final class AvailabilityService implements ServiceInterface
         $existing_dates = $existing->getAvailableDates($start_date, $end_date);
         $new_dates = $merged->getAvailableDates($start_date, $end_date);
 
-        $added = array_diff($new_dates, $existing_dates);
-        $removed = array_diff($existing_dates, $new_dates);
-        $unchanged = array_intersect($existing_dates, $new_dates);
+        [$added, $removed, $unchanged] = $this->diffDates($existing_dates, $new_dates);
 
         return [
             'success' => true,
             'existing_count' => count($existing_dates),
             'new_count' => count($new_dates),
-            'added' => array_values($added),
-            'removed' => array_values($removed),
-            'unchanged' => array_values($unchanged),
+            'added' => $added,
+            'removed' => $removed,
+            'unchanged' => $unchanged,
             'summary' => sprintf(
                 '%d dates total: %d added, %d removed, %d unchanged',
                 count($new_dates),
@@ -930,6 +1062,129 @@ final class AvailabilityService implements ServiceInterface
         ];
     }
 
+    /**
+     * Move the dates of a product (range, specific dates, exclusions)
+     *
+     * Weekdays are kept. Only the fields listed in $shift['fields'] move.
+     *
+     * @param Availability $existing Current availability
+     * @param array $shift ['type' => 'days'|'next_year', 'days' => int, 'fields' => string[]]
+     * @return Availability Shifted availability
+     */
+    public function shiftAvailability(Availability $existing, array $shift): Availability
+    {
+        $data = $existing->toArray();
+        $fields = (array) ($shift['fields'] ?? Constants::SHIFT_FIELDS);
+
+        if (in_array('range', $fields, true)) {
+            foreach (['start_date', 'end_date'] as $key) {
+                if (!empty($data[$key])) {
+                    $data[$key] = $this->shiftDate($data[$key], $shift);
+                }
+            }
+        }
+
+        foreach (['specific', 'exclusions'] as $field) {
+            if (in_array($field, $fields, true) && !empty($data[$field])) {
+                $dates = array_unique(array_map(function ($date) use ($shift) {
+                    return $this->shiftDate($date, $shift);
+                }, $data[$field]));
+                sort($dates);
+                $data[$field] = array_values($dates);
+            }
+        }
+
+        return new Availability($data);
+    }
+
+    /**
+     * Shift one date (Y-m-d)
+     *
+     * "next_year" keeps the weekday: the date of the following year that
+     * falls on the same weekday, as close as possible to the anniversary
+     * (Saturday 6 June 2026 → Saturday 5 June 2027).
+     */
+    public function shiftDate(string $date, array $shift): string
+    {
+        $day = new \DateTimeImmutable($date);
+
+        if (($shift['type'] ?? '') !== 'next_year') {
+            return $day->modify(sprintf('%+d days', (int) ($shift['days'] ?? 0)))->format('Y-m-d');
+        }
+
+        $anniversary = $day->modify('+1 year');
+        $offset = ((int) $day->format('w') - (int) $anniversary->format('w') + 7) % 7;
+
+        if ($offset > 3) {
+            $offset -= 7;
+        }
+
+        return $anniversary->modify(sprintf('%+d days', $offset))->format('Y-m-d');
+    }
+
+    /**
+     * Dates that became bookable / stopped being bookable after an update
+     *
+     * Only upcoming dates matter to customers: the window starts today and
+     * ends on the last bounded date of either version (end of range or
+     * latest specific date), at most DATE_CHANGES_MAX_DAYS ahead.
+     * Availability without any rule counts as no bookable date.
+     *
+     * @return array ['from' => 'Y-m-d', 'to' => 'Y-m-d', 'added' => string[], 'removed' => string[]]
+     */
+    public function calculateDateChanges(Availability $before, Availability $after): array
+    {
+        $from = current_time('Y-m-d');
+        $to = date('Y-m-d', strtotime(sprintf('%s +%d days', $from, Constants::DATE_CHANGES_DEFAULT_DAYS)));
+        $limit = date('Y-m-d', strtotime(sprintf('%s +%d days', $from, Constants::DATE_CHANGES_MAX_DAYS)));
+
+        foreach ([$before, $after] as $availability) {
+            foreach (array_merge([$availability->getEndDate()], $availability->getSpecificDates()) as $date) {
+                if (!empty($date) && $date > $to) {
+                    $to = $date;
+                }
+            }
+        }
+
+        $to = min($to, $limit);
+
+        $bookable = function (Availability $availability) use ($from, $to): array {
+            if ($availability->isEmpty()) {
+                return [];
+            }
+
+            try {
+                return $availability->getAvailableDates($from, $to);
+            } catch (\InvalidArgumentException $e) {
+                // Règles incohérentes : aucune date réservable
+                return [];
+            }
+        };
+
+        [$added, $removed] = $this->diffDates($bookable($before), $bookable($after));
+
+        return [
+            'from'    => $from,
+            'to'      => $to,
+            'added'   => $added,
+            'removed' => $removed,
+        ];
+    }
+
+    /**
+     * Compare two lists of dates
+     *
+     * @return array [added, removed, unchanged]
+     */
+    private function diffDates(array $before, array $after): array
+    {
+        return [
+            array_values(array_diff($after, $before)),
+            array_values(array_diff($before, $after)),
+            array_values(array_intersect($before, $after)),
+        ];
+    }
+
     /**
      * Get default empty changes array
      */
@@ -965,6 +1220,76 @@ final class AvailabilityService implements ServiceInterface
         return $changes;
     }
 
+    /**
+     * Parse and validate the dates of one CSV import row
+     *
+     * The product reference is resolved by the caller.
+     *
+     * @param array  $raw_row Row as parsed by the browser
+     * @param string $mode    Import mode, applied to every field (add|replace)
+     * @return array ['changes' => array, 'errors' => string[], 'warnings' => string[]]
+     */
+    public function parseImportRow(array $raw_row, string $mode): array
+    {
+        $result = [
+            'changes'  => [],
+            'errors'   => [],
+            'warnings' => [],
+        ];
+
+        $changes = [];
+        foreach (['start_date', 'end_date'] as $field) {
+            $date = sanitize_text_field($raw_row[$field] ?? '');
+            if ($date !== '') {
+                $changes[$field] = $date;
+            }
+        }
+
+        $weekdays = array_map('intval', (array) ($raw_row['weekdays'] ?? []));
+        if (!empty($weekdays)) {
+            $changes['weekdays'] = array_values(array_unique($weekdays));
+        }
+
+        foreach (['specific', 'exclusions'] as $field) {
+            $dates = array_values(array_unique(array_map('sanitize_text_field', (array) ($raw_row[$field] ?? []))));
+            if (!empty($dates)) {
+                sort($dates);
+                $changes[$field] = $dates;
+            }
+        }
+
+        if (empty($changes) && $mode === 'add') {
+            $result['errors'][] = 'Aucune date à appliquer sur cette ligne.';
+            return $result;
+        }
+
+        if (empty($changes)) {
+            $result['warnings'][] = 'Ligne vide en mode remplacement : toutes les disponibilités du produit seront effacées.';
+        }
+
+        // Dates passées refusées, comme dans l'assistant
+        $today = date('Y-m-d');
+        foreach (['specific' => 'spécifiques', 'exclusions' => 'd\'exclusion'] as $field => $label) {
+            $past_dates = array_filter($changes[$field] ?? [], fn($date) => $date < $today);
+            if (!empty($past_dates)) {
+                $result['errors'][] = sprintf(
+                    'Dates %s dans le passé : %s.',
+                    $label,
+                    implode(', ', array_map(fn($date) => date('d/m/Y', strtotime($date)), $past_dates))
+                );
+            }
+        }
+
+        $changes['modes'] = array_fill_keys(Constants::CHANGE_MODE_FIELDS, $mode);
+
+        $validation = $this->validateChangesDetailed($changes);
+        $result['errors'] = array_merge($result['errors'], $validation['errors']);
+        $result['warnings'] = array_merge($result['warnings'], $validation['warnings']);
+        $result['changes'] = $changes;
+
+        return $result;
+    }
+
     /**
      * Check if changes will actually modify anything
      */
@@ -0,0 +1,440 @@
+<?php
+
+/**
+ * Wootour Bulk Editor - Background Service
+ *
+ * Runs the remaining chunks of a bulk operation on the server, so that it
+ * completes even if the browser tab is closed. The first chunk is still
+ * processed by the Apply request; the worker then calls
+ * BatchProcessor::resumeOperation in a non-blocking loopback request,
+ * chunk after chunk, with a WP-Cron event as a fallback when the host
+ * blocks loopback requests. The admin page only polls the progress.
+ * Rollbacks are continued the same way (SnapshotService::restoreNextChunk).
+ *
+ * @package     WootourBulkEditor
+ * @subpackage  Services
+ * @license     GPL-2.0+
+ * @since       1.0.0
+ */
+
+namespace WootourBulkEditor\Services;
+
+use WootourBulkEditor\Core\Constants;
+use WootourBulkEditor\Exceptions\ValidationException;
+use WootourBulkEditor\Traits\Singleton;
+use WootourBulkEditor\Utilities\LockHelper;
+
+// Exit if accessed directly
+defined('ABSPATH') || exit;
+
+/**
+ * Class BackgroundService
+ *
+ * Server-side processing of bulk operations.
+ */
+final class BackgroundService implements ServiceInterface
+{
+    use Singleton;
+
+    /**
+     * @var BatchProcessor
+     */
+    private $batch_processor;
+
+    /**
+     * @var SnapshotService
+     */
+    private $snapshot_service;
+
+    /**
+     * @var LoggerService
+     */
+    private $logger_service;
+
+    /**
+     * Private constructor
+     */
+    private function __construct()
+    {
+        // Dependencies injected via init
+    }
+
+    /**
+     * Initialize with dependencies
+     */
+    public function init(): void
+    {
+        $this->batch_processor = BatchProcessor::getInstance();
+        $this->snapshot_service = SnapshotService::getInstance();
+        $this->logger_service = LoggerService::getInstance();
+
+        // La requête en boucle locale n'a pas de cookie : authentifiée par le jeton du traitement
+        add_action('wp_ajax_nopriv_' . Constants::BACKGROUND_WORKER_ACTION, [$this, 'handle_worker_request']);
+        add_action('wp_ajax_' . Constants::BACKGROUND_WORKER_ACTION, [$this, 'handle_worker_request']);
+
+        add_action(Constants::BACKGROUND_CRON_HOOK, [$this, 'run_job']);
+        add_action('wbe_daily_log_cleanup', [$this, 'cleanup_stale_jobs']);
+    }
+
+    /**
+     * Process the remaining chunks of an operation in the background
+     *
+     * Also used to resume a paused or interrupted operation.
+     *
+     * @param string $operation_id Operation with a saved resume state (or a rollback in progress)
+     * @param string $type 'batch', or 'rollback' to restore the remaining chunks of its snapshot
+     */
+    public function start(string $operation_id, string $type = 'batch'): void
+    {
+        $job = array_merge($this->read($operation_id) ?? [
+            'operation_id' => $operation_id,
+            'type'         => $type,
+            'user_id'      => get_current_user_id(),
+            'token'        => wp_generate_password(32, false),
+            'started_at'   => time(),
+        ], [
+            'status'     => 'running',
+            'message'    => '',
+            'updated_at' => time(),
+        ]);
+
+        $this->write($job);
+        $this->dispatch($job);
+    }
+
+    /**
+     * Pause after the chunk in progress
+     *
+     * @throws ValidationException If the operation is not processed in the background
+     */
+    public function pause(string $operation_id): void
+    {
+        if ($this->getJob($operation_id) === null) {
+            throw ValidationException::invalidField('This operation is not running in the background.');
+        }
+
+        $this->update_job($operation_id, ['status' => 'paused']);
+    }
+
+    /**
+     * Forget an operation (cancelled): the worker stops after its chunk
+     */
+    public function stop(string $operation_id): void
+    {
+        delete_option($this->get_job_key($operation_id));
+
+        wp_clear_scheduled_hook(Constants::BACKGROUND_CRON_HOOK, [$operation_id]);
+    }
+
+    /**
+     * Background state of an operation (running, paused, interrupted)
+     *
+     * @return array|null ['operation_id', 'type', 'user_id', 'status', 'message', 'started_at', 'updated_at']
+     */
+    public function getJob(string $operation_id): ?array
+    {
+        $job = $this->read($operation_id);
+
+        if ($job === null) {
+            return null;
+        }
+
+        unset($job['token']);
+
+        return $job;
+    }
+
+    /**
+     * Operations of the current user still processed in the background,
+     * with their progress (to reattach the admin page when it is reopened)
+     *
+     * @return array List of jobs with a 'progress' key
+     */
+    public function getUserJobs(): array
+    {
+        $jobs = [];
+
+        foreach ($this->read_all() as $operation_id => $job) {
+            // La page ne se rattache qu'aux traitements par lots (les restaurations sont suivies depuis l'historique)
+            if ((int) $job['user_id'] !== get_current_user_id() || $this->get_type($job) !== 'batch') {
+                continue;
+            }
+
+            $progress = $this->batch_processor->getProgress($operation_id);
+
+            if ($progress === null) {
+                continue;
+            }
+
+            unset($job['token']);
+            $job['progress'] = $progress;
+            $jobs[] = $job;
+        }
+
+        return $jobs;
+    }
+
+    /**
+     * Final result of an operation completed in the background
+     *
+     * @param string $type 'batch' or 'rollback'
+     * @return array|null Result of BatchProcessor::processBatch (SnapshotService::restoreNextChunk for a rollback)
+     */
+    public function getResult(string $operation_id, string $type = 'batch'): ?array
+    {
+        $result = get_transient($this->get_result_key($operation_id, $type));
+
+        return is_array($result) ? $result : null;
+    }
+
+    /**
+     * Loopback request: check the token, then process chunks
+     */
+    public function handle_worker_request(): void
+    {
+        $operation_id = sanitize_text_field(wp_unslash($_POST['operation_id'] ?? ''));
+        $token = sanitize_text_field(wp_unslash($_POST['token'] ?? ''));
+        $job = $this->read($operation_id);
+
+        if ($job === null || !hash_equals($job['token'], $token)) {
+            wp_die('', '', ['response' => 403]);
+        }
+
+        // Le client n'attend pas la réponse
+        ignore_user_abort(true);
+
+        $this->run_job($operation_id);
+
+        wp_die();
+    }
+
+    /**
+     * Process chunks until the time budget is spent, then hand over to
+     * the next worker (loopback request or WP-Cron fallback)
+     *
+     * @param string $operation_id Operation ID
+     */
+    public function run_job(string $operation_id): void
+    {
+        $job = $this->read($operation_id);
+
+        if ($job === null || $job['status'] !== 'running') {
+            return;
+        }
+
+        // Un seul worker à la fois pour une opération (requête en boucle locale et WP-Cron)
+        $lock = 'background_' . $operation_id;
+
+        if (!LockHelper::acquire($lock, 2 * Constants::TIMEOUT_SECONDS)) {
+            $this->schedule_healthcheck($operation_id);
+            return;
+        }
+
+        try {
+            $continue = $this->process($job);
+        } finally {
+            LockHelper::release($lock);
+        }
+
+        // Après la levée du verrou, sinon le worker suivant s'arrêterait aussitôt
+        $job = $continue ? $this->update_job($operation_id, []) : null;
+
+        if ($job !== null) {
+            $this->dispatch($job);
+        }
+    }
+
+    /**
+     * Daily cleanup: forget jobs whose resume state has expired
+     */
+    public function cleanup_stale_jobs(): void
+    {
+        foreach ($this->read_all() as $operation_id => $job) {
+            $progress = $this->get_type($job) === 'rollback'
+                ? $this->snapshot_service->getRollbackProgress($operation_id)
+                : $this->batch_processor->getProgress($operation_id);
+
+            if ($progress === null) {
+                $this->stop($operation_id);
+            }
+        }
+    }
+
+    /**
+     * Resume the operation (or its rollback) chunk after chunk
+     *
+     * @return bool True if chunks remain for the next worker
+     */
+    private function process(array $job): bool
+    {
+        $operation_id = $job['operation_id'];
+        $deadline = time() + Constants::TIMEOUT_SECONDS;
+
+        // Requête sans utilisateur : le traitement continue au nom de son auteur
+        wp_set_current_user((int) $job['user_id']);
+
+        try {
+            do {
+                if ($this->get_type($job) === 'rollback') {
+                    $result = $this->snapshot_service->restoreNextChunk($operation_id);
+                } else {
+                    // Plus que des produits en échec : opération close (partielle)
+                    $result = $this->batch_processor->finishStalledOperation($operation_id)
+                        ?? $this->batch_processor->resumeOperation($operation_id);
+                }
+
+                if (!empty($result['is_complete'])) {
+                    break;
+                }
+
+                // Pause ou annulation demandée pendant le lot
+                $job = $this->read($operation_id);
+                if ($job === null || $job['status'] !== 'running') {
+                    return false;
+                }
+            } while (time() < $deadline);
+        } catch (\Exception $e) {
+            if ($this->getJob($operation_id) === null) {
+                return false;
+            }
+
+            $this->logger_service->log(
+                'background_interrupted',
+                sprintf('Traitement en arrière-plan interrompu : %s', $e->getMessage()),
+                ['operation_id' => $operation_id],
+                'error'
+            );
+
+            $this->update_job($operation_id, [
+                'status'  => 'interrupted',
+                'message' => $e->getMessage(),
+            ]);
+
+            return false;
+        }
+
+        if (!empty($result['is_complete'])) {
+            set_transient($this->get_result_key($operation_id, $this->get_type($job)), $result, DAY_IN_SECONDS);
+            $this->stop($operation_id);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Start the next worker: non-blocking loopback request to admin-ajax.php,
+     * and a WP-Cron event in case the host blocks loopback requests
+     */
+    private function dispatch(array $job): void
+    {
+        $this->schedule_healthcheck($job['operation_id']);
+
+        wp_remote_post(admin_url('admin-ajax.php'), [
+            'timeout'   => 0.01,
+            'blocking'  => false,
+            'sslverify' => apply_filters('https_local_ssl_verify', false),
+            'body'      => [
+                'action'       => Constants::BACKGROUND_WORKER_ACTION,
+                'operation_id' => $job['operation_id'],
+                'token'        => $job['token'],
+            ],
+        ]);
+    }
+
+    private function schedule_healthcheck(string $operation_id): void
+    {
+        wp_clear_scheduled_hook(Constants::BACKGROUND_CRON_HOOK, [$operation_id]);
+        wp_schedule_single_event(
+            time() + Constants::BACKGROUND_HEALTHCHECK_DELAY,
+            Constants::BACKGROUND_CRON_HOOK,
+            [$operation_id]
+        );
+    }
+
+    /**
+     * Set some fields of a job (updated_at is always refreshed)
+     *
+     * @return array|null The job, null if it was removed meanwhile
+     */
+    private function update_job(string $operation_id, array $fields): ?array
+    {
+        $job = $this->read($operation_id);
+
+        if ($job === null) {
+            return null;
+        }
+
+        $job = array_merge($job, $fields, ['updated_at' => time()]);
+        $this->write($job);
+
+        return $job;
+    }
+
+    /**
+     * Type of a job: 'batch' or 'rollback'
+     */
+    private function get_type(array $job): string
+    {
+        return $job['type'] ?? 'batch';
+    }
+
+    private function get_result_key(string $operation_id, string $type): string
+    {
+        return ($type === 'rollback' ? 'wbe_background_rollback_result_' : 'wbe_background_result_') . $operation_id;
+    }
+
+    /**
+     * One option per job: concurrent jobs never overwrite each other
+     */
+    private function get_job_key(string $operation_id): string
+    {
+        return Constants::BACKGROUND_JOB_OPTION_PREFIX . $operation_id;
+    }
+
+    /**
+     * Read a job, bypassing the option cache (changes made by another request)
+     */
+    private function read(string $operation_id): ?array
+    {
+        $key = $this->get_job_key($operation_id);
+        wp_cache_delete($key, 'options');
+
+        $job = get_option($key, null);
+
+        return is_array($job) ? $job : null;
+    }
+
+    /**
+     * All jobs, keyed by operation ID
+     */
+    private function read_all(): array
+    {
+        global $wpdb;
+
+        $option_names = $wpdb->get_col(
+            $wpdb->prepare(
+                "SELECT option_name FROM {$wpdb->options} WHERE option_name LIKE %s",
+                $wpdb->esc_like(Constants::BACKGROUND_JOB_OPTION_PREFIX) . '%'
+            )
+        );
+
+        $jobs = [];
+
+        foreach ($option_names as $option_name) {
+            $operation_id = substr($option_name, strlen(Constants::BACKGROUND_JOB_OPTION_PREFIX));
+            $job = $this->read($operation_id);
+
+            if ($job !== null) {
+                $jobs[$operation_id] = $job;
+            }
+        }
+
+        return $jobs;
+    }
+
+    private function write(array $job): void
+    {
+        update_option($this->get_job_key($job['operation_id']), $job, false);
+    }
+}
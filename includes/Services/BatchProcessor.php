@@ -55,6 +55,21 @@ final class BatchProcessor implements ServiceInterface
      */
     private $logger_service;
 
+    /**
+     * @var SnapshotService
+     */
+    private $snapshot_service;
+
+    /**
+     * @var ChangeReportService
+     */
+    private $change_report_service;
+
+    /**
+     * @var RollingWindowService
+     */
+    private $rolling_window_service;
+
     /**
      * Private constructor
      */
@@ -72,25 +87,39 @@ final class BatchProcessor implements ServiceInterface
         $this->product_repository = ProductRepository::getInstance();
         $this->availability_service = AvailabilityService::getInstance();
         $this->logger_service = LoggerService::getInstance();
+        $this->snapshot_service = SnapshotService::getInstance();
+        $this->change_report_service = ChangeReportService::getInstance();
+        $this->rolling_window_service = RollingWindowService::getInstance();
     }
 
     /**
      * Process batch update for multiple products
      * 
+     * With a selection query ("select all matching"), $product_ids is empty:
+     * the IDs are resolved chunk by chunk through the ProductRepository.
+     *
      * @param array $product_ids Array of product IDs to update
      * @param array $changes Availability changes to apply
      * @param string $operation_id Unique operation ID for tracking
+     * @param array $selection_query Criteria (category_id, search, filter, date, days) instead of IDs
      * @return array Result with success count, errors, and progress
      * @throws BatchException If batch processing fails
      */
-    public function processBatch(array $product_ids, array $changes, string $operation_id = ''): array
-    {
+    public function processBatch(
+        array $product_ids,
+        array $changes,
+        string $operation_id = '',
+        array $selection_query = []
+    ): array {
         // Validate inputs
-        $this->validateBatchInput($product_ids, $changes);
+        $this->validateBatchInput($product_ids, $changes, !empty($selection_query));
+
+        // Fenêtre glissante : dates calculées le jour du traitement (opérations programmées)
+        $changes = $this->rolling_window_service->resolveChanges($changes);
 
         // Generate operation ID if not provided
         if (empty($operation_id)) {
-            $operation_id = $this->generateOperationId($product_ids, $changes);
+            $operation_id = $this->generateOperationId($product_ids ?: $selection_query, $changes);
         }
 
         // Check if this is a resume operation
@@ -103,7 +132,8 @@ final class BatchProcessor implements ServiceInterface
             $changes,
             $operation_id,
             $is_resume,
-            $resume_data
+            $resume_data,
+            $selection_query
         );
 
         // Apply memory and time limits
@@ -113,8 +143,11 @@ final class BatchProcessor implements ServiceInterface
             // Process in batches of 50 products
             $result = $this->processInChunks($batch_state);
 
+            // Historique : compteurs à jour après chaque passage
+            $this->logOperationHistory($batch_state, !empty($result['is_complete']));
+
             // Clean up on complete success
-            if ($result['success_count'] === count($batch_state['all_product_ids'])) {
+            if (($result['success_count'] ?? null) === $this->getTotalCount($batch_state)) {
                 $this->cleanupOperation($operation_id);
                 $this->logBatchCompletion($operation_id, $result);
             }
@@ -123,6 +156,7 @@ final class BatchProcessor implements ServiceInterface
         } catch (\Throwable $e) {
             // Save state for resume
             $this->saveResumeState($batch_state);
+            $this->logger_service->recordOperation($operation_id, ['status' => 'interrupted']);
 
             throw BatchException::processingFailed(
                 $operation_id,
@@ -135,9 +169,9 @@ final class BatchProcessor implements ServiceInterface
     /**
      * Validate batch input parameters
      */
-    private function validateBatchInput(array $product_ids, array $changes): void
+    private function validateBatchInput(array $product_ids, array $changes, bool $has_selection_query = false): void
     {
-        if (empty($product_ids)) {
+        if (empty($product_ids) && !$has_selection_query) {
             throw BatchException::emptyProductList();
         }
 
@@ -153,8 +187,9 @@ final class BatchProcessor implements ServiceInterface
         }
 
         // Limit total products to prevent memory issues
+        // (a selection query only loads one chunk of products at a time)
         $max_products = apply_filters('wbe_max_batch_products', 1000);
-        if (count($product_ids) > $max_products) {
+        if (!$has_selection_query && count($product_ids) > $max_products) {
             throw BatchException::tooManyProducts(count($product_ids), $max_products);
         }
     }
@@ -227,13 +262,19 @@ final class BatchProcessor implements ServiceInterface
         array $changes,
         string $operation_id,
         bool $is_resume,
-        array $resume_data
+        array $resume_data,
+        array $selection_query = []
     ): array {
         if ($is_resume) {
             // Resume from saved state
-            $state = $resume_data;
+            $state = array_merge([
+                'errors'        => [],
+                'warnings'      => [],
+                'current_batch' => 0,
+            ], $resume_data);
             $state['is_resume'] = true;
             $state['resumed_at'] = time();
+            $state['processed_count'] = count($state['processed_ids']);
 
             $this->logResumeOperation($operation_id, $state);
         } else {
@@ -252,6 +293,10 @@ final class BatchProcessor implements ServiceInterface
                 'current_batch'    => 0,
             ];
 
+            if (!empty($selection_query)) {
+                $state['selection_query'] = $this->initializeSelectionQuery($selection_query);
+            }
+
             $this->logStartOperation($operation_id, $state);
         }
 
@@ -268,6 +313,93 @@ final class BatchProcessor implements ServiceInterface
         return $state;
     }
 
+    /**
+     * Selection query stored in the batch state
+     *
+     * The total is counted once at start; resolution then walks the
+     * matching products by ID (see ProductRepository::getProductIdsBySelectionFilter).
+     */
+    private function initializeSelectionQuery(array $query): array
+    {
+        $query = [
+            // Critères d'origine : l'historique les garde pour une relance
+            'criteria'    => $query,
+            'category_id' => (int) ($query['category_id'] ?? 0),
+            'filter'      => (string) ($query['filter'] ?? ''),
+            'params'      => [
+                'search' => (string) ($query['search'] ?? ''),
+                'date'   => (string) ($query['date'] ?? ''),
+                'days'   => (int) ($query['days'] ?? 30),
+            ],
+            'after_id'    => 0,
+            'exhausted'   => false,
+        ];
+
+        $count = $this->product_repository->countProductsBySelectionFilter(
+            $query['filter'],
+            $query['params'],
+            $query['category_id']
+        );
+
+        if ($count['total'] === 0) {
+            throw BatchException::emptyProductList();
+        }
+
+        $query['total'] = $count['total'];
+
+        return $query;
+    }
+
+    /**
+     * Resolve the IDs of the next chunk when the batch runs on a selection query
+     */
+    private function resolveSelectionQuery(array &$state): void
+    {
+        if (empty($state['selection_query'])) {
+            return;
+        }
+
+        $query = &$state['selection_query'];
+
+        if ($query['exhausted'] || count($state['remaining_ids']) >= Constants::BATCH_SIZE) {
+            return;
+        }
+
+        $page = $this->product_repository->getProductIdsBySelectionFilter(
+            $query['filter'],
+            $query['params'],
+            $query['category_id'],
+            $query['after_id']
+        );
+
+        $query['after_id'] = $page['last_id'];
+        $query['exhausted'] = !$page['has_more'];
+
+        $state['all_product_ids'] = array_values(array_unique(array_merge($state['all_product_ids'], $page['ids'])));
+        $state['remaining_ids'] = array_diff(
+            $state['all_product_ids'],
+            $state['processed_ids'],
+            array_keys($state['failed_ids'])
+        );
+    }
+
+    /**
+     * Number of products of the operation
+     *
+     * Until a selection query is fully resolved, its initial count is used
+     * (an upper bound for the filters evaluated on the availability rules).
+     */
+    private function getTotalCount(array $state): int
+    {
+        $resolved = count($state['all_product_ids']);
+
+        if (!empty($state['selection_query']) && !$state['selection_query']['exhausted']) {
+            return max($resolved, (int) $state['selection_query']['total']);
+        }
+
+        return $resolved;
+    }
+
     /**
      * Apply resource limits for shared hosting
      */
@@ -296,6 +428,8 @@ final class BatchProcessor implements ServiceInterface
         $start_time = time();
         $chunk_size = Constants::BATCH_SIZE;
 
+        $this->resolveSelectionQuery($state);
+
         // Process remaining products in chunks
         while (!empty($state['remaining_ids'])) {
             // Check timeout
@@ -308,24 +442,34 @@ final class BatchProcessor implements ServiceInterface
             $chunk_ids = array_slice($state['remaining_ids'], 0, $chunk_size);
 
             // Process chunk
-            $chunk_result = $this->processChunk($chunk_ids, $state['changes']);
+            $chunk_result = $this->processChunk($chunk_ids, $state['changes'], $state['operation_id']);
 
             // Update state
             $state['current_batch']++;
             $state['processed_ids'] = array_merge($state['processed_ids'], $chunk_result['processed_ids']);
-            $state['failed_ids'] = array_merge($state['failed_ids'], $chunk_result['failed_ids']);
+            // Clés = IDs produit : array_merge les renuméroterait
+            $state['failed_ids'] = $state['failed_ids'] + $chunk_result['failed_ids'];
             $state['errors'] = array_merge($state['errors'], $chunk_result['errors']);
             $state['warnings'] = array_merge($state['warnings'], $chunk_result['warnings']);
 
             // Recalculate remaining (CRITIQUE : après avoir traité le chunk)
+            $remaining_before = count($state['remaining_ids']);
             $state['remaining_ids'] = array_diff(
                 $state['all_product_ids'],
                 $state['processed_ids'],
                 array_keys($state['failed_ids'])
             );
 
+            // Un lot sans effet reviendrait indéfiniment
+            if (count($state['remaining_ids']) >= $remaining_before) {
+                $this->saveBatchState($state);
+                throw BatchException::noProgress($state['operation_id']);
+            }
+
             $state['processed_count'] = count($state['processed_ids']);
 
+            $this->resolveSelectionQuery($state);
+
             // Save progress
             $this->saveBatchState($state);
 
@@ -340,6 +484,7 @@ final class BatchProcessor implements ServiceInterface
             // Return intermediate result if not complete
             if (!empty($state['remaining_ids'])) {
                 return [
+                    'operation_id' => $state['operation_id'],
                     'is_complete' => false,
                     'processed_in_chunk' => count($chunk_result['processed_ids']),
                     'total_processed' => $state['processed_count'],
@@ -357,22 +502,27 @@ final class BatchProcessor implements ServiceInterface
     /**
      * Process a single chunk of products
      */
-    private function processChunk(array $product_ids, array $changes): array
+    private function processChunk(array $product_ids, array $changes, string $operation_id = ''): array
     {
         $result = [
             'processed_ids' => [],
             'failed_ids'    => [],
             'errors'        => [],
             'warnings'      => [],
+            'date_changes'  => [],
         ];
 
+        // Snapshot avant écriture pour permettre le rollback
+        $this->snapshot_service->captureProducts($operation_id, $product_ids);
+
         // Get products for this chunk
         $products = $this->product_repository->getProductsByIds($product_ids);
 
         foreach ($products as $product) {
             try {
-                $this->processSingleProduct($product, $changes);
+                $date_changes = $this->processSingleProduct($product, $this->getProductChanges($changes, $product->getId()), $operation_id);
                 $result['processed_ids'][] = $product->getId();
+                $result['date_changes'][$product->getId()] = ['product_name' => $product->getName()] + $date_changes;
             } catch (\Exception $e) {
                 $error_id = $product->getId();
                 $result['failed_ids'][$error_id] = [
@@ -404,21 +554,47 @@ final class BatchProcessor implements ServiceInterface
             $result['errors'][] = sprintf('Product #%d not found', $missing_id);
         }
 
+        $this->change_report_service->recordProducts($operation_id, $result['date_changes']);
+
         return $result;
     }
 
-    private function processSingleProduct(Product $product, array $changes): void
+    /**
+     * Changes to apply to one product
+     *
+     * An import carries one change set per product under "per_product";
+     * otherwise every product gets the same changes.
+     */
+    private function getProductChanges(array $changes, int $product_id): array
+    {
+        if (isset($changes['per_product'])) {
+            return $changes['per_product'][$product_id] ?? [];
+        }
+
+        return $changes;
+    }
+
+    /**
+     * Update one product
+     *
+     * @return array Date changes (see AvailabilityService::calculateDateChanges),
+     *               empty lists when the product is left untouched
+     */
+    private function processSingleProduct(Product $product, array $changes, string $operation_id = ''): array
     {
+        $unchanged = ['from' => '', 'to' => '', 'added' => [], 'removed' => []];
+
         $product_id = $product->getId();
 
         error_log('[WBE BatchProcessor] Processing product #' . $product_id . ': ' . $product->getName());
 
         try {
-            // Vérifier si le produit a déjà été traité récemment
-            $cache_key = 'wbe_recently_processed_' . $product_id;
+            // Vérifier si le produit a déjà été traité récemment par CETTE opération (lot rejoué) :
+            // une relance, ou une annulation suivie d'une nouvelle application, le traite à nouveau
+            $cache_key = 'wbe_recently_processed_' . $operation_id . '_' . $product_id;
             if (get_transient($cache_key)) {
                 error_log('[WBE BatchProcessor] Product #' . $product_id . ' skipped - recently processed');
-                return;
+                return $unchanged;
             }
 
             // Check if product still exists and is valid
@@ -436,12 +612,15 @@ final class BatchProcessor implements ServiceInterface
                 $existing_availability = $existing_availability->withProductId($product_id);
             }
 
+            // Règle de fenêtre glissante enregistrée ou abandonnée, même sans changement de dates
+            $this->rolling_window_service->syncRule($product_id, $changes, $existing_availability);
+
             // Check if changes will actually modify anything
             if (!$this->availability_service->hasEffectiveChanges($existing_availability, $changes)) {
                 error_log('[WBE BatchProcessor] Product #' . $product_id . ' skipped - no effective changes');
                 // Marquer comme traité quand même
                 set_transient($cache_key, true, 60); // 60 secondes
-                return;
+                return $unchanged;
             }
 
             // Calculate conflicts/warnings
@@ -458,7 +637,7 @@ final class BatchProcessor implements ServiceInterface
             error_log('[WBE BatchProcessor] Merged availability: ' . print_r($merged_availability->toArray(), true));
 
             // Save to Wootour
-            $save_result = $this->wootour_repository->updateAvailability($product_id, $merged_availability->toArray());
+            $save_result = $this->wootour_repository->updateAvailability($product_id, $merged_availability->toArray(), $changes);
 
             if (!$save_result) {
                 throw new \Exception('Failed to save availability data');
@@ -475,15 +654,18 @@ final class BatchProcessor implements ServiceInterface
                 $existing_availability->toArray(),
                 $merged_availability->toArray(),
                 $changes,
-                $conflicts
+                $conflicts,
+                $operation_id
             );
 
             // Clear relevant caches
             $this->product_repository->clearCache($product_id);
+
+            return $this->availability_service->calculateDateChanges($existing_availability, $merged_availability);
         } catch (\Exception $e) {
             error_log('[WBE BatchProcessor] ERROR processing product #' . $product_id . ': ' . $e->getMessage());
             // Log failure
-            $this->logger_service->logProductFailed($product_id, $changes, $e->getMessage());
+            $this->logger_service->logProductFailed($product_id, $changes, $e->getMessage(), $operation_id);
             throw $e; // Re-throw for chunk processing
         }
     }
@@ -504,22 +686,28 @@ final class BatchProcessor implements ServiceInterface
         $chunk_ids = array_slice($state['remaining_ids'], 0, $chunk_size);
 
         // Traiter le chunk
-        $chunk_result = $this->processChunk($chunk_ids, $state['changes']);
+        $chunk_result = $this->processChunk($chunk_ids, $state['changes'], $state['operation_id']);
 
         // Mettre à jour l'état
         $state['current_batch']++;
         $state['processed_ids'] = array_merge($state['processed_ids'], $chunk_result['processed_ids']);
-        $state['failed_ids'] = array_merge($state['failed_ids'], $chunk_result['failed_ids']);
+        // Clés = IDs produit : array_merge les renuméroterait
+        $state['failed_ids'] = $state['failed_ids'] + $chunk_result['failed_ids'];
         $state['errors'] = array_merge($state['errors'], $chunk_result['errors']);
         $state['warnings'] = array_merge($state['warnings'], $chunk_result['warnings']);
 
         // Recalculer les restants
+        $remaining_before = count($state['remaining_ids']);
         $state['remaining_ids'] = array_diff(
             $state['all_product_ids'],
             $state['processed_ids'],
             array_keys($state['failed_ids'])
         );
 
+        if (count($state['remaining_ids']) >= $remaining_before) {
+            throw BatchException::noProgress($state['operation_id']);
+        }
+
         $state['processed_count'] = count($state['processed_ids']);
 
         return [
@@ -545,10 +733,17 @@ final class BatchProcessor implements ServiceInterface
             'changes'          => $state['changes'],
             'processed_ids'    => $state['processed_ids'],
             'failed_ids'       => $state['failed_ids'],
+            'errors'           => $state['errors'] ?? [],
+            'warnings'         => $state['warnings'] ?? [],
+            'current_batch'    => $state['current_batch'] ?? 0,
             'started_at'       => $state['started_at'],
             'last_updated'     => time(),
         ];
 
+        if (!empty($state['selection_query'])) {
+            $resume_data['selection_query'] = $state['selection_query'];
+        }
+
         // Save with 1-hour expiry (enough time to resume)
         set_transient('wbe_resume_' . $state['operation_id'], $resume_data, HOUR_IN_SECONDS);
 
@@ -568,7 +763,7 @@ final class BatchProcessor implements ServiceInterface
         $this->logger_service->logBatchInterrupted(
             $state['operation_id'],
             $state['processed_count'],
-            count($state['all_product_ids'])
+            $this->getTotalCount($state)
         );
     }
 
@@ -577,7 +772,7 @@ final class BatchProcessor implements ServiceInterface
      */
     private function calculateProgress(array $state): array
     {
-        $total = count($state['all_product_ids']);
+        $total = $this->getTotalCount($state);
         $processed = count($state['processed_ids']);
         $failed = count($state['failed_ids']);
 
@@ -599,7 +794,7 @@ final class BatchProcessor implements ServiceInterface
     private function estimateRemainingTime(array $state): int
     {
         $processed = count($state['processed_ids']) + count($state['failed_ids']);
-        $remaining = count($state['remaining_ids']);
+        $remaining = $this->getTotalCount($state) - $processed;
 
         if ($processed === 0 || $remaining === 0) {
             return 0;
@@ -616,7 +811,7 @@ final class BatchProcessor implements ServiceInterface
      */
     private function compileResult(array $state): array
     {
-        $total = count($state['all_product_ids']);
+        $total = $this->getTotalCount($state);
         $processed = count($state['processed_ids']);
         $failed = count($state['failed_ids']);
 
@@ -635,6 +830,8 @@ final class BatchProcessor implements ServiceInterface
             'is_resume'       => $state['is_resume'] ?? false,
             'processing_time' => time() - $state['started_at'],
             'batch_count'     => $state['current_batch'],
+            'can_rollback'    => $this->snapshot_service->canRollback($state['operation_id']),
+            'date_changes'    => array_values($this->change_report_service->getReport($state['operation_id'])['products'] ?? []),
         ];
     }
 
@@ -656,10 +853,23 @@ final class BatchProcessor implements ServiceInterface
     public function getProgress(string $operation_id): ?array
     {
         $progress = get_transient('wbe_progress_' . $operation_id);
+        $resume_data = $this->getResumeData($operation_id);
+
+        // Le transient de progression expire avant l'état de reprise :
+        // on recalcule à partir de l'état sauvegardé
+        if ((!$progress || !is_array($progress)) && !empty($resume_data)) {
+            $state = $resume_data;
+            $state['current_batch'] = $state['current_batch'] ?? 0;
+            $state['remaining_ids'] = array_diff(
+                $state['all_product_ids'],
+                $state['processed_ids'],
+                array_keys($state['failed_ids'])
+            );
+            $progress = $this->calculateProgress($state);
+        }
 
         if ($progress && is_array($progress)) {
-            $resume_data = get_transient('wbe_resume_' . $operation_id);
-            $progress['can_resume'] = !empty($resume_data);
+            $progress['can_resume'] = !empty($resume_data) && $progress['remaining'] > 0;
             $progress['operation_id'] = $operation_id;
             return $progress;
         }
@@ -709,12 +919,57 @@ final class BatchProcessor implements ServiceInterface
             array_keys($resume_data['failed_ids'])
         );
 
-        if (empty($remaining)) {
+        if (empty($remaining) && ($resume_data['selection_query']['exhausted'] ?? true)) {
             throw BatchException::alreadyCompleted($operation_id);
         }
 
-        // Resume processing
-        return $this->processBatch([], [], $operation_id);
+        // Resume processing (next chunk)
+        return $this->processBatch(
+            $resume_data['all_product_ids'],
+            $resume_data['changes'],
+            $operation_id,
+            $resume_data['selection_query'] ?? []
+        );
+    }
+
+    /**
+     * Close an operation whose remaining products have all failed already
+     *
+     * Background and scheduled workers call this before resuming, so that a
+     * product that keeps failing cannot keep them running: the operation is
+     * recorded as partial and its resume data is removed.
+     *
+     * @param string $operation_id Operation ID
+     * @return array|null Final result, null if products remain to process
+     */
+    public function finishStalledOperation(string $operation_id): ?array
+    {
+        $resume_data = $this->getResumeData($operation_id);
+
+        if (empty($resume_data) || !($resume_data['selection_query']['exhausted'] ?? true)) {
+            return null;
+        }
+
+        $pending = array_diff($resume_data['all_product_ids'], $resume_data['processed_ids']);
+
+        if (!empty(array_diff($pending, array_keys($resume_data['failed_ids'])))) {
+            return null;
+        }
+
+        $state = array_merge([
+            'errors'        => [],
+            'warnings'      => [],
+            'current_batch' => 0,
+        ], $resume_data);
+        $state['remaining_ids'] = [];
+
+        $result = $this->compileResult($state);
+
+        $this->logOperationHistory($state, true);
+        $this->cleanupOperation($operation_id);
+        $this->logBatchCompletion($operation_id, $result);
+
+        return $result;
     }
 
     /**
@@ -727,6 +982,7 @@ final class BatchProcessor implements ServiceInterface
     {
         $this->cleanupOperation($operation_id);
         $this->logger_service->logBatchCancelled($operation_id);
+        $this->logger_service->recordOperation($operation_id, ['status' => 'cancelled']);
 
         return true;
     }
@@ -752,17 +1008,29 @@ final class BatchProcessor implements ServiceInterface
         $preview_results = [];
         $total_conflicts = 0;
         $total_warnings = 0;
+        $changed_count = 0;
 
         foreach ($products as $product) {
             try {
                 $existing = $this->wootour_repository->getAvailability($product->getId());
                 $conflicts = $this->availability_service->calculateConflicts($existing, $changes);
+                $has_errors = !empty(array_filter($conflicts, fn($c) => $c['type'] === 'error'));
+                $has_changes = $this->availability_service->hasEffectiveChanges($existing, $changes);
+
+                // État "après" : uniquement si la fusion est possible
+                $proposed = $has_errors
+                    ? null
+                    : $this->availability_service->formatForDisplay(
+                        $this->availability_service->mergeChanges($existing, $changes)
+                    );
 
                 $preview_results[] = [
                     'product_id'   => $product->getId(),
                     'product_name' => $product->getName(),
                     'has_wootour'  => $product->hasWootour(),
                     'existing'     => $this->availability_service->formatForDisplay($existing),
+                    'proposed'     => $proposed,
+                    'has_changes'  => $has_changes,
                     'conflicts'    => $conflicts,
                     'preview'      => $this->availability_service->calculatePreview(
                         $existing,
@@ -772,6 +1040,10 @@ final class BatchProcessor implements ServiceInterface
                     ),
                 ];
 
+                if ($has_changes) {
+                    $changed_count++;
+                }
+
                 foreach ($conflicts as $conflict) {
                     if ($conflict['type'] === 'error') {
                         $total_conflicts++;
@@ -795,6 +1067,7 @@ final class BatchProcessor implements ServiceInterface
                 'total_products' => count($product_ids),
                 'total_conflicts' => $total_conflicts,
                 'total_warnings' => $total_warnings,
+                'changed_count' => $changed_count,
                 'has_errors'    => $total_conflicts > 0,
             ],
         ];
@@ -811,6 +1084,20 @@ final class BatchProcessor implements ServiceInterface
             $state['changes'],
             get_current_user_id()
         );
+
+        $data = [
+            'type'        => 'batch',
+            'status'      => 'running',
+            'product_ids' => $state['all_product_ids'],
+            'changes'     => $state['changes'],
+        ];
+
+        // IDs résolus au fil des lots : une relance repart des critères
+        if (!empty($state['selection_query'])) {
+            $data['selection_query'] = $state['selection_query']['criteria'];
+        }
+
+        $this->logger_service->recordOperation($operation_id, $data);
     }
 
     private function logResumeOperation(string $operation_id, array $state): void
@@ -842,6 +1129,27 @@ final class BatchProcessor implements ServiceInterface
         );
     }
 
+    private function logOperationHistory(array $state, bool $is_complete): void
+    {
+        $data = [
+            'success_count' => count($state['processed_ids']),
+            'failed_count'  => count($state['failed_ids']),
+        ];
+
+        // IDs résolus au fil des lots : l'historique (et la relance) les reçoit au fur et à mesure
+        if (!empty($state['selection_query'])) {
+            $data['product_ids'] = $state['all_product_ids'];
+        }
+
+        if ($is_complete) {
+            $data['status'] = empty($state['failed_ids']) ? 'completed' : 'partial';
+            $data['completed_at'] = current_time('mysql');
+            $data['processing_time'] = time() - $state['started_at'];
+        }
+
+        $this->logger_service->recordOperation($state['operation_id'], $data);
+    }
+
     /**
      * Get batch statistics
      */
@@ -0,0 +1,296 @@
+<?php
+
+/**
+ * Wootour Bulk Editor - Booking Service
+ *
+ * Safety check before a bulk operation: finds the upcoming dates that the
+ * operation would stop making bookable while WooCommerce orders (paid or
+ * pending) are already booked on them.
+ *
+ * @package     WootourBulkEditor
+ * @subpackage  Services
+ * @license     GPL-2.0+
+ * @since       1.0.0
+ */
+
+namespace WootourBulkEditor\Services;
+
+use WootourBulkEditor\Core\Constants;
+use WootourBulkEditor\Repositories\ProductRepository;
+use WootourBulkEditor\Repositories\WootourRepository;
+use WootourBulkEditor\Traits\Singleton;
+
+// Exit if accessed directly
+defined('ABSPATH') || exit;
+
+/**
+ * Class BookingService
+ *
+ * Booked dates removed by a bulk operation.
+ */
+final class BookingService implements ServiceInterface
+{
+    use Singleton;
+
+    /**
+     * @var WootourRepository
+     */
+    private $wootour_repository;
+
+    /**
+     * @var ProductRepository
+     */
+    private $product_repository;
+
+    /**
+     * @var AvailabilityService
+     */
+    private $availability_service;
+
+    /**
+     * Private constructor
+     */
+    private function __construct()
+    {
+        // Dependencies injected via init
+    }
+
+    /**
+     * Initialize with dependencies
+     */
+    public function init(): void
+    {
+        $this->wootour_repository = WootourRepository::getInstance();
+        $this->product_repository = ProductRepository::getInstance();
+        $this->availability_service = AvailabilityService::getInstance();
+    }
+
+    /**
+     * Booked dates removed by an operation on a list of products or on a
+     * selection query ("select all matching")
+     *
+     * Products are checked by pages of BOOKING_CHECK_MAX_PRODUCTS; only the
+     * first page is checked unless $all_products is set (preview of step 3).
+     *
+     * @param array $product_ids Product IDs (ignored with a selection query)
+     * @param array $selection_query Criteria from SelectionService::sanitizeQuery
+     * @param array $changes Changes as sent to the batch processor
+     * @param bool $all_products Check every product (before applying)
+     * @return array ['conflicts' => array, 'checked' => int, 'truncated' => bool]
+     */
+    public function checkOperation(
+        array $product_ids,
+        array $selection_query,
+        array $changes,
+        bool $all_products = false
+    ): array {
+        $limit = Constants::BOOKING_CHECK_MAX_PRODUCTS;
+        $conflicts = [];
+        $checked = 0;
+
+        if (!empty($selection_query)) {
+            $after_id = 0;
+
+            do {
+                $page = $this->product_repository->getProductIdsBySelectionFilter(
+                    $selection_query['filter'],
+                    $selection_query,
+                    $selection_query['category_id'],
+                    $after_id,
+                    $limit
+                );
+
+                $conflicts = array_merge($conflicts, $this->findConflicts($page['ids'], $changes));
+                $checked += count($page['ids']);
+                $after_id = $page['last_id'];
+                $truncated = $page['has_more'];
+            } while ($all_products && $truncated);
+        } else {
+            $pages = array_chunk($product_ids, $limit);
+            $truncated = !$all_products && count($pages) > 1;
+
+            foreach ($truncated ? array_slice($pages, 0, 1) : $pages as $page_ids) {
+                $conflicts = array_merge($conflicts, $this->findConflicts($page_ids, $changes));
+                $checked += count($page_ids);
+            }
+        }
+
+        return [
+            'conflicts' => $conflicts,
+            'checked'   => $checked,
+            'truncated' => $truncated,
+        ];
+    }
+
+    /**
+     * Find the booked dates that the changes would remove
+     *
+     * A reset is expressed as changes with the "replace" mode and empty
+     * values on the reset fields. An import carries one change set per
+     * product under "per_product".
+     *
+     * @param array $product_ids Product IDs
+     * @param array $changes Changes as sent to the batch processor
+     * @return array List of ['product_id', 'product_name', 'date', 'orders'],
+     *               sorted by product then date
+     */
+    public function findConflicts(array $product_ids, array $changes): array
+    {
+        $booked = $this->getBookedDates($product_ids);
+        $conflicts = [];
+
+        foreach ($booked as $product_id => $dates) {
+            $product_changes = isset($changes['per_product'])
+                ? ($changes['per_product'][$product_id] ?? [])
+                : $changes;
+
+            if (empty($product_changes)) {
+                continue;
+            }
+
+            try {
+                $before = $this->wootour_repository->getAvailability($product_id);
+                $after = $this->availability_service->mergeChanges($before, $product_changes);
+            } catch (\Exception $e) {
+                error_log(sprintf('[WBE BookingService] Product #%d skipped: %s', $product_id, $e->getMessage()));
+                continue;
+            }
+
+            $removed = $this->availability_service->calculateDateChanges($before, $after)['removed'];
+
+            foreach (array_intersect(array_keys($dates), $removed) as $date) {
+                $conflicts[] = [
+                    'product_id'   => $product_id,
+                    'product_name' => get_the_title($product_id),
+                    'date'         => $date,
+                    'orders'       => array_values($dates[$date]),
+                ];
+            }
+        }
+
+        usort($conflicts, function ($a, $b) {
+            return [$a['product_id'], $a['date']] <=> [$b['product_id'], $b['date']];
+        });
+
+        return $conflicts;
+    }
+
+    /**
+     * Upcoming booked dates of the products
+     *
+     * Reads the WooCommerce order lines (tables shared by the legacy and
+     * HPOS order storage) and keeps the orders whose status is in
+     * Constants::BOOKING_ORDER_STATUSES.
+     *
+     * @param array $product_ids Product IDs
+     * @return array product_id => [Y-m-d => [order_id => ['id', 'number', 'status', 'edit_url']]]
+     */
+    public function getBookedDates(array $product_ids): array
+    {
+        global $wpdb;
+
+        $product_ids = array_values(array_unique(array_filter(array_map('intval', $product_ids))));
+
+        if (empty($product_ids) || !function_exists('wc_get_order')) {
+            return [];
+        }
+
+        $today = current_time('Y-m-d');
+        $orders = [];
+        $booked = [];
+
+        $meta_keys = implode(', ', array_map(function ($key) use ($wpdb) {
+            return $wpdb->prepare('%s', $key);
+        }, Constants::BOOKING_DATE_META_KEYS));
+
+        foreach (array_chunk($product_ids, Constants::BATCH_SIZE) as $chunk) {
+            $placeholders = implode(', ', array_fill(0, count($chunk), '%d'));
+
+            $rows = $wpdb->get_results($wpdb->prepare(
+                "SELECT items.order_id, product.meta_value AS product_id, booking.meta_value AS booking_date
+                FROM {$wpdb->prefix}woocommerce_order_items AS items
+                INNER JOIN {$wpdb->prefix}woocommerce_order_itemmeta AS product
+                    ON product.order_item_id = items.order_item_id AND product.meta_key = '_product_id'
+                INNER JOIN {$wpdb->prefix}woocommerce_order_itemmeta AS booking
+                    ON booking.order_item_id = items.order_item_id AND booking.meta_key IN ({$meta_keys})
+                WHERE items.order_item_type = 'line_item'
+                AND product.meta_value IN ({$placeholders})",
+                ...$chunk
+            ), ARRAY_A);
+
+            foreach ($rows as $row) {
+                $date = $this->normalizeBookingDate($row['booking_date']);
+
+                if ($date === '' || $date < $today) {
+                    continue;
+                }
+
+                $order_id = (int) $row['order_id'];
+
+                if (!array_key_exists($order_id, $orders)) {
+                    $orders[$order_id] = $this->getOrderSummary($order_id);
+                }
+
+                if ($orders[$order_id] === null) {
+                    continue;
+                }
+
+                $booked[(int) $row['product_id']][$date][$order_id] = $orders[$order_id];
+            }
+        }
+
+        return $booked;
+    }
+
+    /**
+     * Order numbers of a list of conflicts ("#123, #124")
+     */
+    public function formatOrderNumbers(array $conflicts): string
+    {
+        $orders = [];
+        foreach ($conflicts as $conflict) {
+            foreach ($conflict['orders'] as $order) {
+                $orders[$order['id']] = '#' . $order['number'];
+            }
+        }
+
+        return implode(', ', $orders);
+    }
+
+    /**
+     * Order number, status and edit link; null if the order does not hold a booking
+     */
+    private function getOrderSummary(int $order_id): ?array
+    {
+        $order = wc_get_order($order_id);
+
+        if (!$order || !in_array($order->get_status(), Constants::BOOKING_ORDER_STATUSES, true)) {
+            return null;
+        }
+
+        return [
+            'id'       => $order_id,
+            'number'   => $order->get_order_number(),
+            'status'   => wc_get_order_status_name($order->get_status()),
+            'edit_url' => $order->get_edit_order_url(),
+        ];
+    }
+
+    /**
+     * WooTour stores the tour date as a timestamp or as a date string
+     */
+    private function normalizeBookingDate($value): string
+    {
+        $value = trim((string) $value);
+
+        if ($value === '') {
+            return '';
+        }
+
+        if (ctype_digit($value)) {
+            return gmdate('Y-m-d', (int) $value);
+        }
+
+        return $this->availability_service->convertDateToDatabaseFormat($value);
+    }
+}
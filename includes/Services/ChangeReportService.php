@@ -0,0 +1,197 @@
+<?php
+
+/**
+ * Wootour Bulk Editor - Change Report Service
+ *
+ * Date-level report of a bulk operation: for each product, the dates
+ * that became bookable and the dates that stopped being bookable.
+ * Stores one WordPress option per operation for the metadata, plus one per
+ * chunk of products (each chunk writes only its own entries), kept as long
+ * as snapshots.
+ *
+ * @package     WootourBulkEditor
+ * @subpackage  Services
+ * @license     GPL-2.0+
+ * @since       1.0.0
+ */
+
+namespace WootourBulkEditor\Services;
+
+use WootourBulkEditor\Core\Constants;
+use WootourBulkEditor\Traits\Singleton;
+
+// Exit if accessed directly
+defined('ABSPATH') || exit;
+
+/**
+ * Class ChangeReportService
+ *
+ * Per-operation report of the added / removed bookable dates.
+ */
+final class ChangeReportService implements ServiceInterface
+{
+    use Singleton;
+
+    /**
+     * Between the operation key and the chunk number (operation IDs have no double underscore)
+     */
+    private const CHUNK_SEPARATOR = '__';
+
+    /**
+     * Private constructor
+     */
+    private function __construct()
+    {
+        // No dependencies
+    }
+
+    /**
+     * Initialize service
+     */
+    public function init(): void
+    {
+        // Même tâche planifiée que le nettoyage des logs
+        add_action('wbe_daily_log_cleanup', [$this, 'cleanup_old_reports']);
+    }
+
+    /**
+     * Add the date changes of processed products to an operation report
+     *
+     * @param string $operation_id Operation ID
+     * @param array $entries product_id => ['product_name', 'from', 'to', 'added', 'removed']
+     */
+    public function recordProducts(string $operation_id, array $entries): void
+    {
+        if (empty($operation_id) || empty($entries)) {
+            return;
+        }
+
+        $report = $this->getReportInfo($operation_id) ?? [
+            'operation_id' => $operation_id,
+            'created_at'   => current_time('mysql'),
+            'chunk_count'  => 0,
+        ];
+
+        $products = [];
+
+        foreach ($entries as $product_id => $entry) {
+            $products[(int) $product_id] = [
+                'product_id'   => (int) $product_id,
+                'product_name' => (string) ($entry['product_name'] ?? ''),
+                'from'         => (string) ($entry['from'] ?? ''),
+                'to'           => (string) ($entry['to'] ?? ''),
+                'added'        => array_values($entry['added'] ?? []),
+                'removed'      => array_values($entry['removed'] ?? []),
+            ];
+        }
+
+        $report['chunk_count']++;
+
+        // Le lot d'abord : l'en-tête ne référence jamais un lot absent
+        update_option($this->get_chunk_key($operation_id, $report['chunk_count']), $products, false);
+        update_option($this->get_option_key($operation_id), $report, false);
+    }
+
+    /**
+     * Get the report of an operation
+     *
+     * A product recorded again (operation resumed) keeps its last entry.
+     *
+     * @param string $operation_id Operation ID
+     * @return array|null Report with 'products' or null if not found
+     */
+    public function getReport(string $operation_id): ?array
+    {
+        $report = $this->getReportInfo($operation_id);
+
+        if ($report === null) {
+            return null;
+        }
+
+        $report['products'] = [];
+
+        for ($chunk = 1; $chunk <= (int) $report['chunk_count']; $chunk++) {
+            $products = get_option($this->get_chunk_key($operation_id, $chunk), []);
+            $report['products'] = array_replace($report['products'], is_array($products) ? $products : []);
+        }
+
+        return $report;
+    }
+
+    /**
+     * Delete the report of an operation
+     */
+    public function deleteReport(string $operation_id): bool
+    {
+        $report = $this->getReportInfo($operation_id);
+
+        for ($chunk = 1; $chunk <= (int) ($report['chunk_count'] ?? 0); $chunk++) {
+            delete_option($this->get_chunk_key($operation_id, $chunk));
+        }
+
+        return delete_option($this->get_option_key($operation_id));
+    }
+
+    /**
+     * Delete reports older than the retention period (daily cron)
+     */
+    public function cleanup_old_reports(): void
+    {
+        global $wpdb;
+
+        $option_names = $wpdb->get_col(
+            $wpdb->prepare(
+                "SELECT option_name FROM {$wpdb->options} WHERE option_name LIKE %s",
+                $wpdb->esc_like(Constants::DATE_CHANGES_OPTION_PREFIX) . '%'
+            )
+        );
+
+        $cutoff_time = strtotime('-' . Constants::SNAPSHOT_RETENTION_DAYS . ' days');
+
+        foreach ($option_names as $option_name) {
+            // Les lots sont supprimés avec leur en-tête
+            if (strpos($option_name, self::CHUNK_SEPARATOR) !== false) {
+                continue;
+            }
+
+            $report = get_option($option_name);
+            $created = is_array($report) ? strtotime($report['created_at'] ?? '') : false;
+
+            if ($created && $created >= $cutoff_time) {
+                continue;
+            }
+
+            if (is_array($report) && !empty($report['operation_id'])) {
+                $this->deleteReport($report['operation_id']);
+            } else {
+                delete_option($option_name);
+            }
+        }
+    }
+
+    /**
+     * Report metadata (operation_id, created_at, chunk_count) without the products
+     */
+    private function getReportInfo(string $operation_id): ?array
+    {
+        $report = get_option($this->get_option_key($operation_id), null);
+
+        return is_array($report) ? $report : null;
+    }
+
+    /**
+     * Get option key for an operation report
+     */
+    private function get_option_key(string $operation_id): string
+    {
+        return Constants::DATE_CHANGES_OPTION_PREFIX . sanitize_key($operation_id);
+    }
+
+    /**
+     * Get option key for one chunk of an operation report
+     */
+    private function get_chunk_key(string $operation_id, int $chunk): string
+    {
+        return $this->get_option_key($operation_id) . self::CHUNK_SEPARATOR . $chunk;
+    }
+}
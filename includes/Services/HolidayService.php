@@ -0,0 +1,141 @@
+<?php
+
+/**
+ * Wootour Bulk Editor - Holiday Service
+ *
+ * Public holidays from the calendars bundled with the plugin
+ * (data/holidays/<code>.ics), so they can be added to exclusions
+ * without any external service.
+ *
+ * @package     WootourBulkEditor
+ * @subpackage  Services
+ * @license     GPL-2.0+
+ * @since       1.0.0
+ */
+
+namespace WootourBulkEditor\Services;
+
+use WootourBulkEditor\Core\Constants;
+use WootourBulkEditor\Exceptions\ValidationException;
+use WootourBulkEditor\Traits\Singleton;
+
+// Exit if accessed directly
+defined('ABSPATH') || exit;
+
+/**
+ * Class HolidayService
+ *
+ * Lists and reads the bundled holiday datasets.
+ */
+final class HolidayService implements ServiceInterface
+{
+    use Singleton;
+
+    /**
+     * @var IcsService
+     */
+    private $ics_service;
+
+    /**
+     * Private constructor
+     */
+    private function __construct()
+    {
+        // Dependencies injected via init
+    }
+
+    /**
+     * Initialize with dependencies
+     */
+    public function init(): void
+    {
+        $this->ics_service = IcsService::getInstance();
+    }
+
+    /**
+     * Get the datasets actually present on disk
+     *
+     * @return array Code => label
+     */
+    public function getDatasets(): array
+    {
+        return array_filter(
+            Constants::HOLIDAY_DATASETS,
+            function ($code) {
+                return is_readable($this->get_dataset_path($code));
+            },
+            ARRAY_FILTER_USE_KEY
+        );
+    }
+
+    /**
+     * Get the holidays of a dataset between two years (inclusive)
+     *
+     * @param string $code Dataset code (see Constants::HOLIDAY_DATASETS)
+     * @param int $year_from First year
+     * @param int $year_to Last year
+     * @return array List of ['date' => 'Y-m-d', 'summary' => string]
+     * @throws ValidationException On unknown dataset or invalid year range
+     */
+    public function getHolidays(string $code, int $year_from, int $year_to): array
+    {
+        $datasets = $this->getDatasets();
+
+        if (!isset($datasets[$code])) {
+            throw ValidationException::invalidField(sprintf('Unknown holiday calendar: %s', $code));
+        }
+
+        if ($year_to < $year_from) {
+            throw ValidationException::invalidField('The last year must be after the first year.');
+        }
+
+        if ($year_to - $year_from + 1 > Constants::HOLIDAY_MAX_YEARS) {
+            throw ValidationException::invalidField(sprintf(
+                'Holidays can be imported for %d years at most.',
+                Constants::HOLIDAY_MAX_YEARS
+            ));
+        }
+
+        $events = $this->ics_service->parse((string) file_get_contents($this->get_dataset_path($code)));
+
+        return array_values(array_filter($events, function ($event) use ($year_from, $year_to) {
+            $year = (int) substr($event['date'], 0, 4);
+            return $year >= $year_from && $year <= $year_to;
+        }));
+    }
+
+    /**
+     * Get the datasets with the years they cover (for the admin UI)
+     *
+     * @return array List of ['code', 'label', 'from', 'to']
+     */
+    public function getDatasetsInfo(): array
+    {
+        $info = [];
+
+        foreach ($this->getDatasets() as $code => $label) {
+            $events = $this->ics_service->parse((string) file_get_contents($this->get_dataset_path($code)));
+
+            if (empty($events)) {
+                continue;
+            }
+
+            $info[] = [
+                'code'  => $code,
+                'label' => $label,
+                'from'  => (int) substr($events[0]['date'], 0, 4),
+                'to'    => (int) substr(end($events)['date'], 0, 4),
+            ];
+        }
+
+        return $info;
+    }
+
+    /**
+     * Path of a bundled dataset file
+     */
+    private function get_dataset_path(string $code): string
+    {
+        return Constants::plugin_dir() . 'data/holidays/' . sanitize_key($code) . '.ics';
+    }
+}
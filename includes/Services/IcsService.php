@@ -0,0 +1,495 @@
+<?php
+
+/**
+ * Wootour Bulk Editor - ICS Service
+ *
+ * Minimal iCalendar (RFC 5545) reader and writer:
+ * - reads the days covered by the VEVENT blocks of a calendar
+ *   (holidays, closures...)
+ * - converts availability to/from recurring events so schedules
+ *   can travel between WooTour and calendar apps.
+ *
+ * @package     WootourBulkEditor
+ * @subpackage  Services
+ * @license     GPL-2.0+
+ * @since       1.0.0
+ */
+
+namespace WootourBulkEditor\Services;
+
+use WootourBulkEditor\Core\Constants;
+use WootourBulkEditor\Exceptions\ValidationException;
+use WootourBulkEditor\Traits\Singleton;
+
+// Exit if accessed directly
+defined('ABSPATH') || exit;
+
+/**
+ * Class IcsService
+ *
+ * Parses and builds iCalendar content.
+ */
+final class IcsService implements ServiceInterface
+{
+    use Singleton;
+
+    /**
+     * BYDAY codes indexed by weekday number (0 = Sunday, as in Availability)
+     */
+    private const BYDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+    /**
+     * Private constructor
+     */
+    private function __construct()
+    {
+        // Dependencies injected via init
+    }
+
+    /**
+     * Initialize service
+     */
+    public function init(): void
+    {
+        // Pas de hooks : service utilitaire
+    }
+
+    /**
+     * Parse iCalendar content
+     *
+     * Multi-day events are expanded day by day (DTEND is exclusive,
+     * as in the RFC). Recurring events (RRULE) are read on their
+     * first occurrence only.
+     *
+     * @param string $content Raw .ics content
+     * @return array List of ['date' => 'Y-m-d', 'summary' => string], sorted by date
+     * @throws ValidationException If the content is not an iCalendar
+     */
+    public function parse(string $content): array
+    {
+        $events = [];
+
+        foreach ($this->read_events($content) as $event) {
+            $events = array_merge($events, $this->expand_event($event));
+        }
+
+        usort($events, function ($a, $b) {
+            return strcmp($a['date'], $b['date']);
+        });
+
+        return $events;
+    }
+
+    /**
+     * Read availability from iCalendar content
+     *
+     * Reverse of export(): a weekly/daily RRULE gives the date range and
+     * the weekdays, RDATE the specific dates, EXDATE the exclusions.
+     * Events without RRULE become specific dates. Several recurring
+     * events are merged (widest range, union of weekdays).
+     *
+     * @param string $content Raw .ics content
+     * @return array ['availability' => array, 'events' => int, 'warnings' => string[]]
+     * @throws ValidationException If the content is not an iCalendar or holds no event
+     */
+    public function parseAvailability(string $content): array
+    {
+        $events = $this->read_events($content);
+
+        if (empty($events)) {
+            throw ValidationException::invalidField('The calendar does not contain any event.');
+        }
+
+        $availability = Constants::DEFAULT_AVAILABILITY;
+        $warnings = [];
+        $recurring = 0;
+
+        foreach ($events as $event) {
+            $rule = $this->parse_rrule($event['RRULE'] ?? '');
+            $start = $this->parse_date_value($event['DTSTART'] ?? '');
+
+            if ($start === null) {
+                continue;
+            }
+
+            if (!empty($rule) && !in_array($rule['FREQ'] ?? '', ['DAILY', 'WEEKLY'], true)) {
+                $warnings[] = sprintf(
+                    'Unsupported repetition (%s) in "%s": only its dates were imported.',
+                    $rule['FREQ'] ?? '?',
+                    $this->unescape_text($event['SUMMARY'] ?? '')
+                );
+                $rule = [];
+            }
+
+            if (empty($rule)) {
+                foreach ($this->expand_event($event) as $day) {
+                    $availability['specific'][] = $day['date'];
+                }
+            } else {
+                $recurring++;
+                $this->merge_recurrence($availability, $start->format('Y-m-d'), $rule, $warnings);
+            }
+
+            foreach ($event['RDATE'] ?? [] as $value) {
+                $availability['specific'] = array_merge($availability['specific'], $this->parse_date_list($value));
+            }
+
+            foreach ($event['EXDATE'] ?? [] as $value) {
+                $availability['exclusions'] = array_merge($availability['exclusions'], $this->parse_date_list($value));
+            }
+        }
+
+        if ($recurring > 1) {
+            $warnings[] = sprintf('%d recurring events were merged into a single schedule.', $recurring);
+        }
+
+        foreach (['specific', 'exclusions'] as $field) {
+            $availability[$field] = array_values(array_unique($availability[$field]));
+            sort($availability[$field]);
+        }
+
+        sort($availability['weekdays']);
+
+        return [
+            'availability' => $availability,
+            'events'       => count($events),
+            'warnings'     => array_values(array_unique($warnings)),
+        ];
+    }
+
+    /**
+     * Build an iCalendar document from product availabilities
+     *
+     * One VEVENT per product: the range and weekdays become a RRULE,
+     * specific dates RDATE and exclusions EXDATE. A product without
+     * range, weekdays or specific dates has nothing to anchor the
+     * event on and is left out.
+     *
+     * @param array $entries List of ['product_id' => int, 'name' => string, 'availability' => array]
+     * @return array ['content' => string, 'exported' => int[], 'skipped' => int[]]
+     */
+    public function export(array $entries): array
+    {
+        $lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Wootour Bulk Editor//' . Constants::VERSION . '//FR',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'X-WR-CALNAME:' . $this->escape_text(get_bloginfo('name')),
+        ];
+        $exported = [];
+        $skipped = [];
+        $stamp = gmdate('Ymd\THis\Z');
+        $host = wp_parse_url(home_url(), PHP_URL_HOST) ?: 'localhost';
+
+        foreach ($entries as $entry) {
+            $event = $this->build_event($entry['availability'] ?? []);
+
+            if ($event === null) {
+                $skipped[] = (int) $entry['product_id'];
+                continue;
+            }
+
+            $lines[] = 'BEGIN:VEVENT';
+            $lines[] = sprintf('UID:wbe-product-%d@%s', $entry['product_id'], $host);
+            $lines[] = 'DTSTAMP:' . $stamp;
+            $lines[] = 'SUMMARY:' . $this->escape_text($entry['name'] ?? '');
+            $lines = array_merge($lines, $event);
+            $lines[] = 'TRANSP:TRANSPARENT';
+            $lines[] = 'END:VEVENT';
+
+            $exported[] = (int) $entry['product_id'];
+        }
+
+        $lines[] = 'END:VCALENDAR';
+
+        return [
+            'content'  => implode("\r\n", array_map([$this, 'fold_line'], $lines)) . "\r\n",
+            'exported' => $exported,
+            'skipped'  => $skipped,
+        ];
+    }
+
+    /**
+     * Read the VEVENT blocks of a calendar
+     *
+     * @return array List of property maps (RDATE and EXDATE as lists, other properties first value)
+     * @throws ValidationException If the content is not an iCalendar
+     */
+    private function read_events(string $content): array
+    {
+        if (stripos($content, 'BEGIN:VCALENDAR') === false) {
+            throw ValidationException::invalidField('The file is not a valid iCalendar (.ics) file.');
+        }
+
+        $events = [];
+        $current = null;
+
+        foreach ($this->unfold_lines($content) as $line) {
+            if (strcasecmp($line, 'BEGIN:VEVENT') === 0) {
+                $current = [];
+                continue;
+            }
+
+            if (strcasecmp($line, 'END:VEVENT') === 0) {
+                if ($current !== null) {
+                    $events[] = $current;
+                }
+                $current = null;
+                continue;
+            }
+
+            if ($current === null || strpos($line, ':') === false) {
+                continue;
+            }
+
+            [$name_part, $value] = explode(':', $line, 2);
+            $name = strtoupper(strtok($name_part, ';'));
+
+            if (in_array($name, ['RDATE', 'EXDATE'], true)) {
+                $current[$name][] = $value;
+            } elseif (in_array($name, ['DTSTART', 'DTEND', 'SUMMARY', 'RRULE'], true) && !isset($current[$name])) {
+                $current[$name] = $value;
+            }
+        }
+
+        return $events;
+    }
+
+    /**
+     * Join folded lines (continuation lines start with a space or a tab)
+     */
+    private function unfold_lines(string $content): array
+    {
+        $content = str_replace(["\r\n", "\r"], "\n", $content);
+        $content = preg_replace("/\n[ \t]/", '', $content);
+
+        return array_filter(array_map('trim', explode("\n", $content)), 'strlen');
+    }
+
+    /**
+     * Turn one VEVENT into one entry per covered day
+     */
+    private function expand_event(array $event): array
+    {
+        $start = $this->parse_date_value($event['DTSTART'] ?? '');
+
+        if ($start === null) {
+            return [];
+        }
+
+        $summary = sanitize_text_field($this->unescape_text($event['SUMMARY'] ?? ''));
+        $end = $this->parse_date_value($event['DTEND'] ?? '');
+
+        $days = 1;
+        if ($end !== null && $end > $start) {
+            $days = min((int) $start->diff($end)->days, Constants::ICS_MAX_EVENT_DAYS);
+        }
+
+        $entries = [];
+        for ($i = 0; $i < $days; $i++) {
+            $entries[] = [
+                'date'    => $start->modify("+{$i} days")->format('Y-m-d'),
+                'summary' => $summary,
+            ];
+        }
+
+        return $entries;
+    }
+
+    /**
+     * Merge a DAILY/WEEKLY rule into the availability being imported
+     */
+    private function merge_recurrence(array &$availability, string $start, array $rule, array &$warnings): void
+    {
+        if ($availability['start_date'] === '' || $start < $availability['start_date']) {
+            $availability['start_date'] = $start;
+        }
+
+        $until = $this->parse_date_value($rule['UNTIL'] ?? '');
+        if ($until !== null && $until->format('Y-m-d') > $availability['end_date']) {
+            $availability['end_date'] = $until->format('Y-m-d');
+        } elseif (isset($rule['COUNT'])) {
+            $warnings[] = 'Repetitions limited by a count (COUNT) have no end date once imported.';
+        }
+
+        if ((int) ($rule['INTERVAL'] ?? 1) > 1) {
+            $warnings[] = 'Repetitions every N weeks/days are imported as every week/day.';
+        }
+
+        if (($rule['FREQ'] ?? '') === 'WEEKLY' && !empty($rule['BYDAY'])) {
+            foreach (explode(',', $rule['BYDAY']) as $code) {
+                $day = array_search(substr(strtoupper(trim($code)), -2), self::BYDAY_CODES, true);
+                if ($day !== false && !in_array($day, $availability['weekdays'], true)) {
+                    $availability['weekdays'][] = $day;
+                }
+            }
+        }
+    }
+
+    /**
+     * Build the date properties of a product event
+     *
+     * @return array|null Property lines, null if there is nothing to export
+     */
+    private function build_event(array $availability): ?array
+    {
+        $start = (string) ($availability['start_date'] ?? '');
+        $end = (string) ($availability['end_date'] ?? '');
+        $weekdays = array_map('intval', (array) ($availability['weekdays'] ?? []));
+        $specific = array_values(array_filter((array) ($availability['specific'] ?? [])));
+        $exclusions = array_values(array_filter((array) ($availability['exclusions'] ?? [])));
+
+        sort($specific);
+        sort($exclusions);
+
+        $lines = [];
+
+        if ($start !== '' || $end !== '' || !empty($weekdays)) {
+            // Sans premier jour, la répétition part de la date d'export
+            $dtstart = $start !== '' ? $start : current_time('Y-m-d');
+            $rule = empty($weekdays) ? 'FREQ=DAILY' : 'FREQ=WEEKLY;BYDAY=' . implode(',', array_map(
+                function ($day) {
+                    return self::BYDAY_CODES[$day] ?? 'MO';
+                },
+                $weekdays
+            ));
+
+            if ($end !== '') {
+                $rule .= ';UNTIL=' . $this->format_date($end);
+            }
+
+            $lines[] = 'DTSTART;VALUE=DATE:' . $this->format_date($dtstart);
+            $lines[] = 'RRULE:' . $rule;
+
+            if (!empty($specific)) {
+                $lines[] = 'RDATE;VALUE=DATE:' . implode(',', array_map([$this, 'format_date'], $specific));
+            }
+        } elseif (!empty($specific)) {
+            $lines[] = 'DTSTART;VALUE=DATE:' . $this->format_date(array_shift($specific));
+
+            if (!empty($specific)) {
+                $lines[] = 'RDATE;VALUE=DATE:' . implode(',', array_map([$this, 'format_date'], $specific));
+            }
+        } else {
+            return null;
+        }
+
+        if (!empty($exclusions)) {
+            $lines[] = 'EXDATE;VALUE=DATE:' . implode(',', array_map([$this, 'format_date'], $exclusions));
+        }
+
+        return $lines;
+    }
+
+    /**
+     * Split a RRULE value into its parts (FREQ, BYDAY, UNTIL...)
+     */
+    private function parse_rrule(string $value): array
+    {
+        $rule = [];
+
+        foreach (explode(';', trim($value)) as $part) {
+            if (strpos($part, '=') !== false) {
+                [$key, $val] = explode('=', $part, 2);
+                $rule[strtoupper($key)] = strtoupper($val);
+            }
+        }
+
+        return $rule;
+    }
+
+    /**
+     * Read a comma-separated RDATE/EXDATE value
+     */
+    private function parse_date_list(string $value): array
+    {
+        $dates = [];
+
+        foreach (explode(',', $value) as $item) {
+            $date = $this->parse_date_value($item);
+            if ($date !== null) {
+                $dates[] = $date->format('Y-m-d');
+            }
+        }
+
+        return $dates;
+    }
+
+    /**
+     * Read a DATE (20250101) or DATE-TIME (20250101T090000Z) value, day part only
+     */
+    private function parse_date_value(string $value): ?\DateTimeImmutable
+    {
+        if (!preg_match('/^(\d{4})(\d{2})(\d{2})/', trim($value), $matches)) {
+            return null;
+        }
+
+        if (!checkdate((int) $matches[2], (int) $matches[3], (int) $matches[1])) {
+            return null;
+        }
+
+        return new \DateTimeImmutable(sprintf('%s-%s-%s', $matches[1], $matches[2], $matches[3]));
+    }
+
+    /**
+     * Y-m-d → iCalendar DATE (Ymd)
+     */
+    private function format_date(string $date): string
+    {
+        return str_replace('-', '', substr($date, 0, 10));
+    }
+
+    /**
+     * Escape a TEXT value
+     */
+    private function escape_text(string $text): string
+    {
+        return strtr($text, [
+            '\\' => '\\\\',
+            ','  => '\\,',
+            ';'  => '\\;',
+            "\r\n" => '\\n',
+            "\n" => '\\n',
+        ]);
+    }
+
+    /**
+     * Unescape a TEXT value (\, \; \n \\)
+     */
+    private function unescape_text(string $text): string
+    {
+        return strtr($text, [
+            '\\\\' => '\\',
+            '\\,'  => ',',
+            '\\;'  => ';',
+            '\\n'  => ' ',
+            '\\N'  => ' ',
+        ]);
+    }
+
+    /**
+     * Fold a content line at 75 octets (continuation lines start with a space)
+     */
+    private function fold_line(string $line): string
+    {
+        if (strlen($line) <= 75) {
+            return $line;
+        }
+
+        $folded = '';
+        $current = '';
+
+        // Découpe par caractère pour ne pas couper une séquence UTF-8
+        foreach (preg_split('//u', $line, -1, PREG_SPLIT_NO_EMPTY) as $char) {
+            if (strlen($current) + strlen($char) > ($folded === '' ? 75 : 74)) {
+                $folded .= ($folded === '' ? '' : "\r\n ") . $current;
+                $current = '';
+            }
+            $current .= $char;
+        }
+
+        return $folded . "\r\n " . $current;
+    }
+}
@@ -196,12 +196,14 @@ final class LoggerService implements ServiceInterface
         array $old_data, 
         array $new_data, 
         array $changes, 
-        array $conflicts = []
+        array $conflicts = [],
+        string $operation_id = ''
     ): void {
         $this->log(
             'product_updated',
             sprintf('Product #%d availability updated', $product_id),
             [
+                'operation_id'  => $operation_id,
                 'product_id'    => $product_id,
                 'old_data'      => $this->sanitize_availability_data($old_data),
                 'new_data'      => $this->sanitize_availability_data($new_data),
@@ -236,12 +238,13 @@ final class LoggerService implements ServiceInterface
     /**
      * Log a product update failure
      */
-    public function logProductFailed(int $product_id, array $changes, string $error): void
+    public function logProductFailed(int $product_id, array $changes, string $error, string $operation_id = ''): void
     {
         $this->log(
             'product_failed',
             sprintf('Product #%d update failed: %s', $product_id, $error),
             [
+                'operation_id'  => $operation_id,
                 'product_id'    => $product_id,
                 'changes'       => $this->sanitize_changes($changes),
                 'error'         => $error,
@@ -428,6 +431,131 @@ final class LoggerService implements ServiceInterface
         return $operation_logs;
     }
 
+    /**
+     * Record or update an entry in the operation history
+     *
+     * History is kept in its own options (next to the monthly logs) so that
+     * product-level log rotation never pushes operations out of it: one
+     * option per operation holds the full entry (product IDs, changes), and
+     * a small index lists the operations with the fields used for filtering.
+     * Updates after each chunk only rewrite the operation's own option.
+     *
+     * @param string $operation_id Operation ID
+     * @param array $data Fields to set (type, status, product_ids, changes, counts...)
+     */
+    public function recordOperation(string $operation_id, array $data): void
+    {
+        if (empty($operation_id)) {
+            return;
+        }
+
+        if (isset($data['changes']) && is_array($data['changes'])) {
+            $data['changes'] = $this->sanitize_changes($data['changes']);
+        }
+
+        if (isset($data['product_ids'])) {
+            $data['product_ids'] = array_values(array_map('intval', (array) $data['product_ids']));
+            $data['product_count'] = count($data['product_ids']);
+        }
+
+        $entry = $this->getOperation($operation_id);
+
+        if ($entry !== null) {
+            $entry = array_merge($entry, $data);
+        } else {
+            $user_id = (int) ($data['user_id'] ?? get_current_user_id());
+            $user = get_userdata($user_id);
+
+            $entry = array_merge([
+                'operation_id'   => $operation_id,
+                'type'           => 'batch',
+                'status'         => 'running',
+                'user_id'        => $user_id,
+                'user_name'      => $user ? $user->display_name : '',
+                'product_ids'    => [],
+                'product_count'  => 0,
+                'changes'        => [],
+                'success_count'  => 0,
+                'failed_count'   => 0,
+                'started_at'     => current_time('mysql'),
+                'completed_at'   => null,
+                'rolled_back_at' => null,
+            ], $data);
+        }
+
+        update_option($this->get_history_key($operation_id), $entry, false);
+
+        $this->update_history_index($entry);
+    }
+
+    /**
+     * Get a single operation from history
+     */
+    public function getOperation(string $operation_id): ?array
+    {
+        $entry = get_option($this->get_history_key($operation_id), null);
+
+        return is_array($entry) ? $entry : null;
+    }
+
+    /**
+     * Get operation history (newest first) with filtering options
+     *
+     * @param array $filters type, status, user_id, search (operation or product ID), days
+     * @param int $limit Maximum entries returned
+     */
+    public function getOperationHistory(array $filters = [], int $limit = 50): array
+    {
+        $index = array_reverse($this->get_history_index());
+        $cutoff_time = !empty($filters['days']) ? strtotime('-' . (int) $filters['days'] . ' days') : 0;
+        $search = trim((string) ($filters['search'] ?? ''));
+
+        $filtered = [];
+
+        foreach ($index as $operation_id => $summary) {
+            if (!empty($filters['type']) && ($summary['type'] ?? '') !== $filters['type']) {
+                continue;
+            }
+
+            if (!empty($filters['status']) && ($summary['status'] ?? '') !== $filters['status']) {
+                continue;
+            }
+
+            if (!empty($filters['user_id']) && (int) ($summary['user_id'] ?? 0) !== (int) $filters['user_id']) {
+                continue;
+            }
+
+            if ($cutoff_time && strtotime($summary['started_at'] ?? '') < $cutoff_time) {
+                continue;
+            }
+
+            // Entrée complète chargée seulement pour les opérations retenues par l'index
+            $entry = $this->getOperation((string) $operation_id);
+
+            if ($entry === null) {
+                continue;
+            }
+
+            if ($search !== '') {
+                $matches_operation = stripos($entry['operation_id'] ?? '', $search) !== false;
+                $matches_product = ctype_digit($search)
+                    && in_array((int) $search, $entry['product_ids'] ?? [], true);
+
+                if (!$matches_operation && !$matches_product) {
+                    continue;
+                }
+            }
+
+            $filtered[] = $entry;
+
+            if (count($filtered) >= $limit) {
+                break;
+            }
+        }
+
+        return $filtered;
+    }
+
     /**
      * Get logs summary statistics
      */
@@ -610,6 +738,107 @@ final class LoggerService implements ServiceInterface
         return Constants::LOG_OPTION_PREFIX . 'logs_' . $month;
     }
 
+    /**
+     * Get the storage key of one operation of the history
+     */
+    private function get_history_key(string $operation_id): string
+    {
+        return Constants::LOG_OPTION_PREFIX . 'history_' . $operation_id;
+    }
+
+    /**
+     * Get the storage key of the operation history index
+     */
+    private function get_history_index_key(): string
+    {
+        return Constants::LOG_OPTION_PREFIX . 'history_index';
+    }
+
+    /**
+     * Get the operation history index (oldest first)
+     *
+     * @return array Operation ID => [operation_id, type, status, user_id, started_at]
+     */
+    private function get_history_index(): array
+    {
+        $index = get_option($this->get_history_index_key(), null);
+
+        if (!is_array($index)) {
+            $index = $this->migrate_legacy_history();
+        }
+
+        return $index;
+    }
+
+    /**
+     * Add or refresh an operation in the history index
+     *
+     * The index only changes when an operation starts or changes status,
+     * not on every chunk. Operations beyond HISTORY_MAX_ENTRIES are deleted.
+     */
+    private function update_history_index(array $entry): void
+    {
+        $index = $this->get_history_index();
+        $summary = [
+            'operation_id' => $entry['operation_id'],
+            'type'         => $entry['type'],
+            'status'       => $entry['status'],
+            'user_id'      => (int) $entry['user_id'],
+            'started_at'   => $entry['started_at'],
+        ];
+
+        if (($index[$entry['operation_id']] ?? null) === $summary) {
+            return;
+        }
+
+        $index[$entry['operation_id']] = $summary;
+
+        // Rotation : garder les opérations les plus récentes
+        if (count($index) > Constants::HISTORY_MAX_ENTRIES) {
+            $removed = array_slice($index, 0, count($index) - Constants::HISTORY_MAX_ENTRIES, true);
+            $index = array_slice($index, -Constants::HISTORY_MAX_ENTRIES, null, true);
+
+            foreach (array_keys($removed) as $operation_id) {
+                delete_option($this->get_history_key((string) $operation_id));
+            }
+        }
+
+        update_option($this->get_history_index_key(), $index, false);
+    }
+
+    /**
+     * Split the history stored in a single option by earlier versions
+     *
+     * @return array The new index
+     */
+    private function migrate_legacy_history(): array
+    {
+        $legacy_key = Constants::LOG_OPTION_PREFIX . 'history';
+        $history = get_option($legacy_key, []);
+        $index = [];
+
+        foreach ((array) $history as $operation_id => $entry) {
+            if (!is_array($entry) || empty($entry['operation_id'])) {
+                continue;
+            }
+
+            update_option($this->get_history_key((string) $operation_id), $entry, false);
+
+            $index[$operation_id] = [
+                'operation_id' => $entry['operation_id'],
+                'type'         => $entry['type'] ?? 'batch',
+                'status'       => $entry['status'] ?? '',
+                'user_id'      => (int) ($entry['user_id'] ?? 0),
+                'started_at'   => $entry['started_at'] ?? '',
+            ];
+        }
+
+        update_option($this->get_history_index_key(), $index, false);
+        delete_option($legacy_key);
+
+        return $index;
+    }
+
     /**
      * Get client IP address
      */
@@ -654,7 +883,52 @@ final class LoggerService implements ServiceInterface
      */
     private function sanitize_changes(array $changes): array
     {
-        return $this->sanitize_availability_data($changes);
+        $sanitized = $this->sanitize_availability_data($changes);
+
+        // Modes par champ (nécessaires pour relancer l'opération à l'identique)
+        if (!empty($changes['modes']) && is_array($changes['modes'])) {
+            $sanitized['modes'] = array_map('sanitize_key', $changes['modes']);
+        }
+
+        // Règles récurrentes : texte et dates générées
+        if (!empty($changes['rules']) && is_array($changes['rules'])) {
+            $sanitized['rules'] = map_deep($changes['rules'], 'sanitize_text_field');
+        }
+
+        // Fenêtre glissante : une relance recalcule la plage à partir de son jour
+        if (!empty($changes['rolling_window']) && is_array($changes['rolling_window'])) {
+            $sanitized['rolling_window'] = ['days' => (int) ($changes['rolling_window']['days'] ?? 0)];
+        }
+
+        // Décalage : sans lui, une relance appliquerait des valeurs vides en remplacement
+        if (!empty($changes['shift']) && is_array($changes['shift'])) {
+            $sanitized['shift'] = [
+                'type'   => sanitize_key($changes['shift']['type'] ?? ''),
+                'days'   => (int) ($changes['shift']['days'] ?? 0),
+                'fields' => array_values(array_map('sanitize_key', (array) ($changes['shift']['fields'] ?? []))),
+            ];
+        }
+
+        // Copie : produit de référence et ses disponibilités au moment de l'opération
+        if (!empty($changes['source']) && is_array($changes['source'])) {
+            $sanitized['source'] = [
+                'product_id'   => (int) ($changes['source']['product_id'] ?? 0),
+                'name'         => sanitize_text_field($changes['source']['name'] ?? ''),
+                'availability' => $this->sanitize_availability_data((array) ($changes['source']['availability'] ?? [])),
+            ];
+        }
+
+        // Import CSV : un jeu de modifications par produit
+        if (!empty($changes['per_product']) && is_array($changes['per_product'])) {
+            $sanitized['per_product'] = [];
+            foreach ($changes['per_product'] as $product_id => $product_changes) {
+                if (is_array($product_changes)) {
+                    $sanitized['per_product'][(int) $product_id] = $this->sanitize_changes($product_changes);
+                }
+            }
+        }
+
+        return $sanitized;
     }
 
     /**
@@ -0,0 +1,354 @@
+<?php
+
+/**
+ * Wootour Bulk Editor - Rolling Window Service
+ *
+ * Relative availability rule ("always bookable for the next N days"): the
+ * rule is stored on the product, and a daily WP-Cron event rewrites the
+ * absolute start and end dates (today → today + N days) and, when the rule
+ * has some, the weekdays. A later change of the range or of the weekdays
+ * removes the rule.
+ *
+ * @package     WootourBulkEditor
+ * @subpackage  Services
+ * @license     GPL-2.0+
+ * @since       1.0.0
+ */
+
+namespace WootourBulkEditor\Services;
+
+use WootourBulkEditor\Core\Constants;
+use WootourBulkEditor\Models\Availability;
+use WootourBulkEditor\Repositories\ProductRepository;
+use WootourBulkEditor\Repositories\WootourRepository;
+use WootourBulkEditor\Traits\Singleton;
+use WootourBulkEditor\Utilities\LockHelper;
+
+// Exit if accessed directly
+defined('ABSPATH') || exit;
+
+/**
+ * Class RollingWindowService
+ *
+ * Rolling availability windows.
+ */
+final class RollingWindowService implements ServiceInterface
+{
+    use Singleton;
+
+    /**
+     * @var WootourRepository
+     */
+    private $wootour_repository;
+
+    /**
+     * @var ProductRepository
+     */
+    private $product_repository;
+
+    /**
+     * @var AvailabilityService
+     */
+    private $availability_service;
+
+    /**
+     * @var LoggerService
+     */
+    private $logger_service;
+
+    /**
+     * Private constructor
+     */
+    private function __construct()
+    {
+        // Dependencies injected via init
+    }
+
+    /**
+     * Initialize with dependencies
+     */
+    public function init(): void
+    {
+        $this->wootour_repository = WootourRepository::getInstance();
+        $this->product_repository = ProductRepository::getInstance();
+        $this->availability_service = AvailabilityService::getInstance();
+        $this->logger_service = LoggerService::getInstance();
+
+        add_action(Constants::ROLLING_WINDOW_CRON_HOOK, [$this, 'update_all']);
+        add_action(Constants::ROLLING_WINDOW_CONTINUE_HOOK, [$this, 'continue_update']);
+
+        // Les événements sont effacés à la désactivation du plugin
+        add_action('admin_init', [$this, 'restore_missing_event']);
+    }
+
+    /**
+     * Plan the daily update if its cron event is missing
+     */
+    public function restore_missing_event(): void
+    {
+        // Juste après minuit (fuseau du site), pour que la fenêtre commence aujourd'hui
+        if (!wp_next_scheduled(Constants::ROLLING_WINDOW_CRON_HOOK)) {
+            $next_run = new \DateTimeImmutable('tomorrow 00:05', wp_timezone());
+            wp_schedule_event($next_run->getTimestamp(), 'daily', Constants::ROLLING_WINDOW_CRON_HOOK);
+        }
+    }
+
+    /**
+     * Turn the rolling window of a change set into absolute dates for today
+     *
+     * The range is replaced by today → today + N days. Changes without a
+     * rolling window are returned untouched.
+     *
+     * @param array $changes Changes with 'rolling_window' => ['days' => int]
+     * @return array Changes with start_date and end_date
+     */
+    public function resolveChanges(array $changes): array
+    {
+        if (empty($changes['rolling_window'])) {
+            return $changes;
+        }
+
+        $days = (int) ($changes['rolling_window']['days'] ?? 0);
+        [$changes['start_date'], $changes['end_date']] = $this->computeRange($days);
+
+        if (isset($changes['modes'])) {
+            $changes['modes']['range'] = 'replace';
+        }
+
+        return $changes;
+    }
+
+    /**
+     * Absolute range of a rolling window, from today in the site timezone
+     *
+     * @return array [start Y-m-d, end Y-m-d]
+     */
+    public function computeRange(int $days): array
+    {
+        $today = new \DateTimeImmutable('today', wp_timezone());
+
+        return [
+            $today->format('Y-m-d'),
+            $today->modify(sprintf('+%d days', $days))->format('Y-m-d'),
+        ];
+    }
+
+    /**
+     * Rolling window rule of a product
+     *
+     * @return array|null ['days', 'weekdays', 'updated_at']
+     */
+    public function getRule(int $product_id): ?array
+    {
+        $rule = get_post_meta($product_id, Constants::ROLLING_WINDOW_META, true);
+
+        return is_array($rule) && !empty($rule['days']) ? $rule : null;
+    }
+
+    /**
+     * Store or remove the rule of a product before a change set is applied
+     *
+     * A rolling window replaces the rule, with the weekdays the product will
+     * have once the changes are merged; a change of the range or of the
+     * weekdays takes the product back to manual dates.
+     *
+     * @param int $product_id Product ID
+     * @param array $changes Changes resolved by resolveChanges()
+     * @param Availability $existing Availability before the changes
+     */
+    public function syncRule(int $product_id, array $changes, Availability $existing): void
+    {
+        if (!empty($changes['rolling_window'])) {
+            update_post_meta($product_id, Constants::ROLLING_WINDOW_META, [
+                'days'       => (int) $changes['rolling_window']['days'],
+                'weekdays'   => $this->availability_service->mergeChanges($existing, $changes)->getWeekdays(),
+                'updated_at' => time(),
+            ]);
+            return;
+        }
+
+        $modes = $this->availability_service->getChangeModes($changes);
+
+        $touches_range = !empty($changes['start_date']) || !empty($changes['end_date']) || $modes['range'] !== 'add';
+        $touches_weekdays = !empty($changes['weekdays']) || $modes['weekdays'] !== 'add';
+
+        if ($touches_range || $touches_weekdays) {
+            delete_post_meta($product_id, Constants::ROLLING_WINDOW_META);
+        }
+    }
+
+    /**
+     * Apply the rule of a product for today
+     *
+     * @return bool True if the availability was changed
+     * @throws \Exception If the availability cannot be saved
+     */
+    public function applyRule(int $product_id): bool
+    {
+        $rule = $this->getRule($product_id);
+
+        if ($rule === null) {
+            return false;
+        }
+
+        $weekdays = (array) ($rule['weekdays'] ?? []);
+        $changes = $this->resolveChanges([
+            'rolling_window' => ['days' => (int) $rule['days']],
+            'weekdays'       => $weekdays,
+            'modes'          => [
+                'range'    => 'replace',
+                'weekdays' => empty($weekdays) ? 'add' : 'replace',
+            ],
+        ]);
+
+        $existing = $this->wootour_repository->getAvailability($product_id);
+
+        if (!$this->availability_service->hasEffectiveChanges($existing, $changes)) {
+            return false;
+        }
+
+        $merged = $this->availability_service->mergeChanges($existing, $changes);
+
+        if (!$this->wootour_repository->updateAvailability($product_id, $merged->toArray(), $changes)) {
+            throw new \Exception('Failed to save availability data');
+        }
+
+        $this->product_repository->clearCache($product_id);
+
+        return true;
+    }
+
+    /**
+     * Daily cron: move the window of every product governed by a rule
+     *
+     * Products are processed by ascending ID, in chunks, until the time
+     * budget is spent; the run then continues in a follow-up cron event
+     * from where it stopped.
+     */
+    public function update_all(): void
+    {
+        // Un passage de la veille encore en cours repart du début, avec les dates du jour
+        wp_clear_scheduled_hook(Constants::ROLLING_WINDOW_CONTINUE_HOOK);
+
+        update_option(Constants::ROLLING_WINDOW_RUN_OPTION, [
+            'after_id'      => 0,
+            'updated_count' => 0,
+            'failed'        => [],
+            'started_at'    => time(),
+        ], false);
+
+        $this->continue_update();
+    }
+
+    /**
+     * Cron: process the next chunks of the current daily update
+     */
+    public function continue_update(): void
+    {
+        $run = get_option(Constants::ROLLING_WINDOW_RUN_OPTION, null);
+
+        if (!is_array($run)) {
+            return;
+        }
+
+        // Un seul passage à la fois
+        if (!LockHelper::acquire('rolling_window', 2 * Constants::TIMEOUT_SECONDS)) {
+            $this->schedule_continue();
+            return;
+        }
+
+        try {
+            $complete = $this->process_run($run);
+        } finally {
+            LockHelper::release('rolling_window');
+        }
+
+        if (!$complete) {
+            update_option(Constants::ROLLING_WINDOW_RUN_OPTION, $run, false);
+            $this->schedule_continue();
+            return;
+        }
+
+        delete_option(Constants::ROLLING_WINDOW_RUN_OPTION);
+
+        $this->logger_service->log(
+            'rolling_window_update',
+            sprintf(
+                'Fenêtre glissante : %d produit(s) mis à jour, %d échec(s)',
+                $run['updated_count'],
+                count($run['failed'])
+            ),
+            [
+                'updated_count' => $run['updated_count'],
+                'failed'        => $run['failed'],
+            ],
+            empty($run['failed']) ? 'info' : 'error'
+        );
+    }
+
+    /**
+     * Apply the rules chunk after chunk until the time budget is spent
+     *
+     * @param array $run Current run, updated in place (cursor and counts)
+     * @return bool True when every product has been processed
+     */
+    private function process_run(array &$run): bool
+    {
+        $deadline = time() + Constants::TIMEOUT_SECONDS;
+
+        do {
+            $product_ids = $this->get_rule_product_ids((int) $run['after_id'], Constants::BATCH_SIZE);
+
+            foreach ($product_ids as $product_id) {
+                try {
+                    if ($this->applyRule($product_id)) {
+                        $run['updated_count']++;
+                    }
+                } catch (\Exception $e) {
+                    $run['failed'][$product_id] = $e->getMessage();
+                }
+
+                $run['after_id'] = $product_id;
+            }
+
+            if (count($product_ids) < Constants::BATCH_SIZE) {
+                return true;
+            }
+        } while (time() < $deadline);
+
+        return false;
+    }
+
+    /**
+     * IDs of the products with a rule, by ascending ID
+     *
+     * @param int $after_id Last ID already processed
+     * @param int $limit Maximum number of IDs
+     * @return int[]
+     */
+    private function get_rule_product_ids(int $after_id, int $limit): array
+    {
+        global $wpdb;
+
+        $product_ids = $wpdb->get_col(
+            $wpdb->prepare(
+                "SELECT DISTINCT post_id FROM {$wpdb->postmeta} WHERE meta_key = %s AND post_id > %d ORDER BY post_id ASC LIMIT %d",
+                Constants::ROLLING_WINDOW_META,
+                $after_id,
+                $limit
+            )
+        );
+
+        return array_map('intval', $product_ids);
+    }
+
+    private function schedule_continue(): void
+    {
+        if (!wp_next_scheduled(Constants::ROLLING_WINDOW_CONTINUE_HOOK)) {
+            wp_schedule_single_event(
+                time() + Constants::SCHEDULE_CONTINUE_DELAY,
+                Constants::ROLLING_WINDOW_CONTINUE_HOOK
+            );
+        }
+    }
+}
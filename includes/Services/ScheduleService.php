@@ -0,0 +1,549 @@
+<?php
+
+/**
+ * Wootour Bulk Editor - Schedule Service
+ *
+ * Deferred bulk operations: the step-3 changes are stored with a date and
+ * time, then applied by WP-Cron through BatchProcessor::processBatch, a few
+ * chunks per cron run until the operation is complete. Operations are
+ * shared site-wide and stored in a single WordPress option.
+ *
+ * @package     WootourBulkEditor
+ * @subpackage  Services
+ * @license     GPL-2.0+
+ * @since       1.0.0
+ */
+
+namespace WootourBulkEditor\Services;
+
+use WootourBulkEditor\Core\Constants;
+use WootourBulkEditor\Exceptions\ValidationException;
+use WootourBulkEditor\Repositories\ProductRepository;
+use WootourBulkEditor\Traits\Singleton;
+use WootourBulkEditor\Utilities\LockHelper;
+
+// Exit if accessed directly
+defined('ABSPATH') || exit;
+
+/**
+ * Class ScheduleService
+ *
+ * Scheduled operations executed by WP-Cron.
+ */
+final class ScheduleService implements ServiceInterface
+{
+    use Singleton;
+
+    /**
+     * Statuses of an operation that has not finished yet
+     */
+    private const PENDING_STATUSES = ['scheduled', 'running'];
+
+    /**
+     * @var BatchProcessor
+     */
+    private $batch_processor;
+
+    /**
+     * @var BookingService
+     */
+    private $booking_service;
+
+    /**
+     * @var ProductRepository
+     */
+    private $product_repository;
+
+    /**
+     * @var LoggerService
+     */
+    private $logger_service;
+
+    /**
+     * Private constructor
+     */
+    private function __construct()
+    {
+        // Dependencies injected via init
+    }
+
+    /**
+     * Initialize with dependencies
+     */
+    public function init(): void
+    {
+        $this->batch_processor = BatchProcessor::getInstance();
+        $this->booking_service = BookingService::getInstance();
+        $this->product_repository = ProductRepository::getInstance();
+        $this->logger_service = LoggerService::getInstance();
+
+        add_action(Constants::SCHEDULE_CRON_HOOK, [$this, 'run_scheduled_operation']);
+        add_action('wbe_daily_log_cleanup', [$this, 'cleanup_old_operations']);
+
+        // Les événements sont effacés à la désactivation du plugin
+        add_action('admin_init', [$this, 'restore_missing_events']);
+    }
+
+    /**
+     * Get all operations, next runs first then the most recent ones
+     *
+     * @return array List of operations with display fields
+     */
+    public function getOperations(): array
+    {
+        $operations = array_values($this->read());
+
+        usort($operations, function ($a, $b) {
+            $a_pending = in_array($a['status'], self::PENDING_STATUSES, true);
+            $b_pending = in_array($b['status'], self::PENDING_STATUSES, true);
+
+            if ($a_pending !== $b_pending) {
+                return $a_pending ? -1 : 1;
+            }
+
+            return $a_pending ? $a['run_at'] <=> $b['run_at'] : $b['run_at'] <=> $a['run_at'];
+        });
+
+        return array_map([$this, 'for_display'], $operations);
+    }
+
+    /**
+     * Schedule a new operation
+     *
+     * @param array $data label, run_at (timestamp), product_ids or selection_query,
+     *                    changes, override_bookings
+     * @return array The scheduled operation
+     * @throws ValidationException On invalid data or too many pending operations
+     */
+    public function create(array $data): array
+    {
+        $operations = $this->read();
+        $pending = array_filter($operations, fn($op) => in_array($op['status'], self::PENDING_STATUSES, true));
+
+        if (count($pending) >= Constants::SCHEDULE_MAX_PENDING) {
+            throw ValidationException::invalidField(sprintf(
+                'No more than %d pending scheduled operations.',
+                Constants::SCHEDULE_MAX_PENDING
+            ));
+        }
+
+        $selection_query = $data['selection_query'] ?? [];
+        $product_ids = empty($selection_query) ? array_values(array_unique(array_map('intval', $data['product_ids'] ?? []))) : [];
+
+        if (empty($product_ids) && empty($selection_query)) {
+            throw ValidationException::invalidField('No products selected.');
+        }
+
+        $run_at = $this->sanitize_run_at($data['run_at'] ?? 0);
+
+        $product_count = empty($selection_query)
+            ? count($product_ids)
+            : $this->product_repository->countProductsBySelectionFilter(
+                $selection_query['filter'],
+                $selection_query,
+                $selection_query['category_id']
+            )['total'];
+
+        $operation = [
+            'id'                => uniqid('sch_'),
+            'label'             => $this->sanitize_label($data['label'] ?? '', $run_at),
+            'run_at'            => $run_at,
+            'product_ids'       => $product_ids,
+            'selection_query'   => $selection_query,
+            'product_count'     => (int) $product_count,
+            'changes'           => $data['changes'] ?? [],
+            'override_bookings' => !empty($data['override_bookings']),
+            'status'            => 'scheduled',
+            'operation_id'      => '',
+            'progress'          => [],
+            'message'           => '',
+            'created_by'        => get_current_user_id(),
+            'created_at'        => current_time('mysql'),
+            'finished_at'       => 0,
+        ];
+
+        $operations[$operation['id']] = $operation;
+        $this->write($operations);
+        $this->schedule_event($operation['id'], $run_at);
+
+        return $this->for_display($operation);
+    }
+
+    /**
+     * Change the label or the date and time of a scheduled operation
+     *
+     * @throws ValidationException If not found or already started
+     */
+    public function update(string $id, array $data): array
+    {
+        $operation = $this->find_scheduled($id);
+        $run_at = $this->sanitize_run_at($data['run_at'] ?? $operation['run_at']);
+
+        $operation = $this->update_record($id, [
+            'label'  => $this->sanitize_label($data['label'] ?? $operation['label'], $run_at),
+            'run_at' => $run_at,
+        ]);
+
+        $this->schedule_event($id, $run_at);
+
+        return $this->for_display($operation);
+    }
+
+    /**
+     * Cancel an operation; a running one stops after its current chunk
+     *
+     * @throws ValidationException If not found or already finished
+     */
+    public function cancel(string $id): array
+    {
+        $operation = $this->read()[$id] ?? null;
+
+        if ($operation === null || !in_array($operation['status'], self::PENDING_STATUSES, true)) {
+            throw ValidationException::invalidField('This scheduled operation can no longer be cancelled.');
+        }
+
+        wp_clear_scheduled_hook(Constants::SCHEDULE_CRON_HOOK, [$id]);
+
+        if ($operation['operation_id'] !== '') {
+            $this->batch_processor->cancelOperation($operation['operation_id']);
+        }
+
+        return $this->for_display($this->update_record($id, [
+            'status'      => 'cancelled',
+            'finished_at' => time(),
+        ]));
+    }
+
+    /**
+     * Run a scheduled operation at the next WP-Cron run instead of its date
+     *
+     * @throws ValidationException If not found or already started
+     */
+    public function runNow(string $id): array
+    {
+        $this->find_scheduled($id);
+
+        $operation = $this->update_record($id, ['run_at' => time()]);
+        $this->schedule_event($id, time());
+
+        // Déclencher WP-Cron sans attendre la prochaine visite
+        spawn_cron();
+
+        return $this->for_display($operation);
+    }
+
+    /**
+     * WP-Cron callback: process chunks until the time budget is spent,
+     * then plan the next run if the operation is not complete
+     *
+     * @param string $id Scheduled operation ID
+     */
+    public function run_scheduled_operation(string $id): void
+    {
+        $operation = $this->read()[$id] ?? null;
+
+        if ($operation === null || !in_array($operation['status'], self::PENDING_STATUSES, true)) {
+            return;
+        }
+
+        // Un seul passage à la fois pour une opération
+        $lock = 'schedule_' . $id;
+
+        if (!LockHelper::acquire($lock, 2 * Constants::TIMEOUT_SECONDS)) {
+            $this->schedule_event($id, time() + Constants::SCHEDULE_CONTINUE_DELAY);
+            return;
+        }
+
+        try {
+            $this->process($operation);
+        } finally {
+            LockHelper::release($lock);
+        }
+    }
+
+    /**
+     * Daily cleanup: forget finished operations once their snapshots are gone
+     */
+    public function cleanup_old_operations(): void
+    {
+        $cutoff = time() - Constants::SNAPSHOT_RETENTION_DAYS * DAY_IN_SECONDS;
+        $operations = $this->read();
+
+        $kept = array_filter($operations, function ($operation) use ($cutoff) {
+            return in_array($operation['status'], self::PENDING_STATUSES, true)
+                || $operation['finished_at'] >= $cutoff;
+        });
+
+        if (count($kept) !== count($operations)) {
+            $this->write($kept);
+        }
+    }
+
+    /**
+     * Plan again the pending operations that lost their cron event
+     */
+    public function restore_missing_events(): void
+    {
+        foreach ($this->read() as $id => $operation) {
+            if (in_array($operation['status'], self::PENDING_STATUSES, true)
+                && !wp_next_scheduled(Constants::SCHEDULE_CRON_HOOK, [$id])
+                && !LockHelper::isLocked('schedule_' . $id)
+            ) {
+                $this->schedule_event($id, max((int) $operation['run_at'], time()));
+            }
+        }
+    }
+
+    /**
+     * Start or continue the batch of an operation
+     */
+    private function process(array $operation): void
+    {
+        $id = $operation['id'];
+        $deadline = time() + Constants::TIMEOUT_SECONDS;
+
+        // WP-Cron tourne sans utilisateur : l'opération s'exécute au nom de son auteur
+        wp_set_current_user((int) $operation['created_by']);
+
+        try {
+            if ($operation['operation_id'] === '') {
+                $this->assert_can_start($operation);
+                $this->update_record($id, ['status' => 'running', 'message' => '']);
+
+                $result = $this->batch_processor->processBatch(
+                    $operation['product_ids'],
+                    $operation['changes'],
+                    '',
+                    $operation['selection_query']
+                );
+
+                $this->update_record($id, ['operation_id' => $result['operation_id']]);
+            } else {
+                $result = $this->resume($operation['operation_id']);
+            }
+
+            while (empty($result['is_complete']) && time() < $deadline) {
+                if ($this->is_cancelled($id)) {
+                    return;
+                }
+
+                $result = $this->resume($result['operation_id']);
+            }
+        } catch (\Exception $e) {
+            $this->logger_service->log(
+                'scheduled_operation_failed',
+                sprintf('Opération programmée « %s » échouée : %s', $operation['label'], $e->getMessage()),
+                ['schedule_id' => $id, 'operation_id' => $operation['operation_id']],
+                'error'
+            );
+
+            if (!$this->is_cancelled($id)) {
+                $this->update_record($id, [
+                    'status'      => 'failed',
+                    'message'     => $e->getMessage(),
+                    'finished_at' => time(),
+                ]);
+            }
+
+            return;
+        }
+
+        if ($this->is_cancelled($id)) {
+            return;
+        }
+
+        if (empty($result['is_complete'])) {
+            $this->update_record($id, ['progress' => $this->progress_from_result($result)]);
+            $this->schedule_event($id, time() + Constants::SCHEDULE_CONTINUE_DELAY);
+            return;
+        }
+
+        $this->update_record($id, [
+            'status'      => ($result['failed_count'] ?? 0) > 0 ? 'partial' : 'completed',
+            'progress'    => $this->progress_from_result($result),
+            'message'     => sprintf(
+                '%d/%d produit(s) mis à jour',
+                $result['success_count'] ?? 0,
+                $result['total_products'] ?? 0
+            ),
+            'finished_at' => time(),
+        ]);
+    }
+
+    /**
+     * Next chunk of a started operation, or its final result when only
+     * failed products remain (recorded as partial instead of retried)
+     */
+    private function resume(string $operation_id): array
+    {
+        return $this->batch_processor->finishStalledOperation($operation_id)
+            ?? $this->batch_processor->resumeOperation($operation_id);
+    }
+
+    /**
+     * Checks before the first chunk: author's rights and booked dates
+     *
+     * @throws ValidationException If the operation must not start
+     */
+    private function assert_can_start(array $operation): void
+    {
+        $allowed = false;
+        foreach (Constants::REQUIRED_CAPS as $cap) {
+            $allowed = $allowed || current_user_can($cap);
+        }
+
+        if (!$allowed) {
+            throw ValidationException::invalidField('The author of this operation is no longer allowed to edit products.');
+        }
+
+        if ($operation['override_bookings']) {
+            return;
+        }
+
+        // Des commandes ont pu être passées depuis la programmation
+        $conflicts = $this->booking_service->checkOperation(
+            $operation['product_ids'],
+            $operation['selection_query'],
+            $operation['changes'],
+            true
+        )['conflicts'];
+
+        if (!empty($conflicts)) {
+            throw ValidationException::invalidField(sprintf(
+                '%d date(s) réservée(s) ne seraient plus disponibles (commandes %s).',
+                count($conflicts),
+                $this->booking_service->formatOrderNumbers($conflicts)
+            ));
+        }
+    }
+
+    /**
+     * Progress counters kept on the operation (intermediate or final result)
+     */
+    private function progress_from_result(array $result): array
+    {
+        if (!empty($result['is_complete'])) {
+            return [
+                'total'      => (int) ($result['total_products'] ?? 0),
+                'processed'  => (int) ($result['success_count'] ?? 0),
+                'failed'     => (int) ($result['failed_count'] ?? 0),
+                'percentage' => 100,
+            ];
+        }
+
+        $progress = $result['progress'] ?? [];
+
+        return [
+            'total'      => (int) ($progress['total'] ?? 0),
+            'processed'  => (int) ($progress['processed'] ?? 0),
+            'failed'     => (int) ($progress['failed'] ?? 0),
+            'percentage' => (float) ($progress['percentage'] ?? 0),
+        ];
+    }
+
+    /**
+     * (Re)plan the cron event of an operation
+     */
+    private function schedule_event(string $id, int $timestamp): void
+    {
+        wp_clear_scheduled_hook(Constants::SCHEDULE_CRON_HOOK, [$id]);
+        wp_schedule_single_event($timestamp, Constants::SCHEDULE_CRON_HOOK, [$id]);
+    }
+
+    /**
+     * Find an operation that has not started yet
+     *
+     * @throws ValidationException If not found or already started
+     */
+    private function find_scheduled(string $id): array
+    {
+        $operation = $this->read()[$id] ?? null;
+
+        if ($operation === null) {
+            throw ValidationException::invalidField('Scheduled operation not found.');
+        }
+
+        if ($operation['status'] !== 'scheduled') {
+            throw ValidationException::invalidField('This operation has already started.');
+        }
+
+        return $operation;
+    }
+
+    private function is_cancelled(string $id): bool
+    {
+        return ($this->read(true)[$id]['status'] ?? 'cancelled') === 'cancelled';
+    }
+
+    /**
+     * Set some fields of an operation (read again: WP-Cron and the admin
+     * may both write the option)
+     */
+    private function update_record(string $id, array $fields): array
+    {
+        $operations = $this->read(true);
+        $operations[$id] = array_merge($operations[$id], $fields);
+        $this->write($operations);
+
+        return $operations[$id];
+    }
+
+    /**
+     * Add the fields used by the admin UI (dates in the site timezone)
+     */
+    private function for_display(array $operation): array
+    {
+        $author = get_userdata((int) $operation['created_by']);
+
+        $operation['run_at_display'] = wp_date('d/m/Y H:i', $operation['run_at']);
+        $operation['run_at_input'] = wp_date('Y-m-d\TH:i', $operation['run_at']);
+        $operation['finished_at_display'] = $operation['finished_at'] ? wp_date('d/m/Y H:i', $operation['finished_at']) : '';
+        $operation['author'] = $author ? $author->display_name : '';
+        $operation['editable'] = $operation['status'] === 'scheduled';
+
+        // Inutile côté interface
+        unset($operation['product_ids'], $operation['changes']);
+
+        return $operation;
+    }
+
+    /**
+     * @throws ValidationException If the date is not in the future
+     */
+    private function sanitize_run_at($run_at): int
+    {
+        $run_at = (int) $run_at;
+
+        if ($run_at <= time()) {
+            throw ValidationException::invalidField('The scheduled date and time must be in the future.');
+        }
+
+        return $run_at;
+    }
+
+    private function sanitize_label(string $label, int $run_at): string
+    {
+        $label = mb_substr(trim(sanitize_text_field($label)), 0, 100);
+
+        return $label !== '' ? $label : sprintf('Opération du %s', wp_date('d/m/Y H:i', $run_at));
+    }
+
+    /**
+     * @param bool $fresh Bypass the option cache (changes made by another request)
+     */
+    private function read(bool $fresh = false): array
+    {
+        if ($fresh) {
+            wp_cache_delete(Constants::SCHEDULED_OPERATIONS_OPTION, 'options');
+        }
+
+        $operations = get_option(Constants::SCHEDULED_OPERATIONS_OPTION, []);
+
+        return is_array($operations) ? $operations : [];
+    }
+
+    private function write(array $operations): void
+    {
+        update_option(Constants::SCHEDULED_OPERATIONS_OPTION, $operations, false);
+    }
+}
@@ -0,0 +1,344 @@
+<?php
+
+/**
+ * Wootour Bulk Editor - Selection Service
+ *
+ * Named product selections reusable across sessions (step 1).
+ * Personal selections are stored in user meta, shared ones in an option.
+ * A selection is either a static list of IDs or a dynamic rule
+ * (category + search + filter) evaluated again each time it is loaded.
+ *
+ * @package     WootourBulkEditor
+ * @subpackage  Services
+ * @license     GPL-2.0+
+ * @since       1.0.0
+ */
+
+namespace WootourBulkEditor\Services;
+
+use WootourBulkEditor\Core\Constants;
+use WootourBulkEditor\Exceptions\ValidationException;
+use WootourBulkEditor\Repositories\ProductRepository;
+use WootourBulkEditor\Traits\Singleton;
+
+// Exit if accessed directly
+defined('ABSPATH') || exit;
+
+/**
+ * Class SelectionService
+ *
+ * Saved product selections (static lists or dynamic rules).
+ */
+final class SelectionService implements ServiceInterface
+{
+    use Singleton;
+
+    /**
+     * @var ProductRepository
+     */
+    private $product_repository;
+
+    /**
+     * @var AvailabilityService
+     */
+    private $availability_service;
+
+    /**
+     * Private constructor
+     */
+    private function __construct()
+    {
+        // Dependencies injected via init
+    }
+
+    /**
+     * Initialize with dependencies
+     */
+    public function init(): void
+    {
+        $this->product_repository = ProductRepository::getInstance();
+        $this->availability_service = AvailabilityService::getInstance();
+    }
+
+    /**
+     * Get the selections visible to the current user (own + shared)
+     *
+     * @return array List of selections, own ones first, sorted by name
+     */
+    public function getSelections(): array
+    {
+        $sort = fn($a, $b) => strcasecmp($a['name'], $b['name']);
+
+        $own = array_values($this->read('user'));
+        $shared = array_values($this->read('shared'));
+        usort($own, $sort);
+        usort($shared, $sort);
+
+        return array_map([$this, 'with_permissions'], array_merge($own, $shared));
+    }
+
+    /**
+     * Save a new selection
+     *
+     * @param array $data name, scope (user|shared), type (static|dynamic),
+     *                    product_ids (static) or rule (dynamic)
+     * @return array The saved selection
+     * @throws ValidationException On invalid data
+     */
+    public function create(array $data): array
+    {
+        $scope = $data['scope'] ?? 'user';
+        $type = $data['type'] ?? 'static';
+
+        if (!in_array($scope, ['user', 'shared'], true)) {
+            throw ValidationException::invalidField(sprintf('Unknown selection scope: %s', $scope));
+        }
+
+        $selections = $this->read($scope);
+
+        if (count($selections) >= Constants::SELECTION_MAX_SAVED) {
+            throw ValidationException::invalidField(sprintf(
+                'No more than %d saved selections.',
+                Constants::SELECTION_MAX_SAVED
+            ));
+        }
+
+        $selection = [
+            'id'         => uniqid('sel_'),
+            'name'       => $this->sanitize_name($data['name'] ?? ''),
+            'scope'      => $scope,
+            'type'       => $type,
+            'created_by' => get_current_user_id(),
+            'updated_at' => current_time('mysql'),
+        ];
+
+        if ($type === 'static') {
+            $selection['product_ids'] = $this->sanitize_product_ids($data['product_ids'] ?? []);
+        } elseif ($type === 'dynamic') {
+            $rule = $this->sanitizeQuery($data['rule'] ?? []);
+
+            if ($rule['category_id'] === 0 && $rule['search'] === '' && $rule['filter'] === '') {
+                throw ValidationException::invalidField('A dynamic selection needs a category, a search or a filter.');
+            }
+
+            $selection['rule'] = $rule;
+        } else {
+            throw ValidationException::invalidField(sprintf('Unknown selection type: %s', $type));
+        }
+
+        $selections[$selection['id']] = $selection;
+        $this->write($scope, $selections);
+
+        return $this->with_permissions($selection);
+    }
+
+    /**
+     * Rename a selection
+     *
+     * @throws ValidationException If not found or not editable
+     */
+    public function rename(string $id, string $name): array
+    {
+        [$scope, $selections] = $this->find_editable($id);
+
+        $selections[$id]['name'] = $this->sanitize_name($name);
+        $selections[$id]['updated_at'] = current_time('mysql');
+        $this->write($scope, $selections);
+
+        return $this->with_permissions($selections[$id]);
+    }
+
+    /**
+     * Delete a selection
+     *
+     * @throws ValidationException If not found or not editable
+     */
+    public function delete(string $id): void
+    {
+        [$scope, $selections] = $this->find_editable($id);
+
+        unset($selections[$id]);
+        $this->write($scope, $selections);
+    }
+
+    /**
+     * Resolve a selection to its products
+     *
+     * Static lists keep only the products that still exist; dynamic rules
+     * are evaluated again through ProductRepository.
+     *
+     * @return array ['selection' => array, 'products' => ProductModel[]]
+     * @throws ValidationException If not found
+     */
+    public function resolve(string $id): array
+    {
+        $selection = $this->find($id);
+
+        if ($selection === null) {
+            throw ValidationException::invalidField('Saved selection not found.');
+        }
+
+        if ($selection['type'] === 'static') {
+            $products = $this->product_repository->getProductsByIds($selection['product_ids']);
+        } else {
+            $rule = $selection['rule'];
+            $products = $this->product_repository->getProductsBySelectionFilter(
+                $rule['filter'],
+                $rule,
+                $rule['category_id']
+            );
+        }
+
+        return [
+            'selection' => $this->with_permissions($selection),
+            'products'  => $products,
+        ];
+    }
+
+    /**
+     * Keep only the criteria understood by ProductRepository::getProductsBySelectionFilter
+     *
+     * Used for dynamic rules and for "select all matching" batches. Without
+     * any criterion the query covers every product.
+     *
+     * @param array $rule category_id, search, filter, date (Y-m-d or DD/MM/YYYY), days
+     * @return array Normalized criteria, date in Y-m-d
+     * @throws ValidationException On an unknown filter or a missing date
+     */
+    public function sanitizeQuery(array $rule): array
+    {
+        $rule = [
+            'category_id' => max(0, (int) ($rule['category_id'] ?? 0)),
+            'search'      => sanitize_text_field($rule['search'] ?? ''),
+            'filter'      => sanitize_key($rule['filter'] ?? ''),
+            'date'        => sanitize_text_field($rule['date'] ?? ''),
+            'days'        => min(365, max(1, (int) ($rule['days'] ?? 30))),
+        ];
+
+        if ($rule['filter'] !== '' && !isset(Constants::SELECTION_FILTERS[$rule['filter']])) {
+            throw ValidationException::invalidField(sprintf('Unknown filter: %s', $rule['filter']));
+        }
+
+        if ($rule['date'] !== '') {
+            $rule['date'] = $this->availability_service->convertDateToDatabaseFormat($rule['date']);
+        }
+
+        if (in_array($rule['filter'], ['ends_before', 'bookable_on', 'excluded_on'], true)
+            && !$this->availability_service->isValidDate($rule['date'])
+        ) {
+            throw ValidationException::invalidField('A valid date is required for this filter.');
+        }
+
+        return $rule;
+    }
+
+    /**
+     * Find a selection in the user's or the shared store
+     */
+    private function find(string $id): ?array
+    {
+        foreach (['user', 'shared'] as $scope) {
+            $selections = $this->read($scope);
+
+            if (isset($selections[$id])) {
+                return $selections[$id];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find a selection the current user may change
+     *
+     * @return array [scope, all selections of that scope]
+     */
+    private function find_editable(string $id): array
+    {
+        $selection = $this->find($id);
+
+        if ($selection === null) {
+            throw ValidationException::invalidField('Saved selection not found.');
+        }
+
+        if (!$this->can_edit($selection)) {
+            throw ValidationException::invalidField('Only its author or an administrator can change a shared selection.');
+        }
+
+        return [$selection['scope'], $this->read($selection['scope'])];
+    }
+
+    /**
+     * Own selections are always editable; shared ones by their author or an administrator
+     */
+    private function can_edit(array $selection): bool
+    {
+        return $selection['scope'] === 'user'
+            || (int) $selection['created_by'] === get_current_user_id()
+            || current_user_can('manage_options');
+    }
+
+    /**
+     * Add the "editable" flag used by the admin UI
+     */
+    private function with_permissions(array $selection): array
+    {
+        $selection['editable'] = $this->can_edit($selection);
+
+        return $selection;
+    }
+
+    /**
+     * Read the selections of a scope (id => selection)
+     */
+    private function read(string $scope): array
+    {
+        $selections = $scope === 'shared'
+            ? get_option(Constants::SELECTIONS_OPTION, [])
+            : get_user_meta(get_current_user_id(), Constants::SELECTIONS_USER_META, true);
+
+        return is_array($selections) ? $selections : [];
+    }
+
+    /**
+     * Write the selections of a scope
+     */
+    private function write(string $scope, array $selections): void
+    {
+        if ($scope === 'shared') {
+            update_option(Constants::SELECTIONS_OPTION, $selections, false);
+            return;
+        }
+
+        update_user_meta(get_current_user_id(), Constants::SELECTIONS_USER_META, $selections);
+    }
+
+    private function sanitize_name(string $name): string
+    {
+        $name = trim(sanitize_text_field($name));
+
+        if ($name === '') {
+            throw ValidationException::invalidField('A name is required for the selection.');
+        }
+
+        return mb_substr($name, 0, 100);
+    }
+
+    private function sanitize_product_ids(array $product_ids): array
+    {
+        $product_ids = array_values(array_unique(array_filter(array_map('intval', $product_ids))));
+
+        if (empty($product_ids)) {
+            throw ValidationException::invalidField('No products selected.');
+        }
+
+        if (count($product_ids) > Constants::SELECTION_MAX_PRODUCTS) {
+            throw ValidationException::invalidField(sprintf(
+                'A saved selection holds %d products at most.',
+                Constants::SELECTION_MAX_PRODUCTS
+            ));
+        }
+
+        return $product_ids;
+    }
+}
@@ -0,0 +1,486 @@
+<?php
+
+/**
+ * Wootour Bulk Editor - Snapshot Service
+ *
+ * Keeps a copy of each product's WooTour meta before a bulk operation
+ * so the operation can be rolled back afterwards.
+ * Stores snapshots in WordPress options: one option per operation for the
+ * metadata and the captured IDs, plus one option per chunk of products, so
+ * that a chunk never rewrites the meta captured by the previous ones.
+ *
+ * @package     WootourBulkEditor
+ * @subpackage  Services
+ * @license     GPL-2.0+
+ * @since       1.0.0
+ */
+
+namespace WootourBulkEditor\Services;
+
+use WootourBulkEditor\Core\Constants;
+use WootourBulkEditor\Repositories\WootourRepository;
+use WootourBulkEditor\Exceptions\BatchException;
+use WootourBulkEditor\Traits\Singleton;
+
+// Exit if accessed directly
+defined('ABSPATH') || exit;
+
+/**
+ * Class SnapshotService
+ *
+ * Per-operation availability snapshots and rollback.
+ */
+final class SnapshotService implements ServiceInterface
+{
+    use Singleton;
+
+    /**
+     * Between the operation key and the chunk number (operation IDs have no double underscore)
+     */
+    private const CHUNK_SEPARATOR = '__';
+
+    /**
+     * @var WootourRepository
+     */
+    private $wootour_repository;
+
+    /**
+     * @var LoggerService
+     */
+    private $logger_service;
+
+    /**
+     * Private constructor
+     */
+    private function __construct()
+    {
+        // Dependencies injected via init
+    }
+
+    /**
+     * Initialize with dependencies
+     */
+    public function init(): void
+    {
+        $this->wootour_repository = WootourRepository::getInstance();
+        $this->logger_service = LoggerService::getInstance();
+
+        // Même tâche planifiée que le nettoyage des logs
+        add_action('wbe_daily_log_cleanup', [$this, 'cleanup_old_snapshots']);
+    }
+
+    /**
+     * Capture the current state of several products for an operation
+     *
+     * A product already captured for this operation is left untouched,
+     * so a resumed operation keeps the state from before its first run.
+     *
+     * @param string $operation_id Operation ID
+     * @param array $product_ids Product IDs about to be modified
+     * @param string $type Operation type (batch, reset...)
+     */
+    public function captureProducts(string $operation_id, array $product_ids, string $type = 'batch'): void
+    {
+        if (empty($operation_id) || empty($product_ids)) {
+            return;
+        }
+
+        $snapshot = $this->getSnapshot($operation_id) ?? [
+            'operation_id' => $operation_id,
+            'type'         => $type,
+            'user_id'      => get_current_user_id(),
+            'created_at'   => current_time('mysql'),
+            'restored_at'  => null,
+            'product_ids'  => [],
+            'chunk_count'  => 0,
+        ];
+
+        $captured = array_flip($snapshot['product_ids']);
+        $products = [];
+
+        foreach ($product_ids as $product_id) {
+            $product_id = (int) $product_id;
+
+            if (isset($captured[$product_id]) || isset($products[$product_id])) {
+                continue;
+            }
+
+            $products[$product_id] = $this->wootour_repository->getMetaSnapshot($product_id);
+        }
+
+        if (empty($products)) {
+            return;
+        }
+
+        $snapshot['chunk_count']++;
+        $snapshot['product_ids'] = array_merge($snapshot['product_ids'], array_keys($products));
+
+        // Le lot d'abord : l'en-tête ne référence jamais un lot absent
+        update_option($this->get_chunk_key($operation_id, $snapshot['chunk_count']), $products, false);
+        update_option($this->get_option_key($operation_id), $snapshot, false);
+    }
+
+    /**
+     * Get the stored snapshot metadata of an operation
+     *
+     * @param string $operation_id Operation ID
+     * @return array|null Metadata with product_ids and chunk_count, null if not found
+     */
+    public function getSnapshot(string $operation_id): ?array
+    {
+        $snapshot = get_option($this->get_option_key($operation_id), null);
+
+        return is_array($snapshot) ? $snapshot : null;
+    }
+
+    /**
+     * Check if an operation can be rolled back
+     */
+    public function canRollback(string $operation_id): bool
+    {
+        $snapshot = $this->getSnapshot($operation_id);
+
+        return $snapshot !== null && empty($snapshot['restored_at']) && !empty($snapshot['product_ids']);
+    }
+
+    /**
+     * Captured meta of the products, chunk after chunk
+     *
+     * @param string $operation_id Operation ID
+     * @return \Generator product_id => meta snapshot
+     */
+    public function getProducts(string $operation_id): \Generator
+    {
+        $snapshot = $this->getSnapshot($operation_id);
+
+        for ($chunk = 1; $chunk <= (int) ($snapshot['chunk_count'] ?? 0); $chunk++) {
+            $products = get_option($this->get_chunk_key($operation_id, $chunk), []);
+
+            foreach (is_array($products) ? $products : [] as $product_id => $meta) {
+                yield (int) $product_id => $meta;
+            }
+        }
+    }
+
+    /**
+     * Get snapshot metadata without the product data
+     */
+    public function getSnapshotInfo(string $operation_id): ?array
+    {
+        $snapshot = $this->getSnapshot($operation_id);
+
+        if ($snapshot === null) {
+            return null;
+        }
+
+        return [
+            'operation_id'  => $snapshot['operation_id'],
+            'type'          => $snapshot['type'],
+            'user_id'       => $snapshot['user_id'],
+            'created_at'    => $snapshot['created_at'],
+            'restored_at'   => $snapshot['restored_at'],
+            'product_count' => count($snapshot['product_ids']),
+            'can_rollback'  => empty($snapshot['restored_at']) && !empty($snapshot['product_ids']),
+        ];
+    }
+
+    /**
+     * Operations applied after this one to some of the same products
+     *
+     * The rollback would overwrite their changes on these products. Only the
+     * operations with a snapshot that was not itself restored are known.
+     *
+     * @param string $operation_id Operation ID
+     * @return array List of ['operation_id', 'created_at', 'product_count'] (products in common), oldest first
+     */
+    public function getLaterOperations(string $operation_id): array
+    {
+        $snapshot = $this->getSnapshot($operation_id);
+
+        if ($snapshot === null || empty($snapshot['product_ids'])) {
+            return [];
+        }
+
+        $created = strtotime($snapshot['created_at']);
+        $product_ids = array_flip($snapshot['product_ids']);
+        $later = [];
+
+        foreach ($this->get_header_option_names() as $option_name) {
+            $other = get_option($option_name);
+
+            if (
+                !is_array($other)
+                || ($other['operation_id'] ?? '') === $operation_id
+                || !empty($other['restored_at'])
+                || strtotime($other['created_at'] ?? '') <= $created
+            ) {
+                continue;
+            }
+
+            $common = count(array_intersect_key(array_flip($other['product_ids'] ?? []), $product_ids));
+
+            if ($common > 0) {
+                $later[] = [
+                    'operation_id'  => $other['operation_id'],
+                    'created_at'    => $other['created_at'],
+                    'product_count' => $common,
+                ];
+            }
+        }
+
+        usort($later, function ($a, $b) {
+            return strcmp($a['created_at'], $b['created_at']);
+        });
+
+        return $later;
+    }
+
+    /**
+     * Start rolling back an operation, or keep the progress of a rollback
+     * that was interrupted (the chunks already restored are not restored again)
+     *
+     * @param string $operation_id Operation ID
+     * @return array Progress, see getRollbackProgress()
+     * @throws BatchException If no snapshot exists or it was already restored
+     */
+    public function startRollback(string $operation_id): array
+    {
+        $snapshot = $this->getSnapshot($operation_id);
+
+        if ($snapshot === null || empty($snapshot['product_ids'])) {
+            throw BatchException::noSnapshot($operation_id);
+        }
+
+        if (!empty($snapshot['restored_at'])) {
+            throw BatchException::alreadyRolledBack($operation_id, $snapshot['restored_at']);
+        }
+
+        if (empty($snapshot['rollback'])) {
+            $snapshot['rollback'] = [
+                'next_chunk' => 1,
+                'restored'   => [],
+                'failed'     => [],
+                'started_at' => current_time('mysql'),
+                'user_id'    => get_current_user_id(),
+            ];
+
+            update_option($this->get_option_key($operation_id), $snapshot, false);
+        }
+
+        return $this->format_rollback($snapshot, false);
+    }
+
+    /**
+     * Restore the next chunk of a rollback in progress
+     *
+     * One chunk of the snapshot at a time (the products captured by one
+     * chunk of the operation), so the rollback of a large operation is split
+     * over several requests. The last chunk closes the rollback.
+     *
+     * @param string $operation_id Operation ID
+     * @return array Progress, or the final result once is_complete
+     * @throws BatchException If no rollback of this operation is in progress
+     */
+    public function restoreNextChunk(string $operation_id): array
+    {
+        $snapshot = $this->getSnapshot($operation_id);
+
+        if ($snapshot === null || empty($snapshot['rollback'])) {
+            throw BatchException::noSnapshot($operation_id);
+        }
+
+        if (!empty($snapshot['restored_at'])) {
+            throw BatchException::alreadyRolledBack($operation_id, $snapshot['restored_at']);
+        }
+
+        $rollback = $snapshot['rollback'];
+        $chunk = (int) $rollback['next_chunk'];
+
+        if ($chunk <= (int) $snapshot['chunk_count']) {
+            $products = get_option($this->get_chunk_key($operation_id, $chunk), []);
+
+            foreach (is_array($products) ? $products : [] as $product_id => $meta) {
+                if ($this->wootour_repository->restoreMetaSnapshot((int) $product_id, $meta)) {
+                    $rollback['restored'][] = (int) $product_id;
+                } else {
+                    $rollback['failed'][] = [
+                        'product_id' => (int) $product_id,
+                        'error'      => 'Restore failed',
+                    ];
+                }
+            }
+
+            $rollback['next_chunk'] = $chunk + 1;
+        }
+
+        $snapshot['rollback'] = $rollback;
+
+        if ($rollback['next_chunk'] > (int) $snapshot['chunk_count']) {
+            return $this->complete_rollback($snapshot);
+        }
+
+        update_option($this->get_option_key($operation_id), $snapshot, false);
+
+        return $this->format_rollback($snapshot, false);
+    }
+
+    /**
+     * Progress of a rollback in progress
+     *
+     * @param string $operation_id Operation ID
+     * @return array|null ['operation_id', 'is_complete', 'total_products', 'success_count',
+     *                    'failed_count', 'percentage'], null if no rollback is in progress
+     */
+    public function getRollbackProgress(string $operation_id): ?array
+    {
+        $snapshot = $this->getSnapshot($operation_id);
+
+        if ($snapshot === null || empty($snapshot['rollback']) || !empty($snapshot['restored_at'])) {
+            return null;
+        }
+
+        return $this->format_rollback($snapshot, false);
+    }
+
+    /**
+     * Delete the snapshot of an operation
+     */
+    public function deleteSnapshot(string $operation_id): bool
+    {
+        $snapshot = $this->getSnapshot($operation_id);
+
+        for ($chunk = 1; $chunk <= (int) ($snapshot['chunk_count'] ?? 0); $chunk++) {
+            delete_option($this->get_chunk_key($operation_id, $chunk));
+        }
+
+        return delete_option($this->get_option_key($operation_id));
+    }
+
+    /**
+     * Remove snapshots older than the retention period
+     */
+    public function cleanup_old_snapshots(): void
+    {
+        $cutoff_time = strtotime('-' . Constants::SNAPSHOT_RETENTION_DAYS . ' days');
+
+        // Les lots sont supprimés avec leur en-tête
+        foreach ($this->get_header_option_names() as $option_name) {
+            $snapshot = get_option($option_name);
+            $created = is_array($snapshot) ? strtotime($snapshot['created_at'] ?? '') : false;
+
+            if ($created && $created >= $cutoff_time) {
+                continue;
+            }
+
+            if (is_array($snapshot) && !empty($snapshot['operation_id'])) {
+                $this->deleteSnapshot($snapshot['operation_id']);
+            } else {
+                delete_option($option_name);
+            }
+        }
+    }
+
+    /**
+     * Close a rollback: restored_at, log and operation history
+     *
+     * @return array Final result, see format_rollback()
+     */
+    private function complete_rollback(array $snapshot): array
+    {
+        $operation_id = $snapshot['operation_id'];
+        $rollback = $snapshot['rollback'];
+
+        $snapshot['restored_at'] = current_time('mysql');
+        $snapshot['restored_by'] = (int) $rollback['user_id'];
+        update_option($this->get_option_key($operation_id), $snapshot, false);
+
+        $this->logger_service->log(
+            'batch_rollback',
+            sprintf(
+                'Rollback of operation %s: %d/%d products restored',
+                $operation_id,
+                count($rollback['restored']),
+                count($snapshot['product_ids'])
+            ),
+            [
+                'operation_id'  => $operation_id,
+                'product_ids'   => $rollback['restored'],
+                'success_count' => count($rollback['restored']),
+                'failed_count'  => count($rollback['failed']),
+                'user_id'       => $snapshot['restored_by'],
+            ],
+            empty($rollback['failed']) ? 'info' : 'warning'
+        );
+
+        $this->logger_service->recordOperation($operation_id, [
+            'status'         => 'rolled_back',
+            'rolled_back_at' => $snapshot['restored_at'],
+            'rolled_back_by' => $snapshot['restored_by'],
+        ]);
+
+        return $this->format_rollback($snapshot, true);
+    }
+
+    /**
+     * Progress or final result of a rollback (the IDs and failures only once complete)
+     */
+    private function format_rollback(array $snapshot, bool $is_complete): array
+    {
+        $rollback = $snapshot['rollback'];
+        $total = count($snapshot['product_ids']);
+        $done = count($rollback['restored']) + count($rollback['failed']);
+
+        $result = [
+            'operation_id'   => $snapshot['operation_id'],
+            'is_complete'    => $is_complete,
+            'total_products' => $total,
+            'success_count'  => count($rollback['restored']),
+            'failed_count'   => count($rollback['failed']),
+            'percentage'     => $total > 0 ? round($done / $total * 100, 1) : 100,
+        ];
+
+        if ($is_complete) {
+            $result['success_ids'] = $rollback['restored'];
+            $result['failed_details'] = $rollback['failed'];
+        }
+
+        return $result;
+    }
+
+    /**
+     * Option names of the snapshot headers (without their chunks)
+     *
+     * @return string[]
+     */
+    private function get_header_option_names(): array
+    {
+        global $wpdb;
+
+        $option_names = $wpdb->get_col(
+            $wpdb->prepare(
+                "SELECT option_name FROM {$wpdb->options} WHERE option_name LIKE %s",
+                $wpdb->esc_like(Constants::SNAPSHOT_OPTION_PREFIX) . '%'
+            )
+        );
+
+        return array_values(array_filter($option_names, function ($option_name) {
+            return strpos($option_name, self::CHUNK_SEPARATOR) === false;
+        }));
+    }
+
+    /**
+     * Get option key for an operation snapshot
+     */
+    private function get_option_key(string $operation_id): string
+    {
+        return Constants::SNAPSHOT_OPTION_PREFIX . sanitize_key($operation_id);
+    }
+
+    /**
+     * Get option key for one chunk of an operation snapshot
+     */
+    private function get_chunk_key(string $operation_id, int $chunk): string
+    {
+        return $this->get_option_key($operation_id) . self::CHUNK_SEPARATOR . $chunk;
+    }
+}
@@ -0,0 +1,273 @@
+<?php
+
+/**
+ * Wootour Bulk Editor - Template Service
+ *
+ * Named availability templates: a saved step-2 form (range, weekdays,
+ * specific dates, exclusions, change modes and recurring rules) that can
+ * be loaded back into the wizard. Templates are shared site-wide and
+ * stored in a single WordPress option.
+ *
+ * @package     WootourBulkEditor
+ * @subpackage  Services
+ * @license     GPL-2.0+
+ * @since       1.0.0
+ */
+
+namespace WootourBulkEditor\Services;
+
+use WootourBulkEditor\Core\Constants;
+use WootourBulkEditor\Exceptions\ValidationException;
+use WootourBulkEditor\Traits\Singleton;
+
+// Exit if accessed directly
+defined('ABSPATH') || exit;
+
+/**
+ * Class TemplateService
+ *
+ * Availability templates for step 2.
+ */
+final class TemplateService implements ServiceInterface
+{
+    use Singleton;
+
+    /**
+     * Private constructor
+     */
+    private function __construct()
+    {
+        // No dependencies
+    }
+
+    /**
+     * Initialize service
+     */
+    public function init(): void
+    {
+        // Pas de hooks : stockage dans une option
+    }
+
+    /**
+     * Get all templates, sorted by name
+     *
+     * @return array List of templates
+     */
+    public function getTemplates(): array
+    {
+        $templates = array_values($this->read());
+        usort($templates, fn($a, $b) => strcasecmp($a['name'], $b['name']));
+
+        return $templates;
+    }
+
+    /**
+     * Save a template; a template with the same name is replaced
+     *
+     * @param string $name Template name
+     * @param array $data Step-2 form (see sanitize_data)
+     * @return array The saved template
+     * @throws ValidationException On invalid data or too many templates
+     */
+    public function save(string $name, array $data): array
+    {
+        $templates = $this->read();
+        $template = $this->build($name, $data);
+
+        $existing = $this->find_by_name($templates, $template['name']);
+
+        if ($existing !== null) {
+            $template['id'] = $existing;
+        } elseif (count($templates) >= Constants::TEMPLATE_MAX_SAVED) {
+            throw ValidationException::invalidField(sprintf(
+                'No more than %d availability templates.',
+                Constants::TEMPLATE_MAX_SAVED
+            ));
+        }
+
+        $templates[$template['id']] = $template;
+        $this->write($templates);
+
+        return $template;
+    }
+
+    /**
+     * Delete a template
+     *
+     * @throws ValidationException If not found
+     */
+    public function delete(string $id): void
+    {
+        $templates = $this->read();
+
+        if (!isset($templates[$id])) {
+            throw ValidationException::invalidField('Availability template not found.');
+        }
+
+        unset($templates[$id]);
+        $this->write($templates);
+    }
+
+    /**
+     * Import templates exported as JSON (same name = replaced)
+     *
+     * @param array $entries List of ['name' => string, 'data' => array]
+     * @return array ['imported' => int, 'errors' => string[]]
+     * @throws ValidationException If the list is empty or too long
+     */
+    public function import(array $entries): array
+    {
+        if (empty($entries)) {
+            throw ValidationException::invalidField('The file contains no template.');
+        }
+
+        $templates = $this->read();
+        $imported = 0;
+        $errors = [];
+
+        foreach (array_values($entries) as $index => $entry) {
+            try {
+                if (!is_array($entry) || !is_array($entry['data'] ?? null)) {
+                    throw ValidationException::invalidField('Invalid template structure.');
+                }
+
+                $template = $this->build((string) ($entry['name'] ?? ''), $entry['data']);
+                $existing = $this->find_by_name($templates, $template['name']);
+
+                if ($existing !== null) {
+                    $template['id'] = $existing;
+                } elseif (count($templates) >= Constants::TEMPLATE_MAX_SAVED) {
+                    throw ValidationException::invalidField(sprintf(
+                        'No more than %d availability templates.',
+                        Constants::TEMPLATE_MAX_SAVED
+                    ));
+                }
+
+                $templates[$template['id']] = $template;
+                $imported++;
+            } catch (ValidationException $e) {
+                $errors[] = sprintf('#%d: %s', $index + 1, $e->getMessage());
+            }
+        }
+
+        if ($imported > 0) {
+            $this->write($templates);
+        }
+
+        return [
+            'imported' => $imported,
+            'errors'   => $errors,
+        ];
+    }
+
+    /**
+     * Build a template record from a name and a step-2 form
+     */
+    private function build(string $name, array $data): array
+    {
+        $name = mb_substr(trim(sanitize_text_field($name)), 0, 100);
+
+        if ($name === '') {
+            throw ValidationException::invalidField('A name is required for the template.');
+        }
+
+        return [
+            'id'         => uniqid('tpl_'),
+            'name'       => $name,
+            'data'       => $this->sanitize_data($data),
+            'created_by' => get_current_user_id(),
+            'updated_at' => current_time('mysql'),
+        ];
+    }
+
+    /**
+     * Keep only the step-2 fields, in the format used by collectStep2Data
+     */
+    private function sanitize_data(array $data): array
+    {
+        $dates = function ($values): array {
+            $values = array_filter((array) $values, function ($date) {
+                return is_string($date) && preg_match('/^\d{4}-\d{2}-\d{2}$/', $date);
+            });
+            $values = array_values(array_unique($values));
+            sort($values);
+
+            return $values;
+        };
+
+        $date = function ($value): string {
+            return is_string($value) && preg_match('/^\d{4}-\d{2}-\d{2}$/', $value) ? $value : '';
+        };
+
+        $weekdays = array_values(array_unique(array_filter(
+            array_map('intval', (array) ($data['weekdays'] ?? [])),
+            fn($day) => $day >= 0 && $day <= 6
+        )));
+        sort($weekdays);
+
+        $modes = [];
+        foreach (Constants::CHANGE_MODE_FIELDS as $field) {
+            $mode = $data['modes'][$field] ?? 'add';
+            $modes[$field] = in_array($mode, Constants::CHANGE_MODES, true) ? $mode : 'add';
+        }
+
+        $rules = [];
+        foreach ((array) ($data['rules'] ?? []) as $rule) {
+            if (!is_array($rule) || !in_array($rule['target'] ?? '', ['specific', 'exclusions'], true)) {
+                continue;
+            }
+
+            $rules[] = [
+                'target' => $rule['target'],
+                'text'   => sanitize_text_field($rule['text'] ?? ''),
+                'rule'   => is_array($rule['rule'] ?? null) ? map_deep($rule['rule'], 'sanitize_text_field') : [],
+                'dates'  => $dates($rule['dates'] ?? []),
+            ];
+        }
+
+        $sanitized = [
+            'start_date' => $date($data['start_date'] ?? ''),
+            'end_date'   => $date($data['end_date'] ?? ''),
+            'weekdays'   => $weekdays,
+            'specific'   => $dates($data['specific'] ?? []),
+            'exclusions' => $dates($data['exclusions'] ?? []),
+            'modes'      => $modes,
+            'rules'      => $rules,
+        ];
+
+        $has_value = $sanitized['start_date'] !== '' || $sanitized['end_date'] !== ''
+            || $weekdays || $sanitized['specific'] || $sanitized['exclusions'];
+
+        if (!$has_value && !in_array('replace', $modes, true) && !in_array('remove', $modes, true)) {
+            throw ValidationException::invalidField('The template is empty.');
+        }
+
+        return $sanitized;
+    }
+
+    /**
+     * ID of the template with this name (case-insensitive), if any
+     */
+    private function find_by_name(array $templates, string $name): ?string
+    {
+        foreach ($templates as $id => $template) {
+            if (strcasecmp($template['name'], $name) === 0) {
+                return $id;
+            }
+        }
+
+        return null;
+    }
+
+    private function read(): array
+    {
+        $templates = get_option(Constants::TEMPLATES_OPTION, []);
+
+        return is_array($templates) ? $templates : [];
+    }
+
+    private function write(array $templates): void
+    {
+        update_option(Constants::TEMPLATES_OPTION, $templates, false);
+    }
+}
@@ -0,0 +1,118 @@
+<?php
+/**
+ * Wootour Bulk Editor - Lock Helper
+ *
+ * Locks shared by concurrent requests (loopback workers, WP-Cron, admin).
+ *
+ * @package     WootourBulkEditor
+ * @subpackage  Utilities
+ * @license     GPL-2.0+
+ * @since       1.0.0
+ */
+
+namespace WootourBulkEditor\Utilities;
+
+// Exit if accessed directly
+defined('ABSPATH') || exit;
+
+/**
+ * Class LockHelper
+ *
+ * Atomic locks stored as rows of the options table: INSERT IGNORE lets a
+ * single request create the row, where a transient check followed by a
+ * write would let two requests through.
+ */
+final class LockHelper
+{
+    /**
+     * Option name prefix of the locks
+     */
+    private const PREFIX = 'wbe_lock_';
+
+    /**
+     * Acquire a lock
+     *
+     * A lock left by a request that died before releasing it is taken over
+     * once expired.
+     *
+     * @param string $name Lock name
+     * @param int $ttl Seconds after which the lock is considered abandoned
+     * @return bool True if this request holds the lock
+     */
+    public static function acquire(string $name, int $ttl): bool
+    {
+        if (self::insert($name, $ttl)) {
+            return true;
+        }
+
+        $expires_at = self::getExpiry($name);
+
+        if ($expires_at === null || $expires_at > time()) {
+            return false;
+        }
+
+        global $wpdb;
+
+        // Seule la requête qui supprime ce verrou expiré peut tenter de le reprendre
+        $deleted = $wpdb->delete($wpdb->options, [
+            'option_name'  => self::PREFIX . $name,
+            'option_value' => (string) $expires_at,
+        ]);
+
+        return $deleted === 1 && self::insert($name, $ttl);
+    }
+
+    /**
+     * Release a lock
+     */
+    public static function release(string $name): void
+    {
+        global $wpdb;
+
+        $wpdb->delete($wpdb->options, ['option_name' => self::PREFIX . $name]);
+        wp_cache_delete(self::PREFIX . $name, 'options');
+    }
+
+    /**
+     * Check whether a lock is held (and not expired)
+     */
+    public static function isLocked(string $name): bool
+    {
+        $expires_at = self::getExpiry($name);
+
+        return $expires_at !== null && $expires_at > time();
+    }
+
+    /**
+     * Create the lock row if it does not exist
+     */
+    private static function insert(string $name, int $ttl): bool
+    {
+        global $wpdb;
+
+        $inserted = $wpdb->query($wpdb->prepare(
+            "INSERT IGNORE INTO {$wpdb->options} (option_name, option_value, autoload) VALUES (%s, %s, 'no')",
+            self::PREFIX . $name,
+            (string) (time() + $ttl)
+        ));
+
+        return $inserted === 1;
+    }
+
+    /**
+     * Expiry timestamp of a lock, read from the database (not the option cache)
+     *
+     * @return int|null Null if the lock does not exist
+     */
+    private static function getExpiry(string $name): ?int
+    {
+        global $wpdb;
+
+        $value = $wpdb->get_var($wpdb->prepare(
+            "SELECT option_value FROM {$wpdb->options} WHERE option_name = %s",
+            self::PREFIX . $name
+        ));
+
+        return $value === null ? null : (int) $value;
+    }
+}
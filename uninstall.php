@@ -50,7 +50,16 @@ class WBE_Uninstaller
         'wbe_activated_at',
         'wbe_last_cleanup',
         'wbe_logs_*',
+        'wbe_snapshot_*',
+        'wbe_date_changes_*',
+        'wbe_log_history*',
         'wbe_settings',
+        'wbe_saved_selections',
+        'wbe_availability_templates',
+        'wbe_scheduled_operations',
+        'wbe_background_job*',
+        'wbe_lock_*',
+        'wbe_rolling_window_run',
     ];
     
     /**
@@ -67,6 +76,10 @@ class WBE_Uninstaller
      */
     const CRON_HOOKS = [
         'wbe_daily_log_cleanup',
+        'wbe_process_scheduled_operation',
+        'wbe_background_healthcheck',
+        'wbe_rolling_window_update',
+        'wbe_rolling_window_continue',
     ];
     
     /**
@@ -75,6 +88,14 @@ class WBE_Uninstaller
     const USER_META = [
         'wbe_user_settings',
         'wbe_last_viewed',
+        'wbe_saved_selections',
+    ];
+    
+    /**
+     * Post meta keys to delete (plugin data only, WooTour data is kept)
+     */
+    const POST_META = [
+        '_wbe_rolling_window',
     ];
     
     /**
@@ -97,6 +118,7 @@ class WBE_Uninstaller
         self::delete_transients();
         self::delete_options();
         self::delete_user_meta();
+        self::delete_post_meta();
         self::clear_object_cache();
         
         self::log_uninstall_complete();
@@ -117,6 +139,7 @@ class WBE_Uninstaller
                 wp_unschedule_event($timestamp, $hook);
             }
             wp_clear_scheduled_hook($hook);
+            wp_unschedule_hook($hook); // Événements avec arguments
         }
     }
     
@@ -229,6 +252,16 @@ class WBE_Uninstaller
         }
     }
     
+    /**
+     * Delete post meta data (rolling window rules)
+     */
+    private static function delete_post_meta()
+    {
+        foreach (self::POST_META as $meta_key) {
+            delete_post_meta_by_key($meta_key);
+        }
+    }
+    
     /**
      * Clear object cache
      */